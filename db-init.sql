@@ -24,6 +24,70 @@ CREATE TABLE IF NOT EXISTS reports (
 CREATE INDEX IF NOT EXISTS idx_reports_user_id ON reports(user_id);
 CREATE INDEX IF NOT EXISTS idx_reports_created_at ON reports(created_at DESC);
 
+-- Organizations, members and invitations (roles: owner, editor, reviewer, viewer)
+CREATE TABLE IF NOT EXISTS organizations (
+  id SERIAL PRIMARY KEY,
+  org_id VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS org_members (
+  org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner','editor','reviewer','viewer')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (org_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_org_members_user_id ON org_members(user_id);
+
+CREATE TABLE IF NOT EXISTS org_invitations (
+  id SERIAL PRIMARY KEY,
+  org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner','editor','reviewer','viewer')),
+  token VARCHAR(64) UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_reports_org_id ON reports(org_id);
+
+-- Products group report revisions
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  product_id VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(200) NOT NULL DEFAULT 'Untitled Product',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_products_user_id ON products(user_id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_products_org_id ON products(org_id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS confirmed_data JSONB;
+
+-- Source images attached to a product
+CREATE TABLE IF NOT EXISTS product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size INTEGER NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id);
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS revision INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_product_revision ON reports(product_id, revision);
+-- Confirmed data each revision was analyzed with (label drafts)
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS confirmed_data JSONB;
+
 -- Session table for connect-pg-simple
 CREATE TABLE IF NOT EXISTS "session" (
   "sid" VARCHAR NOT NULL COLLATE "default",
@@ -32,3 +96,160 @@ CREATE TABLE IF NOT EXISTS "session" (
   CONSTRAINT "session_pkey" PRIMARY KEY ("sid")
 );
 CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
+
+-- Background analysis jobs (/api/jobs)
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  job_id VARCHAR(50) PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(30) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  stage VARCHAR(30),
+  stages JSONB NOT NULL DEFAULT '[]',
+  result JSONB,
+  error JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_id ON analysis_jobs(user_id);
+
+-- Expert review workflow (/api/reports/:reportId/review)
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS review_status VARCHAR(30);
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS signed_off_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_reports_review_status ON reports(org_id, review_status);
+CREATE TABLE IF NOT EXISTS review_events (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(30) NOT NULL,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30),
+  detail JSONB,
+  comment TEXT DEFAULT '',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_review_events_report_id ON review_events(report_id);
+
+-- Target market of a saved report (US, EU, CA, AU)
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS target_market VARCHAR(10) NOT NULL DEFAULT 'US';
+
+-- Organization API keys and their request log
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  key_id VARCHAR(50) UNIQUE NOT NULL,
+  org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  name VARCHAR(200) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  scopes JSONB NOT NULL DEFAULT '[]',
+  rate_limit INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_api_keys_org_id ON api_keys(org_id);
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  id BIGSERIAL PRIMARY KEY,
+  api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(500) NOT NULL,
+  status INTEGER NOT NULL,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_api_key_usage_key ON api_key_usage(api_key_id, created_at);
+
+-- Webhook endpoints and their delivery log
+CREATE TABLE IF NOT EXISTS webhooks (
+  id SERIAL PRIMARY KEY,
+  webhook_id VARCHAR(50) UNIQUE NOT NULL,
+  org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  url VARCHAR(1000) NOT NULL,
+  events JSONB NOT NULL DEFAULT '[]',
+  secret VARCHAR(100) NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_org_id ON webhooks(org_id);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  delivery_id VARCHAR(50) UNIQUE NOT NULL,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  attempt_log JSONB NOT NULL DEFAULT '[]',
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status='pending';
+
+-- Analysis audit trail (inputs, prompts, raw model output) and the reports each run fed
+CREATE TABLE IF NOT EXISTS analysis_audits (
+  id SERIAL PRIMARY KEY,
+  audit_id VARCHAR(50) UNIQUE NOT NULL,
+  kind VARCHAR(30) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  parent_audit_id VARCHAR(50),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  api_key_id VARCHAR(50),
+  lang VARCHAR(10),
+  target_market VARCHAR(10),
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  inputs JSONB NOT NULL DEFAULT '{}',
+  prompt TEXT,
+  steps JSONB NOT NULL DEFAULT '[]',
+  rule_findings JSONB,
+  output JSONB,
+  output_sha256 VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_analysis_audits_org ON analysis_audits(org_id, created_at);
+CREATE TABLE IF NOT EXISTS report_audits (
+  report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  audit_id INTEGER NOT NULL REFERENCES analysis_audits(id) ON DELETE CASCADE,
+  PRIMARY KEY (report_id, audit_id)
+);
+
+-- Facility registry (/api/facilities) and the facility each product is made in
+CREATE TABLE IF NOT EXISTS facilities (
+  id SERIAL PRIMARY KEY,
+  facility_id VARCHAR(50) UNIQUE NOT NULL,
+  org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(200) NOT NULL,
+  address TEXT NOT NULL DEFAULT '',
+  fei VARCHAR(20) NOT NULL DEFAULT '',
+  duns VARCHAR(20) NOT NULL DEFAULT '',
+  registration_status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+  renewal_cycle VARCHAR(20) NOT NULL DEFAULT 'fda_biennial',
+  last_renewed_on DATE,
+  us_agent JSONB NOT NULL DEFAULT '{}',
+  fsvp_importer JSONB NOT NULL DEFAULT '{}',
+  importer_structure VARCHAR(30) NOT NULL DEFAULT 'not_determined',
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_facilities_org_id ON facilities(org_id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS facility_id INTEGER REFERENCES facilities(id) ON DELETE SET NULL;
+
+-- Substance catalog CSV imports (/api/admin/substances/import); the row with
+-- the highest imports number is laid over data/substances.json
+CREATE TABLE IF NOT EXISTS substance_imports (
+  id SERIAL PRIMARY KEY,
+  imports INTEGER UNIQUE NOT NULL,
+  data JSONB NOT NULL,
+  imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
@@ -4,9 +4,19 @@ import multer from "multer";
 import cors from "cors";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { fileURLToPath } from "url";
-// import PptxGenJS from 'pptxgenjs/dist/pptxgen.bundle.js';
+import PptxGenJS from "pptxgenjs";
+import PDFDocument from "pdfkit";
+import JSZip from "jszip";
+import sharp from "sharp";
+import { getDocument as getPdfDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createCanvas } from "@napi-rs/canvas";
 import pg from "pg";
 import bcrypt from "bcryptjs";
 import session from "express-session";
@@ -25,7 +35,12 @@ app.set("trust proxy", 1);
 
 // --- Middleware ---
 app.use(cors({ origin: true, credentials: true }));
-app.use(express.json());
+// Routes listed here parse their own (larger) JSON bodies
+const OWN_JSON_PARSER_ROUTES = new Set(["/api/generate-slides"]);
+const jsonParser = express.json();
+app.use((req, res, next) =>
+  OWN_JSON_PARSER_ROUTES.has(req.path) ? next() : jsonParser(req, res, next),
+);
 app.use(express.static(path.join(__dirname, "public")));
 
 // --- PostgreSQL ---
@@ -58,6 +73,59 @@ async function initDB() {
         created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       );
       CREATE INDEX IF NOT EXISTS idx_reports_user_id ON reports(user_id);
+      CREATE TABLE IF NOT EXISTS organizations (
+        id SERIAL PRIMARY KEY,
+        org_id VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(200) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS org_members (
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner','editor','reviewer','viewer')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (org_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_org_members_user_id ON org_members(user_id);
+      CREATE TABLE IF NOT EXISTS org_invitations (
+        id SERIAL PRIMARY KEY,
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner','editor','reviewer','viewer')),
+        token VARCHAR(64) UNIQUE NOT NULL,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        accepted_at TIMESTAMP WITH TIME ZONE
+      );
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_reports_org_id ON reports(org_id);
+      CREATE TABLE IF NOT EXISTS products (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        product_id VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(200) NOT NULL DEFAULT 'Untitled Product',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_products_user_id ON products(user_id);
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_products_org_id ON products(org_id);
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS confirmed_data JSONB;
+      CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        data BYTEA NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id);
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products(id) ON DELETE SET NULL;
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS revision INTEGER;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_product_revision ON reports(product_id, revision);
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS confirmed_data JSONB;
       CREATE TABLE IF NOT EXISTS "session" (
         "sid" VARCHAR NOT NULL COLLATE "default",
         "sess" JSON NOT NULL,
@@ -65,13 +133,869 @@ async function initDB() {
         CONSTRAINT "session_pkey" PRIMARY KEY ("sid")
       );
       CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
+      CREATE TABLE IF NOT EXISTS analysis_jobs (
+        job_id VARCHAR(50) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        kind VARCHAR(30) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        stage VARCHAR(30),
+        stages JSONB NOT NULL DEFAULT '[]',
+        result JSONB,
+        error JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_id ON analysis_jobs(user_id);
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS review_status VARCHAR(30);
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS signed_off_at TIMESTAMP WITH TIME ZONE;
+      CREATE INDEX IF NOT EXISTS idx_reports_review_status ON reports(org_id, review_status);
+      CREATE TABLE IF NOT EXISTS review_events (
+        id SERIAL PRIMARY KEY,
+        report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL,
+        from_status VARCHAR(30),
+        to_status VARCHAR(30),
+        detail JSONB,
+        comment TEXT DEFAULT '',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_review_events_report_id ON review_events(report_id);
+      ALTER TABLE reports ADD COLUMN IF NOT EXISTS target_market VARCHAR(10) NOT NULL DEFAULT 'US';
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        key_id VARCHAR(50) UNIQUE NOT NULL,
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        name VARCHAR(200) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes JSONB NOT NULL DEFAULT '[]',
+        rate_limit INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_keys_org_id ON api_keys(org_id);
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        id BIGSERIAL PRIMARY KEY,
+        api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(500) NOT NULL,
+        status INTEGER NOT NULL,
+        duration_ms INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_key_usage_key ON api_key_usage(api_key_id, created_at);
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        webhook_id VARCHAR(50) UNIQUE NOT NULL,
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        url VARCHAR(1000) NOT NULL,
+        events JSONB NOT NULL DEFAULT '[]',
+        secret VARCHAR(100) NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhooks_org_id ON webhooks(org_id);
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        delivery_id VARCHAR(50) UNIQUE NOT NULL,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        attempt_log JSONB NOT NULL DEFAULT '[]',
+        next_attempt_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status='pending';
+      CREATE TABLE IF NOT EXISTS analysis_audits (
+        id SERIAL PRIMARY KEY,
+        audit_id VARCHAR(50) UNIQUE NOT NULL,
+        kind VARCHAR(30) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        parent_audit_id VARCHAR(50),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        api_key_id VARCHAR(50),
+        lang VARCHAR(10),
+        target_market VARCHAR(10),
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        inputs JSONB NOT NULL DEFAULT '{}',
+        prompt TEXT,
+        steps JSONB NOT NULL DEFAULT '[]',
+        rule_findings JSONB,
+        output JSONB,
+        output_sha256 VARCHAR(64),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_analysis_audits_org ON analysis_audits(org_id, created_at);
+      CREATE TABLE IF NOT EXISTS report_audits (
+        report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+        audit_id INTEGER NOT NULL REFERENCES analysis_audits(id) ON DELETE CASCADE,
+        PRIMARY KEY (report_id, audit_id)
+      );
+      CREATE TABLE IF NOT EXISTS facilities (
+        id SERIAL PRIMARY KEY,
+        facility_id VARCHAR(50) UNIQUE NOT NULL,
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        name VARCHAR(200) NOT NULL,
+        address TEXT NOT NULL DEFAULT '',
+        fei VARCHAR(20) NOT NULL DEFAULT '',
+        duns VARCHAR(20) NOT NULL DEFAULT '',
+        registration_status VARCHAR(20) NOT NULL DEFAULT 'unknown',
+        renewal_cycle VARCHAR(20) NOT NULL DEFAULT 'fda_biennial',
+        last_renewed_on DATE,
+        us_agent JSONB NOT NULL DEFAULT '{}',
+        fsvp_importer JSONB NOT NULL DEFAULT '{}',
+        importer_structure VARCHAR(30) NOT NULL DEFAULT 'not_determined',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_facilities_org_id ON facilities(org_id);
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS facility_id INTEGER REFERENCES facilities(id) ON DELETE SET NULL;
+      CREATE TABLE IF NOT EXISTS substance_imports (
+        id SERIAL PRIMARY KEY,
+        imports INTEGER UNIQUE NOT NULL,
+        data JSONB NOT NULL,
+        imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
     `);
+    await backfillPersonalOrgs();
+    await failInterruptedJobs();
     console.log("   Database: Tables initialized ✓");
   } catch (err) {
     console.error("   Database: Init failed -", err.message);
   }
 }
 
+// --- API Keys ---
+// Organization API keys for server-to-server clients (e.g. a PLM system).
+// A key is sent as "Authorization: Bearer gtmk_..." or "X-API-Key" and acts
+// as the member who created it, in the key's organization, limited to its
+// scopes. API_ROUTES says which scope each route needs and also feeds
+// /api/openapi.json. Only a SHA-256 hash of the key is stored; requests are
+// rate limited per key and logged to api_key_usage.
+const API_KEY_PREFIX = "gtmk_";
+const API_KEY_SCOPES = {
+  extract: "Extract product data from label images",
+  analyze: "Run compliance analysis, claim classification and batch screening",
+  "reports:read": "List, read and export saved reports",
+  "reports:write": "Save and delete reports",
+  "products:read": "List and read products, source images and revision diffs",
+  "products:write": "Create, update and delete products and source images",
+  "facilities:read": "List and read the facility registry",
+  "facilities:write": "Create, update and delete registry facilities",
+};
+const API_KEY_DEFAULT_RATE_LIMIT =
+  parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60; // requests per minute
+const API_KEY_MAX_RATE_LIMIT = 6000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const rateLimitWindows = new Map(); // api_keys.id -> { start, count }
+
+// Every API route. auth: "none" (no credentials), "optional" (anonymous
+// allowed; keys need the scope), "required" (session or key with the scope)
+// or "session" (browser session only, keys are rejected). A scope array
+// accepts any of the listed scopes.
+const API_ROUTES = [
+  {
+    method: "get",
+    path: "/api/health",
+    tag: "System",
+    auth: "none",
+    summary: "Health check and configured providers",
+  },
+  {
+    method: "get",
+    path: "/api/markets",
+    tag: "System",
+    auth: "none",
+    summary:
+      "Supported target markets, section titles and registration questions",
+  },
+  {
+    method: "get",
+    path: "/api/openapi.json",
+    tag: "System",
+    auth: "none",
+    summary: "This OpenAPI document",
+  },
+  {
+    method: "post",
+    path: "/api/auth/register",
+    tag: "Auth",
+    auth: "none",
+    summary: "Create an account and log in",
+  },
+  {
+    method: "post",
+    path: "/api/auth/login",
+    tag: "Auth",
+    auth: "none",
+    summary: "Log in (sets the session cookie)",
+  },
+  {
+    method: "post",
+    path: "/api/auth/logout",
+    tag: "Auth",
+    auth: "session",
+    summary: "Log out",
+  },
+  {
+    method: "get",
+    path: "/api/auth/me",
+    tag: "Auth",
+    auth: "session",
+    summary: "Current user and active organization",
+  },
+  {
+    method: "get",
+    path: "/api/orgs",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Organizations of the current user",
+  },
+  {
+    method: "post",
+    path: "/api/orgs",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Create an organization",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/switch",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Switch the active organization",
+  },
+  {
+    method: "put",
+    path: "/api/orgs/:orgId",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Rename an organization",
+  },
+  {
+    method: "get",
+    path: "/api/orgs/:orgId/members",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Members and pending invitations",
+  },
+  {
+    method: "put",
+    path: "/api/orgs/:orgId/members/:userId",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Change a member's role",
+  },
+  {
+    method: "delete",
+    path: "/api/orgs/:orgId/members/:userId",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Remove a member or leave",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/invitations",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Invite by email",
+  },
+  {
+    method: "delete",
+    path: "/api/orgs/:orgId/invitations/:invitationId",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Revoke a pending invitation",
+  },
+  {
+    method: "get",
+    path: "/api/invitations/:token",
+    tag: "Organizations",
+    auth: "none",
+    summary: "Invitation details",
+  },
+  {
+    method: "post",
+    path: "/api/invitations/:token/accept",
+    tag: "Organizations",
+    auth: "session",
+    summary: "Accept an invitation",
+  },
+  {
+    method: "get",
+    path: "/api/orgs/:orgId/api-keys",
+    tag: "API Keys",
+    auth: "session",
+    summary: "API keys of an organization (owners)",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/api-keys",
+    tag: "API Keys",
+    auth: "session",
+    summary: "Create an API key; the secret is returned once",
+    body: "CreateApiKeyRequest",
+  },
+  {
+    method: "delete",
+    path: "/api/orgs/:orgId/api-keys/:keyId",
+    tag: "API Keys",
+    auth: "session",
+    summary: "Revoke an API key",
+  },
+  {
+    method: "get",
+    path: "/api/orgs/:orgId/api-keys/:keyId/usage",
+    tag: "API Keys",
+    auth: "session",
+    summary: "Recent requests made with an API key",
+  },
+  {
+    method: "get",
+    path: "/api/orgs/:orgId/webhooks",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Webhook endpoints of an organization (owners)",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/webhooks",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Add an endpoint; the signing secret is returned once",
+    body: "CreateWebhookRequest",
+  },
+  {
+    method: "put",
+    path: "/api/orgs/:orgId/webhooks/:webhookId",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Change an endpoint's url, events or active flag",
+  },
+  {
+    method: "delete",
+    path: "/api/orgs/:orgId/webhooks/:webhookId",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Remove an endpoint",
+  },
+  {
+    method: "get",
+    path: "/api/orgs/:orgId/webhooks/:webhookId/deliveries",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Delivery log with attempts and responses",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/webhooks/:webhookId/test",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Send a ping event",
+  },
+  {
+    method: "post",
+    path: "/api/orgs/:orgId/webhooks/:webhookId/deliveries/:deliveryId/retry",
+    tag: "Webhooks",
+    auth: "session",
+    summary: "Send a delivery again",
+  },
+  {
+    method: "post",
+    path: "/api/analyze",
+    tag: "Analysis",
+    auth: "optional",
+    scope: "analyze",
+    summary: "Analyze label images in one step",
+    body: "FileUpload",
+    response: "AnalysisResponse",
+  },
+  {
+    method: "post",
+    path: "/api/extract",
+    tag: "Analysis",
+    auth: "optional",
+    scope: "extract",
+    summary: "Extract structured product data from label images",
+    body: "FileUpload",
+    response: "ExtractionResponse",
+  },
+  {
+    method: "post",
+    path: "/api/analyze-confirmed",
+    tag: "Analysis",
+    auth: "optional",
+    scope: "analyze",
+    summary: "Analyze confirmed product data",
+    body: "AnalyzeConfirmedRequest",
+    response: "AnalysisResponse",
+  },
+  {
+    method: "post",
+    path: "/api/claims/classify",
+    tag: "Analysis",
+    auth: "optional",
+    scope: "analyze",
+    summary: "Classify marketing claims",
+    body: "ClassifyClaimsRequest",
+  },
+  {
+    method: "post",
+    path: "/api/ingredients/parse",
+    tag: "Analysis",
+    auth: "optional",
+    scope: "extract",
+    summary: "Parse an ingredient statement into an ingredient tree",
+    body: "ParseIngredientsRequest",
+  },
+  {
+    method: "post",
+    path: "/api/jobs/extract",
+    tag: "Jobs",
+    auth: "optional",
+    scope: "extract",
+    summary: "Start extraction in the background",
+    body: "FileUpload",
+    response: "JobAccepted",
+  },
+  {
+    method: "post",
+    path: "/api/jobs/analyze-confirmed",
+    tag: "Jobs",
+    auth: "optional",
+    scope: "analyze",
+    summary: "Start confirmed analysis in the background",
+    body: "AnalyzeConfirmedRequest",
+    response: "JobAccepted",
+  },
+  {
+    method: "post",
+    path: "/api/jobs/batch",
+    tag: "Jobs",
+    auth: "required",
+    scope: "analyze",
+    summary: "Start portfolio screening of a ZIP or product CSV",
+    body: "BatchUpload",
+    response: "JobAccepted",
+  },
+  {
+    method: "get",
+    path: "/api/jobs/:jobId",
+    tag: "Jobs",
+    auth: "optional",
+    scope: ["extract", "analyze"],
+    summary: "Job status, stages and result",
+  },
+  {
+    method: "get",
+    path: "/api/jobs/:jobId/events",
+    tag: "Jobs",
+    auth: "optional",
+    scope: ["extract", "analyze"],
+    summary: "Job stages as Server-Sent Events",
+  },
+  {
+    method: "get",
+    path: "/api/batches",
+    tag: "Jobs",
+    auth: "required",
+    scope: "analyze",
+    summary: "Batch jobs with portfolio summaries",
+  },
+  {
+    method: "post",
+    path: "/api/reports",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:write",
+    summary: "Save a report (optionally as a product revision)",
+    body: "SaveReportRequest",
+  },
+  {
+    method: "get",
+    path: "/api/reports",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Reports of the organization",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:read",
+    summary: "A saved report",
+  },
+  {
+    method: "delete",
+    path: "/api/reports/:reportId",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:write",
+    summary: "Delete a report",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId/pdf",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Render a saved report as PDF (?lang=en|cn|bilingual)",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId/label-draft",
+    tag: "Reports",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Proposed label draft (?format=json|svg|html)",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId/audit",
+    tag: "Audit",
+    auth: "required",
+    scope: "reports:read",
+    summary:
+      "Audit trail: input hashes, prompts, raw responses and repair steps",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId/audit/bundle",
+    tag: "Audit",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Audit trail as a ZIP with an Ed25519-signed manifest",
+  },
+  {
+    method: "get",
+    path: "/api/audit/public-key",
+    tag: "Audit",
+    auth: "none",
+    summary: "Public key for verifying audit bundle signatures",
+  },
+  {
+    method: "post",
+    path: "/api/generate-slides",
+    tag: "Reports",
+    auth: "optional",
+    scope: "reports:read",
+    summary:
+      "Render a saved report ({ reportId }) or report data ({ data }) as PPTX",
+  },
+  {
+    method: "get",
+    path: "/api/reports/:reportId/review",
+    tag: "Review",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Review status and history",
+  },
+  {
+    method: "post",
+    path: "/api/reports/:reportId/review/:action",
+    tag: "Review",
+    auth: "session",
+    summary: "Submit, start, request changes or sign off",
+  },
+  {
+    method: "patch",
+    path: "/api/reports/:reportId/review/items",
+    tag: "Review",
+    auth: "session",
+    summary: "Verify, override, annotate or add findings",
+  },
+  {
+    method: "get",
+    path: "/api/reviews",
+    tag: "Review",
+    auth: "required",
+    scope: "reports:read",
+    summary: "Review queue (?status=...)",
+  },
+  {
+    method: "get",
+    path: "/api/products",
+    tag: "Products",
+    auth: "required",
+    scope: "products:read",
+    summary: "Products of the organization",
+  },
+  {
+    method: "post",
+    path: "/api/products",
+    tag: "Products",
+    auth: "required",
+    scope: "products:write",
+    summary: "Create a product",
+    body: "ProductRequest",
+  },
+  {
+    method: "get",
+    path: "/api/products/:productId",
+    tag: "Products",
+    auth: "required",
+    scope: "products:read",
+    summary: "Product with confirmed data, images and revisions",
+  },
+  {
+    method: "put",
+    path: "/api/products/:productId",
+    tag: "Products",
+    auth: "required",
+    scope: "products:write",
+    summary: "Update a product's name, confirmed data or facility",
+    body: "ProductRequest",
+  },
+  {
+    method: "delete",
+    path: "/api/products/:productId",
+    tag: "Products",
+    auth: "required",
+    scope: "products:write",
+    summary: "Delete a product",
+  },
+  {
+    method: "post",
+    path: "/api/products/:productId/images",
+    tag: "Products",
+    auth: "required",
+    scope: "products:write",
+    summary: "Attach source images",
+    body: "FileUpload",
+  },
+  {
+    method: "get",
+    path: "/api/products/:productId/images/:imageId",
+    tag: "Products",
+    auth: "required",
+    scope: "products:read",
+    summary: "A source image",
+  },
+  {
+    method: "delete",
+    path: "/api/products/:productId/images/:imageId",
+    tag: "Products",
+    auth: "required",
+    scope: "products:write",
+    summary: "Delete a source image",
+  },
+  {
+    method: "post",
+    path: "/api/products/:productId/analyze",
+    tag: "Products",
+    auth: "required",
+    scope: "analyze",
+    summary: "Re-run analysis on the saved confirmed data (job)",
+    response: "JobAccepted",
+  },
+  {
+    method: "get",
+    path: "/api/products/:productId/diff",
+    tag: "Products",
+    auth: "required",
+    scope: "products:read",
+    summary: "Finding changes between revisions (?from=&to=)",
+  },
+  {
+    method: "get",
+    path: "/api/facilities",
+    tag: "Facilities",
+    auth: "required",
+    scope: "facilities:read",
+    summary: "Facility registry with renewal status",
+  },
+  {
+    method: "post",
+    path: "/api/facilities",
+    tag: "Facilities",
+    auth: "required",
+    scope: "facilities:write",
+    summary: "Register a facility",
+    body: "FacilityRequest",
+  },
+  {
+    method: "get",
+    path: "/api/facilities/:facilityId",
+    tag: "Facilities",
+    auth: "required",
+    scope: "facilities:read",
+    summary: "A facility with its renewal status and linked products",
+  },
+  {
+    method: "put",
+    path: "/api/facilities/:facilityId",
+    tag: "Facilities",
+    auth: "required",
+    scope: "facilities:write",
+    summary: "Update a facility",
+    body: "FacilityRequest",
+  },
+  {
+    method: "delete",
+    path: "/api/facilities/:facilityId",
+    tag: "Facilities",
+    auth: "required",
+    scope: "facilities:write",
+    summary: "Delete a facility (its products are unlinked)",
+  },
+  {
+    method: "get",
+    path: "/api/admin/substances",
+    tag: "Admin",
+    auth: "session",
+    summary: "Substance catalog",
+  },
+  {
+    method: "post",
+    path: "/api/admin/substances/import",
+    tag: "Admin",
+    auth: "session",
+    summary: "Import substances from CSV",
+  },
+];
+
+const apiRouteMatchers = API_ROUTES.map((route) => ({
+  route,
+  re: new RegExp("^" + route.path.replace(/:\w+/g, "[^/]+") + "/?$"),
+}));
+
+function findApiRoute(method, reqPath) {
+  const m = method.toLowerCase() === "head" ? "get" : method.toLowerCase();
+  const hit = apiRouteMatchers.find(
+    (r) => r.route.method === m && r.re.test(reqPath),
+  );
+  return hit ? hit.route : null;
+}
+
+function hashApiKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function apiKeyFromRequest(req) {
+  const auth = req.get("authorization") || "";
+  if (auth.startsWith("Bearer " + API_KEY_PREFIX)) return auth.slice(7).trim();
+  return req.get("x-api-key") || null;
+}
+
+// Fixed one-minute window per key; sets X-RateLimit-* headers
+function takeRateLimit(key, res) {
+  const now = Date.now();
+  let w = rateLimitWindows.get(key.id);
+  if (!w || now - w.start >= RATE_LIMIT_WINDOW_MS) {
+    w = { start: now, count: 0 };
+    rateLimitWindows.set(key.id, w);
+  }
+  w.count++;
+  res.set({
+    "X-RateLimit-Limit": String(key.rate_limit),
+    "X-RateLimit-Remaining": String(Math.max(0, key.rate_limit - w.count)),
+    "X-RateLimit-Reset": String(
+      Math.ceil((w.start + RATE_LIMIT_WINDOW_MS) / 1000),
+    ),
+  });
+  if (w.count <= key.rate_limit) return true;
+  res.set(
+    "Retry-After",
+    String(Math.ceil((w.start + RATE_LIMIT_WINDOW_MS - now) / 1000)),
+  );
+  return false;
+}
+
+function logApiKeyUsage(key, req, res) {
+  const started = Date.now();
+  res.on("finish", () => {
+    pool
+      .query(
+        `WITH touched AS (UPDATE api_keys SET last_used_at=NOW() WHERE id=$1)
+         INSERT INTO api_key_usage (api_key_id, method, path, status, duration_ms) VALUES ($1,$2,$3,$4,$5)`,
+        [
+          key.id,
+          req.method,
+          req.path.substring(0, 500),
+          res.statusCode,
+          Date.now() - started,
+        ],
+      )
+      .catch((err) => console.error("API key usage log error:", err.message));
+  });
+}
+
+// Runs before the session middleware: a request carrying an API key gets a
+// plain req.session ({ userId, orgId, apiKeyId }), so express-session leaves
+// it alone (no cookie) and the existing auth helpers work unchanged.
+async function authenticateApiKey(req, res, next) {
+  const secret = apiKeyFromRequest(req);
+  if (!secret) return next();
+  if (!process.env.DATABASE_URL)
+    return res.status(401).json({ error: "API keys require a database" });
+  try {
+    const result = await pool.query(
+      `SELECT k.id, k.key_id, k.scopes, k.rate_limit, k.created_by, o.org_id
+       FROM api_keys k JOIN organizations o ON o.id=k.org_id
+       WHERE k.key_hash=$1 AND k.revoked_at IS NULL`,
+      [hashApiKey(secret)],
+    );
+    const key = result.rows[0];
+    if (!key)
+      return res.status(401).json({ error: "Invalid or revoked API key" });
+    if (!key.created_by || !(await getMembership(key.created_by, key.org_id)))
+      return res.status(401).json({
+        error:
+          "The API key's creator is no longer a member of its organization",
+      });
+
+    req.apiKey = key;
+    req.session = {
+      userId: key.created_by,
+      orgId: key.org_id,
+      apiKeyId: key.key_id,
+    };
+    logApiKeyUsage(key, req, res);
+    if (!takeRateLimit(key, res))
+      return res.status(429).json({
+        error: `Rate limit exceeded (${key.rate_limit} requests per minute)`,
+      });
+    if (!req.path.startsWith("/api/")) return next();
+
+    const route = findApiRoute(req.method, req.path);
+    if (!route || route.auth === "session")
+      return res
+        .status(403)
+        .json({ error: "This route is not available to API keys" });
+    const needed = [].concat(route.scope || []);
+    if (needed.length && !needed.some((s) => key.scopes.includes(s)))
+      return res.status(403).json({
+        error: `API key is missing the ${needed.join(" or ")} scope`,
+        requiredScopes: needed,
+      });
+    next();
+  } catch (err) {
+    console.error("API key auth error:", err);
+    res.status(500).json({ error: "Failed to verify API key" });
+  }
+}
+
+app.use(authenticateApiKey);
+
 // --- Session ---
 app.use(
   session({
@@ -98,6 +1022,472 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Admin helper: ADMIN_EMAILS is a comma-separated allow-list
+async function requireAdmin(req, res, next) {
+  if (!req.session.userId)
+    return res.status(401).json({ error: "Not authenticated" });
+  const admins = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+  try {
+    const result = await pool.query("SELECT email FROM users WHERE id=$1", [
+      req.session.userId,
+    ]);
+    if (!result.rows.length || !admins.includes(result.rows[0].email))
+      return res.status(403).json({ error: "Admin access required" });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to verify admin access" });
+  }
+}
+
+// --- Organizations ---
+// Reports and products belong to an organization. The active org is kept
+// in the session (req.session.orgId, the public ORG- id) and defaults to
+// the user's oldest membership.
+const ORG_ROLES = ["owner", "editor", "reviewer", "viewer"];
+const ORG_PERMISSIONS = {
+  read: ["owner", "editor", "reviewer", "viewer"],
+  write: ["owner", "editor"],
+  review: ["owner", "reviewer"],
+  manage: ["owner"],
+};
+const INVITATION_TTL_DAYS = 14;
+
+async function createOrganization(userId, name) {
+  const org = await pool.query(
+    "INSERT INTO organizations (org_id, name) VALUES ($1,$2) RETURNING id, org_id, name",
+    [
+      "ORG-" + crypto.randomBytes(6).toString("hex").toUpperCase(),
+      name.substring(0, 200),
+    ],
+  );
+  await pool.query(
+    "INSERT INTO org_members (org_id, user_id, role) VALUES ($1,$2,'owner')",
+    [org.rows[0].id, userId],
+  );
+  return { ...org.rows[0], role: "owner" };
+}
+
+function personalOrgName(user) {
+  return (user.company || "").trim() || `${user.name}'s Workspace`;
+}
+
+// Give users from before organizations existed an org holding their data
+async function backfillPersonalOrgs() {
+  const users = await pool.query(
+    "SELECT id, name, company FROM users u WHERE NOT EXISTS (SELECT 1 FROM org_members m WHERE m.user_id=u.id)",
+  );
+  for (const user of users.rows) {
+    const org = await createOrganization(user.id, personalOrgName(user));
+    await pool.query(
+      "UPDATE reports SET org_id=$1 WHERE user_id=$2 AND org_id IS NULL",
+      [org.id, user.id],
+    );
+    await pool.query(
+      "UPDATE products SET org_id=$1 WHERE user_id=$2 AND org_id IS NULL",
+      [org.id, user.id],
+    );
+  }
+  if (users.rows.length)
+    console.log(
+      `   Organizations: created ${users.rows.length} personal org(s)`,
+    );
+}
+
+async function getMembership(userId, orgId) {
+  const result = await pool.query(
+    `SELECT o.id, o.org_id, o.name, m.role FROM org_members m JOIN organizations o ON o.id=m.org_id
+     WHERE m.user_id=$1 AND o.org_id=$2`,
+    [userId, orgId],
+  );
+  return result.rows[0] || null;
+}
+
+async function resolveActiveOrg(req) {
+  if (req.session.orgId) {
+    const membership = await getMembership(
+      req.session.userId,
+      req.session.orgId,
+    );
+    if (membership) return membership;
+  }
+  const result = await pool.query(
+    `SELECT o.id, o.org_id, o.name, m.role FROM org_members m JOIN organizations o ON o.id=m.org_id
+     WHERE m.user_id=$1 ORDER BY m.created_at LIMIT 1`,
+    [req.session.userId],
+  );
+  let membership = result.rows[0];
+  if (!membership) {
+    const user = await pool.query(
+      "SELECT name, company FROM users WHERE id=$1",
+      [req.session.userId],
+    );
+    membership = await createOrganization(
+      req.session.userId,
+      personalOrgName(user.rows[0]),
+    );
+  }
+  req.session.orgId = membership.org_id;
+  return membership;
+}
+
+function forbiddenRole(res, permission, role) {
+  return res.status(403).json({
+    error: `Your role (${role}) cannot perform this action`,
+    requiredRoles: ORG_PERMISSIONS[permission],
+  });
+}
+
+// Org-scoped auth: sets req.org = { id, org_id, name, role } for the active org
+function requireOrgPermission(permission) {
+  return async (req, res, next) => {
+    if (!req.session.userId)
+      return res.status(401).json({ error: "Not authenticated" });
+    try {
+      req.org = await resolveActiveOrg(req);
+      if (!ORG_PERMISSIONS[permission].includes(req.org.role))
+        return forbiddenRole(res, permission, req.org.role);
+      next();
+    } catch (err) {
+      console.error("Org access error:", err);
+      res.status(500).json({ error: "Failed to verify organization access" });
+    }
+  };
+}
+
+// Same check for routes addressing an org by :orgId
+function requireOrgMember(permission) {
+  return async (req, res, next) => {
+    if (!req.session.userId)
+      return res.status(401).json({ error: "Not authenticated" });
+    try {
+      req.org = await getMembership(req.session.userId, req.params.orgId);
+      if (!req.org)
+        return res.status(404).json({ error: "Organization not found" });
+      if (!ORG_PERMISSIONS[permission].includes(req.org.role))
+        return forbiddenRole(res, permission, req.org.role);
+      next();
+    } catch (err) {
+      console.error("Org access error:", err);
+      res.status(500).json({ error: "Failed to verify organization access" });
+    }
+  };
+}
+
+// --- Facility Registry ---
+// Manufacturing facilities of an organization: address, FEI/DUNS, FDA
+// registration renewal, U.S. agent and FSVP importer. Products link to a
+// facility (products.facility_id); the review form pre-fills the U.S.
+// registration answers from it, and an analysis whose confirmedData names a
+// facilityId gets the registry entry as confirmedData.facility, so the
+// renewal rule can report on it in facilityRegistration.
+const FACILITY_RENEWAL_CYCLES = {
+  // 21 CFR 1.230(b): renew between October 1 and December 31 of each
+  // even-numbered year
+  fda_biennial: [
+    "FDA biennial (Oct 1 – Dec 31 of even years)",
+    "FDA 两年一次（偶数年 10 月 1 日至 12 月 31 日）",
+  ],
+  annual: [
+    "Annual (one year from the last renewal)",
+    "每年（自上次续期起一年）",
+  ],
+  none: ["No renewal required", "无需续期"],
+};
+const FACILITY_REG_STATUSES = ["active", "not_registered", "unknown"];
+// Warn this many days before a renewal window opens or an annual renewal
+// falls due
+const RENEWAL_NOTICE_DAYS = 90;
+const FACILITY_COLUMNS = `f.facility_id, f.name, f.address, f.fei, f.duns, f.registration_status,
+  f.renewal_cycle, f.last_renewed_on::text AS last_renewed_on, f.us_agent, f.fsvp_importer,
+  f.importer_structure, f.created_at, f.updated_at`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Renewal state on a date: current, upcoming (due within
+// RENEWAL_NOTICE_DAYS), due (the renewal window is open and the facility
+// has not renewed in it), overdue (the window closed without a renewal),
+// unknown (no renewal date recorded) or not_required
+function facilityRenewal(f, now = new Date()) {
+  const cycle = FACILITY_RENEWAL_CYCLES[f.renewalCycle]
+    ? f.renewalCycle
+    : "fda_biennial";
+  if (cycle === "none") return { cycle, status: "not_required" };
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate(),
+  );
+  const last = f.lastRenewedOn ? Date.parse(f.lastRenewedOn) : NaN;
+  const days = (ms) => Math.round((ms - today) / DAY_MS);
+
+  if (cycle === "annual") {
+    if (isNaN(last)) return { cycle, status: "unknown" };
+    const d = new Date(last);
+    const deadline = Date.UTC(
+      d.getUTCFullYear() + 1,
+      d.getUTCMonth(),
+      d.getUTCDate(),
+    );
+    const status =
+      today > deadline
+        ? "overdue"
+        : days(deadline) <= RENEWAL_NOTICE_DAYS
+          ? "due"
+          : "current";
+    return {
+      cycle,
+      status,
+      lastRenewedOn: isoDate(last),
+      deadline: isoDate(deadline),
+      daysLeft: days(deadline),
+    };
+  }
+
+  // The latest even-year window that has opened, and the one after it
+  const year = now.getUTCFullYear();
+  let windowYear = year % 2 ? year - 1 : year;
+  if (today < Date.UTC(windowYear, 9, 1)) windowYear -= 2;
+  const opens = Date.UTC(windowYear, 9, 1);
+  const closes = Date.UTC(windowYear, 11, 31);
+  const nextOpens = Date.UTC(windowYear + 2, 9, 1);
+  const nextCloses = Date.UTC(windowYear + 2, 11, 31);
+  if (isNaN(last))
+    return {
+      cycle,
+      status: "unknown",
+      windowOpens: isoDate(today <= closes ? opens : nextOpens),
+      deadline: isoDate(today <= closes ? closes : nextCloses),
+    };
+  const base = { cycle, lastRenewedOn: isoDate(last) };
+  if (last < opens)
+    return today <= closes
+      ? {
+          ...base,
+          status: "due",
+          windowOpens: isoDate(opens),
+          deadline: isoDate(closes),
+          daysLeft: days(closes),
+        }
+      : {
+          ...base,
+          status: "overdue",
+          windowOpens: isoDate(opens),
+          deadline: isoDate(closes),
+        };
+  return {
+    ...base,
+    status: days(nextOpens) <= RENEWAL_NOTICE_DAYS ? "upcoming" : "current",
+    windowOpens: isoDate(nextOpens),
+    deadline: isoDate(nextCloses),
+    daysLeft: days(nextOpens),
+  };
+}
+
+function facilityView(row) {
+  const f = {
+    facilityId: row.facility_id,
+    name: row.name,
+    address: row.address,
+    fei: row.fei,
+    duns: row.duns,
+    registrationStatus: row.registration_status,
+    renewalCycle: row.renewal_cycle,
+    lastRenewedOn: row.last_renewed_on,
+    usAgent: row.us_agent || {},
+    fsvpImporter: row.fsvp_importer || {},
+    importerStructure: row.importer_structure,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  f.renewal = facilityRenewal(f);
+  f.registrationAnswers = facilityRegistrationAnswers(f);
+  return f;
+}
+
+// U.S. registration answers (fdaStatus) implied by a registry entry
+function facilityRegistrationAnswers(f) {
+  const renewal = f.renewal || facilityRenewal(f);
+  return {
+    facilityRegStatus:
+      renewal.status === "overdue" && f.registrationStatus === "active"
+        ? "expired"
+        : f.registrationStatus || "unknown",
+    usAgentStatus: f.usAgent?.name ? "appointed" : "unknown",
+    fsvpStatus: f.fsvpImporter?.name ? "yes" : "tbd",
+    importerStructure: f.importerStructure || "not_determined",
+    facilityIdNumber: f.fei || "",
+  };
+}
+
+// Validate a create (partial = false) or update body into column values;
+// returns { values } or { error }
+function parseFacilityInput(body, partial = false) {
+  const b = body || {};
+  const values = {};
+  const text = (v, max) =>
+    String(v ?? "")
+      .trim()
+      .substring(0, max);
+  const contact = (v, keys) => {
+    const o = v && typeof v === "object" ? v : {};
+    return Object.fromEntries(keys.map((k) => [k, text(o[k], 200)]));
+  };
+  if (!partial || b.name !== undefined) {
+    values.name = text(b.name, 200);
+    if (!values.name) return { error: "Facility name is required" };
+  }
+  if (b.address !== undefined) values.address = text(b.address, 1000);
+  if (b.fei !== undefined) {
+    values.fei = String(b.fei ?? "").replace(/[\s-]/g, "");
+    if (values.fei && !/^\d{7,10}$/.test(values.fei))
+      return { error: "FEI must be 7 to 10 digits" };
+  }
+  if (b.duns !== undefined) {
+    values.duns = String(b.duns ?? "").replace(/[\s-]/g, "");
+    if (values.duns && !/^\d{9}$/.test(values.duns))
+      return { error: "DUNS number must be 9 digits" };
+  }
+  if (b.registrationStatus !== undefined) {
+    if (!FACILITY_REG_STATUSES.includes(b.registrationStatus))
+      return {
+        error: `registrationStatus must be one of: ${FACILITY_REG_STATUSES.join(", ")}`,
+      };
+    values.registration_status = b.registrationStatus;
+  }
+  if (b.renewalCycle !== undefined) {
+    if (!FACILITY_RENEWAL_CYCLES[b.renewalCycle])
+      return {
+        error: `renewalCycle must be one of: ${Object.keys(FACILITY_RENEWAL_CYCLES).join(", ")}`,
+      };
+    values.renewal_cycle = b.renewalCycle;
+  }
+  if (b.lastRenewedOn !== undefined) {
+    const date = b.lastRenewedOn ? String(b.lastRenewedOn) : null;
+    if (
+      date &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+        isNaN(Date.parse(date)) ||
+        isoDate(Date.parse(date)) !== date)
+    )
+      return { error: "lastRenewedOn must be a date (YYYY-MM-DD)" };
+    if (date && Date.parse(date) > Date.now())
+      return { error: "lastRenewedOn cannot be in the future" };
+    values.last_renewed_on = date;
+  }
+  if (b.usAgent !== undefined)
+    values.us_agent = JSON.stringify(
+      contact(b.usAgent, ["name", "email", "phone"]),
+    );
+  if (b.fsvpImporter !== undefined)
+    values.fsvp_importer = JSON.stringify(
+      contact(b.fsvpImporter, ["name", "duns", "contact"]),
+    );
+  if (b.importerStructure !== undefined) {
+    const q = MARKETS.US.registration.questions.find(
+      (q) => q.key === "importerStructure",
+    );
+    if (!q.options.some((o) => o.value === b.importerStructure))
+      return {
+        error: `importerStructure must be one of: ${q.options.map((o) => o.value).join(", ")}`,
+      };
+    values.importer_structure = b.importerStructure;
+  }
+  return { values };
+}
+
+// products.facility_id for a facility reference: undefined leaves the link
+// as it is, an empty value clears it; { error } when the facility is not in
+// the organization
+async function facilityLink(orgId, facilityId) {
+  if (facilityId === undefined) return {};
+  if (!facilityId) return { id: null };
+  const result = await pool.query(
+    "SELECT id FROM facilities WHERE facility_id=$1 AND org_id=$2",
+    [String(facilityId), orgId],
+  );
+  return result.rows.length
+    ? { id: result.rows[0].id }
+    : { error: "Facility not found" };
+}
+
+// confirmedData with the registry entry it names (confirmedData.facilityId)
+// as `facility`. Only facilities of the caller's active organization are
+// used; without one the data is returned unchanged.
+async function withFacility(req, confirmedData) {
+  const facilityId = confirmedData?.facilityId;
+  if (!facilityId || !process.env.DATABASE_URL || !req.session?.userId)
+    return confirmedData;
+  const org =
+    req.org ||
+    (req.session.orgId &&
+      (await getMembership(req.session.userId, req.session.orgId)));
+  if (!org) return confirmedData;
+  const result = await pool.query(
+    `SELECT ${FACILITY_COLUMNS} FROM facilities f WHERE f.facility_id=$1 AND f.org_id=$2`,
+    [String(facilityId), org.id],
+  );
+  if (!result.rows.length) return confirmedData;
+  return { ...confirmedData, facility: facilitySnapshot(result.rows[0]) };
+}
+
+// Registry entry as recorded in an analysis (audit inputs, rule engine)
+function facilitySnapshot(row) {
+  const { createdAt, updatedAt, ...facility } = facilityView(row);
+  return facility;
+}
+
+// Rule check (fda-registration-renewal): renewal state of the registry
+// facility attached to confirmedData, recomputed on the analysis date
+function checkFacilityRenewal(d, cn) {
+  const f = d.facility;
+  if (!f || f.registrationStatus === "not_registered") return null;
+  const r = facilityRenewal(f);
+  if (r.status === "not_required") return null;
+  const label = f.fei ? `${f.name} (FEI ${f.fei})` : f.name;
+  const notes = {
+    current: [
+      `${label} renewed its registration on ${r.lastRenewedOn}. ${r.windowOpens ? `The next renewal window opens ${r.windowOpens}.` : `The next renewal is due by ${r.deadline}.`}`,
+      `${label} 已于 ${r.lastRenewedOn} 续期注册，${r.windowOpens ? `下一续期窗口自 ${r.windowOpens} 开始。` : `下次须于 ${r.deadline} 前续期。`}`,
+    ],
+    upcoming: [
+      `${label}: the registration renewal window opens ${r.windowOpens} (in ${r.daysLeft} days) and closes ${r.deadline}. Plan the renewal and confirm the U.S. agent.`,
+      `${label}：注册续期窗口将于 ${r.windowOpens} 开启（${r.daysLeft} 天后），${r.deadline} 截止。请安排续期并确认美国代理人。`,
+    ],
+    due: [
+      `${label} has not renewed its registration for this cycle. Renew by ${r.deadline} (${r.daysLeft} days left); an expired registration is treated as not registered.`,
+      `${label} 尚未完成本周期的注册续期，须于 ${r.deadline} 前完成（剩余 ${r.daysLeft} 天），逾期注册视为未注册。`,
+    ],
+    overdue: [
+      `${label} did not renew its registration by ${r.deadline}. The registration is expired and food from the facility may be refused admission until it is renewed.`,
+      `${label} 未在 ${r.deadline} 前续期注册，注册已失效，续期前该设施产品可能被拒绝入境。`,
+    ],
+    unknown: [
+      `No renewal date is recorded for ${label}. Record the last registration renewal in the facility registry to track the ${r.deadline ? `window ending ${r.deadline}` : "renewal deadline"}.`,
+      `设施注册表中未记录 ${label} 的续期日期。请补充上次续期日期，以便跟踪${r.deadline ? `截至 ${r.deadline} 的续期窗口` : "续期期限"}。`,
+    ],
+  };
+  return {
+    name: "Facility Registration Renewal",
+    nameCn: "设施注册续期",
+    status: {
+      current: "pass",
+      upcoming: "warn",
+      due: "warn",
+      overdue: "fail",
+      unknown: "info",
+    }[r.status],
+    value: FACILITY_RENEWAL_CYCLES[r.cycle][cn ? 1 : 0],
+    note: notes[r.status][cn ? 1 : 0],
+    regulation: "21 CFR 1.230(b)",
+  };
+}
+
 // --- Multer for file uploads ---
 const uploadDir = path.join(__dirname, "uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
@@ -126,33 +1516,1214 @@ const upload = multer({
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB per file
 });
 
-// --- Gemini AI Setup ---
-function getGeminiClient() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) return null;
-  return new GoogleGenerativeAI(apiKey);
+// --- Upload Preprocessing ---
+// Uploads are normalized before they reach the model: PDFs are split into
+// page images, photos are rotated per EXIF and downscaled to
+// UPLOAD_MAX_DIMENSION as JPEG, and a near-duplicate of a page from an
+// earlier file (see isNearDuplicate) is kept out of the model call. Pages of
+// the same PDF are never compared: mostly-white document pages hash too
+// closely to tell apart.
+// Every page keeps a thumbnail for the extraction review screen.
+const UPLOAD_MAX_DIMENSION =
+  parseInt(process.env.UPLOAD_MAX_DIMENSION, 10) || 2048;
+const UPLOAD_JPEG_QUALITY = 85;
+const UPLOAD_THUMBNAIL_WIDTH = 240;
+const PDF_MAX_PAGES = 20;
+const DUPLICATE_DISTANCE = 8;
+const FIELD_CROP_WIDTH = 360;
+const FIELD_CROP_PADDING = 20; // on the 0-1000 box scale
+
+// PNG per page, scaled so the longer side is UPLOAD_MAX_DIMENSION
+async function renderPdfPages(buffer) {
+  const pdf = await getPdfDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+  try {
+    const images = [];
+    for (let n = 1; n <= Math.min(pdf.numPages, PDF_MAX_PAGES); n++) {
+      const page = await pdf.getPage(n);
+      const size = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({
+        scale: Math.min(
+          UPLOAD_MAX_DIMENSION / Math.max(size.width, size.height),
+          4,
+        ),
+      });
+      const canvas = createCanvas(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height),
+      );
+      await page.render({
+        canvas,
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+      }).promise;
+      images.push(await canvas.encode("png"));
+      page.cleanup();
+    }
+    return { images, pageCount: pdf.numPages };
+  } finally {
+    await pdf.destroy();
+  }
 }
 
-// Build the compliance analysis prompt
-function buildAnalysisPrompt(lang = "en") {
-  const isEn = lang === "en";
+// 256-bit difference hash (hex) of a 17x16 grayscale copy, taken from the
+// thumbnail so JPEG noise in flat areas averages out. Distinct label and
+// document pages measured 14+ bits apart, re-encoded or resized copies of
+// the same photo about 5.
+async function differenceHash(image) {
+  const data = await sharp(image)
+    .grayscale()
+    .resize(17, 16, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 16; row++)
+    for (let col = 0; col < 16; col++)
+      hash =
+        (hash << 1n) |
+        (data[row * 17 + col] > data[row * 17 + col + 1] ? 1n : 0n);
+  return hash.toString(16).padStart(64, "0");
+}
+
+function hashDistance(a, b) {
+  let x = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let bits = 0;
+  for (; x; x >>= 1n) bits += Number(x & 1n);
+  return bits;
+}
+
+// Same aspect ratio (within 2%) and a hash within DUPLICATE_DISTANCE bits
+function isNearDuplicate(a, b) {
+  const ratio = a.width / a.height / (b.width / b.height);
+  return (
+    Math.abs(ratio - 1) < 0.02 &&
+    hashDistance(a.hash, b.hash) <= DUPLICATE_DISTANCE
+  );
+}
+
+async function normalizeImage(input) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({
+      width: UPLOAD_MAX_DIMENSION,
+      height: UPLOAD_MAX_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .flatten({ background: "#FFFFFF" })
+    .jpeg({ quality: UPLOAD_JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(data)
+    .resize({ width: UPLOAD_THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+  return {
+    data,
+    width: info.width,
+    height: info.height,
+    thumbnail,
+    hash: await differenceHash(thumbnail),
+  };
+}
+
+// Returns { pages, skipped }. Pages are numbered across all files in upload
+// order; duplicateOf names the earlier page a near-duplicate matched, and
+// every page dropped that way is also listed in skipped.
+async function preprocessUploads(files) {
+  const pages = [];
+  const skipped = [];
+  for (const [upload, file] of (files || []).entries()) {
+    const name = file.originalname || path.basename(file.path);
+    try {
+      const buffer = fs.readFileSync(file.path);
+      let sources = [{ image: buffer, sourcePage: null }];
+      if (file.mimetype === "application/pdf") {
+        const pdf = await renderPdfPages(buffer);
+        sources = pdf.images.map((image, i) => ({ image, sourcePage: i + 1 }));
+        if (pdf.pageCount > PDF_MAX_PAGES)
+          skipped.push({
+            file: name,
+            reason: `Pages ${PDF_MAX_PAGES + 1}-${pdf.pageCount} skipped (limit ${PDF_MAX_PAGES} per PDF)`,
+          });
+      } else if (!file.mimetype.startsWith("image/")) {
+        skipped.push({ file: name, reason: "Unsupported file type" });
+        continue;
+      }
+      for (const { image, sourcePage } of sources) {
+        const normalized = await normalizeImage(image);
+        const [original] = pages
+          .filter(
+            (p) =>
+              p.upload !== upload &&
+              !p.duplicateOf &&
+              isNearDuplicate(p, normalized),
+          )
+          .sort(
+            (a, b) =>
+              hashDistance(a.hash, normalized.hash) -
+              hashDistance(b.hash, normalized.hash),
+          );
+        const page = pages.length + 1;
+        if (original)
+          skipped.push({
+            file: name,
+            page,
+            reason: `Page ${page} duplicates page ${original.page} (${original.file}), not sent`,
+          });
+        pages.push({
+          page,
+          upload,
+          file: name,
+          sourcePage,
+          originalSize: sourcePage ? null : buffer.length,
+          size: normalized.data.length,
+          ...normalized,
+          duplicateOf: original ? original.page : null,
+        });
+      }
+    } catch (err) {
+      skipped.push({ file: name, reason: err.message });
+    }
+  }
+  return { pages, skipped };
+}
+
+// Model parts: each unique page, preceded by a label naming its source
+function pagesToImageParts(pages) {
+  return pages
+    .filter((p) => !p.duplicateOf)
+    .flatMap((p) => [
+      `Image ${p.page}: ${p.file}${p.sourcePage ? `, page ${p.sourcePage}` : ""}`,
+      {
+        inlineData: { data: p.data.toString("base64"), mimeType: "image/jpeg" },
+      },
+    ]);
+}
+
+// Resolves each field source to an uploaded page and crops its box out of
+// the processed image for the review form. Sources naming a duplicate are
+// pointed at the page it duplicates; with one unique page the image number
+// may be omitted. Returns { [field]: data URL }.
+async function cropFieldSources(pages, fieldSources) {
+  const unique = pages.filter((p) => !p.duplicateOf);
+  const crops = {};
+  for (const src of fieldSources || []) {
+    let page =
+      src.image === undefined && unique.length === 1
+        ? unique[0]
+        : pages.find((p) => p.page === src.image);
+    if (page?.duplicateOf)
+      page = pages.find((p) => p.page === page.duplicateOf);
+    if (!page) {
+      delete src.image;
+      delete src.box;
+      continue;
+    }
+    src.image = page.page;
+    if (!src.box || crops[src.field]) continue;
+    const [ymin, xmin, ymax, xmax] = src.box;
+    const left = Math.floor(
+      (Math.max(0, xmin - FIELD_CROP_PADDING) / 1000) * page.width,
+    );
+    const top = Math.floor(
+      (Math.max(0, ymin - FIELD_CROP_PADDING) / 1000) * page.height,
+    );
+    const right = Math.ceil(
+      (Math.min(1000, xmax + FIELD_CROP_PADDING) / 1000) * page.width,
+    );
+    const bottom = Math.ceil(
+      (Math.min(1000, ymax + FIELD_CROP_PADDING) / 1000) * page.height,
+    );
+    try {
+      const crop = await sharp(page.data)
+        .extract({
+          left,
+          top,
+          width: Math.max(1, Math.min(page.width, right) - left),
+          height: Math.max(1, Math.min(page.height, bottom) - top),
+        })
+        .resize({ width: FIELD_CROP_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+      crops[src.field] = `data:image/jpeg;base64,${crop.toString("base64")}`;
+    } catch (err) {
+      console.warn(`Field crop failed for ${src.field}:`, err.message);
+    }
+  }
+  return crops;
+}
+
+// Page metadata for responses (with thumbnail) and audits (without)
+function publicPages(pages, { thumbnails = true } = {}) {
+  return pages.map((p) => ({
+    page: p.page,
+    file: p.file,
+    sourcePage: p.sourcePage,
+    width: p.width,
+    height: p.height,
+    size: p.size,
+    originalSize: p.originalSize,
+    hash: p.hash,
+    duplicateOf: p.duplicateOf,
+    ...(thumbnails
+      ? {
+          thumbnail: `data:image/jpeg;base64,${p.thumbnail.toString("base64")}`,
+        }
+      : { sha256: sha256Hex(p.data) }),
+  }));
+}
+
+// --- LLM Providers ---
+// A provider is { name, model, generate(parts, ctx) -> Promise<text> }.
+// `parts` use the Gemini shape: prompt strings and { inlineData: { data, mimeType } }.
+// `ctx` is { kind, label, lang, attempt } and is used by fixture replay/recording.
+// Selected with LLM_PROVIDER (gemini | openai | fixture); defaults to gemini
+// when GEMINI_API_KEY is set, otherwise no provider (demo mode).
+const DEFAULT_GEMINI_MODEL = "gemini-3-flash-preview";
+const fixtureDir = path.resolve(
+  __dirname,
+  process.env.LLM_FIXTURE_DIR || "fixtures/llm",
+);
+
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) return null;
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelName = process.env.LLM_MODEL || DEFAULT_GEMINI_MODEL;
+  const model = genAI.getGenerativeModel({ model: modelName });
+  return {
+    name: "gemini",
+    model: modelName,
+    async generate(parts) {
+      const result = await model.generateContent(parts);
+      return (await result.response).text();
+    },
+  };
+}
+
+// OpenAI-compatible chat completions (OpenAI, Ollama, llama.cpp server, vLLM)
+function createOpenAIProvider() {
+  const baseUrl = (
+    process.env.OPENAI_BASE_URL || "http://localhost:11434/v1"
+  ).replace(/\/+$/, "");
+  const modelName = process.env.LLM_MODEL;
+  if (!modelName) {
+    console.warn("LLM_PROVIDER=openai requires LLM_MODEL; using demo mode");
+    return null;
+  }
+  return {
+    name: "openai",
+    model: modelName,
+    async generate(parts) {
+      const content = parts.map((p) => {
+        if (typeof p === "string") return { type: "text", text: p };
+        if (!p.inlineData.mimeType.startsWith("image/"))
+          throw new Error(
+            `${p.inlineData.mimeType} input is not supported by the openai provider`,
+          );
+        return {
+          type: "image_url",
+          image_url: {
+            url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}`,
+          },
+        };
+      });
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.OPENAI_API_KEY)
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: modelName,
+          temperature: 0,
+          messages: [{ role: "user", content }],
+        }),
+      });
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(
+          `LLM endpoint returned ${response.status}: ${body.substring(0, 200)}`,
+        );
+      }
+      const json = await response.json();
+      const text = json.choices?.[0]?.message?.content;
+      if (typeof text !== "string")
+        throw new Error("LLM endpoint returned no message content");
+      return text;
+    },
+  };
+}
+
+// Fixture file for a call: <label>.<lang>.<input hash>.json, recorded for
+// that exact prompt and images so each product replays its own answer, then
+// the input-independent <label>.<lang>.json and <label>.json. Repair
+// re-prompts (attempt 2) have their own hash and fall back to
+// <label>.<lang>.repair.json first.
+function fixtureInputHash(parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts)
+    hash
+      .update(typeof part === "string" ? part : part.inlineData.data)
+      .update("\0");
+  return hash.digest("hex").substring(0, 12);
+}
+
+function fixturePaths(ctx, parts) {
+  const base = path.join(fixtureDir, ctx.label);
+  const names = [
+    `${base}.${ctx.lang}.${fixtureInputHash(parts)}.json`,
+    `${base}.${ctx.lang}.json`,
+    `${base}.json`,
+  ];
+  if (ctx.attempt > 1)
+    names.splice(
+      1,
+      0,
+      `${base}.${ctx.lang}.repair.json`,
+      `${base}.repair.json`,
+    );
+  for (const name of names) {
+    const rel = path.relative(fixtureDir, path.resolve(name));
+    if (!rel || rel.startsWith("..") || path.isAbsolute(rel))
+      throw new Error(`Invalid LLM fixture name: ${ctx.label} (${ctx.lang})`);
+  }
+  return names;
+}
+
+// Replays responses recorded with LLM_RECORD=1
+function createFixtureProvider() {
+  return {
+    name: "fixture",
+    model: path.relative(__dirname, fixtureDir),
+    async generate(parts, ctx) {
+      const names = fixturePaths(ctx, parts);
+      const file = names.find((f) => fs.existsSync(f));
+      if (!file)
+        throw new Error(
+          `No LLM fixture for "${ctx.label}" (${ctx.lang}); expected ${path.relative(__dirname, names[0])}`,
+        );
+      return JSON.parse(fs.readFileSync(file, "utf8")).response;
+    },
+  };
+}
+
+// Wrap a live provider so each response is saved as a replayable fixture
+function withRecording(provider) {
+  return {
+    ...provider,
+    async generate(parts, ctx) {
+      const text = await provider.generate(parts, ctx);
+      const file = fixturePaths(ctx, parts)[0];
+      const fixture = {
+        label: ctx.label,
+        lang: ctx.lang,
+        inputHash: fixtureInputHash(parts),
+        provider: provider.name,
+        model: provider.model,
+        recordedAt: new Date().toISOString(),
+        response: text,
+      };
+      fs.mkdirSync(fixtureDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n");
+      console.log(`Recorded LLM fixture: ${path.relative(__dirname, file)}`);
+      return text;
+    },
+  };
+}
+
+const LLM_PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider,
+};
+
+function createLLMProvider() {
+  const name =
+    process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? "gemini" : "");
+  if (!name) return null;
+  const create = LLM_PROVIDERS[name];
+  if (!create) {
+    console.warn(`Unknown LLM_PROVIDER "${name}"; using demo mode`);
+    return null;
+  }
+  const provider = create();
+  if (provider && process.env.LLM_RECORD === "1" && name !== "fixture")
+    return withRecording(provider);
+  return provider;
+}
+
+const llmProvider = createLLMProvider();
+
+// --- Target Markets ---
+// Each export market brings its own regulator, citation style, prompt
+// guidance, rule pack (ids into COMPLIANCE_RULES), report section titles,
+// claim rules (overrides of the U.S. CLAIM_TYPES citations) and the
+// registration questions the review form asks. Confirmed data keeps
+// the U.S. answers under fdaStatus and other markets' under
+// registrationStatus.
+const DEFAULT_MARKET = "US";
+
+function choice(value, en, cn) {
+  return { value, label: [en, cn] };
+}
+const YES_NO_TBD = [
+  choice("yes", "Yes", "已确定"),
+  choice("no", "No", "未确定"),
+  choice("tbd", "To be determined", "待确认"),
+];
+
+const MARKETS = {
+  US: {
+    code: "US",
+    name: "United States",
+    nameCn: "美国",
+    authority: "FDA",
+    promptName: "the US market",
+    citation: {
+      kind: "CFR/statutory",
+      reference: "the specific CFR or statutory reference",
+      examples:
+        '"21 CFR 170.30 (GRAS)", "21 CFR 101.36 (Supplement Facts)", "DSHEA Sec. 403(r)(6)", "21 CFR 189 (Prohibited Substances)", "21 CFR 74 (Color Additives)", "FALCPA Sec. 203", "21 CFR 101.9 (Nutrition Labeling)", "FD&C Act Sec. 403(a)(1)"',
+      sections: {
+        ingredientRisk: "21 CFR 170.30 (GRAS)",
+        labelCompliance: "21 CFR 101.9",
+        facilityRegistration: "21 CFR 1.225",
+        marketingClaims: "DSHEA Sec. 403(r)(6)",
+      },
+    },
+    guidance: {
+      terminology:
+        'Use precise regulatory terminology: "GRAS determination per 21 CFR 170" not just "safe"',
+      ingredientCitation:
+        "For ingredients: note whether GRAS self-determination, FDA-affirmed GRAS, or NDI notification required",
+      facilityCitation:
+        "For facility: reference 21 CFR 1.225 (Registration of Food Facilities) and FSMA Sec. 301",
+      formalExample:
+        '"Requires verification of GRAS status per 21 CFR 170.30" not "Generally safe"',
+      facility:
+        'For facility registration: DO NOT say "unable to determine". Instead note "Requires confirmation of facility FEI number and valid registration status per 21 CFR 1.225".',
+      ingredients:
+        "For ingredients, specify whether GRAS self-affirmed, FDA-affirmed, or NDI notification required per DSHEA.",
+      labels:
+        "For labels, cite specific CFR sections (21 CFR 101.9, 101.36, etc.).",
+      claims:
+        "For marketing claims, reference FD&C Act Sec. 403, DSHEA structure/function claim rules.",
+    },
+    extraction: {
+      field: "fdaInfo",
+      key: "facilityIdNumber",
+      hint: "<FEI or facility identification number if visible, or empty string>",
+    },
+    rules: [
+      "net-quantity-dual-units",
+      "falcpa-allergens",
+      "facts-panel-values",
+      "caffeine-threshold",
+      "fda-registration-renewal",
+    ],
+    sections: {},
+    registration: {
+      field: "fdaStatus",
+      title: ["FDA Facility Registration Status", "FDA 设施注册状态"],
+      promptTitle: "FDA FACILITY REGISTRATION STATUS",
+      questions: [
+        {
+          key: "facilityRegStatus",
+          label: [
+            "Manufacturing Facility Registration",
+            "生产工厂 FDA 注册状态",
+          ],
+          default: "unknown",
+          options: [
+            choice("active", "Confirmed active", "已确认有效"),
+            choice("expired", "Possibly expired", "可能已过期"),
+            choice("not_registered", "Not registered", "未注册"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+        {
+          key: "usAgentStatus",
+          label: ["U.S. Agent Appointment", "美国代理人指定情况"],
+          default: "unknown",
+          options: [
+            choice("appointed", "Appointed", "已指定"),
+            choice("not_appointed", "Not appointed", "未指定"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+        {
+          key: "fsvpStatus",
+          label: ["FSVP Importer Identified", "FSVP 进口责任方"],
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+        {
+          key: "importerStructure",
+          label: ["Importer of Record Structure", "进口商结构"],
+          default: "not_determined",
+          options: [
+            choice("us_distributor", "U.S. distributor", "美国经销商"),
+            choice("self_import", "Self-import", "自行进口"),
+            choice("third_party", "Third-party importer", "第三方进口商"),
+            choice("not_determined", "Not determined", "未确定"),
+          ],
+        },
+      ],
+      identifier: {
+        key: "facilityIdNumber",
+        label: [
+          "Facility Identification Number (Optional – not verified)",
+          "工厂识别编号（可选填写，不进行官方验证）",
+        ],
+        hint: [
+          "User-provided only. Not validated against FDA databases.",
+          "由用户自行填写，平台不进行 FDA 数据库核验。",
+        ],
+        promptLabel: "Facility ID Number",
+      },
+    },
+  },
+  EU: {
+    code: "EU",
+    name: "European Union",
+    nameCn: "欧盟",
+    authority: "EU competent authority",
+    promptName: "the European Union market",
+    citation: {
+      kind: "EU regulation",
+      reference:
+        'the specific EU regulation and article (e.g. "Regulation (EU) No 1169/2011 Art. 21")',
+      examples:
+        '"Regulation (EU) No 1169/2011 Art. 9 (Mandatory Particulars)", "Regulation (EU) No 1169/2011 Art. 21 & Annex II (Allergens)", "Regulation (EU) No 1169/2011 Art. 30 (Nutrition Declaration)", "Regulation (EC) No 1924/2006 (Nutrition and Health Claims)", "Regulation (EC) No 1333/2008 (Food Additives)", "Regulation (EU) 2015/2283 (Novel Foods)", "Directive 2002/46/EC (Food Supplements)", "Regulation (EC) No 178/2002 Art. 18 (Traceability)"',
+      sections: {
+        ingredientRisk: "Regulation (EC) No 1333/2008 Annex II",
+        labelCompliance: "Regulation (EU) No 1169/2011 Art. 9",
+        facilityRegistration: "Regulation (EC) No 852/2004 Art. 6",
+        marketingClaims: "Regulation (EC) No 1924/2006 Art. 10",
+      },
+    },
+    guidance: {
+      terminology:
+        'Use precise regulatory terminology: "authorised food additive per Regulation (EC) No 1333/2008 Annex II" not just "safe"',
+      ingredientCitation:
+        "For ingredients: note whether the substance is an authorised additive (E-number), a novel food requiring authorisation under Regulation (EU) 2015/2283, or a vitamin/mineral form permitted under Directive 2002/46/EC",
+      facilityCitation:
+        "For facility: reference Regulation (EC) No 852/2004 Art. 6 (registration of food business operators) and Regulation (EU) 2017/625 (official controls on imports)",
+      formalExample:
+        '"Requires verification of authorisation status per Regulation (EU) 2015/2283" not "Generally safe"',
+      facility:
+        'For facility registration: DO NOT say "unable to determine". Instead note "Requires confirmation of the EU importer\'s food business operator registration per Regulation (EC) No 852/2004 Art. 6".',
+      ingredients:
+        "For ingredients, specify whether the substance is an authorised additive, a novel food, or a permitted nutrient source.",
+      labels:
+        "For labels, cite specific articles of Regulation (EU) No 1169/2011 (Art. 9, 21, 30, etc.).",
+      claims:
+        "For marketing claims, reference Regulation (EC) No 1924/2006 and the EU Register of authorised nutrition and health claims.",
+    },
+    extraction: {
+      field: "registrationInfo",
+      key: "identifier",
+      hint: "<EU food business operator name/address or identification mark if visible, or empty string>",
+      note: "The target market is the European Union: record energy in both kJ and kcal and the salt value exactly as shown.",
+    },
+    rules: [
+      "net-quantity-metric",
+      "allergen-declaration",
+      "nutrition-declaration",
+    ],
+    sections: {
+      facilityRegistration: [
+        "Food Business Operator & Import Verification",
+        "食品经营者与进口核查",
+      ],
+      marketingClaims: ["Nutrition & Health Claims Risk", "营养与健康声称风险"],
+    },
+    labelRules: {
+      netQuantity: "Regulation (EU) No 1169/2011 Art. 23 & Annex IX",
+      allergens: {
+        regulation:
+          "Regulation (EU) No 1169/2011 Art. 9(1)(c), Art. 21 & Annex II",
+        requirement: [
+          "Allergens must be emphasised (e.g. bold) in the ingredient list.",
+          "过敏原须在配料表中以醒目方式（如加粗）突出标示。",
+        ],
+      },
+      nutrition: {
+        regulation: "Regulation (EU) No 1169/2011 Art. 30(1) & Art. 32",
+        panel: ["Nutrition Declaration", "营养声明"],
+        required: [
+          ["Energy", "能量", "energy|calorie|能量|热量"],
+          ["Fat", "脂肪", "^(total )?fat|脂肪"],
+          ["Saturates", "饱和脂肪", "saturate|饱和"],
+          ["Carbohydrate", "碳水化合物", "carbohydrate|碳水"],
+          ["Sugars", "糖", "sugar|糖"],
+          ["Protein", "蛋白质", "protein|蛋白"],
+          ["Salt", "盐", "salt|盐"],
+        ],
+        energyUnits: ["kj", "kcal"],
+      },
+    },
+    claimRules: {
+      nutrient_content: {
+        regulation: "Regulation (EC) No 1924/2006 Art. 8 & Annex",
+        requirement: [
+          "Only the nutrition claims listed in the Annex of Regulation (EC) No 1924/2006 may be used, under their conditions of use.",
+          "仅可使用（EC）1924/2006 号法规附件所列的营养声称，并须符合其使用条件。",
+        ],
+      },
+      health_claim: {
+        regulation: "Regulation (EC) No 1924/2006 Art. 10 & 14",
+        requirement: [
+          "Disease risk reduction claims must be authorised under Art. 14 and used with the authorised wording and conditions from the EU Register.",
+          "降低疾病风险声称须依第 14 条获得授权，并按欧盟登记册中的授权措辞和条件使用。",
+        ],
+      },
+      qualified_health_claim: {
+        regulation: "Regulation (EC) No 1924/2006 Art. 10(1)",
+        requirement: [
+          "The EU has no qualified health claims; a health claim not in the EU Register is prohibited.",
+          "欧盟不存在有限定条件的健康声称；未列入欧盟登记册的健康声称一律禁止。",
+        ],
+      },
+      structure_function: {
+        regulation:
+          "Regulation (EC) No 1924/2006 Art. 13; Regulation (EU) No 432/2012",
+        requirement: [
+          "Function claims must match an authorised Art. 13 claim in the EU Register, with its conditions of use.",
+          "功能声称须与欧盟登记册中经授权的第 13 条声称一致，并符合其使用条件。",
+        ],
+      },
+      implied_disease: {
+        regulation: "Regulation (EU) No 1169/2011 Art. 7(3)",
+        requirement: [
+          "Food information must not attribute to a food the property of preventing, treating or curing a human disease, or refer to such properties.",
+          "食品信息不得声称或暗示食品具有预防、治疗或治愈人类疾病的功效。",
+        ],
+      },
+      descriptor: {
+        regulation: "Regulation (EU) No 1169/2011 Art. 7(1)",
+        requirement: [
+          'Voluntary descriptors must not mislead; "organic" requires certification under Regulation (EU) 2018/848.',
+          "自愿性描述不得误导；“有机”须依（EU）2018/848 号法规获得认证。",
+        ],
+      },
+      general: {
+        regulation: "Regulation (EU) No 1169/2011 Art. 7(1)",
+        requirement: [
+          "Food information must be accurate, clear and not misleading.",
+          "食品信息须准确、清晰且不具误导性。",
+        ],
+      },
+    },
+    facilityNote: [
+      "Note: The EU importer's food business operator registration and, for products of animal origin, the listing of the producing establishment must be confirmed. Verification is based on client-provided documentation.",
+      "注：需确认欧盟进口商的食品经营者登记；动物源性产品还需确认生产企业已列入名单。核查基于客户提供的资料。",
+    ],
+    registration: {
+      field: "registrationStatus",
+      title: [
+        "EU Import & Food Business Operator Status",
+        "欧盟进口与食品经营者状态",
+      ],
+      promptTitle: "EU IMPORT / FOOD BUSINESS OPERATOR STATUS",
+      questions: [
+        {
+          key: "importerRegistered",
+          label: [
+            "EU Importer Registered as Food Business Operator",
+            "欧盟进口商已登记为食品经营者",
+          ],
+          regulation: "Regulation (EC) No 852/2004 Art. 6(2)",
+          default: "unknown",
+          options: [
+            choice("registered", "Registered", "已登记"),
+            choice("not_registered", "Not registered", "未登记"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+        {
+          key: "labelOperator",
+          label: [
+            "EU Food Business Operator Named on Label",
+            "标签标示欧盟食品经营者",
+          ],
+          regulation: "Regulation (EU) No 1169/2011 Art. 8 & Art. 9(1)(h)",
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+        {
+          key: "establishmentListed",
+          label: [
+            "Producing Establishment Listed (Products of Animal Origin)",
+            "生产企业已列入名单（动物源性产品）",
+          ],
+          regulation: "Regulation (EU) 2017/625 Art. 127",
+          default: "unknown",
+          options: [
+            choice("listed", "Listed", "已列入"),
+            choice("not_listed", "Not listed", "未列入"),
+            choice("not_applicable", "Not applicable", "不适用"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+      ],
+      identifier: {
+        key: "operatorId",
+        label: [
+          "EU Importer Registration Number (Optional – not verified)",
+          "欧盟进口商登记编号（可选填写，不进行官方验证）",
+        ],
+        hint: [
+          "User-provided only. Not validated against member-state registers.",
+          "由用户自行填写，平台不进行成员国登记数据库核验。",
+        ],
+        promptLabel: "EU Importer Registration Number",
+      },
+    },
+  },
+  CA: {
+    code: "CA",
+    name: "Canada",
+    nameCn: "加拿大",
+    authority: "CFIA / Health Canada",
+    promptName: "the Canadian market",
+    citation: {
+      kind: "FDR/SFCR",
+      reference:
+        'the specific Food and Drug Regulations (FDR) or Safe Food for Canadians Regulations (SFCR) provision (e.g. "FDR B.01.010.1")',
+      examples:
+        '"FDR B.01.008 (List of Ingredients)", "FDR B.01.010.1 (Food Allergens)", "FDR B.01.012 (Bilingual Labelling)", "FDR B.01.401 (Nutrition Facts Table)", "FDR Division 16 (Food Additives)", "FDR Division 28 (Novel Foods)", "SFCR Part 11 (Labelling)", "Food and Drugs Act s. 5(1)"',
+      sections: {
+        ingredientRisk: "FDR Division 16",
+        labelCompliance: "FDR B.01.401",
+        facilityRegistration: "SFCR Part 3",
+        marketingClaims: "Food and Drugs Act s. 5(1)",
+      },
+    },
+    guidance: {
+      terminology:
+        'Use precise regulatory terminology: "permitted food additive per the Lists of Permitted Food Additives (FDR Division 16)" not just "safe"',
+      ingredientCitation:
+        "For ingredients: note whether the substance is a permitted food additive, a novel food requiring pre-market notification under FDR Division 28, or a supplemented-food ingredient",
+      facilityCitation:
+        "For facility: reference SFCR Part 3 (Licences) and SFCR Part 4 (Preventive Controls)",
+      formalExample:
+        '"Requires verification of permitted use per FDR Division 16" not "Generally safe"',
+      facility:
+        'For facility registration: DO NOT say "unable to determine". Instead note "Requires confirmation of the importer\'s Safe Food for Canadians licence per SFCR Part 3".',
+      ingredients:
+        "For ingredients, specify whether the substance is a permitted additive, a novel food, or requires a Temporary Marketing Authorization.",
+      labels:
+        "For labels, cite specific FDR provisions (B.01.008, B.01.010.1, B.01.012, B.01.401, etc.).",
+      claims:
+        "For marketing claims, reference Food and Drugs Act s. 5(1) and the FDR provisions on nutrient content and health claims (B.01.500 onward).",
+    },
+    extraction: {
+      field: "registrationInfo",
+      key: "identifier",
+      hint: "<Canadian dealer/importer name and address or SFC licence number if visible, or empty string>",
+      note: "The target market is Canada: record French label text alongside English where shown.",
+    },
+    rules: [
+      "net-quantity-metric",
+      "allergen-declaration",
+      "nutrition-declaration",
+    ],
+    sections: {
+      facilityRegistration: [
+        "SFC Licence & Import Verification",
+        "SFC 许可与进口核查",
+      ],
+    },
+    labelRules: {
+      netQuantity: "SFCR Part 11, Division 2 (Net Quantity)",
+      allergens: {
+        regulation: "FDR B.01.010.1 & B.01.010.3",
+        requirement: [
+          'Priority allergens must appear in the list of ingredients or a "Contains" statement.',
+          "优先过敏原须在配料表中或以“Contains”声明标示。",
+        ],
+      },
+      nutrition: {
+        regulation: "FDR B.01.401",
+        panel: ["Nutrition Facts Table", "营养成分表"],
+        required: [
+          ["Calories", "热量", "calorie|energy|能量|热量"],
+          ["Fat", "脂肪", "^(total )?fat|脂肪"],
+          ["Saturated Fat", "饱和脂肪", "saturate|饱和"],
+          ["Trans Fat", "反式脂肪", "trans|反式"],
+          ["Carbohydrate", "碳水化合物", "carbohydrate|碳水"],
+          ["Fibre", "膳食纤维", "fib(re|er)|纤维"],
+          ["Sugars", "糖", "sugar|糖"],
+          ["Protein", "蛋白质", "protein|蛋白"],
+          ["Cholesterol", "胆固醇", "cholesterol|胆固醇"],
+          ["Sodium", "钠", "sodium|钠"],
+          ["Potassium", "钾", "potassium|钾"],
+          ["Calcium", "钙", "calcium|钙"],
+          ["Iron", "铁", "iron|铁"],
+        ],
+      },
+    },
+    claimRules: {
+      nutrient_content: {
+        regulation:
+          "FDR B.01.503 & Table of Permitted Nutrient Content Statements and Claims",
+        requirement: [
+          "Only the nutrient content claims in the Table of Permitted Nutrient Content Statements and Claims, with their conditions and wording.",
+          "仅可使用《允许的营养素含量声明与声称表》所列声称，并须符合其条件和措辞。",
+        ],
+      },
+      health_claim: {
+        regulation: "FDR B.01.601–B.01.603",
+        requirement: [
+          "Only the listed disease risk reduction claims may be used, in the prescribed wording and with the compositional conditions met.",
+          "仅可使用所列的降低疾病风险声称，须采用规定措辞并满足成分条件。",
+        ],
+      },
+      qualified_health_claim: {
+        regulation: "Food and Drugs Act s. 3 & Schedule A.1",
+        requirement: [
+          "Canada has no qualified health claims; disease risk reduction claims outside FDR B.01.603 are prohibited.",
+          "加拿大不存在有限定条件的健康声称；FDR B.01.603 以外的降低疾病风险声称均被禁止。",
+        ],
+      },
+      structure_function: {
+        regulation: "Food and Drugs Act s. 5(1); CFIA function claims",
+        requirement: [
+          "Function claims on foods must be truthful and substantiated; natural health products need a product licence (NPN) under the Natural Health Products Regulations instead.",
+          "食品功能声称须真实且有依据；天然健康产品则须依《天然健康产品法规》取得产品许可（NPN）。",
+        ],
+      },
+      implied_disease: {
+        regulation: "Food and Drugs Act s. 3 & Schedule A.1",
+        requirement: [
+          "Foods may not be advertised as a treatment, preventative or cure for the diseases in Schedule A.1.",
+          "食品不得宣传为附表 A.1 所列疾病的治疗、预防或治愈手段。",
+        ],
+      },
+      descriptor: {
+        regulation: "Food and Drugs Act s. 5(1); SFCR Part 13 (organic)",
+        requirement: [
+          'Descriptors must not mislead; "natural" ingredients must not contain added or removed substances beyond minimal processing, and "organic" requires certification under SFCR Part 13.',
+          "描述用语不得误导；“天然”成分除最低限度加工外不得添加或去除物质，“有机”须依 SFCR 第 13 部分认证。",
+        ],
+      },
+      general: {
+        regulation: "Food and Drugs Act s. 5(1)",
+        requirement: [
+          "Labels and advertising must not be false, misleading or deceptive.",
+          "标签和广告不得虚假、误导或具有欺骗性。",
+        ],
+      },
+    },
+    facilityNote: [
+      "Note: The importer's Safe Food for Canadians licence and preventive control plan must be confirmed. Verification is based on client-provided documentation.",
+      "注：需确认进口商的 SFC 许可证及预防性控制计划。核查基于客户提供的资料。",
+    ],
+    registration: {
+      field: "registrationStatus",
+      title: ["Canadian Import & Licensing Status", "加拿大进口与许可状态"],
+      promptTitle: "CANADIAN IMPORT / SFC LICENCE STATUS",
+      questions: [
+        {
+          key: "sfcLicence",
+          label: [
+            "Importer Holds a Safe Food for Canadians Licence",
+            "进口商持有 SFC 许可证",
+          ],
+          regulation: "SFCR Part 3",
+          default: "unknown",
+          options: [
+            choice("yes", "Yes", "是"),
+            choice("no", "No", "否"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+        {
+          key: "preventiveControlPlan",
+          label: ["Preventive Control Plan in Place", "已制定预防性控制计划"],
+          regulation: "SFCR Part 4",
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+        {
+          key: "canadianDealer",
+          label: [
+            "Canadian Dealer or Importer Named on Label",
+            "标签标示加拿大经销商或进口商",
+          ],
+          regulation: "SFCR Part 11",
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+      ],
+      identifier: {
+        key: "sfcLicenceNumber",
+        label: [
+          "SFC Licence Number (Optional – not verified)",
+          "SFC 许可证编号（可选填写，不进行官方验证）",
+        ],
+        hint: [
+          "User-provided only. Not validated against CFIA records.",
+          "由用户自行填写，平台不进行 CFIA 记录核验。",
+        ],
+        promptLabel: "SFC Licence Number",
+      },
+    },
+  },
+  AU: {
+    code: "AU",
+    name: "Australia",
+    nameCn: "澳大利亚",
+    authority: "FSANZ / Department of Agriculture",
+    promptName: "the Australian market",
+    citation: {
+      kind: "FSANZ Code",
+      reference:
+        'the specific Australia New Zealand Food Standards Code standard and clause (e.g. "FSANZ Code Standard 1.2.3—4")',
+      examples:
+        '"FSANZ Code Standard 1.2.1 (Labelling Requirements)", "FSANZ Code Standard 1.2.3 (Allergen Declarations)", "FSANZ Code Standard 1.2.4 (Statement of Ingredients)", "FSANZ Code Standard 1.2.8 (Nutrition Information)", "FSANZ Code Standard 1.3.1 (Food Additives)", "FSANZ Code Standard 1.5.1 (Novel Foods)", "FSANZ Code Standard 1.2.7 (Nutrition, Health and Related Claims)", "Country of Origin Food Labelling Information Standard 2016"',
+      sections: {
+        ingredientRisk: "FSANZ Code Standard 1.3.1",
+        labelCompliance: "FSANZ Code Standard 1.2.1",
+        facilityRegistration: "Imported Food Control Act 1992",
+        marketingClaims: "FSANZ Code Standard 1.2.7",
+      },
+    },
+    guidance: {
+      terminology:
+        'Use precise regulatory terminology: "permitted food additive per FSANZ Code Schedule 15" not just "safe"',
+      ingredientCitation:
+        "For ingredients: note whether the substance is a permitted additive (Standard 1.3.1), a novel food requiring approval (Standard 1.5.1), or a product that may fall under TGA therapeutic goods rules",
+      facilityCitation:
+        "For facility: reference the Imported Food Control Act 1992 and the Imported Food Inspection Scheme",
+      formalExample:
+        '"Requires verification of permission per FSANZ Code Standard 1.3.1" not "Generally safe"',
+      facility:
+        'For facility registration: DO NOT say "unable to determine". Instead note "Requires confirmation of the Australian importer and inspection category under the Imported Food Control Act 1992".',
+      ingredients:
+        "For ingredients, specify whether the substance is a permitted additive, a novel food, or may be regulated by the TGA.",
+      labels:
+        "For labels, cite specific FSANZ Code standards (1.2.1, 1.2.3, 1.2.4, 1.2.8, etc.).",
+      claims:
+        "For marketing claims, reference FSANZ Code Standard 1.2.7 (pre-approved food-health relationships) and the Australian Consumer Law.",
+    },
+    extraction: {
+      field: "registrationInfo",
+      key: "identifier",
+      hint: "<Australian supplier/importer name and address if visible, or empty string>",
+      note: "The target market is Australia: record energy in kJ and any country of origin statement exactly as shown.",
+    },
+    rules: [
+      "net-quantity-metric",
+      "allergen-declaration",
+      "nutrition-declaration",
+      "country-of-origin",
+    ],
+    sections: {
+      facilityRegistration: [
+        "Importer & Imported Food Verification",
+        "进口商与进口食品核查",
+      ],
+    },
+    labelRules: {
+      netQuantity: "National Trade Measurement Regulations 2009",
+      allergens: {
+        regulation: "FSANZ Code Standard 1.2.3—4",
+        statementRequired: true,
+        requirement: [
+          'Allergens must be declared in bold in the statement of ingredients and in a "Contains" summary statement.',
+          "过敏原须在配料表中加粗标示，并以“Contains”汇总声明标示。",
+        ],
+      },
+      nutrition: {
+        regulation: "FSANZ Code Standard 1.2.8—6",
+        panel: ["Nutrition Information Panel", "营养信息表"],
+        required: [
+          ["Energy", "能量", "energy|能量"],
+          ["Protein", "蛋白质", "protein|蛋白"],
+          ["Fat, total", "脂肪", "^(total )?fat|fat,? total|脂肪"],
+          ["Saturated fat", "饱和脂肪", "saturate|饱和"],
+          ["Carbohydrate", "碳水化合物", "carbohydrate|碳水"],
+          ["Sugars", "糖", "sugar|糖"],
+          ["Sodium", "钠", "sodium|钠"],
+        ],
+        energyUnits: ["kj"],
+      },
+      countryOfOrigin:
+        "Country of Origin Food Labelling Information Standard 2016",
+    },
+    claimRules: {
+      nutrient_content: {
+        regulation: "FSANZ Code Standard 1.2.7 & Schedule 4",
+        requirement: [
+          "Nutrition content claims must meet the Schedule 4 conditions and trigger a nutrition information panel declaration of the claimed nutrient.",
+          "营养含量声称须满足附表 4 的条件，并须在营养信息表中标示所声称的营养素。",
+        ],
+      },
+      health_claim: {
+        regulation:
+          "FSANZ Code Standard 1.2.7 & Schedule 4 (high level health claims)",
+        requirement: [
+          "High level health claims must use a pre-approved food–health relationship from Schedule 4 and the food must meet the nutrient profiling scoring criterion.",
+          "高级别健康声称须采用附表 4 预先批准的食品—健康关系，且食品须符合营养素评分标准。",
+        ],
+      },
+      qualified_health_claim: {
+        regulation: "FSANZ Code Standard 1.2.7",
+        requirement: [
+          "There are no qualified health claims; high level health claims must be pre-approved in Schedule 4.",
+          "不存在有限定条件的健康声称；高级别健康声称须经附表 4 预先批准。",
+        ],
+      },
+      structure_function: {
+        regulation: "FSANZ Code Standard 1.2.7 (general level health claims)",
+        requirement: [
+          "Use a pre-approved general level health claim or a self-substantiated food–health relationship notified to FSANZ, and meet the nutrient profiling scoring criterion.",
+          "须使用预先批准的一般级别健康声称，或已向 FSANZ 通报的自证食品—健康关系，并符合营养素评分标准。",
+        ],
+      },
+      implied_disease: {
+        regulation: "FSANZ Code Standard 1.2.7 (therapeutic claims)",
+        requirement: [
+          "Claims that a food prevents, diagnoses, cures or alleviates a disease are prohibited.",
+          "禁止声称食品可预防、诊断、治愈或缓解疾病。",
+        ],
+      },
+      descriptor: {
+        regulation:
+          "Australian Consumer Law s. 18; Food Standards Code Standard 1.1.1",
+        requirement: [
+          "Descriptors must not be misleading or deceptive; keep substantiation for every ingredient.",
+          "描述用语不得误导或具有欺骗性；须对全部成分保留证明资料。",
+        ],
+      },
+      general: {
+        regulation: "Australian Consumer Law s. 18",
+        requirement: [
+          "Claims must not be misleading or deceptive.",
+          "声称不得误导或具有欺骗性。",
+        ],
+      },
+    },
+    facilityNote: [
+      "Note: The Australian importer and the food's inspection category under the Imported Food Inspection Scheme must be confirmed. Verification is based on client-provided documentation.",
+      "注：需确认澳大利亚进口商及该食品在进口食品检验计划中的类别。核查基于客户提供的资料。",
+    ],
+    registration: {
+      field: "registrationStatus",
+      title: ["Australian Import Status", "澳大利亚进口状态"],
+      promptTitle: "AUSTRALIAN IMPORT STATUS",
+      questions: [
+        {
+          key: "importerIdentified",
+          label: ["Australian Importer Identified", "已确定澳大利亚进口商"],
+          regulation: "Imported Food Control Act 1992",
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+        {
+          key: "inspectionCategory",
+          label: [
+            "Imported Food Inspection Scheme Category",
+            "进口食品检验计划类别",
+          ],
+          regulation: "Imported Food Control Order 2019",
+          default: "unknown",
+          options: [
+            choice("risk", "Risk food", "风险食品"),
+            choice("surveillance", "Surveillance food", "监测食品"),
+            choice("unknown", "Unknown", "不确定"),
+          ],
+        },
+        {
+          key: "supplierOnLabel",
+          label: [
+            "Australian Supplier Name and Address on Label",
+            "标签标示澳大利亚供应商名称及地址",
+          ],
+          regulation: "FSANZ Code Standard 1.2.1",
+          default: "tbd",
+          options: YES_NO_TBD,
+        },
+      ],
+      identifier: {
+        key: "importerAbn",
+        label: [
+          "Importer ABN (Optional – not verified)",
+          "进口商 ABN（可选填写，不进行官方验证）",
+        ],
+        hint: [
+          "User-provided only. Not validated against the Australian Business Register.",
+          "由用户自行填写，平台不进行澳大利亚商业登记核验。",
+        ],
+        promptLabel: "Importer ABN",
+      },
+    },
+  },
+};
+
+// Resolve a targetMarket parameter; undefined when the code is unknown
+function resolveMarket(code) {
+  if (code === undefined || code === null || code === "")
+    return MARKETS[DEFAULT_MARKET];
+  return MARKETS[String(code).trim().toUpperCase()];
+}
+
+function marketError() {
+  return `targetMarket must be one of: ${Object.keys(MARKETS).join(", ")}`;
+}
+
+// Report language of an analysis request ("en" when absent), or null when
+// invalid. It also names LLM fixture files, so nothing else gets through.
+const ANALYSIS_LANGS = ["en", "cn"];
+
+function resolveLang(value) {
+  if (value === undefined || value === null || value === "") return "en";
+  return ANALYSIS_LANGS.includes(value) ? value : null;
+}
+
+function langError() {
+  return `lang must be one of: ${ANALYSIS_LANGS.join(", ")}`;
+}
+
+// Market of a stored report (reports saved before markets are U.S.)
+function reportMarket(d) {
+  return MARKETS[d?.targetMarket] || MARKETS[DEFAULT_MARKET];
+}
+
+// Registration answers in confirmed data for a market
+function registrationAnswers(d, market) {
+  return (d && d[market.registration.field]) || {};
+}
+
+// Build the compliance analysis prompt
+function buildAnalysisPrompt(lang = "en", market = MARKETS[DEFAULT_MARKET]) {
+  const g = market.guidance;
+  const cite = market.citation;
+  const isEn = lang === "en";
 
   const langInstruction = isEn
     ? `CRITICAL LANGUAGE REQUIREMENT: ALL text in your response MUST be in English. Every "name", "note", "value", "summary", "claim", "overallVerdict", and "recommendations" field MUST be written in English only. Do NOT use any Chinese characters anywhere in the response.`
     : `关键语言要求：你的回复中所有文本必须使用中文。每个 "nameCn"、"note"、"value"、"summary"、"claimCn"、"overallVerdictCn" 和 "recommendationsCn" 字段都必须用中文书写。"name" 和 "claim" 字段使用英文（作为术语标识），但 "note"、"summary"、"value" 等描述性字段必须全部使用中文。`;
 
-  return `You are a senior regulatory compliance analyst specializing in food and dietary supplement products exported to the US market. Use formal regulatory language in your analysis. Focus on structural compliance assessment rather than definitive pass/fail judgments.
+  return `You are a senior regulatory compliance analyst specializing in food and dietary supplement products exported to ${market.promptName}. Use formal regulatory language in your analysis. Focus on structural compliance assessment rather than definitive pass/fail judgments.
 
 Analyze the uploaded product packaging/label image(s) and provide a structured compliance assessment report.
 
 ${langInstruction}
 
 IMPORTANT REGULATORY CITATION RULES:
-- For each item, include a "regulation" field with the specific CFR or statutory reference.
-- Examples: "21 CFR 170.30 (GRAS)", "21 CFR 101.36 (Supplement Facts)", "DSHEA Sec. 403(r)(6)", "21 CFR 189 (Prohibited Substances)", "21 CFR 74 (Color Additives)", "FALCPA Sec. 203", "21 CFR 101.9 (Nutrition Labeling)", "FD&C Act Sec. 403(a)(1)"
-- Use precise regulatory terminology: "GRAS determination per 21 CFR 170" not just "safe"
-- For ingredients: note whether GRAS self-determination, FDA-affirmed GRAS, or NDI notification required
-- For facility: reference 21 CFR 1.225 (Registration of Food Facilities) and FSMA Sec. 301
+- For each item, include a "regulation" field with ${cite.reference}.
+- Examples: ${cite.examples}
+- ${g.terminology}
+- ${g.ingredientCitation}
+- ${g.facilityCitation}
 
 Provide your analysis in the following JSON format ONLY (no markdown, no extra text, no code fences):
 {
@@ -165,7 +2736,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<ingredient name in Chinese>",
         "status": "pass|warn|fail",
         "note": "<${isEn ? "regulatory assessment in English" : "regulatory assessment in Chinese"}>",
-        "regulation": "<e.g. 21 CFR 170.30 (GRAS)>"
+        "regulation": "<e.g. ${cite.sections.ingredientRisk}>"
       }
     ],
     "overallRisk": "<low|medium|high>",
@@ -182,7 +2753,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<check item in Chinese>",
         "status": "pass|warn|fail",
         "note": "<${isEn ? "brief note in English" : "brief note in Chinese"}>",
-        "regulation": "<e.g. 21 CFR 101.9>"
+        "regulation": "<e.g. ${cite.sections.labelCompliance}>"
       }
     ],
     "summary": "<${isEn ? "1-2 sentence summary in English" : "1-2句中文总结"}>"
@@ -195,7 +2766,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<check item in Chinese>",
         "value": "<${isEn ? "status or value in English" : "status or value in Chinese"}>",
         "status": "pass|warn|fail|info",
-        "regulation": "<e.g. 21 CFR 1.225>"
+        "regulation": "<e.g. ${cite.sections.facilityRegistration}>"
       }
     ],
     "summary": "<${isEn ? "1-2 sentence summary in English" : "1-2句中文总结"}>"
@@ -209,7 +2780,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "claimCn": "<claim translated to Chinese>",
         "status": "pass|warn|fail|info",
         "note": "<${isEn ? "explanation in English" : "explanation in Chinese"}>",
-        "regulation": "<e.g. DSHEA Sec. 403(r)(6)>"
+        "regulation": "<e.g. ${cite.sections.marketingClaims}>"
       }
     ],
     "riskLevel": "<low|medium|high>",
@@ -229,12 +2800,12 @@ IMPORTANT RULES:
 3. Always provide BOTH "name" (English) and "nameCn" (Chinese) for each item.
 4. Always provide BOTH "overallVerdict" (English) and "overallVerdictCn" (Chinese).
 5. Always provide BOTH "recommendations" (English) and "recommendationsCn" (Chinese).
-6. ALWAYS include "regulation" field with specific CFR/statutory citation for EVERY item.
-7. Use formal regulatory language: "Requires verification of GRAS status per 21 CFR 170.30" not "Generally safe".
-8. For facility registration: DO NOT say "unable to determine". Instead note "Requires confirmation of facility FEI number and valid registration status per 21 CFR 1.225".
-9. For ingredients, specify whether GRAS self-affirmed, FDA-affirmed, or NDI notification required per DSHEA.
-10. For labels, cite specific CFR sections (21 CFR 101.9, 101.36, etc.).
-11. For marketing claims, reference FD&C Act Sec. 403, DSHEA structure/function claim rules.
+6. ALWAYS include "regulation" field with specific ${cite.kind} citation for EVERY item.
+7. Use formal regulatory language: ${g.formalExample}.
+8. ${g.facility}
+9. ${g.ingredients}
+10. ${g.labels}
+11. ${g.claims}
 12. For overallRiskLevel, use "low", "medium", or "high" to indicate structural risk. Do NOT use numeric scores.
 13. Avoid absolute negative terms like "violation", "adulteration", "counterfeit". Use "structural risk", "requires optimization", "warrants review" instead.
 14. Do NOT use terms like "certification", "approval" for this platform's output. Use "structural assessment", "risk identification" instead.`;
@@ -259,78 +2830,575 @@ function parseGeminiJSON(text) {
   }
 }
 
-// Build extraction prompt (Layer 1: extract structured data from images)
-function buildExtractionPrompt(lang = "en") {
-  const isEn = lang === "en";
-  const langRule = isEn
-    ? "Use English for all fields."
-    : "Use Chinese where possible for descriptive fields; use English for technical/regulatory terms and field keys.";
-
-  return `You are an expert at reading product packaging, labels, and ingredient lists for food and dietary supplement products.
+// --- Response Schemas ---
+// JSON Schema subset (type, required, properties, items, enum, minimum,
+// maximum) describing the extraction and report shapes the frontend renders.
+const STR = { type: "string" };
+const STR_LIST = { type: "array", items: STR };
+const ITEM_STATUS = { enum: ["pass", "warn", "fail"] };
+const ITEM_STATUS_INFO = { enum: ["pass", "warn", "fail", "info"] };
+const RISK_LEVEL = { enum: ["low", "medium", "high"] };
+const PERCENT = { type: "number", minimum: 0, maximum: 100 };
+// Where an extracted value was read: a field path ("ingredients[2].name"),
+// the "Image N" it appeared in, a [ymin, xmin, ymax, xmax] box on a 0-1000
+// scale, and the model's confidence in the reading
+const FIELD_SOURCE = {
+  type: "object",
+  required: ["field", "confidence"],
+  properties: {
+    field: STR,
+    image: { type: "integer", minimum: 1 },
+    box: {
+      type: "array",
+      items: { type: "number", minimum: 0, maximum: 1000 },
+    },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
 
-Analyze the uploaded product image(s) and extract ALL visible structured data. Do NOT perform compliance analysis — only extract what you see.
+// Ingredient tree nodes; sub-ingredients are described three levels deep.
+// functionalClass is an INGREDIENT_CLASSES key or "" after normalization.
+function ingredientSchema(depth = 3) {
+  return {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: STR,
+      nameCn: STR,
+      amount: STR,
+      unit: STR,
+      functionalClass: STR,
+      minor: { type: "boolean" },
+      ...(depth > 1 && {
+        subIngredients: { type: "array", items: ingredientSchema(depth - 1) },
+      }),
+    },
+  };
+}
 
-${langRule}
+const EXTRACTION_SCHEMA = {
+  type: "object",
+  required: ["productName", "ingredients", "nutritionFacts", "allergens"],
+  properties: {
+    productName: STR,
+    productNameCn: STR,
+    productType: STR,
+    ingredientStatement: STR,
+    ingredients: { type: "array", items: ingredientSchema() },
+    nutritionFacts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["nutrient", "amount"],
+        properties: { nutrient: STR, amount: STR, dailyValue: STR },
+      },
+    },
+    allergens: STR_LIST,
+    containsStatement: STR,
+    precautionaryStatement: STR,
+    netWeight: STR,
+    servingSize: STR,
+    servingsPerContainer: STR,
+    countryOfOrigin: STR,
+    manufacturerInfo: STR,
+    labelClaims: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["claim"],
+        properties: { claim: STR, claimCn: STR },
+      },
+    },
+    fdaInfo: { type: "object", properties: { facilityIdNumber: STR } },
+    registrationInfo: { type: "object", properties: { identifier: STR } },
+    otherInfo: STR,
+    fieldSources: { type: "array", items: FIELD_SOURCE },
+  },
+};
 
-Return ONLY valid JSON with this exact structure (no markdown, no code fences, no extra text):
-{
-  "productName": "<product name as shown on label>",
-  "productNameCn": "<product name in Chinese if visible, or translation>",
-  "productType": "<food / dietary supplement / beverage / other>",
-  "ingredients": [
-    {
-      "name": "<ingredient name in English>",
-      "nameCn": "<ingredient name in Chinese if visible>",
-      "amount": "<amount or percentage if visible, or empty string>",
-      "unit": "<unit if visible, or empty string>"
-    }
-  ],
-  "nutritionFacts": [
-    { "nutrient": "<nutrient name>", "amount": "<value with unit>", "dailyValue": "<% DV if shown, or empty>" }
-  ],
-  "allergens": ["<allergen 1>", "<allergen 2>"],
-  "netWeight": "<net weight as shown on label>",
-  "servingSize": "<serving size as shown>",
-  "servingsPerContainer": "<servings per container if shown>",
-  "countryOfOrigin": "<country if visible>",
-  "manufacturerInfo": "<manufacturer name and/or address if visible>",
-  "labelClaims": [
-    { "claim": "<marketing or health claim text in English>", "claimCn": "<Chinese translation or original if Chinese>" }
-  ],
-  "fdaInfo": {
-    "facilityIdNumber": "<FEI or facility identification number if visible, or empty string>"
+// Confirmed data: the extraction shape after the user's edits, where every
+// field may be left out; also the body of confirmed-analysis requests
+const CONFIRMED_DATA_SCHEMA = {
+  ...EXTRACTION_SCHEMA,
+  required: [],
+  properties: {
+    ...EXTRACTION_SCHEMA.properties,
+    targetMarket: STR,
+    fdaStatus: { type: "object" },
+    registrationStatus: { type: "object" },
   },
-  "otherInfo": "<any other relevant label information not captured above>"
+};
+
+function confirmedDataErrors(d) {
+  return validateSchema(d, CONFIRMED_DATA_SCHEMA, "confirmedData");
 }
 
-RULES:
-1. Extract ONLY what is visible on the label/packaging. Use empty string "" for fields not found.
-2. For ingredients, list EVERY ingredient separately, in the order shown on the label.
-3. If an ingredient list shows sub-ingredients in parentheses, list the parent ingredient with sub-ingredients noted in the amount field.
-4. Return ONLY valid JSON. No markdown code fences, no explanatory text.
-5. If multiple images are provided, combine information from all images into one unified response.`;
+function reportItemSchema(nameKey, status, extra = {}) {
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      required: [nameKey, "status"],
+      properties: {
+        [nameKey]: STR,
+        [nameKey + "Cn"]: STR,
+        status,
+        note: STR,
+        regulation: STR,
+        ...extra,
+      },
+    },
+  };
 }
 
-// Build confirmed analysis prompt (Layer 2: analyze confirmed structured data)
-function buildConfirmedAnalysisPrompt(lang = "en") {
-  const isEn = lang === "en";
+const REPORT_SCHEMA = {
+  type: "object",
+  required: [
+    "ingredientRisk",
+    "labelCompliance",
+    "facilityRegistration",
+    "marketingClaims",
+    "overallRiskLevel",
+    "overallVerdict",
+  ],
+  properties: {
+    ingredientRisk: {
+      type: "object",
+      required: ["status", "flagCount", "items"],
+      properties: {
+        status: ITEM_STATUS,
+        flagCount: { type: "integer", minimum: 0 },
+        items: reportItemSchema("name", ITEM_STATUS),
+        overallRisk: RISK_LEVEL,
+        riskPercent: PERCENT,
+        summary: STR,
+      },
+    },
+    labelCompliance: {
+      type: "object",
+      required: ["status", "passCount", "totalCount", "items"],
+      properties: {
+        status: ITEM_STATUS,
+        passCount: { type: "integer", minimum: 0 },
+        totalCount: { type: "integer", minimum: 0 },
+        items: reportItemSchema("name", ITEM_STATUS),
+        summary: STR,
+      },
+    },
+    facilityRegistration: {
+      type: "object",
+      required: ["status", "items"],
+      properties: {
+        status: ITEM_STATUS_INFO,
+        items: reportItemSchema("name", ITEM_STATUS_INFO, { value: STR }),
+        summary: STR,
+      },
+    },
+    marketingClaims: {
+      type: "object",
+      required: ["status", "issueCount", "items"],
+      properties: {
+        status: ITEM_STATUS,
+        issueCount: { type: "integer", minimum: 0 },
+        items: reportItemSchema("claim", ITEM_STATUS_INFO),
+        riskLevel: RISK_LEVEL,
+        riskPercent: PERCENT,
+        summary: STR,
+      },
+    },
+    overallRiskLevel: RISK_LEVEL,
+    overallVerdict: STR,
+    overallVerdictCn: STR,
+    targetMarket: STR,
+    recommendations: STR_LIST,
+    recommendationsCn: STR_LIST,
+  },
+};
+
+// Validate a value against a schema; returns [{ path, message }]
+function validateSchema(value, schema, p = "$") {
+  const errors = [];
+  const typeOf = (v) =>
+    Array.isArray(v) ? "array" : v === null ? "null" : typeof v;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: p,
+      message: `must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`,
+    });
+    return errors;
+  }
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok =
+      schema.type === "integer"
+        ? Number.isInteger(value)
+        : actual === schema.type;
+    if (!ok) {
+      errors.push({ path: p, message: `must be ${schema.type} (got ${actual})` });
+      return errors;
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      errors.push({ path: p, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum)
+      errors.push({ path: p, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined)
+        errors.push({ path: `${p}.${key}`, message: "is required" });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined)
+        errors.push(...validateSchema(value[key], sub, `${p}.${key}`));
+    }
+  }
+  if (schema.type === "array" && schema.items) {
+    value.forEach((v, i) =>
+      errors.push(...validateSchema(v, schema.items, `${p}[${i}]`)),
+    );
+  }
+  return errors;
+}
+
+const STATUS_SYNONYMS = {
+  ok: "pass",
+  passed: "pass",
+  compliant: "pass",
+  low: "pass",
+  caution: "warn",
+  warning: "warn",
+  review: "warn",
+  medium: "warn",
+  moderate: "warn",
+  error: "fail",
+  failed: "fail",
+  high: "fail",
+  critical: "fail",
+  pending: "info",
+  unknown: "info",
+};
+const RISK_SYNONYMS = {
+  moderate: "medium",
+  "medium-low": "medium",
+  "medium-high": "medium",
+  elevated: "high",
+  "low-medium": "medium",
+};
+
+function normalizeEnum(v, synonyms) {
+  if (typeof v !== "string") return v;
+  const k = v.trim().toLowerCase();
+  return synonyms[k] || k;
+}
+
+function toPercent(v) {
+  const n = typeof v === "string" ? parseFloat(v) : v;
+  return typeof n === "number" && !isNaN(n)
+    ? Math.min(100, Math.max(0, Math.round(n)))
+    : v;
+}
+
+// Repair what can be derived: enum spellings and counts recomputed from items
+function normalizeReport(d) {
+  if (!d || typeof d !== "object") return d;
+  for (const key of [
+    "ingredientRisk",
+    "labelCompliance",
+    "facilityRegistration",
+    "marketingClaims",
+  ]) {
+    const section = d[key];
+    if (!section || typeof section !== "object") continue;
+    if (Array.isArray(section.items)) {
+      for (const it of section.items) {
+        if (it && typeof it === "object")
+          it.status = normalizeEnum(it.status, STATUS_SYNONYMS);
+      }
+    }
+    section.status = normalizeEnum(section.status, STATUS_SYNONYMS);
+    const items = Array.isArray(section.items) ? section.items : null;
+    if (items && !["pass", "warn", "fail", "info"].includes(section.status))
+      section.status = worstStatus(items, "info");
+    if (!items) continue;
+    if (key === "ingredientRisk")
+      section.flagCount = items.filter((it) => it.status !== "pass").length;
+    if (key === "labelCompliance") {
+      section.passCount = items.filter((it) => it.status === "pass").length;
+      section.totalCount = items.length;
+    }
+    if (key === "marketingClaims")
+      section.issueCount = items.filter(
+        (it) => it.status === "warn" || it.status === "fail",
+      ).length;
+  }
+  const ir = d.ingredientRisk;
+  const mc = d.marketingClaims;
+  if (ir) {
+    ir.overallRisk = normalizeEnum(ir.overallRisk, RISK_SYNONYMS);
+    ir.riskPercent = toPercent(ir.riskPercent);
+  }
+  if (mc) {
+    mc.riskLevel = normalizeEnum(mc.riskLevel, RISK_SYNONYMS);
+    mc.riskPercent = toPercent(mc.riskPercent);
+  }
+  d.overallRiskLevel = normalizeEnum(d.overallRiskLevel, RISK_SYNONYMS);
+  return d;
+}
+
+// Coerce scalar fields to strings (models often emit numbers or null)
+function normalizeExtraction(d) {
+  if (!d || typeof d !== "object") return d;
+  const str = (v) =>
+    v === null || v === undefined ? "" : typeof v === "number" ? String(v) : v;
+  for (const key of Object.keys(EXTRACTION_SCHEMA.properties)) {
+    if (EXTRACTION_SCHEMA.properties[key] === STR) d[key] = str(d[key]);
+  }
+  for (const { ing } of flattenIngredients(d.ingredients)) {
+    for (const f of ["name", "nameCn", "amount", "unit"]) ing[f] = str(ing[f]);
+    ing.functionalClass = functionalClassOf(ing.functionalClass);
+    if (ing.minor !== undefined)
+      ing.minor = ing.minor === true || ing.minor === "true";
+    if (ing.subIngredients !== undefined && !Array.isArray(ing.subIngredients))
+      delete ing.subIngredients;
+  }
+  for (const [key, fields] of [
+    ["nutritionFacts", ["nutrient", "amount", "dailyValue"]],
+    ["labelClaims", ["claim", "claimCn"]],
+  ]) {
+    if (!Array.isArray(d[key])) continue;
+    for (const it of d[key]) {
+      if (!it || typeof it !== "object") continue;
+      for (const f of fields) it[f] = str(it[f]);
+    }
+  }
+  if (Array.isArray(d.allergens)) d.allergens = d.allergens.map(str);
+  if (d.fieldSources !== undefined) d.fieldSources = normalizeFieldSources(d);
+  return d;
+}
+
+// Field sources are advisory: drop entries that cannot be used rather than
+// failing the extraction. Confidence given as a percent is scaled to 0-1.
+function normalizeFieldSources(d) {
+  if (!Array.isArray(d.fieldSources)) return [];
+  const out = [];
+  for (const src of d.fieldSources) {
+    if (!src || typeof src !== "object" || typeof src.field !== "string")
+      continue;
+    let confidence = Number(src.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0) continue;
+    if (confidence > 1) confidence /= 100;
+    const entry = {
+      field: src.field.trim(),
+      confidence: Math.min(1, Math.round(confidence * 100) / 100),
+    };
+    const image = parseInt(src.image, 10);
+    if (image >= 1) entry.image = image;
+    const box = (Array.isArray(src.box) ? src.box : []).map((n) =>
+      Math.min(1000, Math.max(0, Math.round(Number(n)))),
+    );
+    if (
+      box.length === 4 &&
+      box.every((n) => Number.isFinite(n)) &&
+      box[2] > box[0] &&
+      box[3] > box[1]
+    )
+      entry.box = box;
+    if (entry.field) out.push(entry);
+  }
+  return out;
+}
+
+const RESPONSE_SPECS = {
+  extraction: { schema: EXTRACTION_SCHEMA, normalize: normalizeExtraction },
+  report: { schema: REPORT_SCHEMA, normalize: normalizeReport },
+};
+
+// Parse, normalize and validate a model response
+function parseAndValidate(text, kind) {
+  const spec = RESPONSE_SPECS[kind];
+  let data;
+  try {
+    data = parseGeminiJSON(text);
+  } catch (e) {
+    return {
+      data: null,
+      errors: [{ path: "$", message: `is not valid JSON (${e.message})` }],
+    };
+  }
+  const parsed = JSON.stringify(data);
+  data = spec.normalize(data);
+  return {
+    data,
+    errors: validateSchema(data, spec.schema),
+    normalized: JSON.stringify(data) !== parsed,
+  };
+}
+
+function buildRepairPrompt(text, errors) {
+  const list = errors
+    .slice(0, 30)
+    .map((e) => `- ${e.path}: ${e.message}`)
+    .join("\n");
+  return `Your previous response did not match the required JSON structure.
+
+VALIDATION ERRORS:
+${list}
+
+PREVIOUS RESPONSE:
+${text.substring(0, 12000)}
+
+Return the complete, corrected JSON object only, following the exact structure specified above. Use only the allowed enum values. No markdown, no code fences, no explanatory text.`;
+}
+
+// Run a generation, validate it against the schema for `kind`, and re-prompt
+// once with the validation errors if it does not conform.
+// `generate(parts)` resolves to the raw response text. `steps` records each
+// attempt (repair prompt, raw response, parse/validation outcome) for the
+// audit trail.
+async function generateValidatedJSON(
+  provider,
+  parts,
+  kind,
+  label,
+  lang,
+  onStage = () => {},
+) {
+  const steps = [];
+  const attempt = async (n, attemptParts, repairPrompt) => {
+    const startedAt = new Date();
+    const text = await provider.generate(attemptParts, {
+      kind,
+      label,
+      lang,
+      attempt: n,
+    });
+    if (n === 1) onStage("validation");
+    const result = parseAndValidate(text, kind);
+    steps.push({
+      attempt: n,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      repairPrompt: repairPrompt || null,
+      response: text,
+      parsed: result.data !== null,
+      normalized: !!result.normalized,
+      errors: result.errors,
+    });
+    return { ...result, raw: text, repaired: n > 1, steps };
+  };
+
+  let result = await attempt(1, parts);
+  console.log(`--- ${provider.name} ${label} response (first 300 chars) ---`);
+  console.log(result.raw.substring(0, 300));
+  console.log("--- end ---");
+  if (!result.errors.length) return result;
+
+  console.warn(
+    `${label} response failed validation (${result.errors.length} errors), re-prompting`,
+  );
+  const repairPrompt = buildRepairPrompt(result.raw, result.errors);
+  return attempt(2, [...parts, repairPrompt], repairPrompt);
+}
+
+function validationErrorBody(result) {
+  return {
+    error: "AI response failed schema validation",
+    errors: result.errors,
+    raw: (result.raw || "").substring(0, 800),
+  };
+}
+
+// Build extraction prompt (Layer 1: extract structured data from images)
+function buildExtractionPrompt(lang = "en", market = MARKETS[DEFAULT_MARKET]) {
+  const isEn = lang === "en";
+  const ex = market.extraction;
+  const langRule = isEn
+    ? "Use English for all fields."
+    : "Use Chinese where possible for descriptive fields; use English for technical/regulatory terms and field keys.";
+
+  return `You are an expert at reading product packaging, labels, and ingredient lists for food and dietary supplement products.
+
+Analyze the uploaded product image(s) and extract ALL visible structured data. Do NOT perform compliance analysis — only extract what you see.
+
+${langRule}
+
+Return ONLY valid JSON with this exact structure (no markdown, no code fences, no extra text):
+{
+  "productName": "<product name as shown on label>",
+  "productNameCn": "<product name in Chinese if visible, or translation>",
+  "productType": "<food / dietary supplement / beverage / other>",
+  "ingredientStatement": "<the ingredient statement exactly as printed, or empty string>",
+  "ingredients": [
+    {
+      "name": "<ingredient name in English>",
+      "nameCn": "<ingredient name in Chinese if visible>",
+      "amount": "<amount or percentage if visible, or empty string>",
+      "unit": "<unit if visible, or empty string>",
+      "functionalClass": "<${Object.keys(INGREDIENT_CLASSES).join(" / ")}, or empty string>",
+      "minor": <true if listed after "contains 2% or less of", otherwise omit>,
+      "subIngredients": [<ingredients in parentheses or brackets, same structure>]
+    }
+  ],
+  "nutritionFacts": [
+    { "nutrient": "<nutrient name>", "amount": "<value with unit>", "dailyValue": "<% DV if shown, or empty>" }
+  ],
+  "allergens": ["<allergen named in the label's allergen statement>", "<allergen 2>"],
+  "containsStatement": "<the allergen \"Contains\" statement exactly as printed, or empty string>",
+  "precautionaryStatement": "<\"may contain\" or shared-facility wording exactly as printed, or empty string>",
+  "netWeight": "<net weight as shown on label>",
+  "servingSize": "<serving size as shown>",
+  "servingsPerContainer": "<servings per container if shown>",
+  "countryOfOrigin": "<country if visible>",
+  "manufacturerInfo": "<manufacturer name and/or address if visible>",
+  "labelClaims": [
+    { "claim": "<marketing or health claim text in English>", "claimCn": "<Chinese translation or original if Chinese>" }
+  ],
+  "${ex.field}": {
+    "${ex.key}": "${ex.hint}"
+  },
+  "otherInfo": "<any other relevant label information not captured above>",
+  "fieldSources": [
+    { "field": "<field path>", "image": <image number>, "box": [<ymin>, <xmin>, <ymax>, <xmax>], "confidence": <0 to 1> }
+  ]
+}
+
+RULES:
+1. Extract ONLY what is visible on the label/packaging. Use empty string "" for fields not found. List in "allergens" only what the label's allergen statement declares; do not infer allergens from the ingredients.
+2. For ingredients, list EVERY ingredient separately, in the order shown on the label.
+3. If an ingredient list shows sub-ingredients in parentheses or brackets, list them in the parent's "subIngredients" (nested as printed), never in the amount field. Put a declared percentage in "amount" with unit "%". Set "functionalClass" when the label states it ("Preservative: E211", "sodium benzoate (preservative)", "防腐剂（苯甲酸钠）") or the ingredient is clearly a color, preservative or sweetener.
+4. Return ONLY valid JSON. No markdown code fences, no explanatory text.
+5. If multiple images are provided, combine information from all images into one unified response.
+6. In "fieldSources", add one entry for every non-empty field you extracted. "field" is the path of the value: "productName", "netWeight", "ingredients[2].name", "ingredients[1].subIngredients[0].name", "nutritionFacts[0].amount", "allergens[1]", "labelClaims[0].claim", "${ex.field}.${ex.key}" (array indexes start at 0). "image" is the number from the "Image N" label of the image the value was read from. "box" is the region of that image containing the text, as [ymin, xmin, ymax, xmax] scaled to 0-1000. "confidence" is how sure you are the value was read correctly: below 0.6 for blurry, cropped, partly hidden or inferred text.${ex.note ? `\n7. ${ex.note}` : ""}`;
+}
+
+// Build confirmed analysis prompt (Layer 2: analyze confirmed structured data)
+function buildConfirmedAnalysisPrompt(
+  lang = "en",
+  market = MARKETS[DEFAULT_MARKET],
+) {
+  const g = market.guidance;
+  const cite = market.citation;
+  const isEn = lang === "en";
 
   const langInstruction = isEn
     ? `CRITICAL LANGUAGE REQUIREMENT: ALL text in your response MUST be in English. Every "name", "note", "value", "summary", "claim", "overallVerdict", and "recommendations" field MUST be written in English only. Do NOT use any Chinese characters anywhere in the response.`
     : `关键语言要求：你的回复中所有文本必须使用中文。每个 "nameCn"、"note"、"value"、"summary"、"claimCn"、"overallVerdictCn" 和 "recommendationsCn" 字段都必须用中文书写。"name" 和 "claim" 字段使用英文（作为术语标识），但 "note"、"summary"、"value" 等描述性字段必须全部使用中文。`;
 
-  return `You are a senior regulatory compliance analyst specializing in food and dietary supplement products exported to the US market. Use formal regulatory language in your analysis. Focus on structural compliance assessment rather than definitive pass/fail judgments.
+  return `You are a senior regulatory compliance analyst specializing in food and dietary supplement products exported to ${market.promptName}. Use formal regulatory language in your analysis. Focus on structural compliance assessment rather than definitive pass/fail judgments.
 
 Analyze the following CONFIRMED product data (provided as structured text below) and provide a structured compliance assessment report. This data has been reviewed and confirmed by the product owner as accurate.
 
 ${langInstruction}
 
 IMPORTANT REGULATORY CITATION RULES:
-- For each item, include a "regulation" field with the specific CFR or statutory reference.
-- Examples: "21 CFR 170.30 (GRAS)", "21 CFR 101.36 (Supplement Facts)", "DSHEA Sec. 403(r)(6)", "21 CFR 189 (Prohibited Substances)", "21 CFR 74 (Color Additives)", "FALCPA Sec. 203", "21 CFR 101.9 (Nutrition Labeling)", "FD&C Act Sec. 403(a)(1)"
-- Use precise regulatory terminology: "GRAS determination per 21 CFR 170" not just "safe"
-- For ingredients: note whether GRAS self-determination, FDA-affirmed GRAS, or NDI notification required
-- For facility: reference 21 CFR 1.225 (Registration of Food Facilities) and FSMA Sec. 301
+- For each item, include a "regulation" field with ${cite.reference}.
+- Examples: ${cite.examples}
+- ${g.terminology}
+- ${g.ingredientCitation}
+- ${g.facilityCitation}
 
 Provide your analysis in the following JSON format ONLY (no markdown, no extra text, no code fences):
 {
@@ -343,7 +3411,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<ingredient name in Chinese>",
         "status": "pass|warn|fail",
         "note": "<${isEn ? "regulatory assessment in English" : "regulatory assessment in Chinese"}>",
-        "regulation": "<e.g. 21 CFR 170.30 (GRAS)>"
+        "regulation": "<e.g. ${cite.sections.ingredientRisk}>"
       }
     ],
     "overallRisk": "<low|medium|high>",
@@ -360,7 +3428,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<check item in Chinese>",
         "status": "pass|warn|fail",
         "note": "<${isEn ? "brief note in English" : "brief note in Chinese"}>",
-        "regulation": "<e.g. 21 CFR 101.9>"
+        "regulation": "<e.g. ${cite.sections.labelCompliance}>"
       }
     ],
     "summary": "<${isEn ? "1-2 sentence summary in English" : "1-2句中文总结"}>"
@@ -373,7 +3441,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "nameCn": "<check item in Chinese>",
         "value": "<${isEn ? "status or value in English" : "status or value in Chinese"}>",
         "status": "pass|warn|fail|info",
-        "regulation": "<e.g. 21 CFR 1.225>"
+        "regulation": "<e.g. ${cite.sections.facilityRegistration}>"
       }
     ],
     "summary": "<${isEn ? "1-2 sentence summary in English" : "1-2句中文总结"}>"
@@ -387,7 +3455,7 @@ Provide your analysis in the following JSON format ONLY (no markdown, no extra t
         "claimCn": "<claim translated to Chinese>",
         "status": "pass|warn|fail|info",
         "note": "<${isEn ? "explanation in English" : "explanation in Chinese"}>",
-        "regulation": "<e.g. DSHEA Sec. 403(r)(6)>"
+        "regulation": "<e.g. ${cite.sections.marketingClaims}>"
       }
     ],
     "riskLevel": "<low|medium|high>",
@@ -407,38 +3475,50 @@ IMPORTANT RULES:
 3. Always provide BOTH "name" (English) and "nameCn" (Chinese) for each item.
 4. Always provide BOTH "overallVerdict" (English) and "overallVerdictCn" (Chinese).
 5. Always provide BOTH "recommendations" (English) and "recommendationsCn" (Chinese).
-6. ALWAYS include "regulation" field with specific CFR/statutory citation for EVERY item.
-7. Use formal regulatory language: "Requires verification of GRAS status per 21 CFR 170.30" not "Generally safe".
+6. ALWAYS include "regulation" field with specific ${cite.kind} citation for EVERY item.
+7. Use formal regulatory language: ${g.formalExample}.
 8. For facility registration: Assess based on user-reported status selections (not verified data). Use phrases like "Based on provided information" and "Independent verification recommended".
-9. For ingredients, specify whether GRAS self-affirmed, FDA-affirmed, or NDI notification required per DSHEA.
-10. For labels, cite specific CFR sections (21 CFR 101.9, 101.36, etc.).
-11. For marketing claims, reference FD&C Act Sec. 403, DSHEA structure/function claim rules.
+9. ${g.ingredients}
+10. ${g.labels}
+11. ${g.claims}
 12. For overallRiskLevel, use "low", "medium", or "high" to indicate structural risk. Do NOT use numeric scores.
 13. Avoid absolute negative terms like "violation", "adulteration", "counterfeit". Use "structural risk", "requires optimization", "warrants review" instead.
 14. Do NOT use terms like "certification", "approval" for this platform's output. Use "structural assessment", "risk identification" instead.
-15. NEVER use "FDA verified", "Compliant", or "Registration confirmed" in output. Use "Based on provided information", "Independent verification recommended", "Structural risk level: Low/Moderate/Elevated" instead.
-16. All facility registration data is user-reported and NOT independently verified against FDA databases. Always note this context in facility-related assessments.`;
+15. NEVER use "${market.authority} verified", "Compliant", or "Registration confirmed" in output. Use "Based on provided information", "Independent verification recommended", "Structural risk level: Low/Moderate/Elevated" instead.
+16. All facility registration data is user-reported and NOT independently verified against ${market.authority} databases. Always note this context in facility-related assessments.`;
 }
 
 // Format confirmed data as structured text for Layer 2 prompt
-function formatConfirmedDataAsText(d) {
+function formatConfirmedDataAsText(d, market = MARKETS[DEFAULT_MARKET]) {
   let text = `PRODUCT NAME: ${d.productName || "Not specified"}\n`;
   if (d.productNameCn) text += `PRODUCT NAME (CN): ${d.productNameCn}\n`;
   if (d.productType) text += `PRODUCT TYPE: ${d.productType}\n`;
   text += "\n";
 
-  text += "INGREDIENTS:\n";
+  text += "INGREDIENTS (in predominance order; sub-ingredients indented):\n";
   if (d.ingredients && d.ingredients.length) {
-    d.ingredients.forEach((ing, i) => {
-      text += `  ${i + 1}. ${ing.name || ing.nameCn || "Unknown"}`;
-      if (ing.nameCn && ing.name) text += ` (${ing.nameCn})`;
-      if (ing.amount)
-        text += ` — ${ing.amount}${ing.unit ? " " + ing.unit : ""}`;
-      text += "\n";
-    });
+    const list = (items, indent) =>
+      items.forEach((ing, i) => {
+        text += `${indent}${i + 1}. ${ing.name || ing.nameCn || "Unknown"}`;
+        if (ing.nameCn && ing.name) text += ` (${ing.nameCn})`;
+        if (ing.amount)
+          text += ` — ${ing.amount}${ing.unit ? " " + ing.unit : ""}`;
+        const cls = functionalClassOf(ing.functionalClass);
+        if (cls) text += ` [${INGREDIENT_CLASSES[cls].en.toLowerCase()}]`;
+        if (ing.minor) text += " [2% or less]";
+        const match = resolveSubstance(ing);
+        if (match)
+          text += ` [catalog: ${match.statusLabel}; ${match.citation}]`;
+        text += "\n";
+        if (Array.isArray(ing.subIngredients))
+          list(ing.subIngredients, indent + "   ");
+      });
+    list(d.ingredients, "  ");
   } else {
     text += "  No ingredients provided.\n";
   }
+  if (d.ingredientStatement)
+    text += `INGREDIENT STATEMENT (as printed): ${d.ingredientStatement}\n`;
   text += "\n";
 
   text += "NUTRITION FACTS:\n";
@@ -454,6 +3534,10 @@ function formatConfirmedDataAsText(d) {
   text += "\n";
 
   text += `ALLERGENS: ${d.allergens && d.allergens.length ? d.allergens.join(", ") : "None declared"}\n`;
+  if (d.containsStatement)
+    text += `ALLERGEN STATEMENT (as printed): ${d.containsStatement}\n`;
+  if (d.precautionaryStatement)
+    text += `PRECAUTIONARY STATEMENT (as printed): ${d.precautionaryStatement}\n`;
   text += `NET WEIGHT: ${d.netWeight || "Not specified"}\n`;
   text += `SERVING SIZE: ${d.servingSize || "Not specified"}\n`;
   if (d.servingsPerContainer)
@@ -473,674 +3557,9095 @@ function formatConfirmedDataAsText(d) {
   }
   text += "\n";
 
-  text +=
-    "FDA FACILITY REGISTRATION STATUS (user-reported, not independently verified):\n";
-  const fs = d.fdaStatus || {};
-  const regMap = {
-    active: "Confirmed active",
-    expired: "Possibly expired",
-    not_registered: "Not registered",
-    unknown: "Unknown",
-  };
-  const agentMap = {
-    appointed: "Appointed",
-    not_appointed: "Not appointed",
-    unknown: "Unknown",
-  };
-  const fsvpMap = { yes: "Yes", no: "No", tbd: "To be determined" };
-  const importerMap = {
-    us_distributor: "U.S. distributor",
-    self_import: "Self-import",
-    third_party: "Third-party importer",
-    not_determined: "Not determined",
-  };
-  text += `  Manufacturing Facility Registration: ${regMap[fs.facilityRegStatus] || "Unknown"}\n`;
-  text += `  U.S. Agent Appointment: ${agentMap[fs.usAgentStatus] || "Unknown"}\n`;
-  text += `  FSVP Importer Identified: ${fsvpMap[fs.fsvpStatus] || "To be determined"}\n`;
-  text += `  Importer of Record Structure: ${importerMap[fs.importerStructure] || "Not determined"}\n`;
-  if (fs.facilityIdNumber) {
-    text += `  Facility ID Number (user-provided, not verified): ${fs.facilityIdNumber}\n`;
+  const reg = market.registration;
+  const answers = registrationAnswers(d, market);
+  text += `${reg.promptTitle} (user-reported, not independently verified):\n`;
+  for (const q of reg.questions) {
+    const answer =
+      q.options.find((o) => o.value === answers[q.key]) ||
+      q.options.find((o) => o.value === q.default);
+    text += `  ${q.label[0]}: ${answer.label[0]}\n`;
+  }
+  if (answers[reg.identifier.key]) {
+    text += `  ${reg.identifier.promptLabel} (user-provided, not verified): ${answers[reg.identifier.key]}\n`;
+  }
+
+  const f = d.facility;
+  if (f) {
+    text += "\nMANUFACTURING FACILITY (organization facility registry):\n";
+    text += `  Name: ${f.name}\n`;
+    if (f.address) text += `  Address: ${f.address}\n`;
+    if (f.fei) text += `  FEI: ${f.fei}\n`;
+    if (f.duns) text += `  DUNS: ${f.duns}\n`;
+    if (f.usAgent?.name) text += `  U.S. agent: ${f.usAgent.name}\n`;
+    if (f.fsvpImporter?.name)
+      text += `  FSVP importer: ${f.fsvpImporter.name}\n`;
+    const r = facilityRenewal(f);
+    text += `  Registration renewal: ${FACILITY_RENEWAL_CYCLES[r.cycle][0]}; last renewed ${r.lastRenewedOn || "not recorded"}; status ${r.status}`;
+    if (r.deadline) text += ` (deadline ${r.deadline})`;
+    text += "\n";
   }
 
   return text;
 }
 
-// Demo extraction data for when no API key is configured
-function getDemoExtractedData(lang) {
-  const cn = lang === "cn";
-  return {
-    productName: cn ? "超级能量饮品" : "Super Energy Drink",
-    productNameCn: "超级能量饮品",
-    productType: cn ? "饮料" : "beverage",
-    ingredients: [
-      { name: "Carbonated Water", nameCn: "碳酸水", amount: "", unit: "" },
-      {
-        name: "High Fructose Corn Syrup",
-        nameCn: "高果糖玉米糖浆",
-        amount: "",
-        unit: "",
-      },
-      { name: "Citric Acid", nameCn: "柠檬酸", amount: "", unit: "" },
-      { name: "Sodium Benzoate", nameCn: "苯甲酸钠", amount: "0.1", unit: "%" },
-      { name: "Red No. 40", nameCn: "诱惑红40号", amount: "", unit: "" },
-      { name: "Caffeine", nameCn: "咖啡因", amount: "80", unit: "mg" },
-      { name: "Taurine", nameCn: "牛磺酸", amount: "1000", unit: "mg" },
-      { name: "Steviol Glycosides", nameCn: "甜菊糖苷", amount: "", unit: "" },
-    ],
-    nutritionFacts: [
-      { nutrient: "Calories", amount: "110", dailyValue: "" },
-      { nutrient: "Total Fat", amount: "0g", dailyValue: "0%" },
-      { nutrient: "Sodium", amount: "40mg", dailyValue: "2%" },
-      { nutrient: "Total Carbohydrate", amount: "28g", dailyValue: "10%" },
-      { nutrient: "Total Sugars", amount: "27g", dailyValue: "" },
-      { nutrient: "Protein", amount: "0g", dailyValue: "" },
-    ],
-    allergens: [],
-    netWeight: "250ml",
-    servingSize: "1 can (250ml)",
-    servingsPerContainer: "1",
-    countryOfOrigin: "China",
-    manufacturerInfo: "XYZ Beverage Co., Guangzhou, China",
-    labelClaims: [
-      { claim: "All Natural Energy", claimCn: "纯天然能量" },
-      { claim: "Boosts Performance", claimCn: "提升表现" },
-      { claim: "Low Sugar", claimCn: "低糖" },
-    ],
-    fdaStatus: {
-      facilityRegStatus: "unknown",
-      usAgentStatus: "unknown",
-      fsvpStatus: "tbd",
-      importerStructure: "not_determined",
-      facilityIdNumber: "",
-    },
-    otherInfo: "",
-  };
+// --- Deterministic Rule Engine ---
+// Local checks run on confirmedData before the LLM call. Findings carry
+// source: "rule" so they can be told apart from AI findings in the report.
+// Each target market lists the rules it runs (MARKETS[code].rules).
+const CAFFEINE_THRESHOLD_MG = 200;
+
+const METRIC_UNIT_RE = /\d\s*(mg|g|kg|ml|l|克|千克|公斤|毫升|升)(?![a-z])/i;
+const CUSTOMARY_UNIT_RE =
+  /\b(oz|fl\.?\s*oz|lbs?|pounds?|ounces?|pints?|quarts?|gallons?)\b/i;
+
+function ingredientText(ing) {
+  return `${ing.name || ""} ${ing.nameCn || ""} ${ing.amount || ""}`.toLowerCase();
 }
 
-// --- API Routes ---
+// Convert an amount/unit pair to milligrams, or null if not a mass unit.
+// Without a unit, one written into the amount ("300mg") is used.
+function toMilligrams(amount, unit) {
+  const m = String(amount ?? "")
+    .trim()
+    .match(/^([\d.,]+)\s*([a-zµμ克毫微]*)/i);
+  if (!m) return null;
+  const value = parseFloat(m[1].replace(/,/g, ""));
+  if (isNaN(value)) return null;
+  const u = String(unit || m[2])
+    .trim()
+    .toLowerCase();
+  if (u === "mg" || u === "毫克") return value;
+  if (u === "g" || u === "克") return value * 1000;
+  if (u === "mcg" || u === "µg" || u === "微克") return value / 1000;
+  return null;
+}
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    geminiConfigured: !!process.env.GEMINI_API_KEY,
-    dbConfigured: !!process.env.DATABASE_URL,
-    timestamp: new Date().toISOString(),
-  });
-});
+const COMPLIANCE_RULES = [
+  {
+    id: "net-quantity-dual-units",
+    section: "labelCompliance",
+    // AI items covering the same check are replaced by the rule finding
+    match: /net (weight|quantity|contents)|净含量/i,
+    check(d, cn) {
+      const nw = (d.netWeight || "").trim();
+      const base = {
+        name: "Net Quantity (Dual Units)",
+        nameCn: "净含量（双单位）",
+        regulation: "21 CFR 101.105",
+      };
+      if (!nw) {
+        return {
+          ...base,
+          status: "fail",
+          note: cn
+            ? "未提供净含量声明。主展示面须同时标注公制与美制单位。"
+            : "No net quantity statement provided. Both metric and U.S. customary units are required on the principal display panel.",
+        };
+      }
+      const metric = METRIC_UNIT_RE.test(nw);
+      const customary = CUSTOMARY_UNIT_RE.test(nw);
+      if (metric && customary) {
+        return {
+          ...base,
+          status: "pass",
+          note: cn
+            ? `净含量"${nw}"同时包含公制与美制单位。`
+            : `Net quantity "${nw}" declares both metric and U.S. customary units.`,
+        };
+      }
+      return {
+        ...base,
+        status: "fail",
+        note: cn
+          ? `净含量"${nw}"缺少${metric ? "美制单位（oz / fl oz）" : "公制单位（g / mL）"}，需双单位标注。`
+          : `Net quantity "${nw}" is missing ${metric ? "U.S. customary units (oz / fl oz)" : "metric units (g / mL)"}. Dual-unit declaration required.`,
+      };
+    },
+  },
+  {
+    id: "falcpa-allergens",
+    section: "labelCompliance",
+    match: /allergen|过敏原|contains statement|may contain/i,
+    check: checkMajorAllergens,
+  },
+  {
+    id: "facts-panel-values",
+    section: "labelCompliance",
+    match: /nutrition facts|supplement facts|营养成分|补充剂成分/i,
+    check: checkFactsPanel,
+  },
+  {
+    id: "net-quantity-metric",
+    section: "labelCompliance",
+    match: /net (weight|quantity|contents)|净含量/i,
+    check(d, cn, market) {
+      const nw = (d.netWeight || "").trim();
+      const base = {
+        name: "Net Quantity (Metric Units)",
+        nameCn: "净含量（公制单位）",
+        regulation: market.labelRules.netQuantity,
+      };
+      if (METRIC_UNIT_RE.test(nw))
+        return {
+          ...base,
+          status: "pass",
+          note: cn
+            ? `净含量"${nw}"以公制单位标示。`
+            : `Net quantity "${nw}" is declared in metric units.`,
+        };
+      return {
+        ...base,
+        status: "fail",
+        note: nw
+          ? cn
+            ? `净含量"${nw}"未使用公制单位（g / kg / mL / L），${market.nameCn}市场须以公制标示。`
+            : `Net quantity "${nw}" is not in metric units (g / kg / mL / L), which ${market.name} requires.`
+          : cn
+            ? "未提供净含量声明，须以公制单位标示。"
+            : "No net quantity statement provided. It must be declared in metric units.",
+      };
+    },
+  },
+  {
+    id: "allergen-declaration",
+    section: "labelCompliance",
+    match: /allergen|过敏原/i,
+    check(d, cn, market) {
+      const rule = market.labelRules.allergens;
+      const missing = undeclaredAllergens(d, rule.statementRequired).map(
+        (m) => `${cn ? m.allergenCn : m.allergen} (${m.ingredient})`,
+      );
+      const base = {
+        name: "Allergen Declaration",
+        nameCn: "过敏原声明",
+        regulation: rule.regulation,
+      };
+      if (!missing.length)
+        return d.allergens?.length
+          ? {
+              ...base,
+              status: "pass",
+              note: cn
+                ? `已声明过敏原：${d.allergens.join("、")}。${rule.requirement[1]}`
+                : `Declared allergens: ${d.allergens.join(", ")}. ${rule.requirement[0]}`,
+            }
+          : null;
+      return {
+        ...base,
+        status: "fail",
+        note: cn
+          ? `成分中含有未声明的过敏原：${missing.join("、")}。${rule.requirement[1]}`
+          : `Ingredients contain undeclared allergens: ${missing.join(", ")}. ${rule.requirement[0]}`,
+      };
+    },
+  },
+  {
+    id: "nutrition-declaration",
+    section: "labelCompliance",
+    match: /nutrition|营养/i,
+    check(d, cn, market) {
+      // Supplements follow separate regimes outside the U.S.
+      if (isSupplementProduct(d)) return null;
+      const rule = market.labelRules.nutrition;
+      const facts = d.nutritionFacts || [];
+      const base = {
+        name: rule.panel[0],
+        nameCn: rule.panel[1],
+        regulation: rule.regulation,
+      };
+      if (!facts.length)
+        return {
+          ...base,
+          status: "fail",
+          note: cn
+            ? `未提供${rule.panel[1]}。`
+            : `No ${rule.panel[0].toLowerCase()} provided.`,
+        };
+      const find = (pattern) =>
+        facts.find((nf) => new RegExp(pattern, "i").test(nf.nutrient || ""));
+      const missing = rule.required.filter(([, , pattern]) => !find(pattern));
+      const problems = [];
+      if (missing.length)
+        problems.push(
+          cn
+            ? `缺少强制项目：${missing.map((m) => m[1]).join("、")}`
+            : `missing mandatory entries: ${missing.map((m) => m[0]).join(", ")}`,
+        );
+      const energy = find(rule.required[0][2]);
+      if (energy && rule.energyUnits) {
+        const units = rule.energyUnits.filter(
+          (u) => !new RegExp(`\\d\\s*${u}\\b`, "i").test(energy.amount || ""),
+        );
+        if (units.length)
+          problems.push(
+            cn
+              ? `能量须以 ${rule.energyUnits.join(" 和 ")} 标示（缺少 ${units.join("、")}）`
+              : `energy must be declared in ${rule.energyUnits.join(" and ")} (missing ${units.join(", ")})`,
+          );
+      }
+      if (!problems.length)
+        return {
+          ...base,
+          status: "pass",
+          note: cn
+            ? `${rule.panel[1]}包含全部强制项目。`
+            : `${rule.panel[0]} includes all mandatory entries.`,
+        };
+      return {
+        ...base,
+        status: "fail",
+        note: cn
+          ? `${rule.panel[1]}${problems.join("；")}。`
+          : `${rule.panel[0]}: ${problems.join("; ")}.`,
+      };
+    },
+  },
+  {
+    id: "country-of-origin",
+    section: "labelCompliance",
+    match: /country of origin|原产国|产地/i,
+    check(d, cn, market) {
+      const origin = (d.countryOfOrigin || "").trim();
+      return {
+        name: "Country of Origin",
+        nameCn: "原产国标示",
+        status: origin ? "pass" : "fail",
+        note: origin
+          ? cn
+            ? `已标示原产国：${origin}。`
+            : `Country of origin declared: ${origin}.`
+          : cn
+            ? "未标示原产国，须按原产国标签标准标示。"
+            : "No country of origin statement. One is required under the country of origin labelling standard.",
+        regulation: market.labelRules.countryOfOrigin,
+      };
+    },
+  },
+  {
+    id: "fda-registration-renewal",
+    section: "facilityRegistration",
+    match: /renewal|续期/i,
+    check: checkFacilityRenewal,
+  },
+  {
+    id: "caffeine-threshold",
+    section: "ingredientRisk",
+    match: /caffeine|咖啡因/i,
+    check(d, cn) {
+      const sources = [
+        ...flattenIngredients(d.ingredients).map(({ ing }) => ({
+          text: ingredientText(ing),
+          mg: toMilligrams(ing.amount, ing.unit),
+        })),
+        ...(d.nutritionFacts || []).map((nf) => {
+          const m = String(nf.amount || "").match(/([\d.,]+)\s*([a-zµ克毫微]+)/i);
+          return {
+            text: String(nf.nutrient || "").toLowerCase(),
+            mg: m ? toMilligrams(m[1], m[2]) : null,
+          };
+        }),
+      ];
+      const hit = sources.find(
+        (s) => /caffeine|咖啡因/.test(s.text) && s.mg !== null,
+      );
+      if (!hit || hit.mg <= CAFFEINE_THRESHOLD_MG) return null;
+      return {
+        name: "Caffeine",
+        nameCn: "咖啡因",
+        status: "warn",
+        note: cn
+          ? `每份咖啡因含量约 ${hit.mg} mg，超过 ${CAFFEINE_THRESHOLD_MG} mg 参考阈值。需评估安全性依据及警示标注。`
+          : `Approximately ${hit.mg} mg caffeine per serving exceeds the ${CAFFEINE_THRESHOLD_MG} mg reference threshold. Safety basis and advisory labeling warrant review.`,
+        regulation: "21 CFR 182.1180; FD&C Act Sec. 402(a)(1)",
+      };
+    },
+  },
+];
 
-// ==================== AUTH ROUTES ====================
+// Run the market's rule pack against confirmed product data
+function runComplianceRules(
+  confirmedData,
+  lang = "en",
+  market = MARKETS[DEFAULT_MARKET],
+) {
+  const cn = lang === "cn";
+  const findings = [];
+  for (const rule of COMPLIANCE_RULES) {
+    if (!market.rules.includes(rule.id)) continue;
+    try {
+      // A rule returns one item, a list of items, or null
+      const result = rule.check(confirmedData || {}, cn, market);
+      for (const item of [].concat(result || []))
+        findings.push({ rule, item: { ...item, source: "rule" } });
+    } catch (err) {
+      console.error(`Rule ${rule.id} failed:`, err.message);
+    }
+  }
+  return findings;
+}
 
-// Register
-app.post("/api/auth/register", async (req, res) => {
-  try {
-    const { email, password, name, company } = req.body;
-    if (!email || !password || !name)
-      return res
-        .status(400)
-        .json({ error: "Email, password, and name are required" });
-    if (password.length < 6)
-      return res
-        .status(400)
-        .json({ error: "Password must be at least 6 characters" });
+// Worst status among items: fail > warn > pass
+function worstStatus(items, fallback = "pass") {
+  if (items.some((it) => it.status === "fail")) return "fail";
+  if (items.some((it) => it.status === "warn")) return "warn";
+  return items.length ? "pass" : fallback;
+}
 
-    const existing = await pool.query("SELECT id FROM users WHERE email=$1", [
-      email.toLowerCase().trim(),
-    ]);
-    if (existing.rows.length)
-      return res.status(409).json({ error: "Email already registered" });
+// Merge rule findings into the AI report; AI items keep source: "ai"
+function mergeRuleFindings(report, findings) {
+  for (const key of [
+    "ingredientRisk",
+    "labelCompliance",
+    "facilityRegistration",
+  ]) {
+    const section = report[key];
+    if (!section) continue;
+    section.items = (section.items || []).map((it) => ({
+      source: "ai",
+      ...it,
+    }));
+    const ruleFindings = findings.filter((f) => f.rule.section === key);
+    if (!ruleFindings.length) continue;
 
-    const hash = await bcrypt.hash(password, 12);
-    const result = await pool.query(
-      "INSERT INTO users (email, password_hash, name, company) VALUES ($1,$2,$3,$4) RETURNING id, email, name, company, created_at",
-      [email.toLowerCase().trim(), hash, name.trim(), (company || "").trim()],
+    section.items = section.items.filter(
+      (it) =>
+        !ruleFindings.some((f) =>
+          f.rule.match.test(`${it.name || ""} ${it.nameCn || ""}`),
+        ),
     );
-    const user = result.rows[0];
-    req.session.userId = user.id;
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        company: user.company,
-      },
+    section.items.unshift(...ruleFindings.map((f) => f.item));
+
+    if (key === "ingredientRisk") {
+      section.flagCount = section.items.filter(
+        (it) => it.status !== "pass",
+      ).length;
+    } else if (key === "labelCompliance") {
+      section.passCount = section.items.filter(
+        (it) => it.status === "pass",
+      ).length;
+      section.totalCount = section.items.length;
+    }
+    // Passing findings leave the section status (e.g. "info") as it is
+    const ruleWorst = worstStatus(ruleFindings.map((f) => f.item));
+    if (ruleWorst !== "pass")
+      section.status = worstStatus([
+        { status: section.status },
+        { status: ruleWorst },
+      ]);
+  }
+  return report;
+}
+
+// --- Substance Catalog ---
+// Versioned, file-backed catalog of regulated substances (GRAS status, color
+// additives, prohibited substances, NDI). The bundled data/substances.json is
+// read-only; CSV imports are laid over it, so each import adds one to the
+// bundled version. Imports are kept in the substance_imports table when a
+// database is configured (they survive redeploys), otherwise in
+// LOCAL_DATA_DIR, outside version control.
+const dataDir = path.join(__dirname, "data");
+const localDataDir = path.resolve(
+  __dirname,
+  process.env.LOCAL_DATA_DIR || "local-data",
+);
+const substanceCatalogPath = path.join(dataDir, "substances.json");
+const substanceImportsPath = path.join(localDataDir, "substance-imports.json");
+
+const SUBSTANCE_STATUSES = {
+  gras_affirmed: { en: "FDA-affirmed GRAS", cn: "FDA 确认 GRAS" },
+  gras_listed: { en: "GRAS (21 CFR 182)", cn: "GRAS（21 CFR 182 列名）" },
+  gras_notice: { en: "GRAS notice — no objection", cn: "GRAS 通告（FDA 无异议）" },
+  gras_self: { en: "GRAS self-determination", cn: "GRAS 自我认定" },
+  food_additive: { en: "Approved food additive", cn: "已批准食品添加剂" },
+  color_certified: { en: "Certified color additive", cn: "需批次认证色素" },
+  color_exempt: { en: "Color additive exempt from certification", cn: "免认证色素" },
+  ndi_review: { en: "NDI / ODI status review required", cn: "需核查 NDI / ODI 状态" },
+  restricted: { en: "Restricted / authorization revoked", cn: "受限 / 授权已撤销" },
+  not_permitted: { en: "Not permitted in conventional food", cn: "不允许用于普通食品" },
+  prohibited: { en: "Prohibited substance", cn: "禁用物质" },
+};
+
+let substanceCatalog = { version: 0, substances: [] };
+let substanceIndex = new Map();
+let bundledSubstanceCatalog = substanceCatalog;
+let substanceImports = { imports: 0, substances: [] };
+
+function normalizeSubstanceKey(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[（）]/g, (c) => (c === "（" ? "(" : ")"))
+    .replace(/[\s\-_.,'"’]+/g, " ")
+    .trim();
+}
+
+function buildSubstanceIndex(catalog) {
+  const index = new Map();
+  for (const s of catalog.substances) {
+    const keys = [
+      s.name,
+      s.nameCn,
+      ...(s.synonyms || []),
+      ...(s.synonymsCn || []),
+      s.eNumber,
+      s.cas,
+    ];
+    for (const k of keys) {
+      const nk = normalizeSubstanceKey(k);
+      if (nk && !index.has(nk)) index.set(nk, s);
+    }
+  }
+  return index;
+}
+
+// Imported entries replace bundled ones with the same id
+function applySubstanceImports(catalog, imported) {
+  const substances = [...catalog.substances];
+  for (const e of imported.substances) {
+    const idx = substances.findIndex((s) => s.id === e.id);
+    if (idx === -1) substances.push(e);
+    else substances[idx] = e;
+  }
+  return {
+    ...catalog,
+    version: (catalog.version || 0) + (imported.imports || 0),
+    updatedAt: imported.updatedAt || catalog.updatedAt,
+    substances,
+  };
+}
+
+function loadSubstanceCatalog() {
+  try {
+    bundledSubstanceCatalog = JSON.parse(
+      fs.readFileSync(substanceCatalogPath, "utf8"),
+    );
+    if (!process.env.DATABASE_URL && fs.existsSync(substanceImportsPath))
+      substanceImports = JSON.parse(
+        fs.readFileSync(substanceImportsPath, "utf8"),
+      );
+    setSubstanceImports(substanceImports);
+  } catch (err) {
+    console.error("Substance catalog load failed:", err.message);
+  }
+}
+loadSubstanceCatalog();
+
+function setSubstanceImports(imported) {
+  substanceImports = imported;
+  substanceCatalog = applySubstanceImports(bundledSubstanceCatalog, imported);
+  substanceIndex = buildSubstanceIndex(substanceCatalog);
+}
+
+// Latest stored import (database only; called once the tables exist and
+// before each import, so imports made by another instance are kept)
+async function loadStoredSubstanceImports() {
+  const result = await pool.query(
+    "SELECT data FROM substance_imports ORDER BY imports DESC LIMIT 1",
+  );
+  if (result.rows.length) setSubstanceImports(result.rows[0].data);
+}
+
+// Each import is a new row; the unique imports number makes a concurrent
+// import from another instance fail (23505) instead of overwriting it
+async function saveSubstanceImports(imported, userId) {
+  if (process.env.DATABASE_URL) {
+    await pool.query(
+      "INSERT INTO substance_imports (imports, data, imported_by) VALUES ($1, $2, $3)",
+      [imported.imports, JSON.stringify(imported), userId || null],
+    );
+    return;
+  }
+  fs.mkdirSync(localDataDir, { recursive: true });
+  const tmpPath = substanceImportsPath + ".tmp";
+  fs.writeFileSync(tmpPath, JSON.stringify(imported, null, 2) + "\n");
+  fs.renameSync(tmpPath, substanceImportsPath);
+}
+
+function toCatalogMatch(s, matchedOn) {
+  const label = SUBSTANCE_STATUSES[s.status] || { en: s.status, cn: s.status };
+  return {
+    id: s.id,
+    name: s.name,
+    nameCn: s.nameCn,
+    eNumber: s.eNumber || "",
+    cas: s.cas || "",
+    status: s.status,
+    statusLabel: label.en,
+    statusLabelCn: label.cn,
+    citation: s.citation,
+    note: s.note || "",
+    matchedOn,
+    catalogVersion: substanceCatalog.version,
+  };
+}
+
+// Resolve an ingredient { name, nameCn } against the catalog
+function resolveSubstance(ing) {
+  const candidates = [];
+  for (const field of [ing.name, ing.nameCn]) {
+    if (!field) continue;
+    candidates.push(field);
+    // "Sodium Benzoate (E211)" → "Sodium Benzoate", "E211"
+    candidates.push(field.replace(/\(.*?\)|（.*?）/g, ""));
+    for (const m of field.matchAll(/\((.*?)\)|（(.*?)）/g)) {
+      candidates.push(m[1] || m[2]);
+    }
+    const eNum = field.match(/\bE\s?-?(\d{3,4}[a-z]?)\b/i);
+    if (eNum) candidates.push("E" + eNum[1]);
+    const cas = field.match(/\b\d{2,7}-\d{2}-\d\b/);
+    if (cas) candidates.push(cas[0]);
+  }
+  for (const c of candidates) {
+    const s = substanceIndex.get(normalizeSubstanceKey(c));
+    if (s) return toCatalogMatch(s, c.trim());
+  }
+  return null;
+}
+
+// Attach catalog matches to extracted ingredients (sub-ingredients
+// included) and classify those without a functional class
+function attachIngredientCatalogMatches(extracted) {
+  for (const { ing } of flattenIngredients(extracted?.ingredients)) {
+    ing.catalogMatch = resolveSubstance(ing);
+    if (!ing.functionalClass) ing.functionalClass = classifyIngredient(ing);
+  }
+  return extracted;
+}
+
+// Attach catalog matches to ingredientRisk items of a report
+function attachCatalogMatches(report) {
+  const items = report?.ingredientRisk?.items;
+  if (!Array.isArray(items)) return report;
+  for (const it of items) {
+    const match = resolveSubstance(it);
+    if (match) it.catalogMatch = match;
+  }
+  return report;
+}
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+// Apply a CSV of substance rows to the catalog. Columns:
+// id,name,nameCn,synonyms,synonymsCn,eNumber,cas,status,citation,note
+// (list columns are "|"-separated). Rows are upserted by id (derived from
+// name when blank) and every successful import bumps the catalog version.
+async function importSubstanceCSV(csvText, userId) {
+  const rows = parseCSV(csvText.replace(/^\uFEFF/, ""));
+  if (rows.length < 2) return { errors: [{ line: 1, error: "CSV has no data rows" }] };
+
+  const header = rows[0].map((h) => h.trim());
+  for (const col of ["name", "status", "citation"]) {
+    if (!header.includes(col))
+      return { errors: [{ line: 1, error: `Missing required column "${col}"` }] };
+  }
+
+  const errors = [];
+  const entries = [];
+  rows.slice(1).forEach((cols, i) => {
+    const line = i + 2;
+    const r = {};
+    header.forEach((h, j) => (r[h] = (cols[j] || "").trim()));
+    if (!r.name) return errors.push({ line, error: "name is required" });
+    if (!SUBSTANCE_STATUSES[r.status])
+      return errors.push({ line, error: `Unknown status "${r.status}"` });
+    if (!r.citation) return errors.push({ line, error: "citation is required" });
+    const list = (v) => (v ? v.split("|").map((x) => x.trim()).filter(Boolean) : []);
+    entries.push({
+      id:
+        r.id ||
+        r.name
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-|-$/g, ""),
+      name: r.name,
+      nameCn: r.nameCn || "",
+      synonyms: list(r.synonyms),
+      synonymsCn: list(r.synonymsCn),
+      eNumber: r.eNumber || "",
+      cas: r.cas || "",
+      status: r.status,
+      citation: r.citation,
+      note: r.note || "",
+    });
+  });
+  if (errors.length) return { errors };
+
+  if (process.env.DATABASE_URL) await loadStoredSubstanceImports();
+  const imported = [...substanceImports.substances];
+  let added = 0;
+  let updated = 0;
+  for (const e of entries) {
+    const current = substanceCatalog.substances.find((s) => s.id === e.id);
+    let entry = e;
+    if (!current) added++;
+    else {
+      // Empty CSV cells keep the existing values
+      const filled = Object.entries(e).filter(([, v]) =>
+        Array.isArray(v) ? v.length : v !== "",
+      );
+      entry = { ...current, ...Object.fromEntries(filled) };
+      updated++;
+    }
+    const idx = imported.findIndex((s) => s.id === e.id);
+    if (idx === -1) imported.push(entry);
+    else imported[idx] = entry;
+  }
+  const nextImports = {
+    imports: (substanceImports.imports || 0) + 1,
+    updatedAt: new Date().toISOString().split("T")[0],
+    substances: imported,
+  };
+  await saveSubstanceImports(nextImports, userId);
+  setSubstanceImports(nextImports);
+  return {
+    added,
+    updated,
+    version: substanceCatalog.version,
+    total: substanceCatalog.substances.length,
+  };
+}
+
+// --- Ingredient Statements ---
+// parseIngredientStatement() reads a label's ingredient statement (English or
+// Chinese) into the ingredient tree that the review form edits and the rules
+// walk: [{ name, nameCn, amount, unit, functionalClass, subIngredients,
+// minor }] in predominance order. Brackets hold sub-ingredients, a
+// percentage or a functional class; a class may also lead ("Preservative:
+// E211", "防腐剂（苯甲酸钠）"). Ingredients after "contains 2% or less of"
+// are `minor`: exempt from predominance order under 21 CFR 101.4(a)(2).
+const INGREDIENT_CLASSES = {
+  preservative: {
+    en: "Preservative",
+    cn: "防腐剂",
+    terms: ["preservatives", "to preserve freshness", "as a preservative"],
+  },
+  antioxidant: { en: "Antioxidant", cn: "抗氧化剂", terms: ["antioxidants"] },
+  color: {
+    en: "Color",
+    cn: "着色剂",
+    terms: [
+      "colors",
+      "colour",
+      "colours",
+      "coloring",
+      "colouring",
+      "color added",
+      "色素",
+    ],
+  },
+  sweetener: {
+    en: "Sweetener",
+    cn: "甜味剂",
+    terms: ["sweeteners", "artificial sweetener"],
+  },
+  emulsifier: { en: "Emulsifier", cn: "乳化剂", terms: ["emulsifiers"] },
+  thickener: {
+    en: "Thickener / stabilizer",
+    cn: "增稠剂 / 稳定剂",
+    terms: [
+      "thickener",
+      "thickeners",
+      "stabilizer",
+      "stabilizers",
+      "stabiliser",
+      "gelling agent",
+      "增稠剂",
+      "稳定剂",
+      "稳定剂和凝固剂",
+    ],
+  },
+  acidity_regulator: {
+    en: "Acidity regulator",
+    cn: "酸度调节剂",
+    terms: ["acidity regulators", "acidulant", "acid", "acids", "酸味剂"],
+  },
+  flavor_enhancer: {
+    en: "Flavor enhancer",
+    cn: "增味剂",
+    terms: ["flavour enhancer"],
+  },
+  leavening: {
+    en: "Leavening agent",
+    cn: "膨松剂",
+    terms: ["leavening", "raising agent", "raising agents"],
+  },
+  flavoring: {
+    en: "Flavoring",
+    cn: "香精香料",
+    terms: [
+      "flavouring",
+      "flavorings",
+      "食用香精",
+      "食品用香精",
+      "香精",
+      "香料",
+    ],
+  },
+};
+
+// E-number (INS) ranges by function
+const E_NUMBER_CLASSES = [
+  [100, 199, "color"],
+  [200, 289, "preservative"],
+  [300, 321, "antioxidant"],
+  [322, 322, "emulsifier"],
+  [325, 385, "acidity_regulator"],
+  [400, 429, "thickener"],
+  [430, 499, "emulsifier"],
+  [500, 504, "leavening"],
+  [620, 650, "flavor_enhancer"],
+  [950, 969, "sweetener"],
+];
+
+const classTermIndex = new Map();
+for (const [key, c] of Object.entries(INGREDIENT_CLASSES))
+  for (const term of [key, c.en, c.cn, ...c.terms])
+    classTermIndex.set(term.toLowerCase(), key);
+
+// A class key for a class name ("Preservative", "防腐剂"), or ""
+function functionalClassOf(text) {
+  const key = String(text || "")
+    .toLowerCase()
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return classTermIndex.get(key) || "";
+}
+
+function classFromENumber(e) {
+  const n = parseInt(e, 10);
+  const range = E_NUMBER_CLASSES.find(([lo, hi]) => n >= lo && n <= hi);
+  return range ? range[2] : "";
+}
+
+// Functional class of an ingredient that does not state one: colors by
+// catalog status, otherwise the catalog entry's or the label's E-number.
+// Catalog entries in the color range that are not color additives (E170,
+// calcium carbonate) are used as nutrients and stay unclassified.
+function classifyIngredient(ing) {
+  const match = ing.catalogMatch || resolveSubstance(ing);
+  if (match) {
+    if (match.status.startsWith("color_")) return "color";
+    const cls = classFromENumber(match.eNumber.replace(/^E/i, ""));
+    return cls === "color" ? "" : cls;
+  }
+  const text = `${ing.name || ""} ${ing.nameCn || ""}`;
+  const e = text.match(/\b(?:E|INS)\s?-?(\d{3,4})[a-z]?\b/i);
+  if (e) return classFromENumber(e[1]);
+  return /\b(?:FD&C\s+)?(?:red|yellow|blue|green)\s+(?:no\.?\s*)?\d+\b/i.test(
+    text,
+  )
+    ? "color"
+    : "";
+}
+
+const CJK_RE = /[㐀-鿿]/;
+const INGREDIENT_HEADER_RE =
+  /^\s*(?:ingredients?|配料表?|原料|成分)\s*[:：]\s*/i;
+// Allergen and advisory statements that often follow the list
+const INGREDIENT_TRAILER_RE =
+  /(?:^|[.。;；\n]\s*)(?:contains\b(?!\s+(?:\d|less|under))|allerg(?:en|y)[^:：.。]{0,20}[:：]|may contain|produced (?:in|on) |manufactured (?:in|on) |致敏物质|过敏原|可能含有)/i;
+// "Contains 2% or less of:", "less than 2% of each of the following:"
+const MINOR_INGREDIENTS_RE =
+  /^(?:and\s+)?(?:contains\s+)?(?:(?:less than|under)\s+\d+(?:\.\d+)?\s*%|\d+(?:\.\d+)?\s*%\s+or\s+less)\s+of\s*(?:(?:each\s+of\s+)?the\s+following\s*)?[:：]?\s*/i;
+const PERCENT_ONLY_RE = /^([<>≤≥]=?)?\s*(\d+(?:[.,]\d+)?)\s*%$/;
+const OPEN_BRACKETS = "([{（【";
+const CLOSE_BRACKETS = ")]}）】";
+
+// Splits on commas, enumeration commas and semicolons outside brackets, and
+// on sentence periods ("Water, sugar. Contains 2% or less of: …")
+function splitIngredientList(text) {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (OPEN_BRACKETS.includes(ch)) depth++;
+    else if (CLOSE_BRACKETS.includes(ch)) depth = Math.max(0, depth - 1);
+    else if (depth > 0) continue;
+    else if (
+      ",，、;；".includes(ch) ||
+      ch === "。" ||
+      (ch === "." &&
+        /\s/.test(text[i + 1] || " ") &&
+        !/\b(?:no|nos|st|vit)$/i.test(text.slice(start, i)))
+    ) {
+      items.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  items.push(text.slice(start));
+  return items.map((s) => s.trim()).filter(Boolean);
+}
+
+function closingBracket(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (OPEN_BRACKETS.includes(text[i])) depth++;
+    else if (CLOSE_BRACKETS.includes(text[i]) && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function parseIngredientList(text, warnings) {
+  const nodes = [];
+  let minor = false;
+  for (let item of splitIngredientList(text)) {
+    const marker = item.match(MINOR_INGREDIENTS_RE);
+    if (marker) {
+      minor = true;
+      item = item.slice(marker[0].length);
+      if (!item) continue;
+    }
+    const node = parseIngredientItem(item, warnings);
+    if (!node) continue;
+    if (minor) node.minor = true;
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+function parseIngredientItem(item, warnings) {
+  let text = item
+    .replace(/^(?:and\s+|&\s*)/i, "")
+    .replace(/[.。:：]+$/, "")
+    .trim();
+  let functionalClass = "";
+  let amount = "";
+  let subIngredients = null;
+
+  const lead = text.match(/^([^:：()（）[\]【】]+)[:：]\s*(.+)$/);
+  if (lead && functionalClassOf(lead[1])) {
+    functionalClass = functionalClassOf(lead[1]);
+    text = lead[2];
+  }
+  // "Sugar 45%", "45% sugar"; bracketed ("牛奶（≥80%）") below
+  const takePercent = () => {
+    const pct =
+      text.match(/\s*([<>≤≥]=?)?\s*(\d+(?:[.,]\d+)?)\s*%$/) ||
+      text.match(/^([<>≤≥]=?)?\s*(\d+(?:[.,]\d+)?)\s*%\s+/);
+    if (!pct || amount || pct[0].trim() === text) return;
+    amount = (pct[1] || "") + pct[2].replace(",", ".");
+    text = (
+      pct.index === 0 ? text.slice(pct[0].length) : text.slice(0, pct.index)
+    ).trim();
+  };
+  takePercent();
+  const open = [...text].findIndex((ch) => OPEN_BRACKETS.includes(ch));
+  if (open !== -1) {
+    const close = closingBracket(text, open);
+    if (close === -1)
+      warnings.push({ code: "unbalanced", ingredient: text.slice(0, open) });
+    const inner = text.slice(open + 1, close === -1 ? undefined : close).trim();
+    const before = text.slice(0, open).trim();
+    text = [before, close === -1 ? "" : text.slice(close + 1).trim()]
+      .filter(Boolean)
+      .join(" ");
+    const innerPct = inner.match(PERCENT_ONLY_RE);
+    if (innerPct) {
+      amount = amount || (innerPct[1] || "") + innerPct[2].replace(",", ".");
+    } else if (functionalClassOf(inner)) {
+      functionalClass = functionalClass || functionalClassOf(inner);
+    } else if (
+      (/^(?:E|INS)\s?-?\d{3,4}[a-z]?$/i.test(inner) &&
+        !functionalClassOf(before)) ||
+      /^(?:processed|made|derived|from|with|to|for|as)\b/i.test(inner)
+    ) {
+      // "Sodium Benzoate (E211)", "Cocoa (processed with alkali)": kept in
+      // the name (E-numbers are looked up in the catalog)
+      text = `${text} (${inner})`;
+    } else if (inner) {
+      subIngredients = parseIngredientList(inner, warnings);
+    }
+    takePercent();
+  }
+
+  // A class heading its members: "Preservative (E211)", "色素（胭脂红、柠檬黄）"
+  const groupClass = functionalClassOf(text);
+  if (groupClass && subIngredients?.length) {
+    for (const sub of subIngredients)
+      sub.functionalClass = sub.functionalClass || groupClass;
+    if (subIngredients.length === 1)
+      return {
+        ...subIngredients[0],
+        amount: subIngredients[0].amount || amount,
+      };
+  }
+  if (!text) return null;
+
+  const node = { name: text, nameCn: "", amount, unit: amount ? "%" : "" };
+  if (CJK_RE.test(text)) {
+    node.nameCn = text;
+    node.name = resolveSubstance(node)?.name || text;
+  }
+  node.functionalClass =
+    functionalClass || groupClass || classifyIngredient(node);
+  if (subIngredients?.length) node.subIngredients = subIngredients;
+  return node;
+}
+
+// { ingredients, warnings }. Warnings: { code: "order" | "total" |
+// "unbalanced", ingredient, percent }
+function parseIngredientStatement(text) {
+  let body = String(text || "").replace(INGREDIENT_HEADER_RE, "");
+  const trailer = body.search(INGREDIENT_TRAILER_RE);
+  if (trailer > 0) body = body.slice(0, trailer);
+  body = body.replace(/\s+/g, " ");
+  const warnings = [];
+  const ingredients = parseIngredientList(body, warnings);
+
+  // Declared percentages must not increase down the list (minor excepted)
+  let previous = null;
+  let total = 0;
+  for (const ing of ingredients) {
+    const percent = parseFloat(ing.amount.replace(/^[<>≤≥]=?/, ""));
+    if (ing.unit !== "%" || isNaN(percent)) continue;
+    total += percent;
+    if (!ing.minor && previous && percent > previous.percent)
+      warnings.push({
+        code: "order",
+        ingredient: ing.name,
+        percent,
+        after: previous.name,
+      });
+    if (!ing.minor) previous = { name: ing.name, percent };
+  }
+  if (total > 100.5)
+    warnings.push({ code: "total", ingredient: "", percent: total });
+  return { ingredients, warnings };
+}
+
+// Inverse of the parser for label drafts: "Chocolate (Sugar, Cocoa Butter),
+// Salt, Contains 2% or less of: …"
+function formatIngredientStatement(list) {
+  const out = [];
+  let minor = false;
+  for (const ing of list || []) {
+    const name = ing.name || ing.nameCn;
+    if (!name) continue;
+    const subs = formatIngredientStatement(ing.subIngredients);
+    let text = subs ? `${name} (${subs})` : name;
+    if (ing.minor && !minor) {
+      minor = true;
+      text = `Contains 2% or less of: ${text}`;
+    }
+    out.push(text);
+  }
+  return out.join(", ");
+}
+
+// Every node of an ingredient tree, depth first, with a label naming its
+// parents ("Chocolate › Soy Lecithin") for findings
+function flattenIngredients(list, parents = []) {
+  const out = [];
+  for (const ing of list || []) {
+    if (!ing || typeof ing !== "object") continue;
+    const name = ing.name || ing.nameCn || "";
+    out.push({ ing, label: [...parents, name].join(" › ") });
+    if (Array.isArray(ing.subIngredients))
+      out.push(...flattenIngredients(ing.subIngredients, [...parents, name]));
+  }
+  return out;
+}
+
+// Demo extraction data for when no API key is configured
+function getDemoExtractedData(lang) {
+  const cn = lang === "cn";
+  return {
+    productName: cn ? "超级能量饮品" : "Super Energy Drink",
+    productNameCn: "超级能量饮品",
+    productType: cn ? "饮料" : "beverage",
+    ingredientStatement:
+      "INGREDIENTS: CARBONATED WATER, HIGH FRUCTOSE CORN SYRUP, CITRIC ACID, SODIUM BENZOATE 0.1% (PRESERVATIVE), RED NO. 40, CAFFEINE, TAURINE, STEVIOL GLYCOSIDES.",
+    ingredients: [
+      { name: "Carbonated Water", nameCn: "碳酸水", amount: "", unit: "" },
+      {
+        name: "High Fructose Corn Syrup",
+        nameCn: "高果糖玉米糖浆",
+        amount: "",
+        unit: "",
+      },
+      { name: "Citric Acid", nameCn: "柠檬酸", amount: "", unit: "" },
+      { name: "Sodium Benzoate", nameCn: "苯甲酸钠", amount: "0.1", unit: "%" },
+      { name: "Red No. 40", nameCn: "诱惑红40号", amount: "", unit: "" },
+      { name: "Caffeine", nameCn: "咖啡因", amount: "80", unit: "mg" },
+      { name: "Taurine", nameCn: "牛磺酸", amount: "1000", unit: "mg" },
+      { name: "Steviol Glycosides", nameCn: "甜菊糖苷", amount: "", unit: "" },
+    ],
+    nutritionFacts: [
+      { nutrient: "Calories", amount: "110", dailyValue: "" },
+      { nutrient: "Total Fat", amount: "0g", dailyValue: "0%" },
+      { nutrient: "Sodium", amount: "40mg", dailyValue: "2%" },
+      { nutrient: "Total Carbohydrate", amount: "28g", dailyValue: "10%" },
+      { nutrient: "Total Sugars", amount: "27g", dailyValue: "" },
+      { nutrient: "Protein", amount: "0g", dailyValue: "" },
+    ],
+    allergens: [],
+    containsStatement: "",
+    precautionaryStatement: "",
+    netWeight: "250ml",
+    servingSize: "1 can (250ml)",
+    servingsPerContainer: "1",
+    countryOfOrigin: "China",
+    manufacturerInfo: "XYZ Beverage Co., Guangzhou, China",
+    labelClaims: [
+      { claim: "All Natural Energy", claimCn: "纯天然能量" },
+      { claim: "Boosts Performance", claimCn: "提升表现" },
+      { claim: "Low Sugar", claimCn: "低糖" },
+    ],
+    fdaStatus: {
+      facilityRegStatus: "unknown",
+      usAgentStatus: "unknown",
+      fsvpStatus: "tbd",
+      importerStructure: "not_determined",
+      facilityIdNumber: "",
+    },
+    otherInfo: "",
+    fieldSources: [
+      { field: "productName", confidence: 0.96 },
+      { field: "ingredients[3].amount", confidence: 0.55 },
+      { field: "ingredients[4].name", confidence: 0.88 },
+      { field: "nutritionFacts[2].amount", confidence: 0.9 },
+      { field: "nutritionFacts[3].dailyValue", confidence: 0.48 },
+      { field: "netWeight", confidence: 0.45 },
+      { field: "servingSize", confidence: 0.92 },
+      { field: "countryOfOrigin", confidence: 0.5 },
+      { field: "manufacturerInfo", confidence: 0.82 },
+      { field: "labelClaims[1].claim", confidence: 0.58 },
+    ],
+  };
+}
+
+// --- Allergen Engine ---
+// data/allergens.json lists the nine major food allergens of FD&C Act Sec.
+// 201(qq), sesame added by the FASTER Act, with English and Chinese terms for
+// them and their derivatives ("whey", "酪蛋白", "tahini"). `declare` holds
+// the names that identify the food source on a label (for fish, crustacean
+// shellfish and tree nuts, the species), `generic` the group names that do
+// not ("tree nuts", "fish"), and `exclude` look-alikes removed before
+// matching ("cocoa butter", "buckwheat", "乳化剂").
+const ALLERGEN_CATALOG = JSON.parse(
+  fs.readFileSync(path.join(dataDir, "allergens.json"), "utf8"),
+).allergens;
+
+// Latin terms match whole words (plurals included), Chinese terms anywhere
+function allergenTermRegExp(terms, flags = "i") {
+  const sorted = [...terms].sort((a, b) => b.length - a.length);
+  const escape = (t) =>
+    t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "[\\s-]+");
+  const latin = sorted.filter((t) => !CJK_RE.test(t)).map(escape);
+  const cjk = sorted.filter((t) => CJK_RE.test(t)).map(escape);
+  const parts = [];
+  if (latin.length) parts.push(`\\b(?:${latin.join("|")})(?:e?s)?\\b`);
+  if (cjk.length) parts.push(cjk.join("|"));
+  return parts.length ? new RegExp(parts.join("|"), flags) : null;
+}
+
+// Single-character Chinese names (乳, 蛋) are too ambiguous to find inside
+// an ingredient name; they only count as a whole "Contains" entry
+const ALLERGENS = ALLERGEN_CATALOG.map((a) => {
+  const declare = a.declare.filter((t) => t.length > 1);
+  return {
+    ...a,
+    termRe: allergenTermRegExp([
+      ...a.terms,
+      ...a.termsCn,
+      ...a.generic,
+      ...declare,
+    ]),
+    declareRe: allergenTermRegExp(declare),
+    genericRe: allergenTermRegExp(a.generic),
+    excludeRe: allergenTermRegExp(a.exclude, "gi"),
+  };
+});
+
+function allergenText(a, text) {
+  const t = String(text || "").toLowerCase();
+  return a.excludeRe ? t.replace(a.excludeRe, " ") : t;
+}
+
+// Major food allergens named anywhere in text
+function matchAllergens(text) {
+  return ALLERGENS.filter((a) => a.termRe.test(allergenText(a, text)));
+}
+
+const PRECAUTIONARY_RE =
+  /may contain|may be present|traces? of|(?:produced|processed|manufactured|made|packed|packaged) (?:in|on) (?:a )?(?:shared |the same )?(?:facility|plant|equipment|line)|same (?:facility|plant|equipment|production line)|shared (?:facility|equipment)|可能含有|可能含|同一(?:生产线|车间|工厂|设备)|共用(?:生产线|设备)|(?:生产线|车间|工厂|设备)(?:同时|亦|也|还)(?:加工|生产)/i;
+const CONTAINS_PREFIX_RE =
+  /^\s*(?:contains|allerg(?:en|y)[^:：]{0,20}|含有|致敏物质|过敏原(?:信息)?)\s*[:：]?\s*/i;
+const NO_ALLERGEN_RE = /^(?:none|n\/a|no|无|没有)$/i;
+
+function allergenSentences(text) {
+  return String(text || "")
+    .split(/[.。;；\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "May contain" / shared-facility wording from the allergen list, the
+// statements as printed and other label text: [{ text, keys }]
+function precautionaryStatements(d) {
+  const seen = new Map();
+  const sources = [
+    ...(d.allergens || []),
+    d.precautionaryStatement,
+    d.containsStatement,
+    d.ingredientStatement,
+    d.otherInfo,
+  ];
+  for (const s of sources.flatMap(allergenSentences)) {
+    if (!PRECAUTIONARY_RE.test(s) || seen.has(s.toLowerCase())) continue;
+    seen.set(s.toLowerCase(), {
+      text: s,
+      keys: matchAllergens(s).map((a) => a.key),
+    });
+  }
+  return [...seen.values()];
+}
+
+// Entries of the "Contains" statement: the allergen list plus the statement
+// as printed, split into names, each with the allergen it declares and its
+// form: "source" (milk, almond), "generic" (a group name where the species
+// is required), "derivative" (whey) or "unknown" (not a major allergen)
+function containsEntries(d) {
+  const texts = (d.allergens || []).filter((a) => !PRECAUTIONARY_RE.test(a));
+  for (const s of allergenSentences(d.containsStatement))
+    if (!PRECAUTIONARY_RE.test(s))
+      texts.push(
+        ...s.replace(CONTAINS_PREFIX_RE, "").split(/[,，、]|\band\b|&|和|及/i),
+      );
+  const seen = new Map();
+  for (const raw of texts) {
+    const text = String(raw)
+      .replace(CONTAINS_PREFIX_RE, "")
+      .replace(/[()（）[\]【】]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    const key = text.toLowerCase();
+    if (!text || NO_ALLERGEN_RE.test(key) || seen.has(key)) continue;
+    const exact = ALLERGENS.find((a) =>
+      [...a.declare, ...a.generic].some((n) => n.toLowerCase() === key),
+    );
+    const a = exact || matchAllergens(text)[0];
+    const clean = a ? allergenText(a, text) : "";
+    const form = !a
+      ? "unknown"
+      : a.declare.some((n) => n.toLowerCase() === key) ||
+          a.declareRe?.test(clean)
+        ? "source"
+        : a.genericRe?.test(clean)
+          ? "generic"
+          : "derivative";
+    seen.set(key, { text, key: a ? a.key : null, form });
+  }
+  return [...seen.values()];
+}
+
+// Allergen analysis of confirmed data. An allergen is `identified` when the
+// ingredient list names its food source, in the ingredient's own name
+// ("wheat flour") or elsewhere in the list ("whey (milk)"), and `declared`
+// when the "Contains" statement names it (FD&C Act Sec. 403(w)(1)).
+function analyzeAllergens(d) {
+  const nodes = flattenIngredients(d.ingredients);
+  const texts = nodes.map(({ ing }) => ingredientText(ing));
+  const entries = containsEntries(d);
+  const detected = [];
+  for (const a of ALLERGENS) {
+    const hits = nodes.filter((_, i) =>
+      a.termRe.test(allergenText(a, texts[i])),
+    );
+    if (!hits.length) continue;
+    detected.push({
+      key: a.key,
+      allergen: a.name,
+      allergenCn: a.nameCn,
+      law: a.law,
+      ingredients: hits.map((h) => h.label),
+      identified:
+        !!a.declareRe &&
+        texts.some((t) => a.declareRe.test(allergenText(a, t))),
+      declared: entries.some((e) => e.key === a.key),
+      // Species named in the ingredients, for the allergens that need one
+      species: a.generic.length
+        ? a.declare.filter(
+            (n) =>
+              !CJK_RE.test(n) &&
+              texts.some((t) =>
+                allergenTermRegExp([n]).test(allergenText(a, t)),
+              ),
+          )
+        : [],
+    });
+  }
+  return {
+    detected,
+    entries,
+    statement: entries.length > 0,
+    precautionary: precautionaryStatements(d),
+  };
+}
+
+// Major allergens in the ingredients that the label does not declare: with a
+// "Contains" statement (or where the market requires one) it must name them
+// all, otherwise the ingredient list must identify their source
+function undeclaredAllergens(d, statementRequired = false) {
+  const { detected, statement } = analyzeAllergens(d);
+  return detected
+    .filter(
+      (x) => !x.declared && (statement || statementRequired || !x.identified),
+    )
+    .map((x) => ({
+      key: x.key,
+      allergen: x.allergen,
+      allergenCn: x.allergenCn,
+      law: x.law,
+      ingredient: x.ingredients[0],
+    }));
+}
+
+function allergenRegulation(found) {
+  return `FD&C Act Sec. 403(w)(1); FD&C Act Sec. 201(qq)${found.some((x) => x.law === "FASTER Act") ? "; FASTER Act" : ""}`;
+}
+
+// FALCPA / FASTER Act checks: undeclared allergens, the form of the
+// "Contains" statement and precautionary ("may contain") wording
+function checkMajorAllergens(d, cn) {
+  const { detected, entries, statement, precautionary } = analyzeAllergens(d);
+  const sep = cn ? "、" : ", ";
+  const names = (xs) =>
+    xs.map((x) => (cn ? x.allergenCn : x.allergen)).join(sep);
+  const sources = (xs) =>
+    xs
+      .map(
+        (x) => `${cn ? x.allergenCn : x.allergen} (${x.ingredients.join(sep)})`,
+      )
+      .join(cn ? "；" : "; ");
+  const items = [];
+
+  if (detected.length) {
+    const missing = detected.filter(
+      (x) => !x.declared && (statement || !x.identified),
+    );
+    items.push({
+      name: "Major Food Allergen Declaration",
+      nameCn: "主要食品过敏原声明",
+      status: missing.length ? "fail" : "pass",
+      note: !missing.length
+        ? cn
+          ? `成分中的主要过敏原均已声明：${names(detected)}。`
+          : `All major food allergens in the ingredients are declared: ${names(detected)}.`
+        : statement
+          ? cn
+            ? `“Contains”声明遗漏了成分中的主要过敏原：${sources(missing)}。使用“Contains”声明时，须列出食品所含的全部主要过敏原。`
+            : `The "Contains" statement omits major food allergens found in the ingredients: ${sources(missing)}. When a "Contains" statement is used it must name every major food allergen in the food.`
+          : cn
+            ? `以下主要过敏原的来源未在配料表中标明，且标签无“Contains”声明：${sources(missing)}。须在配料名后用括号注明来源（如“whey (milk)”），或添加“Contains”声明。`
+            : `These major food allergens are not identified by their food source in the ingredient list and there is no "Contains" statement: ${sources(missing)}. Name the source after the ingredient (e.g. "whey (milk)") or add a "Contains" statement.`,
+      regulation: allergenRegulation(missing.length ? missing : detected),
+    });
+  }
+
+  if (statement) {
+    const problems = [];
+    const printed = String(d.containsStatement || "").trim();
+    if (printed && !/^contains\b/i.test(printed))
+      problems.push(
+        cn
+          ? `声明须以“Contains”一词开头（现为“${printed}”）。`
+          : `The statement must begin with the word "Contains" (printed: "${printed}").`,
+      );
+    for (const e of entries) {
+      const a = ALLERGENS.find((x) => x.key === e.key);
+      if (e.form === "derivative" && !a.generic.length)
+        problems.push(
+          cn
+            ? `“${e.text}”是配料名而非食物来源，应声明为“${a.name}”。`
+            : `"${e.text}" names an ingredient rather than its food source; declare "${a.name}".`,
+        );
+      else if (e.form === "derivative" || e.form === "generic")
+        problems.push(
+          cn
+            ? `“${e.text}”须写明具体品种（如 ${a.declare.slice(0, 3).join("、")}）。`
+            : `"${e.text}" must name the specific ${a.generic[0]} (e.g. ${a.declare.slice(0, 3).join(", ")}).`,
+        );
+      else if (e.form === "unknown")
+        problems.push(
+          cn
+            ? `“${e.text}”不属于 FD&C Act Sec. 201(qq) 规定的九种主要食品过敏原。`
+            : `"${e.text}" is not one of the nine major food allergens under FD&C Act Sec. 201(qq).`,
+        );
+      else if (!detected.some((x) => x.key === e.key))
+        problems.push(
+          cn
+            ? `已声明“${e.text}”，但配料中未找到含该过敏原的成分，请核对配料表是否完整。`
+            : `"${e.text}" is declared but no ingredient contains it; check that the ingredient list is complete.`,
+        );
+    }
+    items.push({
+      name: 'Allergen "Contains" Statement Format',
+      nameCn: "过敏原“Contains”声明格式",
+      status: problems.length ? "warn" : "pass",
+      note: problems.length
+        ? problems.join(" ")
+        : cn
+          ? `“Contains”声明以食物来源名称标示各过敏原：${entries.map((e) => e.text).join("、")}。`
+          : `The "Contains" statement names each allergen by its food source: ${entries.map((e) => e.text).join(", ")}.`,
+      regulation: "FD&C Act Sec. 403(w)(1)",
+    });
+  }
+
+  if (precautionary.length) {
+    const quoted = precautionary
+      .map((p) => (cn ? `“${p.text}”` : `"${p.text}"`))
+      .join(sep);
+    const conflicts = detected.filter((x) =>
+      precautionary.some((p) => p.keys.includes(x.key)),
+    );
+    const undeclared = conflicts.filter((x) => !x.declared);
+    items.push({
+      name: "Precautionary Allergen Statement",
+      nameCn: "预防性过敏原声明",
+      status: undeclared.length ? "fail" : "warn",
+      note: conflicts.length
+        ? cn
+          ? `${quoted} 将 ${sources(conflicts)} 标为可能交叉接触，但它们是配料成分。作为配料的过敏原须予以声明，不能以“可能含有”代替${undeclared.length ? "" : "，两者并列易误导消费者"}。`
+          : `${quoted} presents ${sources(conflicts)} as possible cross-contact, but ${conflicts.length > 1 ? "they are ingredients" : "it is an ingredient"}. An allergen used as an ingredient must be declared, not qualified with "may contain"${undeclared.length ? "" : "; stating both is misleading"}.`
+        : cn
+          ? `标签含预防性声明：${quoted}。此类声明为自愿标示，须真实且不误导，不能替代过敏原交叉接触的预防控制措施。`
+          : `Precautionary statement on the label: ${quoted}. Such statements are voluntary, must be truthful and not misleading, and do not replace preventive controls for allergen cross-contact.`,
+      regulation: "FD&C Act Sec. 403(a)(1); 21 CFR 117.135(c)(2)",
+    });
+  }
+
+  return items.length ? items : null;
+}
+
+// --- Citation Index ---
+// data/citations.json lists regulatory sections and instruments with titles,
+// summaries and effective dates. Each item's free-text `regulation` is split
+// into citations, normalized to the index's code format and looked up:
+// verified, unknown (well-formed but not indexed; linked to its part or act
+// when that is), malformed, or other_market (indexed under another market's
+// jurisdiction). Matched entries become the report's numbered glossary.
+const citationCatalog = JSON.parse(
+  fs.readFileSync(path.join(dataDir, "citations.json"), "utf8"),
+);
+
+function citationKey(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const citationIndex = new Map();
+for (const c of citationCatalog.citations)
+  for (const key of [c.code, ...(c.aliases || [])])
+    citationIndex.set(citationKey(key), c);
+
+const CITATION_STATUSES = ["verified", "unknown", "malformed", "other_market"];
+const CITATION_SEPARATOR = String.raw`(?:,|&|\band\b|–|—|-|\bthrough\b|\bto\b)`;
+const CITATION_PARAGRAPHS = String.raw`((?:\([0-9a-z]+\))*)`;
+
+// An instrument pattern, and the pattern for one section reference that may
+// follow it (repeated with separators: "Art. 8 & Art. 9(1)(h)", "101.72–101.83").
+// `leading` matches a section written before the instrument instead
+// ("Section 403(r)(6) of the FD&C Act", "Article 10 of Regulation (EC) ...").
+const CITATION_ARTICLE =
+  String.raw`Art(?:icle|\.)?\s*(\d+[a-z]?)` + CITATION_PARAGRAPHS;
+const CITATION_FORMATS = [
+  {
+    instrument: /\b(\d+)\s*C\.?F\.?R\.?/i,
+    section:
+      String.raw`(?:§+\s*)?(?:Part\s+)?(\d+)(?:\.(\d+))?(?!\d|\s*C\.?F\.?R)` +
+      CITATION_PARAGRAPHS,
+    code: (i, s) =>
+      s[2]
+        ? {
+            code: `${i[1]} CFR ${s[1]}.${s[2]}`,
+            parent: `${i[1]} CFR Part ${s[1]}`,
+          }
+        : { code: `${i[1]} CFR Part ${s[1]}` },
+  },
+  {
+    // FD&C Act sections are codified in 21 U.S.C. 321-399i
+    instrument: /\b(\d+)\s*U\.?\s?S\.?\s?C\.?(?![a-z])/i,
+    section: String.raw`(?:§+\s*)?(\d+[a-z]*(?:-\d+)?)` + CITATION_PARAGRAPHS,
+    code: (i, s) => ({
+      code: `${i[1]} U.S.C. ${s[1]}`,
+      parent: i[1] === "21" && /^3\d\d/.test(s[1]) ? "FD&C Act" : undefined,
+    }),
+  },
+  {
+    instrument: /\b(\d+)\s*FR\s*(\d+)/,
+    code: (i) => ({ code: `${i[1]} FR ${i[2]}`, parent: "Federal Register" }),
+  },
+  {
+    instrument: /Regulation\s*\((EU|EC)\)\s*(?:No\.?\s*)?(\d+\/\d+)/i,
+    // Numbered year-first ("2015/2283") since 2015, number/year before that
+    name: (i) =>
+      parseInt(i[2], 10) >= 2015
+        ? `Regulation (${i[1].toUpperCase()}) ${i[2]}`
+        : `Regulation (${i[1].toUpperCase()}) No ${i[2]}`,
+    section:
+      String.raw`(?:Art(?:icle|\.)?\s*)?(\d+[a-z]?)` + CITATION_PARAGRAPHS,
+    leading: CITATION_ARTICLE,
+    code: (name, s) => ({ code: `${name} Art. ${s[1]}`, parent: name }),
+  },
+  {
+    instrument: /Directive\s*(\d{4}\/\d+\/E[CU])/i,
+    name: (i) => `Directive ${i[1].toUpperCase()}`,
+    section:
+      String.raw`(?:Art(?:icle|\.)?\s*)?(\d+[a-z]?)` + CITATION_PARAGRAPHS,
+    leading: CITATION_ARTICLE,
+    code: (name, s) => ({ code: `${name} Art. ${s[1]}`, parent: name }),
+  },
+  {
+    instrument: /\bFDR\b|Food and Drug Regulations/i,
+    name: () => "FDR",
+    section:
+      String.raw`(?:Division\s+(\d+)|([A-D]\.\d{2}\.\d{3}(?:\.\d+)?))` +
+      CITATION_PARAGRAPHS,
+    code: (name, s) => ({
+      code: s[1] ? `FDR Division ${s[1]}` : `FDR ${s[2]}`,
+      parent: name,
+    }),
+  },
+  ...[
+    [
+      /FD&C Act|\bFDCA\b|Federal Food,? Drug,? and Cosmetic Act/i,
+      "FD&C Act",
+      "Sec",
+    ],
+    [
+      /\bFALCPA\b|Food Allergen Labeling and Consumer Protection Act/i,
+      "FALCPA",
+      "Sec",
+    ],
+    [/\bFASTER Act\b/i, "FASTER Act", "Sec"],
+    [/\bDSHEA\b|Dietary Supplement Health and Education Act/i, "DSHEA", "Sec"],
+    [/\bFSMA\b|Food Safety Modernization Act/i, "FSMA", "Sec"],
+    [/Food and Drugs Act/i, "Food and Drugs Act", "s"],
+    [/Australian Consumer Law|\bACL\b/, "Australian Consumer Law", "s"],
+    [/\bSFCR\b|Safe Food for Canadians Regulations/i, "SFCR", "Part"],
+    [
+      /\bFSANZ\b(?:\s*Code)?|Food Standards Code|(?=\bStandard\s*\d+\.\d+\.\d+)/i,
+      "FSANZ Code",
+      "Standard",
+    ],
+  ].map(([instrument, name, marker]) => {
+    const section =
+      marker === "Standard"
+        ? String.raw`(?:Standard\s*)?(\d+\.\d+\.\d+)((?:[—–-]\d+)?)`
+        : marker === "Part"
+          ? String.raw`(?:Part\s*)?(\d+)` + CITATION_PARAGRAPHS
+          : String.raw`(?:Sec(?:tion|\.)?\s*|s\.\s*|§+\s*)` +
+            (marker === "s"
+              ? String.raw`(\d+(?:\.\d+)?)`
+              : String.raw`(\d+[A-Z]?)`) +
+            CITATION_PARAGRAPHS;
+    return {
+      instrument,
+      name: () => name,
+      section,
+      leading:
+        marker === "Part"
+          ? String.raw`Part\s*(\d+)` + CITATION_PARAGRAPHS
+          : marker === "Standard"
+            ? null
+            : section,
+      code: (n, s) => ({
+        code: `${n} ${marker === "Sec" ? "Sec." : marker === "s" ? "s." : marker} ${s[1]}`,
+        parent: n,
+      }),
+    };
+  }),
+  {
+    instrument: /FDA Import Alert\s*#?\s*(\d+-\d+)/i,
+    code: (i) => ({
+      code: `FDA Import Alert ${i[1]}`,
+      parent: "FDA Import Alerts",
+    }),
+  },
+  ...[
+    [/Imported Food Control Act(?: 1992)?/i, "Imported Food Control Act 1992"],
+    [
+      /Imported Food Control Order(?: 2019)?/i,
+      "Imported Food Control Order 2019",
+    ],
+    [
+      /National Trade Measurement Regulations(?: 2009)?/i,
+      "National Trade Measurement Regulations 2009",
+    ],
+    [
+      /Country of Origin Food Labelling Information Standard(?: 2016)?/i,
+      "Country of Origin Food Labelling Information Standard 2016",
+    ],
+    [/\bCFIA\b/, "CFIA Industry Labelling Tool"],
+    [/\bGRN\s*(?:No\.?\s*)?\d+|GRAS notice/i, "GRAS Notice Inventory"],
+    [
+      /FDA letters? of enforcement discretion|qualified health claim/i,
+      "FDA Qualified Health Claims",
+    ],
+    [/FDA guidance/i, "FDA Guidance Documents"],
+  ].map(([instrument, name]) => ({
+    instrument,
+    code: (i) => ({ code: name, label: i[0] }),
+  })),
+];
+
+// Split one citation string into normalized references
+function parseCitations(text) {
+  const refs = [];
+  for (const raw of String(text || "").split(/;|\n/)) {
+    const segment = raw.trim();
+    if (!segment) continue;
+    const found = [];
+    let rest = segment;
+    // Several instruments may share one segment ("21 CFR 101.9, FALCPA Sec. 203")
+    for (;;) {
+      let format, inst;
+      for (const f of CITATION_FORMATS) {
+        const m = rest.match(f.instrument);
+        if (m && (!inst || m.index < inst.index)) [format, inst] = [f, m];
+      }
+      if (!format) break;
+      const head = rest.slice(0, inst.index);
+      rest = rest.slice(inst.index + inst[0].length);
+      if (!format.section) {
+        found.push(format.code(inst));
+        continue;
+      }
+      const name = format.name ? format.name(inst) : inst;
+      let sections = 0;
+      const before = format.leading
+        ? new RegExp(
+            format.leading + String.raw`\s+of\s+(?:the\s+)?$`,
+            "i",
+          ).exec(head)
+        : null;
+      if (before) {
+        found.push({
+          ...format.code(name, before),
+          paragraph: before[before.length - 1] || "",
+        });
+        sections++;
+      }
+      const re = new RegExp(
+        String.raw`^\s*(?:${CITATION_SEPARATOR}\s*)?` + format.section,
+        "i",
+      );
+      for (let m = re.exec(rest); m && m[0].trim(); m = re.exec(rest)) {
+        found.push({
+          ...format.code(name, m),
+          paragraph: m[m.length - 1] || "",
+        });
+        rest = rest.slice(m[0].length);
+        sections++;
+      }
+      if (!sections && format.name) found.push({ code: name });
+    }
+    if (!found.length) refs.push({ text: segment, code: null });
+    for (const ref of found) refs.push({ text: segment, ...ref });
+  }
+  return refs;
+}
+
+// Look up parsed references; `market` decides other_market
+function verifyCitations(text, market) {
+  return parseCitations(text).map((ref) => {
+    if (!ref.code)
+      return {
+        text: ref.text,
+        citation: ref.text,
+        code: null,
+        status: "malformed",
+      };
+    const entry = citationIndex.get(citationKey(ref.code));
+    const fallback = ref.parent
+      ? citationIndex.get(citationKey(ref.parent))
+      : null;
+    const matched = entry || fallback;
+    return {
+      text: ref.text,
+      citation:
+        ref.label || (entry ? entry.code : ref.code) + (ref.paragraph || ""),
+      code: matched ? matched.code : null,
+      status: !entry
+        ? "unknown"
+        : entry.jurisdiction !== market.code
+          ? "other_market"
+          : "verified",
+    };
+  });
+}
+
+// Attach `citations` to every item and a numbered glossary to the report
+function attachCitationChecks(report) {
+  if (!report || typeof report !== "object") return report;
+  const market = reportMarket(report);
+  const glossary = new Map();
+  const counts = Object.fromEntries(
+    [...CITATION_STATUSES, "missing"].map((s) => [s, 0]),
+  );
+  for (const { key } of DIFF_SECTIONS) {
+    for (const it of report[key]?.items || []) {
+      if (!it || typeof it !== "object") continue;
+      it.citations = verifyCitations(it.regulation, market);
+      if (!it.citations.length) counts.missing++;
+      for (const c of it.citations) {
+        counts[c.status]++;
+        if (!c.code) continue;
+        if (!glossary.has(c.code)) glossary.set(c.code, glossary.size + 1);
+        c.ref = glossary.get(c.code);
+      }
+    }
+  }
+  report.citationCheck = {
+    indexVersion: citationCatalog.version,
+    counts,
+    glossary: [...glossary].map(([code, ref]) => {
+      const e = citationIndex.get(citationKey(code));
+      return {
+        ref,
+        code: e.code,
+        jurisdiction: e.jurisdiction,
+        title: e.title,
+        titleCn: e.titleCn,
+        summary: e.summary,
+        effective: e.effective || null,
+        url: e.url || null,
+      };
+    }),
+  };
+  return report;
+}
+
+// --- Nutrition Facts ---
+// Nutrition Facts (21 CFR 101.9) and Supplement Facts (21 CFR 101.36)
+// helpers. data/nutrients.json lists the nutrients in declaration order with
+// their Daily Values; "core" nutrients are the macronutrient block and
+// "mandatory" the vitamins/minerals every Nutrition Facts panel declares.
+const NUTRIENTS = JSON.parse(
+  fs.readFileSync(path.join(dataDir, "nutrients.json"), "utf8"),
+).nutrients;
+const NUTRIENT_BY_KEY = new Map(NUTRIENTS.map((n) => [n.key, n]));
+// Longest aliases first so "saturated fat" wins over "fat"
+const NUTRIENT_ALIASES = NUTRIENTS.flatMap((n) =>
+  n.aliases.map((alias) => ({ alias, nutrient: n })),
+).sort((a, b) => b.alias.length - a.alias.length);
+
+const MASS_IN_MG = { g: 1000, mg: 1, mcg: 0.001 };
+const UNIT_SYNONYMS = {
+  g: "g",
+  gram: "g",
+  grams: "g",
+  克: "g",
+  mg: "mg",
+  毫克: "mg",
+  mcg: "mcg",
+  µg: "mcg",
+  μg: "mcg",
+  ug: "mcg",
+  微克: "mcg",
+  kcal: "kcal",
+  cal: "kcal",
+  calories: "kcal",
+  千卡: "kcal",
+  大卡: "kcal",
+  kj: "kj",
+  千焦: "kj",
+};
+
+function findNutrient(name) {
+  const text = String(name || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) return null;
+  const exact = NUTRIENT_ALIASES.find(({ alias }) => text === alias);
+  if (exact) return exact.nutrient;
+  const partial = NUTRIENT_ALIASES.find(({ alias }) =>
+    /^[a-z ]+$/.test(alias)
+      ? new RegExp(`\\b${alias}\\b`).test(text)
+      : text.includes(alias),
+  );
+  return partial ? partial.nutrient : null;
+}
+
+// "12.5 g" / "300mg" / "<1g" → { value, unit, lessThan }, or null
+function parseQuantity(text) {
+  const m = String(text || "")
+    .replace(/,/g, "")
+    .match(/(<|less than|少于)?\s*(\d+(?:\.\d+)?)\s*([a-zµμ\u4e00-\u9fff]*)/i);
+  if (!m) return null;
+  const unit = UNIT_SYNONYMS[m[3].toLowerCase()] || m[3].toLowerCase() || null;
+  return { value: parseFloat(m[2]), unit, lessThan: !!m[1] };
+}
+
+// Convert a parsed quantity to the nutrient's declaration unit
+function toNutrientUnit(qty, nutrient) {
+  if (!qty) return null;
+  if (!qty.unit || qty.unit === nutrient.unit) return qty.value;
+  if (nutrient.unit === "kcal" && qty.unit === "kj") return qty.value / 4.184;
+  if (MASS_IN_MG[qty.unit] && MASS_IN_MG[nutrient.unit])
+    return (qty.value * MASS_IN_MG[qty.unit]) / MASS_IN_MG[nutrient.unit];
+  return null;
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+function trimNumber(value) {
+  return String(parseFloat(value.toFixed(2)));
+}
+
+// Label rounding per 21 CFR 101.9(c); returns { value, display }, where
+// display carries "<" for the "less than" declarations
+function roundNutrient(key, value) {
+  const nutrient = NUTRIENT_BY_KEY.get(key);
+  const unit = nutrient.unit === "kcal" ? "" : nutrient.unit;
+  const out = (v, prefix = "") => ({
+    value: v,
+    display: `${prefix}${trimNumber(v)}${unit}`,
+  });
+  switch (key) {
+    case "calories":
+      if (value < 5) return out(0);
+      return out(roundTo(value, value <= 50 ? 5 : 10));
+    case "totalFat":
+    case "saturatedFat":
+    case "transFat":
+      if (value < 0.5) return out(0);
+      return out(roundTo(value, value < 5 ? 0.5 : 1));
+    case "cholesterol":
+      if (value < 2) return out(0);
+      if (value < 5) return out(5, "<");
+      return out(roundTo(value, 5));
+    case "sodium":
+    case "potassium":
+      if (value < 5) return out(0);
+      return out(roundTo(value, value <= 140 ? 5 : 10));
+    case "totalCarbohydrate":
+    case "dietaryFiber":
+    case "totalSugars":
+    case "addedSugars":
+    case "protein":
+      if (value < 0.5) return out(0);
+      if (value < 1) return out(1, "<");
+      return out(roundTo(value, 1));
+    default: {
+      // Vitamins and minerals: keep up to three significant figures
+      const digits = value >= 100 ? 0 : value >= 10 ? 1 : 2;
+      return out(parseFloat(value.toFixed(digits)));
+    }
+  }
+}
+
+// %DV rounding: nearest 1% for macronutrients; vitamins and minerals go to
+// 2% steps below 10%, 5% steps up to 50% and 10% steps above
+function roundDailyValue(nutrient, value) {
+  if (!nutrient.dv || value == null) return null;
+  const pct = (value / nutrient.dv) * 100;
+  if (nutrient.core) return Math.round(pct);
+  if (pct < 10) return roundTo(pct, 2);
+  return roundTo(pct, pct <= 50 ? 5 : 10);
+}
+
+// Parse confirmed nutritionFacts into canonical entries (unknown nutrients
+// are kept with nutrient: null)
+function parseNutritionFacts(facts) {
+  return (facts || []).map((nf) => {
+    const nutrient = findNutrient(nf.nutrient);
+    const qty = parseQuantity(nf.amount);
+    const declaredDv = parseQuantity(nf.dailyValue);
+    return {
+      label: nf.nutrient,
+      nutrient,
+      quantity: qty,
+      value: nutrient ? toNutrientUnit(qty, nutrient) : null,
+      declaredDv: declaredDv ? declaredDv.value : null,
+    };
+  });
+}
+
+function isSupplementProduct(d) {
+  if (/supplement|膳食补充|保健/i.test(d.productType || "")) return true;
+  if (/food|beverage|snack|食品|饮料/i.test(d.productType || "")) return false;
+  // No Nutrition Facts but dosed ingredients: treat as a supplement
+  return (
+    !(d.nutritionFacts || []).length &&
+    (d.ingredients || []).some((ing) => ing.amount && ing.unit)
+  );
+}
+
+// Declaration order. Nutrition Facts: the core block, then vitamin D,
+// calcium, iron and potassium, then voluntary vitamins/minerals; Supplement
+// Facts keep the list order of 21 CFR 101.36(b)(2)(i)(B)
+function factsPanelOrder(supplement) {
+  if (supplement) return NUTRIENTS;
+  return [
+    ...NUTRIENTS.filter((n) => n.core),
+    ...NUTRIENTS.filter((n) => n.mandatory),
+    ...NUTRIENTS.filter((n) => !n.core && !n.mandatory),
+  ];
+}
+
+// 21 CFR 101.9(c) paragraph for each nutrient's declaration and rounding
+const NUTRIENT_CITES = {
+  calories: "(c)(1)",
+  totalFat: "(c)(2)",
+  saturatedFat: "(c)(2)(i)",
+  transFat: "(c)(2)(ii)",
+  cholesterol: "(c)(3)",
+  sodium: "(c)(4)",
+  potassium: "(c)(5)",
+  totalCarbohydrate: "(c)(6)",
+  dietaryFiber: "(c)(6)(i)",
+  totalSugars: "(c)(6)(ii)",
+  addedSugars: "(c)(6)(iii)",
+  protein: "(c)(7)",
+};
+
+function factsCite(nutrient, supplement, aspect) {
+  if (supplement)
+    return aspect === "dv"
+      ? "21 CFR 101.36(b)(2)(iii)"
+      : "21 CFR 101.36(b)(2)(ii)";
+  if (aspect === "dv")
+    return nutrient.core ? "21 CFR 101.9(d)(7)(ii)" : "21 CFR 101.9(c)(8)(iv)";
+  return `21 CFR 101.9${NUTRIENT_CITES[nutrient.key] || "(c)(8)(iv)"}`;
+}
+
+// %DV tolerance: one rounding step, since the declared amount is itself
+// rounded and %DV is computed from the unrounded amount
+function dailyValueTolerance(nutrient, pct) {
+  if (nutrient.core) return 1;
+  return pct < 10 ? 2 : pct <= 50 ? 5 : 10;
+}
+
+const FACTS_ASPECTS = {
+  unit: ["Unit", "单位"],
+  amount: ["Amount", "含量"],
+  rounding: ["Rounding", "修约"],
+  dv: ["% Daily Value", "每日参考值百分比"],
+  order: ["Nutrient Order", "营养素顺序"],
+  mandatory: ["Mandatory Nutrients", "强制标示营养素"],
+  calories: ["Calories vs. Macronutrients", "热量与宏量营养素"],
+};
+
+// Numeric checks of the confirmed nutritionFacts: units, amount rounding,
+// %DV against current Daily Values, declaration order, mandatory nutrients
+// and calories vs. 4/4/9 kcal per gram of carbohydrate/protein/fat. Returns
+// one labelCompliance item per discrepancy, or a single pass item.
+function checkFactsPanel(d, cn) {
+  const facts = d.nutritionFacts || [];
+  if (!facts.length) return null;
+  const supplement = isSupplementProduct(d);
+  const panel = supplement
+    ? ["Supplement Facts", "补充剂成分表"]
+    : ["Nutrition Facts", "营养成分表"];
+  const items = [];
+  const add = (aspect, nutrient, status, note, regulation) =>
+    items.push({
+      name: `${panel[0]}: ${nutrient ? `${nutrient.name} ` : ""}${FACTS_ASPECTS[aspect][0]}`,
+      nameCn: `${panel[1]}：${nutrient ? nutrient.nameCn : ""}${FACTS_ASPECTS[aspect][1]}`,
+      status,
+      note: cn ? note[1] : note[0],
+      regulation,
+    });
+
+  const declared = new Map();
+  facts.forEach((nf, i) => {
+    const nutrient = findNutrient(nf.nutrient);
+    if (!nutrient || declared.has(nutrient.key)) return;
+    const qty = parseQuantity(nf.amount);
+    declared.set(nutrient.key, { nutrient, qty, value: null, index: i });
+    const amountCite = factsCite(nutrient, supplement, "amount");
+    if (!qty) {
+      add(
+        "amount",
+        nutrient,
+        "warn",
+        [
+          `Amount "${nf.amount || ""}" for ${nutrient.name} could not be read as a number and unit.`,
+          `${nutrient.nameCn}的含量"${nf.amount || ""}"无法解析为数值和单位。`,
+        ],
+        amountCite,
+      );
+      return;
+    }
+    const value = toNutrientUnit(qty, nutrient);
+    declared.get(nutrient.key).value = value;
+    const unitLabel = nutrient.unit === "kcal" ? "Calories" : nutrient.unit;
+    if (value == null) {
+      add(
+        "unit",
+        nutrient,
+        "fail",
+        [
+          `${nutrient.name} is declared as "${nf.amount}", which cannot be converted; it must be declared in ${unitLabel}${qty.unit === "iu" ? " (IU is no longer permitted)" : ""}.`,
+          `${nutrient.nameCn}标示为"${nf.amount}"，无法换算；须以 ${unitLabel} 标示${qty.unit === "iu" ? "（不再允许使用 IU）" : ""}。`,
+        ],
+        amountCite,
+      );
+      return;
+    }
+    const rounded = roundNutrient(nutrient.key, value);
+    if (qty.unit && qty.unit !== nutrient.unit) {
+      add(
+        "unit",
+        nutrient,
+        "warn",
+        [
+          `${nutrient.name} is declared as "${nf.amount}"; declare it in ${unitLabel} (${rounded.display}).`,
+          `${nutrient.nameCn}标示为"${nf.amount}"，应以 ${unitLabel} 标示（${rounded.display}）。`,
+        ],
+        amountCite,
+      );
+    } else if (!qty.lessThan && Math.abs(rounded.value - value) > 1e-6) {
+      // Supplement Facts use the same rounding for these nutrients
+      add(
+        "rounding",
+        nutrient,
+        "warn",
+        [
+          `${nutrient.name} "${nf.amount}" is not rounded to the required increment; declare ${rounded.display}.`,
+          `${nutrient.nameCn}"${nf.amount}"未按规定修约，应标示为 ${rounded.display}。`,
+        ],
+        factsCite(nutrient, false, "amount"),
+      );
+    }
+
+    const dvText = String(nf.dailyValue || "").trim();
+    const declaredDv = parseQuantity(dvText);
+    const expected = roundDailyValue(nutrient, value);
+    const dvCite = factsCite(nutrient, supplement, "dv");
+    if (!nutrient.dv) {
+      if (declaredDv && declaredDv.value > 0)
+        add(
+          "dv",
+          nutrient,
+          "warn",
+          [
+            `${nutrient.name} has no Daily Value, but ${dvText} is declared; leave the %DV blank.`,
+            `${nutrient.nameCn}没有每日参考值，却标示了 ${dvText}；%DV 应留空。`,
+          ],
+          dvCite,
+        );
+    } else if (!declaredDv) {
+      // Protein %DV is voluntary without a protein claim (101.9(c)(7)(i))
+      if (nutrient.key !== "protein" && !(supplement && nutrient.core))
+        add(
+          "dv",
+          nutrient,
+          "warn",
+          [
+            `${nutrient.name} is missing its %DV; expected ${expected}% (Daily Value ${nutrient.dv}${nutrient.unit}).`,
+            `${nutrient.nameCn}缺少 %DV；应为 ${expected}%（每日参考值 ${nutrient.dv}${nutrient.unit}）。`,
+          ],
+          dvCite,
+        );
+    } else if (
+      Math.abs(declaredDv.value - expected) >
+      dailyValueTolerance(nutrient, expected)
+    ) {
+      add(
+        "dv",
+        nutrient,
+        "warn",
+        [
+          `${nutrient.name} %DV is declared as ${dvText}, but ${trimNumber(value)}${nutrient.unit} against the Daily Value of ${nutrient.dv}${nutrient.unit} is ${expected}%.`,
+          `${nutrient.nameCn}的 %DV 标示为 ${dvText}，但 ${trimNumber(value)}${nutrient.unit} 按每日参考值 ${nutrient.dv}${nutrient.unit} 计算应为 ${expected}%。`,
+        ],
+        dvCite,
+      );
+    }
+  });
+
+  const order = factsPanelOrder(supplement).map((n) => n.key);
+  const inDeclared = [...declared.values()].sort((a, b) => a.index - b.index);
+  const misplaced = inDeclared.find(
+    (e, i) =>
+      i > 0 &&
+      order.indexOf(e.nutrient.key) <
+        order.indexOf(inDeclared[i - 1].nutrient.key),
+  );
+  if (misplaced) {
+    const expectedOrder = inDeclared
+      .map((e) => e.nutrient)
+      .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+    add(
+      "order",
+      null,
+      "warn",
+      [
+        `${misplaced.nutrient.name} is out of order. Declare nutrients as: ${expectedOrder.map((n) => n.name).join(", ")}.`,
+        `${misplaced.nutrient.nameCn}顺序不正确。应按以下顺序标示：${expectedOrder.map((n) => n.nameCn).join("、")}。`,
+      ],
+      supplement ? "21 CFR 101.36(b)(2)(i)(B)" : "21 CFR 101.9(c), (d)",
+    );
+  }
+
+  if (!supplement) {
+    const missing = NUTRIENTS.filter(
+      (n) => (n.core || n.mandatory) && !declared.has(n.key),
+    );
+    if (missing.length)
+      add(
+        "mandatory",
+        null,
+        "fail",
+        [
+          `Mandatory nutrients not declared: ${missing.map((n) => n.name).join(", ")}. Declare them (as 0 where applicable).`,
+          `未标示以下强制营养素：${missing.map((n) => n.nameCn).join("、")}。须予以标示（含量为零时标示 0）。`,
+        ],
+        "21 CFR 101.9(c)",
+      );
+  }
+
+  const value = (key) => declared.get(key)?.value;
+  const calories = value("calories");
+  const fat = value("totalFat");
+  const carbs = value("totalCarbohydrate");
+  const protein = value("protein");
+  if ([calories, fat, carbs, protein].every((v) => v != null)) {
+    const computed = 9 * fat + 4 * carbs + 4 * protein;
+    if (Math.abs(calories - computed) > Math.max(10, computed * 0.2))
+      add(
+        "calories",
+        null,
+        "warn",
+        [
+          `Declared ${trimNumber(calories)} Calories, but ${trimNumber(fat)}g fat × 9 + ${trimNumber(carbs)}g carbohydrate × 4 + ${trimNumber(protein)}g protein × 4 = ${Math.round(computed)} Calories.`,
+          `标示热量 ${trimNumber(calories)} 千卡，但脂肪 ${trimNumber(fat)}g × 9 + 碳水化合物 ${trimNumber(carbs)}g × 4 + 蛋白质 ${trimNumber(protein)}g × 4 = ${Math.round(computed)} 千卡。`,
+        ],
+        "21 CFR 101.9(c)(1)(i)",
+      );
+  }
+
+  if (items.length) return items;
+  return {
+    name: `${panel[0]} Panel`,
+    nameCn: panel[1],
+    status: "pass",
+    note: cn
+      ? `已核对 ${declared.size} 项营养素的单位、修约、%DV、顺序及热量，均一致。`
+      : `Units, rounding, %DV, order and calories are consistent for ${declared.size} declared nutrients.`,
+    regulation: supplement ? "21 CFR 101.36" : "21 CFR 101.9",
+  };
+}
+
+// --- Claim Classifier ---
+// Sorts each marketing claim into the claim-type taxonomy (nutrient content,
+// authorized / qualified health, structure/function, implied disease,
+// descriptor) with the governing rule, required disclaimer or notification
+// and compliant rewrites. Checks that need product data (facts panel values,
+// artificial ingredients) use the confirmed data when it is available.
+const CLAIM_TYPES = {
+  nutrient_content: {
+    label: ["Nutrient content claim", "营养素含量声称"],
+    regulation: "21 CFR 101.13; 21 CFR 101.54–101.62",
+    requirement: [
+      "The food must meet the FDA definition of the term per reference amount customarily consumed (RACC).",
+      "产品须按常规食用参考量（RACC）符合 FDA 对该用语的定义。",
+    ],
+  },
+  health_claim: {
+    label: ["Authorized health claim", "经授权的健康声称"],
+    regulation: "21 CFR 101.14; 21 CFR 101.72–101.83",
+    requirement: [
+      "Use the model wording of an authorized health claim; the product must meet its eligibility criteria and must not exceed the disqualifying nutrient levels of 21 CFR 101.14(a)(4).",
+      "须使用经授权健康声称的范例措辞；产品须满足其适用条件，且不得超过 21 CFR 101.14(a)(4) 规定的限制营养素水平。",
+    ],
+  },
+  qualified_health_claim: {
+    label: ["Qualified health claim", "有限定条件的健康声称"],
+    regulation:
+      "FDA letters of enforcement discretion (qualified health claims)",
+    requirement: [
+      "Only substance–disease relationships covered by an FDA letter of enforcement discretion, with the qualifying language exactly as stated in the letter.",
+      "仅限 FDA 执法裁量函所涵盖的物质—疾病关系，并须完整使用函中规定的限定措辞。",
+    ],
+  },
+  structure_function: {
+    label: ["Structure/function claim", "结构/功能声称"],
+    regulation: "21 CFR 101.93; FD&C Act Sec. 403(r)(6)",
+    requirement: [
+      "Must be truthful and substantiated. Dietary supplements carry the DSHEA disclaimer and the firm must notify FDA within 30 days of first marketing; conventional foods may only describe effects derived from nutritive value.",
+      "须真实且有科学依据。膳食补充剂须标注 DSHEA 免责声明，并于首次上市后 30 日内通知 FDA；普通食品仅可描述源于营养价值的作用。",
+    ],
+  },
+  implied_disease: {
+    label: ["Implied disease claim", "暗示疾病声称"],
+    regulation: "21 CFR 101.93(g); FD&C Act Sec. 201(g)(1)",
+    requirement: [
+      "Not permitted on foods or dietary supplements: a claim to diagnose, treat, cure, mitigate or prevent disease makes the product an unapproved drug.",
+      "食品及膳食补充剂不得使用：声称诊断、治疗、治愈、缓解或预防疾病将使产品被视为未经批准的药品。",
+    ],
+  },
+  descriptor: {
+    label: [
+      '"Natural" / "non-GMO" style descriptor',
+      "“天然”/“非转基因”类描述用语",
+    ],
+    regulation: "FD&C Act Sec. 403(a)(1)",
+    requirement: [
+      "Must be truthful and not misleading; substantiate the descriptor against every ingredient, including colors and preservatives.",
+      "须真实且不具误导性；须对照全部成分（包括色素和防腐剂）核实该描述。",
+    ],
+  },
+  general: {
+    label: ["General marketing statement", "一般宣传用语"],
+    regulation: "FD&C Act Sec. 403(a)(1)",
+    requirement: [
+      "Must be truthful and not misleading.",
+      "须真实且不具误导性。",
+    ],
+  },
+};
+const CLAIM_TYPE_KEYS = Object.keys(CLAIM_TYPES);
+
+const RISK_REDUCTION_RE =
+  /\b(reduces?|reducing|lowers?|lowering)\s+(the\s+|your\s+)?risks?\b|降低.{0,8}风险/i;
+
+// Substance–disease pairs with an authorized health claim (model wording)
+const AUTHORIZED_HEALTH_CLAIMS = [
+  {
+    substance: /plant sterol|plant stanol|植物甾醇|植物固醇/i,
+    disease: /heart|coronary|心脏|冠心病/i,
+    regulation: "21 CFR 101.83",
+    model:
+      "Foods containing at least 0.65 g per serving of plant sterol esters, eaten twice a day with meals for a daily total intake of at least 1.3 g, as part of a diet low in saturated fat and cholesterol, may reduce the risk of heart disease.",
+  },
+  {
+    substance:
+      /fiber|fibre|whole grain|oat|psyllium|barley|beta[- ]?glucan|膳食纤维|燕麦/i,
+    disease: /heart|coronary|心脏|冠心病/i,
+    regulation: "21 CFR 101.81",
+    model:
+      "Soluble fiber from foods such as oat bran, as part of a diet low in saturated fat and cholesterol, may reduce the risk of heart disease.",
+  },
+  {
+    substance: /saturated fat|cholesterol|饱和脂肪|胆固醇/i,
+    disease: /heart|coronary|心脏|冠心病/i,
+    regulation: "21 CFR 101.75",
+    model:
+      "While many factors affect heart disease, diets low in saturated fat and cholesterol may reduce the risk of this disease.",
+  },
+  {
+    substance: /calcium|vitamin d|钙|维生素\s*d/i,
+    disease: /osteoporosis|bone loss|骨质疏松/i,
+    regulation: "21 CFR 101.72",
+    model:
+      "Adequate calcium and vitamin D as part of a healthful diet, along with physical activity, may reduce the risk of osteoporosis in later life.",
+  },
+  {
+    substance: /sodium|salt|钠|盐/i,
+    disease: /hypertension|high blood pressure|高血压/i,
+    regulation: "21 CFR 101.74",
+    model:
+      "Diets low in sodium may reduce the risk of high blood pressure, a disease associated with many factors.",
+  },
+  {
+    substance: /folate|folic acid|叶酸/i,
+    disease: /neural tube|birth defect|神经管/i,
+    regulation: "21 CFR 101.79",
+    model:
+      "Healthful diets with adequate folate may reduce a woman's risk of having a child with a brain or spinal cord birth defect.",
+  },
+  {
+    substance:
+      /sugar alcohol|xylitol|sorbitol|erythritol|maltitol|木糖醇|糖醇|赤藓糖醇/i,
+    disease: /caries|tooth decay|cavit|龋齿|蛀牙/i,
+    regulation: "21 CFR 101.80",
+    model:
+      "Frequent between-meal consumption of foods high in sugars and starches promotes tooth decay. The sugar alcohols in this food do not promote tooth decay.",
+  },
+  {
+    substance: /fruits?|vegetables?|水果|蔬菜/i,
+    disease: /cancer|癌/i,
+    regulation: "21 CFR 101.78",
+    model:
+      "Low fat diets rich in fruits and vegetables (foods that are low in fat and may contain dietary fiber, vitamin A, or vitamin C) may reduce the risk of some types of cancer, a disease associated with many factors.",
+  },
+];
+
+// Substance–disease pairs under an FDA letter of enforcement discretion
+const QUALIFIED_HEALTH_CLAIMS = [
+  {
+    substance: /omega[- ]?3|\bepa\b|\bdha\b|fish oil|鱼油/i,
+    disease: /heart|coronary|blood pressure|hypertension|心脏|冠心病|血压/i,
+    regulation:
+      "FDA letter of enforcement discretion: EPA and DHA omega-3 fatty acids and coronary heart disease (2019)",
+    model:
+      "Supportive but not conclusive research shows that consumption of EPA and DHA omega-3 fatty acids may reduce the risk of coronary heart disease.",
+  },
+  {
+    substance: /\bnuts?\b|walnut|almond|pecan|pistachio|坚果|核桃|杏仁/i,
+    disease: /heart|coronary|心脏|冠心病/i,
+    regulation:
+      "FDA letter of enforcement discretion: nuts and coronary heart disease (2003)",
+    model:
+      "Scientific evidence suggests but does not prove that eating 1.5 ounces per day of most nuts as part of a diet low in saturated fat and cholesterol may reduce the risk of heart disease.",
+  },
+  {
+    substance: /cranberr|蔓越莓/i,
+    disease: /urinary tract|\buti\b|尿路/i,
+    regulation:
+      "FDA letter of enforcement discretion: cranberry products and recurrent urinary tract infections (2020)",
+    model:
+      "Limited and inconsistent scientific evidence shows that by drinking one serving (8 oz) each day of a cranberry juice beverage, healthy women who have had a urinary tract infection (UTI) may reduce their risk of recurrent UTI.",
+  },
+  {
+    substance: /magnesium|镁/i,
+    disease: /blood pressure|hypertension|血压/i,
+    regulation:
+      "FDA letter of enforcement discretion: magnesium and high blood pressure (2022)",
+    model:
+      "Consuming diets with adequate magnesium may reduce the risk of high blood pressure (hypertension). However, FDA has concluded that the evidence is inconsistent and inconclusive.",
+  },
+  {
+    substance: /green tea|绿茶/i,
+    disease: /cancer|癌/i,
+    regulation:
+      "FDA letter of enforcement discretion: green tea and cancer (2011)",
+    model:
+      "Green tea may reduce the risk of breast or prostate cancer. FDA has concluded that there is very little scientific evidence for this claim.",
+  },
+];
+
+const DISEASE_CLAIM_RE =
+  /\b(cures?|cured|treats?|treatment|heals?|prevents?|prevention|diagnos\w*|mitigates?|remed(y|ies)|anti[- ]?(inflammatory|viral|bacterial|cancer|depressant|diabetic))\b|\b(cancer|tumou?rs?|diabetes|arthritis|alzheimer'?s?|dementia|hypertension|depression|insomnia|obesity|influenza|flu|common colds?|infections?|covid(-19)?)\b|\blowers?\s+(blood pressure|cholesterol|blood sugar)\b|治疗|治愈|预防|疗效|根治|抗癌|降血压|降血糖|降血脂|感冒/i;
+
+// Structure/function alternatives for the disease a claim names; cancer and
+// similar have none and fall back to a general well-being statement
+const DISEASE_REWRITES = [
+  [
+    /cholesterol|胆固醇|血脂/i,
+    "Helps maintain healthy cholesterol levels already within the normal range",
+  ],
+  [
+    /blood pressure|hypertension|血压/i,
+    "Helps maintain healthy blood pressure levels already within the normal range",
+  ],
+  [
+    /blood sugar|glucose|diabet|血糖|糖尿病/i,
+    "Helps maintain healthy blood sugar levels already within the normal range",
+  ],
+  [
+    /immun|colds?\b|flu\b|influenza|infection|vir(al|us)|covid|感冒|免疫/i,
+    "Supports healthy immune function",
+  ],
+  [/arthritis|joint|inflammat|关节|炎/i, "Supports joint health"],
+  [/depress|anxiety|mood|抑郁|焦虑/i, "Supports a positive mood"],
+  [/insomnia|sleep|失眠|睡眠/i, "Supports restful sleep"],
+  [/alzheimer|dementia|memory|记忆/i, "Supports memory and cognitive function"],
+  [
+    /obesity|weight|肥胖|减肥/i,
+    "Supports healthy weight management as part of a balanced diet and exercise",
+  ],
+];
+const DISEASE_FALLBACK_REWRITE = "Supports overall health and well-being";
+
+// Structure/function rephrase for a disease or unauthorized health claim;
+// a supplement's gets the asterisk that ties it to the DSHEA disclaimer
+function diseaseClaimRewrite(text, supplement) {
+  const alt = DISEASE_REWRITES.find(([re]) => re.test(text));
+  const rewrite = alt ? alt[1] : DISEASE_FALLBACK_REWRITE;
+  return supplement ? `${rewrite}*` : rewrite;
+}
+
+// Nutrient content terms, tried in order. nutrient with below/atMost checks
+// the declared per-serving amount (fallback: the weaker claim it may still
+// make), dvMin the %DV of the nutrient the claim names; relative claims must
+// name a nutrient; defined: false marks terms FDA has not defined
+const NUTRIENT_CONTENT_TERMS = [
+  {
+    match: /\blow[- ]sugars?\b|低糖/i,
+    defined: false,
+    regulation: "21 CFR 101.60(c)",
+    issue:
+      '"Low sugar" is not a defined nutrient content claim. "Reduced sugar" needs at least 25% less sugar than a named reference food; "No added sugars" needs no sugars or sugar-containing ingredients added.',
+    rewrites: ["Reduced sugar", "No added sugars"],
+  },
+  {
+    match:
+      /\b(sugar[- ]free|zero sugars?|no sugars?|0\s?g sugars?)\b|无糖|零糖/i,
+    nutrient: "totalSugars",
+    below: 0.5,
+    definition: "less than 0.5 g sugars per serving",
+    regulation: "21 CFR 101.60(c)(1)",
+  },
+  {
+    match: /\bno added sugars?\b|无添加糖|不添加糖|零添加糖/i,
+    addedSugar: true,
+    definition: "no sugars or sugar-containing ingredients added",
+    regulation: "21 CFR 101.60(c)(2)",
+    rewrites: [],
+  },
+  {
+    match: /\b(fat[- ]free|zero fat|no fat|non[- ]?fat)\b|零脂|无脂/i,
+    nutrient: "totalFat",
+    below: 0.5,
+    definition: "less than 0.5 g fat per serving",
+    regulation: "21 CFR 101.62(b)(1)",
+    fallback: { atMost: 3, claim: "Low fat" },
+  },
+  {
+    match: /\blow[- ]fat\b|低脂/i,
+    nutrient: "totalFat",
+    atMost: 3,
+    definition: "3 g fat or less per serving",
+    regulation: "21 CFR 101.62(b)(2)",
+    rewrites: [],
+  },
+  {
+    match:
+      /\b(calorie[- ]free|zero[- ]calories?|0 calories?|no calories)\b|零卡|无热量/i,
+    nutrient: "calories",
+    below: 5,
+    definition: "fewer than 5 calories per serving",
+    regulation: "21 CFR 101.60(b)(1)",
+    fallback: { atMost: 40, claim: "Low calorie" },
+  },
+  {
+    match: /\blow[- ]calories?\b|低卡|低热量/i,
+    nutrient: "calories",
+    atMost: 40,
+    definition: "40 calories or less per serving",
+    regulation: "21 CFR 101.60(b)(2)",
+    rewrites: [],
+  },
+  {
+    match: /\b(sodium[- ]free|salt[- ]free|no sodium)\b|无钠|无盐/i,
+    nutrient: "sodium",
+    below: 5,
+    definition: "less than 5 mg sodium per serving",
+    regulation: "21 CFR 101.61(b)(1)",
+    fallback: { atMost: 140, claim: "Low sodium" },
+  },
+  {
+    match: /\blow[- ]sodium\b|低钠/i,
+    nutrient: "sodium",
+    atMost: 140,
+    definition: "140 mg sodium or less per serving",
+    regulation: "21 CFR 101.61(b)(4)",
+    rewrites: [],
+  },
+  {
+    match: /\b(high[- ]in|high|rich in|excellent source of)\b|高|富含/i,
+    dvMin: 20,
+    definition: "at least 20% of the Daily Value per serving",
+    regulation: "21 CFR 101.54(b)",
+    weaker: "Good source of",
+  },
+  {
+    match: /\b(good source of|contains|provides)\b|良好来源/i,
+    dvMin: 10,
+    definition: "10–19% of the Daily Value per serving",
+    regulation: "21 CFR 101.54(c)",
+  },
+  {
+    match: /\b(reduced|less|fewer|lower|light|lite|more)\b|减少|更少/i,
+    relative: true,
+    regulation: "21 CFR 101.13(j); 21 CFR 101.56",
+    issue:
+      'A relative claim must name the reference food and state the difference, which must be at least 25% (50% of fat or calories for "light").',
+    rewrites: [],
+  },
+];
+
+const ADDED_SUGAR_RE =
+  /\b(sugar|sucrose|glucose|fructose|dextrose|syrup|honey|molasses|juice concentrate)\b|白砂糖|蔗糖|葡萄糖|果糖|糖浆|蜂蜜/i;
+
+// Ingredients that make "natural" misleading (FDA: nothing artificial or
+// synthetic, including color additives, added)
+const ARTIFICIAL_INGREDIENT_RE =
+  /\b(red|yellow|blue|green)\s*(no\.?\s*)?\d+\b|\bfd&c\b|allura red|tartrazine|sunset yellow|brilliant blue|sodium benzoate|potassium sorbate|aspartame|sucralose|acesulfame|saccharin|\bartificial\b|high fructose corn syrup|诱惑红|柠檬黄|日落黄|亮蓝|苯甲酸钠|山梨酸钾|阿斯巴甜|三氯蔗糖|安赛蜜|糖精/i;
+const GLUTEN_GRAIN_RE =
+  /\b(wheat|barley|rye|triticale|spelt|malt)\b|小麦|大麦|黑麦|麦芽/i;
+
+const DESCRIPTOR_TERMS = [
+  {
+    key: "natural",
+    match: /\b(100%\s*|all[\s-]*)?natural\b|纯天然|天然/i,
+    regulation: 'FD&C Act Sec. 403(a)(1); FDA policy on "natural" (58 FR 2302)',
+  },
+  {
+    key: "non_gmo",
+    match: /\bnon[- ]?gmo\b|\bgmo[- ]free\b|\bno gmos?\b|非转基因/i,
+    regulation:
+      "FDA guidance on voluntary labeling of foods derived from genetically engineered plants (2019); 7 CFR 66",
+    issue:
+      '"GMO" wording is discouraged; use "not bioengineered" or "not genetically engineered" and keep third-party verification on file.',
+    rewrites: [
+      "Not bioengineered",
+      "Made without genetically engineered ingredients",
+    ],
+  },
+  {
+    key: "organic",
+    match: /\borganic\b|有机/i,
+    regulation: "7 CFR 205.300–205.311 (USDA National Organic Program)",
+    issue:
+      'Requires USDA organic certification: "100% organic", "organic" (at least 95% organic ingredients) or "made with organic" (at least 70%).',
+    rewrites: ["Made with organic ingredients"],
+  },
+  {
+    key: "gluten_free",
+    match: /\bgluten[- ]free\b|无麸质/i,
+    regulation: "21 CFR 101.91",
+  },
+];
+
+// Softer verbs for structure/function claims
+const SF_VERB_REWRITES = [
+  [/\b(boosts?|enhances?|maximi[sz]es?|increases?|improves?)\b/i, "Supports"],
+  [/\b(guarantees?|ensures?)\b/i, "Helps support"],
+];
+
+function capitalize(text) {
+  return text.replace(/^./, (ch) => ch.toUpperCase());
+}
+
+// Declared per-serving amount and %DV of a nutrient in confirmed data
+function declaredNutrient(confirmed, key) {
+  const entry = parseNutritionFacts(confirmed?.nutritionFacts).find(
+    (e) => e.nutrient?.key === key,
+  );
+  if (!entry || entry.value == null) return null;
+  const dv =
+    entry.declaredDv != null
+      ? entry.declaredDv
+      : entry.nutrient.dv
+        ? (entry.value / entry.nutrient.dv) * 100
+        : null;
+  return {
+    value: entry.value,
+    unit: entry.nutrient.unit,
+    dv,
+    label: entry.label,
+  };
+}
+
+// Check one nutrient content term; null when the term doesn't apply (e.g.
+// "high quality" names no nutrient)
+function checkNutrientContentTerm(term, claim, text, confirmed) {
+  const out = {
+    regulation: term.regulation,
+    issue: term.issue || null,
+    rewrites: term.rewrites || [],
+  };
+  const sugars = flattenIngredients(confirmed?.ingredients)
+    .map(({ ing }) => ing.name || ing.nameCn || "")
+    .filter((name) => ADDED_SUGAR_RE.test(name));
+  if (term.defined === false) {
+    out.rewrites = out.rewrites.filter(
+      (rw) => !sugars.length || !/no added sugar/i.test(rw),
+    );
+    return out;
+  }
+  if (term.relative) {
+    if (!findNutrient(text)) return null;
+    if (!/\bthan\b/i.test(claim))
+      out.rewrites = [`${claim} than [reference food]`];
+    return out;
+  }
+  if (term.dvMin) {
+    const nutrient = findNutrient(text.replace(term.match, " "));
+    if (!nutrient) return null;
+    const name = nutrient.name.toLowerCase();
+    if (!nutrient.dv) {
+      out.issue = `${nutrient.name} has no Daily Value, so "${claim}" cannot be a defined nutrient content claim.`;
+      return out;
+    }
+    const declared = declaredNutrient(confirmed, nutrient.key);
+    if (!declared) {
+      out.issue = `${nutrient.name} is not declared in the facts panel; the claim needs ${term.definition}.`;
+      out.rewrites = [claim];
+    } else if (declared.dv < term.dvMin) {
+      out.issue = `Declares ${Math.round(declared.dv)}% DV ${name} per serving; the claim needs ${term.definition}.`;
+      out.rewrites =
+        term.weaker && declared.dv >= 10 ? [`${term.weaker} ${name}`] : [];
+    }
+    return out;
+  }
+  if (term.nutrient) {
+    const nutrient = NUTRIENT_BY_KEY.get(term.nutrient);
+    const declared = declaredNutrient(confirmed, term.nutrient);
+    if (!declared) {
+      out.issue = `${nutrient.name} is not declared in the facts panel; the claim needs ${term.definition}.`;
+      out.rewrites = [claim];
+      return out;
+    }
+    const meets =
+      term.below != null
+        ? declared.value < term.below
+        : declared.value <= term.atMost;
+    if (!meets) {
+      const amount =
+        declared.unit === "kcal"
+          ? `${trimNumber(declared.value)} calories`
+          : `${trimNumber(declared.value)} ${declared.unit} ${nutrient.name.toLowerCase()}`;
+      out.issue = `Declares ${amount} per serving; "${claim}" requires ${term.definition}.`;
+      if (term.fallback && declared.value <= term.fallback.atMost)
+        out.rewrites = [term.fallback.claim];
+    }
+    return out;
+  }
+  if (term.addedSugar && sugars.length)
+    out.issue = `Ingredients include ${sugars.join(", ")}; the claim requires ${term.definition}.`;
+  return out;
+}
+
+// Per-serving levels above which a nutrient content claim needs a
+// disclosure statement (21 CFR 101.13(h)(1))
+const DISCLOSURE_LEVELS = [
+  ["totalFat", 13, "fat"],
+  ["saturatedFat", 4, "saturated fat"],
+  ["cholesterol", 60, "cholesterol"],
+  ["sodium", 480, "sodium"],
+];
+
+function disclosureStatement(confirmed) {
+  const over = DISCLOSURE_LEVELS.filter(([key, level]) => {
+    const declared = declaredNutrient(confirmed, key);
+    return declared && declared.value > level;
+  }).map(([, , name]) => name);
+  if (!over.length) return null;
+  const names =
+    over.length > 1
+      ? `${over.slice(0, -1).join(", ")} and ${over.at(-1)}`
+      : over[0];
+  return `See nutrition information for ${names} content.`;
+}
+
+function classifyNutrientContent(claim, text, confirmed) {
+  for (const term of NUTRIENT_CONTENT_TERMS) {
+    if (!term.match.test(text)) continue;
+    const out = checkNutrientContentTerm(term, claim, text, confirmed);
+    if (out) return out;
+  }
+  return null;
+}
+
+function classifyDescriptor(claim, text, confirmed) {
+  const term = DESCRIPTOR_TERMS.find((t) => t.match.test(text));
+  if (!term) return null;
+  const ingredients = flattenIngredients(confirmed?.ingredients).map(
+    ({ ing }) => ing.name || ing.nameCn || "",
+  );
+  const out = {
+    regulation: term.regulation,
+    issue: term.issue || null,
+    rewrites: term.rewrites || [],
+  };
+  if (term.key === "natural") {
+    const artificial = ingredients.filter((name) =>
+      ARTIFICIAL_INGREDIENT_RE.test(name),
+    );
+    if (artificial.length) {
+      out.issue = `Contains ${artificial.join(", ")}: artificial or synthetic ingredients are inconsistent with a "natural" claim.`;
+      const stripped = capitalize(
+        claim
+          .replace(/\b(100%\s*|all[\s-]*)?natural\b|纯天然|天然/gi, "")
+          .replace(/\s{2,}/g, " ")
+          .trim(),
+      );
+      out.rewrites = stripped ? [stripped] : [];
+    } else {
+      const absolute = CLAIM_PATTERNS.find((p) => p.type === "natural");
+      if (absolute.match.test(claim)) {
+        out.issue = absolute.reason;
+        out.rewrites = [absolute.rewrite(claim)];
+      }
+    }
+  }
+  if (term.key === "gluten_free") {
+    const grains = ingredients.filter((name) => GLUTEN_GRAIN_RE.test(name));
+    out.issue = grains.length
+      ? `Ingredients include ${grains.join(", ")}; "gluten-free" allows no gluten-containing grain unless processed to remove gluten, and less than 20 ppm gluten.`
+      : null;
+  }
+  return out;
+}
+
+function classifyStructureFunction(claim, supplement) {
+  let rewrite = claim;
+  for (const [re, verb] of SF_VERB_REWRITES)
+    rewrite = rewrite.replace(re, verb);
+  rewrite = rewrite.replace(
+    /^(Supports|Helps support) (\w)/,
+    (m, verb, ch) => `${verb} ${ch.toLowerCase()}`,
+  );
+  if (supplement) rewrite = rewrite.replace(/\*?$/, "*");
+  return {
+    issue:
+      rewrite.replace(/\*$/, "") !== claim
+        ? "Absolute or performance wording is hard to substantiate; describe the supported function instead."
+        : null,
+    rewrites: rewrite !== claim ? [rewrite] : [],
+  };
+}
+
+// Classify one claim. text may combine the English and Chinese wording;
+// rewrites are based on claim. Market rule overrides (claimRules) replace
+// the U.S. regulation and requirement.
+function classifyClaim(
+  claim,
+  { claimCn = "", confirmed = {}, market = MARKETS[DEFAULT_MARKET] } = {},
+) {
+  const original = String(claim || claimCn || "")
+    .trim()
+    .replace(/^["“]|["”]$/g, "");
+  const text = `${original} ${claimCn || ""}`;
+  const us = market.code === DEFAULT_MARKET;
+  const supplement = isSupplementProduct(confirmed || {});
+  let type = "general";
+  let detail = { issue: null, rewrites: [] };
+  let disclaimer = null;
+  let notification = null;
+
+  const pair = (list) =>
+    list.find((p) => p.substance.test(text) && p.disease.test(text));
+  if (RISK_REDUCTION_RE.test(text)) {
+    const authorized = pair(AUTHORIZED_HEALTH_CLAIMS);
+    const qualified = !authorized && pair(QUALIFIED_HEALTH_CLAIMS);
+    type = qualified ? "qualified_health_claim" : "health_claim";
+    const match = authorized || qualified;
+    detail = match
+      ? {
+          regulation: match.regulation,
+          issue: null,
+          rewrites: [us ? match.model : diseaseClaimRewrite(text, false)],
+        }
+      : {
+          issue:
+            "No authorized or qualified health claim covers this substance–disease relationship; the claim is unauthorized. Drop the disease or replace it with a structure/function statement.",
+          rewrites: [diseaseClaimRewrite(text, supplement && us)],
+        };
+    if (!match && supplement && us) disclaimer = DSHEA_DISCLAIMER;
+    if (match && us && diffItemKey(original) !== diffItemKey(match.model))
+      detail.issue =
+        "Use the model claim wording for this substance–disease relationship.";
+    if (!us)
+      detail.issue =
+        "Disease risk reduction claims are limited to the wording this market authorises; check the claim against its register.";
+  } else if (DISEASE_CLAIM_RE.test(text)) {
+    type = "implied_disease";
+    const alt = DISEASE_REWRITES.some(([re]) => re.test(text));
+    detail = {
+      issue: alt
+        ? "Names or implies a disease; replace with a substantiated structure/function statement."
+        : "Names or implies a disease with no structure/function equivalent; remove the claim or use a general well-being statement.",
+      rewrites: [diseaseClaimRewrite(text, supplement && us)],
+    };
+    if (supplement && us) disclaimer = DSHEA_DISCLAIMER;
+  } else if ((detail = classifyNutrientContent(original, text, confirmed))) {
+    type = "nutrient_content";
+    if (us) disclaimer = disclosureStatement(confirmed);
+  } else if ((detail = classifyDescriptor(original, text, confirmed))) {
+    type = "descriptor";
+  } else if (
+    CLAIM_PATTERNS.find((p) => p.type === "structure_function").match.test(text)
+  ) {
+    type = "structure_function";
+    detail = classifyStructureFunction(original, supplement && us);
+    if (supplement && us) {
+      disclaimer = DSHEA_DISCLAIMER;
+      notification =
+        "Notify FDA of the structure/function claim within 30 days of first marketing (21 CFR 101.93(a)).";
+    }
+  } else {
+    const pattern = CLAIM_PATTERNS.find(
+      (p) =>
+        (p.type === "fda_approval" || p.type === "superlative") &&
+        p.match.test(text),
+    );
+    detail = { issue: null, rewrites: [] };
+    if (pattern) {
+      detail.regulation = pattern.regulation;
+      detail.issue = pattern.reason;
+      const rewrite = pattern.rewrite ? pattern.rewrite(original) : "";
+      detail.rewrites = rewrite ? [rewrite] : [];
+    }
+  }
+
+  // Wording that can stay is its own rewrite
+  if (!detail.issue && !detail.rewrites.length) detail.rewrites = [original];
+
+  const base = CLAIM_TYPES[type];
+  const override = market.claimRules?.[type];
+  const requirement = override?.requirement || base.requirement;
+  return {
+    type,
+    label: base.label[0],
+    labelCn: base.label[1],
+    regulation:
+      override?.regulation || (us && detail.regulation) || base.regulation,
+    requirement: requirement[0],
+    requirementCn: requirement[1],
+    disclaimer,
+    notification,
+    issue: detail.issue || null,
+    rewrites: [...new Set(detail.rewrites.filter(Boolean))],
+  };
+}
+
+// Attach a classification to each marketingClaims item of a report
+function attachClaimClassifications(report, confirmed, market) {
+  const items = report?.marketingClaims?.items;
+  if (!Array.isArray(items)) return report;
+  for (const it of items) {
+    if (!it || !(it.claim || it.claimCn)) continue;
+    it.classification = classifyClaim(it.claim, {
+      claimCn: it.claimCn,
+      confirmed,
+      market: market || reportMarket(report),
+    });
+  }
+  return report;
+}
+
+// --- Report Revision Diff ---
+// Items are matched across revisions by their name (claim for marketing
+// claims). An item counts as an issue while its status is warn or fail.
+const DIFF_SECTIONS = [
+  { key: "ingredientRisk", nameKey: "name" },
+  { key: "labelCompliance", nameKey: "name" },
+  { key: "facilityRegistration", nameKey: "name" },
+  { key: "marketingClaims", nameKey: "claim" },
+];
+
+function diffItemKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/["'“”‘’]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isIssue(item) {
+  return !!item && (item.status === "warn" || item.status === "fail");
+}
+
+function diffEntry(nameKey, from, to) {
+  const ref = to || from;
+  return {
+    name: ref[nameKey],
+    nameCn: ref[nameKey + "Cn"] || null,
+    fromStatus: from ? from.status : null,
+    toStatus: to ? to.status : null,
+    note: ref.note || ref.value || null,
+  };
+}
+
+function diffSection(fromSection, toSection, nameKey) {
+  const fromItems = new Map();
+  for (const it of fromSection?.items || [])
+    fromItems.set(diffItemKey(it[nameKey]), it);
+  const result = { resolved: [], introduced: [], changed: [], unchanged: 0 };
+
+  for (const it of toSection?.items || []) {
+    const key = diffItemKey(it[nameKey]);
+    const prev = fromItems.get(key);
+    fromItems.delete(key);
+    if (isIssue(prev) && !isIssue(it))
+      result.resolved.push(diffEntry(nameKey, prev, it));
+    else if (!isIssue(prev) && isIssue(it))
+      result.introduced.push(diffEntry(nameKey, prev, it));
+    else if (prev && prev.status !== it.status)
+      result.changed.push(diffEntry(nameKey, prev, it));
+    else if (prev) result.unchanged++;
+  }
+  // Issues that no longer appear at all count as resolved
+  for (const prev of fromItems.values())
+    if (isIssue(prev)) result.resolved.push(diffEntry(nameKey, prev, null));
+
+  return {
+    fromStatus: fromSection?.status || null,
+    toStatus: toSection?.status || null,
+    ...result,
+  };
+}
+
+function diffReports(from, to) {
+  const sections = {};
+  const totals = { resolved: 0, introduced: 0, changed: 0 };
+  for (const { key, nameKey } of DIFF_SECTIONS) {
+    sections[key] = diffSection(from[key], to[key], nameKey);
+    for (const k of Object.keys(totals)) totals[k] += sections[key][k].length;
+  }
+  return {
+    overallRiskLevel: {
+      from: from.overallRiskLevel || null,
+      to: to.overallRiskLevel || null,
+    },
+    totals,
+    sections,
+  };
+}
+
+// --- Audit Trail ---
+// Every extraction and analysis run is recorded in analysis_audits: SHA-256
+// hashes of the input files, the confirmed data, the exact prompt, provider
+// and model, each raw response with its parse/validation outcome and repair
+// prompt, the rule findings and the final output. Saving a report links the
+// runs behind it (the analysis and the extraction it was confirmed from).
+// Exported bundles carry a manifest of file hashes signed with Ed25519
+// (AUDIT_SIGNING_KEY, a PEM private key; an ephemeral key is used if unset).
+const AUDIT_ID_PATTERN = /^AUD-[0-9a-f-]{36}$/;
+const AUDIT_BUNDLE_FORMAT = "gtm-audit-bundle/1";
+
+function loadAuditSigningKey() {
+  const pem = (process.env.AUDIT_SIGNING_KEY || "").replace(/\\n/g, "\n");
+  const privateKey = pem.trim()
+    ? crypto.createPrivateKey(pem)
+    : crypto.generateKeyPairSync("ed25519").privateKey;
+  if (privateKey.asymmetricKeyType !== "ed25519")
+    throw new Error("AUDIT_SIGNING_KEY must be an Ed25519 private key");
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    privateKey,
+    publicKeyPem: publicKey.export({ type: "spki", format: "pem" }),
+    keyId: sha256Hex(publicKey.export({ type: "spki", format: "der" })).slice(
+      0,
+      16,
+    ),
+    ephemeral: !pem.trim(),
+  };
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// JSON with sorted object keys, so hashes survive a JSONB round trip
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`)
+      .join(",")}}`;
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash of report data as the model pipeline produced it (auditId is added
+// to the response afterwards)
+function reportDataSha256(data) {
+  const { auditId, ...rest } = data || {};
+  return sha256Hex(canonicalJSON(rest));
+}
+
+const auditSigning = loadAuditSigningKey();
+
+// Who ran an analysis: the session user, org and API key, if any
+function auditActor(req) {
+  return {
+    userId: req.session?.userId || null,
+    orgId: req.session?.orgId || null,
+    apiKeyId: req.session?.apiKeyId || null,
+  };
+}
+
+// Read before the uploads are cleaned up
+function hashAuditFiles(files) {
+  return (files || []).map((file) => {
+    const entry = {
+      name: file.originalname || path.basename(file.path),
+      mimetype: file.mimetype,
+    };
+    try {
+      const buffer = fs.readFileSync(file.path);
+      return { ...entry, size: buffer.length, sha256: sha256Hex(buffer) };
+    } catch (err) {
+      return { ...entry, error: err.message };
+    }
+  });
+}
+
+// Prompt text as sent, with attached files replaced by a placeholder
+function auditPromptText(parts) {
+  let attachment = 0;
+  return parts
+    .map((part) =>
+      typeof part === "string"
+        ? part
+        : `[attachment ${++attachment}: ${part.inlineData?.mimeType || "file"}]`,
+    )
+    .join("\n\n");
+}
+
+// Persist one run and return its AUD- id (null without a database).
+// Recording failures are logged rather than failing the analysis.
+async function recordAudit(actor, entry) {
+  if (!process.env.DATABASE_URL) return null;
+  const auditId = "AUD-" + crypto.randomUUID();
+  try {
+    await pool.query(
+      `INSERT INTO analysis_audits (audit_id, kind, status, parent_audit_id, user_id, org_id, api_key_id, lang, target_market,
+         provider, model, inputs, prompt, steps, rule_findings, output, output_sha256)
+       VALUES ($1,$2,$3,$4,$5,(SELECT id FROM organizations WHERE org_id=$6),$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)`,
+      [
+        auditId,
+        entry.kind,
+        entry.output ? "succeeded" : "failed",
+        AUDIT_ID_PATTERN.test(entry.parentAuditId || "")
+          ? entry.parentAuditId
+          : null,
+        actor.userId || null,
+        actor.orgId || null,
+        actor.apiKeyId || null,
+        entry.lang,
+        entry.market?.code || null,
+        llmProvider ? llmProvider.name : "demo",
+        llmProvider ? llmProvider.model : null,
+        JSON.stringify(entry.inputs || {}),
+        entry.prompt || null,
+        JSON.stringify(entry.steps || []),
+        entry.ruleFindings ? JSON.stringify(entry.ruleFindings) : null,
+        entry.output ? JSON.stringify(entry.output) : null,
+        entry.output ? sha256Hex(canonicalJSON(entry.output)) : null,
+      ],
+    );
+    return auditId;
+  } catch (err) {
+    console.error("Audit record error:", err.message);
+    return null;
+  }
+}
+
+// Record a pipeline result and put its audit id on the response body
+async function withAudit(actor, entry, result) {
+  const auditId = await recordAudit(actor, {
+    ...entry,
+    output: result.status === 200 ? result.body.data : null,
+  });
+  if (auditId) {
+    if (result.body.data) result.body.data.auditId = auditId;
+    else result.body.auditId = auditId;
+  }
+  return result;
+}
+
+// Link a saved report to the run that produced it and that run's parent.
+// Runs must belong to the report's organization, or be anonymous or the
+// saving user's own runs made outside an organization. Returns a warning
+// when the report could not be linked to its audit trail, else null.
+async function linkReportAudits(reportDbId, auditId, req) {
+  if (!auditId) return null;
+  if (!AUDIT_ID_PATTERN.test(auditId))
+    return "Report saved without an audit trail: invalid auditId";
+  try {
+    const result = await pool.query(
+      `INSERT INTO report_audits (report_id, audit_id)
+       SELECT $1, a.id FROM analysis_audits a
+       WHERE a.audit_id IN ($2::varchar, (SELECT parent_audit_id FROM analysis_audits WHERE audit_id=$2::varchar))
+         AND (a.org_id=$3 OR (a.org_id IS NULL AND (a.user_id IS NULL OR a.user_id=$4)))
+       ON CONFLICT DO NOTHING`,
+      [reportDbId, auditId, req.org.id, req.session.userId],
+    );
+    return result.rowCount
+      ? null
+      : `Report saved without an audit trail: audit run ${auditId} not found`;
+  } catch (err) {
+    console.error("Audit link error:", err.message);
+    return "Report saved, but linking its audit trail failed";
+  }
+}
+
+async function findReportAudits(req) {
+  const report = await pool.query(
+    "SELECT r.id, r.report_id, r.title, r.data, r.revision, r.created_at, u.name AS author_name FROM reports r LEFT JOIN users u ON u.id=r.user_id WHERE r.report_id=$1 AND r.org_id=$2",
+    [req.params.reportId, req.org.id],
+  );
+  if (!report.rows.length) return null;
+  const audits = await pool.query(
+    `SELECT a.*, u.name AS user_name, u.email AS user_email
+     FROM report_audits ra JOIN analysis_audits a ON a.id=ra.audit_id
+     LEFT JOIN users u ON u.id=a.user_id
+     WHERE ra.report_id=$1 ORDER BY a.created_at, a.id`,
+    [report.rows[0].id],
+  );
+  return { report: report.rows[0], audits: audits.rows };
+}
+
+function publicAudit(row, savedSha256) {
+  return {
+    auditId: row.audit_id,
+    kind: row.kind,
+    status: row.status,
+    parentAuditId: row.parent_audit_id,
+    user: row.user_id ? { name: row.user_name, email: row.user_email } : null,
+    apiKeyId: row.api_key_id,
+    lang: row.lang,
+    targetMarket: row.target_market,
+    provider: row.provider,
+    model: row.model,
+    inputs: row.inputs,
+    prompt: row.prompt,
+    steps: row.steps,
+    ruleFindings: row.rule_findings,
+    outputSha256: row.output_sha256,
+    matchesSavedReport:
+      row.kind === "extract" ? null : row.output_sha256 === savedSha256,
+    createdAt: row.created_at,
+  };
+}
+
+// ZIP of the saved report and its runs (prompts and raw responses also as
+// plain text), with manifest.json listing each file's SHA-256 and
+// manifest.sig its detached Ed25519 signature
+async function buildAuditBundle(report, audits, generatedBy) {
+  const savedSha256 = reportDataSha256(report.data);
+  const files = {
+    "report.json": JSON.stringify(
+      {
+        reportId: report.report_id,
+        title: report.title,
+        revision: report.revision,
+        author: report.author_name,
+        createdAt: report.created_at,
+        dataSha256: savedSha256,
+        data: report.data,
+      },
+      null,
+      2,
+    ),
+  };
+  for (const row of audits) {
+    const dir = `audits/${row.audit_id}`;
+    files[`${dir}/audit.json`] = JSON.stringify(
+      { ...publicAudit(row, savedSha256), output: row.output },
+      null,
+      2,
+    );
+    if (row.prompt) files[`${dir}/prompt.txt`] = row.prompt;
+    for (const step of row.steps || []) {
+      if (step.repairPrompt)
+        files[`${dir}/repair-prompt-${step.attempt}.txt`] = step.repairPrompt;
+      files[`${dir}/response-${step.attempt}.txt`] = step.response || "";
+    }
+  }
+  files["public-key.pem"] = auditSigning.publicKeyPem;
+
+  const manifest = JSON.stringify(
+    {
+      format: AUDIT_BUNDLE_FORMAT,
+      reportId: report.report_id,
+      generatedAt: new Date().toISOString(),
+      generatedBy,
+      signature: {
+        algorithm: "Ed25519",
+        keyId: auditSigning.keyId,
+        ephemeral: auditSigning.ephemeral,
+        file: "manifest.sig",
+      },
+      files: Object.entries(files).map(([name, content]) => ({
+        path: name,
+        size: Buffer.byteLength(content),
+        sha256: sha256Hex(content),
+      })),
+    },
+    null,
+    2,
+  );
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  zip.file("manifest.json", manifest);
+  zip.file(
+    "manifest.sig",
+    crypto.sign(null, Buffer.from(manifest), auditSigning.privateKey),
+  );
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+// --- API Routes ---
+
+// Health check
+app.get("/api/health", (req, res) => {
+  res.json({
+    status: "ok",
+    geminiConfigured: !!process.env.GEMINI_API_KEY,
+    llmProvider: llmProvider ? llmProvider.name : null,
+    llmModel: llmProvider ? llmProvider.model : null,
+    dbConfigured: !!process.env.DATABASE_URL,
+    substanceCatalogVersion: substanceCatalog.version,
+    pdfCjkFont: !!pdfFontFiles(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Supported target markets with their report section titles and the
+// registration questions the review form asks
+app.get("/api/markets", (req, res) => {
+  res.json({
+    default: DEFAULT_MARKET,
+    markets: Object.values(MARKETS).map((m) => ({
+      code: m.code,
+      name: m.name,
+      nameCn: m.nameCn,
+      authority: m.authority,
+      rules: m.rules,
+      sections: m.sections,
+      registration: {
+        field: m.registration.field,
+        title: m.registration.title,
+        questions: m.registration.questions,
+        identifier: {
+          key: m.registration.identifier.key,
+          label: m.registration.identifier.label,
+          hint: m.registration.identifier.hint,
+        },
+      },
+    })),
+  });
+});
+
+// --- OpenAPI ---
+// Generated from API_ROUTES. Request and response bodies reuse the
+// extraction and report schemas that model output is validated against.
+const packageVersion = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "package.json"), "utf8"),
+).version;
+
+function openApiSchemas() {
+  const lang = { enum: ["en", "cn"] };
+  const targetMarket = { enum: Object.keys(MARKETS) };
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  return {
+    Error: {
+      type: "object",
+      required: ["error"],
+      properties: {
+        error: STR,
+        details: { type: "array", items: { type: "object" } },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { path: STR, message: STR },
+          },
+        },
+      },
+    },
+    ConfirmedData: {
+      ...CONFIRMED_DATA_SCHEMA,
+      properties: {
+        ...CONFIRMED_DATA_SCHEMA.properties,
+        targetMarket,
+        facilityId: { ...STR, description: "Registry facility (FAC-...)" },
+      },
+    },
+    Report: REPORT_SCHEMA,
+    FileUpload: {
+      type: "object",
+      required: ["files"],
+      properties: {
+        files: {
+          type: "array",
+          maxItems: 10,
+          items: { type: "string", format: "binary" },
+          description: "JPG, PNG, WEBP or PDF, up to 20MB each",
+        },
+        lang,
+        targetMarket,
+      },
+    },
+    BatchUpload: {
+      type: "object",
+      required: ["file"],
+      properties: {
+        file: {
+          type: "string",
+          format: "binary",
+          description: `.zip of per-SKU image folders or a product .csv (up to ${BATCH_MAX_SKUS} SKUs)`,
+        },
+        lang,
+        targetMarket,
+      },
+    },
+    AnalyzeConfirmedRequest: {
+      type: "object",
+      required: ["confirmedData"],
+      properties: { confirmedData: ref("ConfirmedData"), lang, targetMarket },
+    },
+    ClassifyClaimsRequest: {
+      type: "object",
+      required: ["claims"],
+      properties: {
+        claims: {
+          type: "array",
+          maxItems: MAX_CLASSIFY_CLAIMS,
+          items: {
+            oneOf: [
+              STR,
+              { type: "object", properties: { claim: STR, claimCn: STR } },
+            ],
+          },
+        },
+        confirmedData: ref("ConfirmedData"),
+        targetMarket,
+      },
+    },
+    ParseIngredientsRequest: {
+      type: "object",
+      required: ["text"],
+      properties: { text: { ...STR, maxLength: MAX_INGREDIENT_STATEMENT } },
+    },
+    SaveReportRequest: {
+      type: "object",
+      required: ["reportData"],
+      properties: {
+        reportData: ref("Report"),
+        lang,
+        title: STR,
+        productId: STR,
+        productName: STR,
+        confirmedData: ref("ConfirmedData"),
+        targetMarket,
+      },
+    },
+    ProductRequest: {
+      type: "object",
+      properties: {
+        name: STR,
+        confirmedData: ref("ConfirmedData"),
+        facilityId: {
+          ...STR,
+          description:
+            "Registry facility that makes the product (empty string unlinks)",
+        },
+      },
+    },
+    FacilityRequest: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { ...STR, maxLength: 200 },
+        address: STR,
+        fei: { type: "string", pattern: "^(\\d{7,10})?$" },
+        duns: { type: "string", pattern: "^(\\d{9})?$" },
+        registrationStatus: { enum: FACILITY_REG_STATUSES },
+        renewalCycle: { enum: Object.keys(FACILITY_RENEWAL_CYCLES) },
+        lastRenewedOn: { type: "string", format: "date" },
+        usAgent: {
+          type: "object",
+          properties: { name: STR, email: STR, phone: STR },
+        },
+        fsvpImporter: {
+          type: "object",
+          properties: { name: STR, duns: STR, contact: STR },
+        },
+        importerStructure: {
+          enum: MARKETS.US.registration.questions
+            .find((q) => q.key === "importerStructure")
+            .options.map((o) => o.value),
+        },
+      },
+    },
+    CreateApiKeyRequest: {
+      type: "object",
+      required: ["name", "scopes"],
+      properties: {
+        name: STR,
+        scopes: {
+          type: "array",
+          items: { enum: Object.keys(API_KEY_SCOPES) },
+        },
+        rateLimit: {
+          type: "integer",
+          minimum: 1,
+          maximum: API_KEY_MAX_RATE_LIMIT,
+          description: `Requests per minute (default ${API_KEY_DEFAULT_RATE_LIMIT})`,
+        },
+      },
+    },
+    CreateWebhookRequest: {
+      type: "object",
+      required: ["url", "events"],
+      properties: {
+        url: { type: "string", format: "uri" },
+        events: {
+          type: "array",
+          items: { enum: Object.keys(WEBHOOK_EVENTS) },
+        },
+      },
+    },
+    JobAccepted: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        jobId: STR,
+        statusUrl: STR,
+        eventsUrl: STR,
+      },
+    },
+    ExtractionResponse: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        demo: { type: "boolean" },
+        repaired: { type: "boolean" },
+        data: ref("ConfirmedData"),
+      },
+    },
+    AnalysisResponse: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        demo: { type: "boolean" },
+        repaired: { type: "boolean" },
+        data: ref("Report"),
+      },
+    },
+  };
+}
+
+// getReportsByReportId, postJobsAnalyzeConfirmed, ...
+function openApiOperationId(route) {
+  const words = route.path
+    .replace(/^\/api\//, "")
+    .split("/")
+    .map((seg) =>
+      seg.startsWith(":")
+        ? "By" + capitalize(seg.slice(1))
+        : capitalize(
+            seg.replace(/[^a-z0-9]+(.)/gi, (_, ch) => ch.toUpperCase()),
+          ),
+    );
+  return route.method + words.join("");
+}
+
+function openApiOperation(route) {
+  const scopes = [].concat(route.scope || []);
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const op = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: openApiOperationId(route),
+    security: {
+      none: [],
+      optional: [{}, { apiKey: scopes }, { session: [] }],
+      required: [{ apiKey: scopes }, { session: [] }],
+      session: [{ session: [] }],
+    }[route.auth],
+    responses: {
+      [route.response === "JobAccepted" ? "202" : "200"]: {
+        description: "Success",
+        ...(route.response && {
+          content: { "application/json": { schema: ref(route.response) } },
+        }),
+      },
+      default: {
+        description: "Error",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+    },
+  };
+  if (scopes.length)
+    op.description = `API keys need the ${scopes.map((s) => `\`${s}\``).join(" or ")} scope.`;
+  else if (route.auth === "session")
+    op.description = "Browser session only; not available to API keys.";
+  const params = [...route.path.matchAll(/:(\w+)/g)].map((m) => ({
+    name: m[1],
+    in: "path",
+    required: true,
+    schema: STR,
+  }));
+  if (params.length) op.parameters = params;
+  if (route.body)
+    op.requestBody = {
+      required: true,
+      content: {
+        [/Upload$/.test(route.body)
+          ? "multipart/form-data"
+          : "application/json"]: { schema: ref(route.body) },
+      },
+    };
+  return op;
+}
+
+function buildOpenApiSpec(req) {
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const p = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[p] = { ...paths[p], [route.method]: openApiOperation(route) };
+  }
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "GoToMarket Compliance Lab API",
+      version: packageVersion,
+      description:
+        "Authenticate server-to-server calls with an organization API key " +
+        `(Authorization: Bearer ${API_KEY_PREFIX}...). Keys act as the member ` +
+        "who created them, limited to their scopes and rate limit " +
+        "(X-RateLimit-* headers, 429 when exceeded).",
+    },
+    servers: [{ url: `${req.protocol}://${req.get("host")}` }],
+    tags: [...new Set(API_ROUTES.map((r) => r.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description: `Organization API key (${API_KEY_PREFIX}...); the X-API-Key header is also accepted. Scopes: ${Object.keys(API_KEY_SCOPES).join(", ")}`,
+        },
+        session: { type: "apiKey", in: "cookie", name: "connect.sid" },
+      },
+      schemas: openApiSchemas(),
+    },
+  };
+}
+
+// Express routes under /api missing from API_ROUTES (logged at startup)
+function undocumentedApiRoutes() {
+  return app._router.stack
+    .filter((layer) => layer.route?.path?.startsWith?.("/api/"))
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => ({
+        method,
+        path: layer.route.path,
+      })),
+    )
+    .filter(
+      (r) =>
+        !API_ROUTES.some((a) => a.method === r.method && a.path === r.path),
+    )
+    .map((r) => `${r.method.toUpperCase()} ${r.path}`);
+}
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(buildOpenApiSpec(req));
+});
+
+// ==================== AUTH ROUTES ====================
+
+// Register
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const { email, password, name, company } = req.body;
+    if (!email || !password || !name)
+      return res
+        .status(400)
+        .json({ error: "Email, password, and name are required" });
+    if (password.length < 6)
+      return res
+        .status(400)
+        .json({ error: "Password must be at least 6 characters" });
+
+    const existing = await pool.query("SELECT id FROM users WHERE email=$1", [
+      email.toLowerCase().trim(),
+    ]);
+    if (existing.rows.length)
+      return res.status(409).json({ error: "Email already registered" });
+
+    const hash = await bcrypt.hash(password, 12);
+    const result = await pool.query(
+      "INSERT INTO users (email, password_hash, name, company) VALUES ($1,$2,$3,$4) RETURNING id, email, name, company, created_at",
+      [email.toLowerCase().trim(), hash, name.trim(), (company || "").trim()],
+    );
+    const user = result.rows[0];
+    const org = await createOrganization(user.id, personalOrgName(user));
+    req.session.userId = user.id;
+    req.session.orgId = org.org_id;
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        company: user.company,
+      },
+    });
+  } catch (err) {
+    console.error("Register error:", err);
+    res.status(500).json({ error: "Registration failed" });
+  }
+});
+
+// Login
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password)
+      return res.status(400).json({ error: "Email and password are required" });
+
+    const result = await pool.query(
+      "SELECT id, email, name, company, password_hash FROM users WHERE email=$1",
+      [email.toLowerCase().trim()],
+    );
+    if (!result.rows.length)
+      return res.status(401).json({ error: "Invalid email or password" });
+
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(password, user.password_hash);
+    if (!valid)
+      return res.status(401).json({ error: "Invalid email or password" });
+
+    req.session.userId = user.id;
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        company: user.company,
+      },
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+// Logout
+app.post("/api/auth/logout", (req, res) => {
+  req.session.destroy(() => res.json({ success: true }));
+});
+
+// Get current user
+app.get("/api/auth/me", async (req, res) => {
+  if (!req.session.userId) return res.json({ user: null });
+  try {
+    const result = await pool.query(
+      "SELECT id, email, name, company FROM users WHERE id=$1",
+      [req.session.userId],
+    );
+    if (!result.rows.length) return res.json({ user: null });
+    const org = await resolveActiveOrg(req);
+    res.json({
+      user: result.rows[0],
+      org: { org_id: org.org_id, name: org.name, role: org.role },
+    });
+  } catch (err) {
+    res.json({ user: null });
+  }
+});
+
+// ==================== ORGANIZATION ROUTES ====================
+
+// List the user's organizations
+app.get("/api/orgs", requireAuth, async (req, res) => {
+  try {
+    const active = await resolveActiveOrg(req);
+    const result = await pool.query(
+      `SELECT o.org_id, o.name, m.role, o.created_at FROM org_members m JOIN organizations o ON o.id=m.org_id
+       WHERE m.user_id=$1 ORDER BY m.created_at`,
+      [req.session.userId],
+    );
+    res.json({
+      orgs: result.rows.map((o) => ({
+        ...o,
+        active: o.org_id === active.org_id,
+      })),
+    });
+  } catch (err) {
+    console.error("List orgs error:", err);
+    res.status(500).json({ error: "Failed to list organizations" });
+  }
+});
+
+// Create organization (caller becomes owner and switches to it)
+app.post("/api/orgs", requireAuth, async (req, res) => {
+  try {
+    const name = (req.body.name || "").trim();
+    if (!name)
+      return res.status(400).json({ error: "Organization name is required" });
+    const org = await createOrganization(req.session.userId, name);
+    req.session.orgId = org.org_id;
+    res.json({
+      success: true,
+      org: { org_id: org.org_id, name: org.name, role: org.role },
+    });
+  } catch (err) {
+    console.error("Create org error:", err);
+    res.status(500).json({ error: "Failed to create organization" });
+  }
+});
+
+// Switch active organization
+app.post("/api/orgs/:orgId/switch", requireOrgMember("read"), (req, res) => {
+  req.session.orgId = req.org.org_id;
+  res.json({
+    success: true,
+    org: { org_id: req.org.org_id, name: req.org.name, role: req.org.role },
+  });
+});
+
+// Rename organization
+app.put("/api/orgs/:orgId", requireOrgMember("manage"), async (req, res) => {
+  try {
+    const name = (req.body.name || "").trim();
+    if (!name)
+      return res.status(400).json({ error: "Organization name is required" });
+    await pool.query("UPDATE organizations SET name=$1 WHERE id=$2", [
+      name.substring(0, 200),
+      req.org.id,
+    ]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update organization" });
+  }
+});
+
+// Members and pending invitations
+app.get(
+  "/api/orgs/:orgId/members",
+  requireOrgMember("read"),
+  async (req, res) => {
+    try {
+      const members = await pool.query(
+        `SELECT u.id AS user_id, u.name, u.email, m.role, m.created_at FROM org_members m JOIN users u ON u.id=m.user_id
+         WHERE m.org_id=$1 ORDER BY m.created_at`,
+        [req.org.id],
+      );
+      const invitations =
+        req.org.role === "owner"
+          ? await pool.query(
+              `SELECT id, email, role, token, created_at, expires_at FROM org_invitations
+               WHERE org_id=$1 AND accepted_at IS NULL AND expires_at > NOW() ORDER BY created_at`,
+              [req.org.id],
+            )
+          : { rows: [] };
+      res.json({
+        org: { org_id: req.org.org_id, name: req.org.name, role: req.org.role },
+        members: members.rows,
+        invitations: invitations.rows,
+      });
+    } catch (err) {
+      console.error("List members error:", err);
+      res.status(500).json({ error: "Failed to list members" });
+    }
+  },
+);
+
+async function countOwners(orgPk) {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS n FROM org_members WHERE org_id=$1 AND role='owner'",
+    [orgPk],
+  );
+  return result.rows[0].n;
+}
+
+// Change a member's role
+app.put(
+  "/api/orgs/:orgId/members/:userId",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!ORG_ROLES.includes(role))
+        return res
+          .status(400)
+          .json({ error: `Role must be one of: ${ORG_ROLES.join(", ")}` });
+      const member = await pool.query(
+        "SELECT role FROM org_members WHERE org_id=$1 AND user_id=$2",
+        [req.org.id, req.params.userId],
+      );
+      if (!member.rows.length)
+        return res.status(404).json({ error: "Member not found" });
+      if (
+        member.rows[0].role === "owner" &&
+        role !== "owner" &&
+        (await countOwners(req.org.id)) === 1
+      )
+        return res
+          .status(400)
+          .json({ error: "An organization needs at least one owner" });
+      await pool.query(
+        "UPDATE org_members SET role=$1 WHERE org_id=$2 AND user_id=$3",
+        [role, req.org.id, req.params.userId],
+      );
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Update member error:", err);
+      res.status(500).json({ error: "Failed to update member" });
+    }
+  },
+);
+
+// Remove a member (owners), or leave the organization (anyone)
+app.delete(
+  "/api/orgs/:orgId/members/:userId",
+  requireOrgMember("read"),
+  async (req, res) => {
+    try {
+      const self = Number(req.params.userId) === req.session.userId;
+      if (!self && req.org.role !== "owner")
+        return forbiddenRole(res, "manage", req.org.role);
+      const member = await pool.query(
+        "SELECT role FROM org_members WHERE org_id=$1 AND user_id=$2",
+        [req.org.id, req.params.userId],
+      );
+      if (!member.rows.length)
+        return res.status(404).json({ error: "Member not found" });
+      if (
+        member.rows[0].role === "owner" &&
+        (await countOwners(req.org.id)) === 1
+      )
+        return res
+          .status(400)
+          .json({ error: "An organization needs at least one owner" });
+      await pool.query("DELETE FROM org_members WHERE org_id=$1 AND user_id=$2", [
+        req.org.id,
+        req.params.userId,
+      ]);
+      if (self) delete req.session.orgId;
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Remove member error:", err);
+      res.status(500).json({ error: "Failed to remove member" });
+    }
+  },
+);
+
+// Invite by email; the accept link is returned for the owner to share
+app.post(
+  "/api/orgs/:orgId/invitations",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const email = (req.body.email || "").toLowerCase().trim();
+      const role = req.body.role || "viewer";
+      if (!email) return res.status(400).json({ error: "Email is required" });
+      if (!ORG_ROLES.includes(role))
+        return res
+          .status(400)
+          .json({ error: `Role must be one of: ${ORG_ROLES.join(", ")}` });
+      const result = await pool.query(
+        `INSERT INTO org_invitations (org_id, email, role, token, invited_by, expires_at)
+         VALUES ($1,$2,$3,$4,$5, NOW() + make_interval(days => $6))
+         RETURNING id, email, role, token, created_at, expires_at`,
+        [
+          req.org.id,
+          email,
+          role,
+          crypto.randomBytes(24).toString("hex"),
+          req.session.userId,
+          INVITATION_TTL_DAYS,
+        ],
+      );
+      const invitation = result.rows[0];
+      res.json({
+        success: true,
+        invitation,
+        acceptUrl: `/?invite=${invitation.token}`,
+      });
+    } catch (err) {
+      console.error("Create invitation error:", err);
+      res.status(500).json({ error: "Failed to create invitation" });
+    }
+  },
+);
+
+// Revoke a pending invitation
+app.delete(
+  "/api/orgs/:orgId/invitations/:invitationId",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      await pool.query(
+        "DELETE FROM org_invitations WHERE id=$1 AND org_id=$2 AND accepted_at IS NULL",
+        [req.params.invitationId, req.org.id],
+      );
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to revoke invitation" });
+    }
+  },
+);
+
+// API keys (owners); the secret is only returned on creation
+app.get(
+  "/api/orgs/:orgId/api-keys",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT k.key_id, k.name, k.key_prefix, k.scopes, k.rate_limit, k.created_at, k.last_used_at, k.revoked_at,
+                u.name AS created_by_name,
+                (SELECT COUNT(*)::int FROM api_key_usage g WHERE g.api_key_id=k.id AND g.created_at > NOW() - INTERVAL '24 hours') AS requests_24h
+         FROM api_keys k LEFT JOIN users u ON u.id=k.created_by
+         WHERE k.org_id=$1 ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC`,
+        [req.org.id],
+      );
+      res.json({ scopes: API_KEY_SCOPES, apiKeys: result.rows });
+    } catch (err) {
+      console.error("List API keys error:", err);
+      res.status(500).json({ error: "Failed to list API keys" });
+    }
+  },
+);
+
+app.post(
+  "/api/orgs/:orgId/api-keys",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const name = (req.body.name || "").trim();
+      const scopes = [...new Set(req.body.scopes || [])];
+      const rateLimit =
+        req.body.rateLimit == null
+          ? API_KEY_DEFAULT_RATE_LIMIT
+          : Number(req.body.rateLimit);
+      if (!name)
+        return res.status(400).json({ error: "API key name is required" });
+      if (!scopes.length || scopes.some((s) => !API_KEY_SCOPES[s]))
+        return res.status(400).json({
+          error: `Scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(", ")}`,
+        });
+      if (
+        !Number.isInteger(rateLimit) ||
+        rateLimit < 1 ||
+        rateLimit > API_KEY_MAX_RATE_LIMIT
+      )
+        return res.status(400).json({
+          error: `rateLimit must be an integer from 1 to ${API_KEY_MAX_RATE_LIMIT} (requests per minute)`,
+        });
+      const secret = API_KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+      const result = await pool.query(
+        `INSERT INTO api_keys (key_id, org_id, created_by, name, key_prefix, key_hash, scopes, rate_limit)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING key_id, name, key_prefix, scopes, rate_limit, created_at`,
+        [
+          "KEY-" + crypto.randomBytes(6).toString("hex").toUpperCase(),
+          req.org.id,
+          req.session.userId,
+          name.substring(0, 200),
+          secret.substring(0, API_KEY_PREFIX.length + 6),
+          hashApiKey(secret),
+          JSON.stringify(scopes),
+          rateLimit,
+        ],
+      );
+      res.json({ success: true, apiKey: result.rows[0], secret });
+    } catch (err) {
+      console.error("Create API key error:", err);
+      res.status(500).json({ error: "Failed to create API key" });
+    }
+  },
+);
+
+app.delete(
+  "/api/orgs/:orgId/api-keys/:keyId",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "UPDATE api_keys SET revoked_at=NOW() WHERE key_id=$1 AND org_id=$2 AND revoked_at IS NULL",
+        [req.params.keyId, req.org.id],
+      );
+      if (!result.rowCount)
+        return res.status(404).json({ error: "API key not found" });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to revoke API key" });
+    }
+  },
+);
+
+// Request log of one key (?limit=, newest first) with daily totals
+app.get(
+  "/api/orgs/:orgId/api-keys/:keyId/usage",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const key = await pool.query(
+        "SELECT id, key_id, name FROM api_keys WHERE key_id=$1 AND org_id=$2",
+        [req.params.keyId, req.org.id],
+      );
+      if (!key.rows.length)
+        return res.status(404).json({ error: "API key not found" });
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const usage = await pool.query(
+        `SELECT method, path, status, duration_ms, created_at FROM api_key_usage
+         WHERE api_key_id=$1 ORDER BY created_at DESC LIMIT $2`,
+        [key.rows[0].id, limit],
+      );
+      const daily = await pool.query(
+        `SELECT date_trunc('day', created_at)::date AS day, COUNT(*)::int AS requests,
+                COUNT(*) FILTER (WHERE status >= 400)::int AS errors
+         FROM api_key_usage WHERE api_key_id=$1 AND created_at > NOW() - INTERVAL '30 days'
+         GROUP BY 1 ORDER BY 1 DESC`,
+        [key.rows[0].id],
+      );
+      res.json({
+        apiKey: { key_id: key.rows[0].key_id, name: key.rows[0].name },
+        daily: daily.rows,
+        usage: usage.rows,
+      });
+    } catch (err) {
+      console.error("API key usage error:", err);
+      res.status(500).json({ error: "Failed to load API key usage" });
+    }
+  },
+);
+
+// --- Webhooks ---
+// Org webhook endpoints receive report, review and analysis events as a
+// signed JSON POST. Each (event, endpoint) pair is a row in
+// webhook_deliveries; failed attempts are retried with backoff by a
+// polling worker, and every attempt is kept in attempt_log.
+const WEBHOOK_EVENTS = {
+  "report.created": "A report was saved",
+  "report.deleted": "A report was deleted",
+  "review.signed_off": "A reviewer signed off a report",
+  "analysis.completed": "A background analysis or extraction job finished",
+  "analysis.failed": "A background analysis or extraction job failed",
+};
+const WEBHOOK_RETRY_DELAYS_S = [60, 300, 1800, 7200, 21600]; // after attempts 1-5
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LEASE_S = 300; // an attempt in progress hides the row from the worker
+const WEBHOOK_POLL_MS = 30 * 1000;
+
+// Endpoints may not point into the server's own network: loopback,
+// link-local (cloud metadata), private, shared (CGNAT), ULA, multicast and
+// reserved ranges. Checked when an endpoint is saved and again when each
+// delivery connects, so a later DNS change cannot get around it.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+])
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+])
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+const WEBHOOK_ADDRESS_ERROR =
+  "Webhook URL must not point to a private, loopback or link-local address";
+
+function isBlockedWebhookAddress(address) {
+  return WEBHOOK_BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv4(address) ? "ipv4" : "ipv6",
+  );
+}
+
+// dns.lookup for webhook sockets that refuses blocked addresses
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isBlockedWebhookAddress(a.address)))
+      return callback(new Error(WEBHOOK_ADDRESS_ERROR));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a delivery; resolves with the status line only, the response body
+// is never read
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^\[|\]$/g, "");
+    // IP literals skip the lookup
+    if (net.isIP(host) && isBlockedWebhookAddress(host))
+      return reject(new Error(WEBHOOK_ADDRESS_ERROR));
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: webhookLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (res) => {
+        res.resume();
+        resolve({ status: res.statusCode, statusText: res.statusMessage });
+      },
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+function signWebhook(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// One POST for a delivery row; schedules the next attempt or settles it
+async function attemptWebhookDelivery(deliveryPk) {
+  const result = await pool.query(
+    `SELECT d.id, d.delivery_id, d.event, d.payload, d.attempts, w.url, w.secret
+     FROM webhook_deliveries d JOIN webhooks w ON w.id=d.webhook_id WHERE d.id=$1`,
+    [deliveryPk],
+  );
+  const d = result.rows[0];
+  if (!d) return;
+
+  const body = JSON.stringify(d.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let status = null;
+  let statusLine = null;
+  let error = null;
+  try {
+    // Redirects are not followed
+    const res = await postWebhook(
+      d.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "GoToMarket-Webhooks/1.0",
+        "X-GTM-Event": d.event,
+        "X-GTM-Delivery": d.delivery_id,
+        "X-GTM-Signature": `t=${timestamp},v1=${signWebhook(d.secret, timestamp, body)}`,
+      },
+      body,
+    );
+    status = res.status;
+    statusLine = `HTTP ${status} ${res.statusText || ""}`
+      .trim()
+      .substring(0, 200);
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
+  } catch (err) {
+    error =
+      err.name === "TimeoutError" || err.cause?.name === "TimeoutError"
+        ? "Timed out"
+        : err.message;
+  }
+
+  const attempts = d.attempts + 1;
+  const retryIn = error ? WEBHOOK_RETRY_DELAYS_S[attempts - 1] : undefined;
+  const state = !error
+    ? "succeeded"
+    : retryIn === undefined
+      ? "failed"
+      : "pending";
+  await pool.query(
+    `UPDATE webhook_deliveries SET status=$2::text, attempts=$3, response_status=$4, response_body=$5, error=$6,
+       next_attempt_at=CASE WHEN $2::text='pending' THEN NOW() + make_interval(secs => $7) ELSE NULL END,
+       attempt_log=attempt_log || $8::jsonb, updated_at=NOW()
+     WHERE id=$1`,
+    [
+      d.id,
+      state,
+      attempts,
+      status,
+      statusLine,
+      error,
+      retryIn || 0,
+      JSON.stringify([
+        {
+          at: new Date(started).toISOString(),
+          status,
+          error,
+          durationMs: Date.now() - started,
+        },
+      ]),
+    ],
+  );
+}
+
+// Queue an event for the org's active endpoints subscribed to it and make
+// the first attempt right away. orgId is the public ORG- id.
+async function emitWebhookEvent(orgId, event, data) {
+  if (!process.env.DATABASE_URL || !orgId) return;
+  try {
+    const hooks = await pool.query(
+      `SELECT w.id FROM webhooks w JOIN organizations o ON o.id=w.org_id
+       WHERE o.org_id=$1 AND w.active AND w.events ? $2`,
+      [orgId, event],
+    );
+    for (const hook of hooks.rows) {
+      const deliveryId = "DLV-" + crypto.randomUUID();
+      const payload = {
+        id: deliveryId,
+        event,
+        createdAt: new Date().toISOString(),
+        orgId,
+        data,
+      };
+      const inserted = await pool.query(
+        `INSERT INTO webhook_deliveries (delivery_id, webhook_id, event, payload, next_attempt_at)
+         VALUES ($1,$2,$3,$4, NOW() + make_interval(secs => $5)) RETURNING id`,
+        [deliveryId, hook.id, event, JSON.stringify(payload), WEBHOOK_LEASE_S],
+      );
+      attemptWebhookDelivery(inserted.rows[0].id).catch((err) =>
+        console.error("Webhook delivery error:", err.message),
+      );
+    }
+  } catch (err) {
+    console.error("Webhook emit error:", err.message);
+  }
+}
+
+// Retry due deliveries; claiming a row pushes next_attempt_at out by the
+// lease so concurrent workers (or instances) skip it
+async function retryDueWebhooks() {
+  try {
+    const due = await pool.query(
+      `UPDATE webhook_deliveries SET next_attempt_at=NOW() + make_interval(secs => $1)
+       WHERE id IN (SELECT id FROM webhook_deliveries WHERE status='pending' AND next_attempt_at <= NOW()
+                    ORDER BY next_attempt_at LIMIT 20 FOR UPDATE SKIP LOCKED)
+       RETURNING id`,
+      [WEBHOOK_LEASE_S],
+    );
+    for (const row of due.rows) await attemptWebhookDelivery(row.id);
+  } catch (err) {
+    console.error("Webhook retry error:", err.message);
+  }
+}
+
+function startWebhookWorker() {
+  setInterval(retryDueWebhooks, WEBHOOK_POLL_MS).unref();
+}
+
+async function webhookUrlError(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "Webhook URL is not a valid URL";
+  }
+  if (
+    u.protocol !== "https:" &&
+    !(u.protocol === "http:" && process.env.NODE_ENV !== "production")
+  )
+    return "Webhook URL must use https";
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some((a) => isBlockedWebhookAddress(a.address)))
+      return WEBHOOK_ADDRESS_ERROR;
+  } catch {
+    return `Webhook host ${host} could not be resolved`;
+  }
+  return null;
+}
+
+function webhookEventsError(events) {
+  if (
+    !Array.isArray(events) ||
+    !events.length ||
+    events.some((e) => !WEBHOOK_EVENTS[e])
+  )
+    return `events must be a non-empty list of: ${Object.keys(WEBHOOK_EVENTS).join(", ")}`;
+  return null;
+}
+
+async function findWebhook(req) {
+  const result = await pool.query(
+    "SELECT id, webhook_id FROM webhooks WHERE webhook_id=$1 AND org_id=$2",
+    [req.params.webhookId, req.org.id],
+  );
+  return result.rows[0] || null;
+}
+
+// Webhook endpoints (owners) with the status of their latest delivery; the
+// signing secret is only returned on creation
+app.get(
+  "/api/orgs/:orgId/webhooks",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT w.webhook_id, w.url, w.events, w.active, w.created_at,
+                last.event AS last_event, last.status AS last_status, last.response_status AS last_response_status,
+                last.updated_at AS last_delivery_at
+         FROM webhooks w
+         LEFT JOIN LATERAL (SELECT event, status, response_status, updated_at FROM webhook_deliveries
+                            WHERE webhook_id=w.id ORDER BY created_at DESC LIMIT 1) last ON true
+         WHERE w.org_id=$1 ORDER BY w.created_at`,
+        [req.org.id],
+      );
+      res.json({ events: WEBHOOK_EVENTS, webhooks: result.rows });
+    } catch (err) {
+      console.error("List webhooks error:", err);
+      res.status(500).json({ error: "Failed to list webhooks" });
+    }
+  },
+);
+
+app.post(
+  "/api/orgs/:orgId/webhooks",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const url = String(req.body.url || "").trim();
+      const events = [...new Set(req.body.events || [])];
+      const invalid =
+        (await webhookUrlError(url)) || webhookEventsError(events);
+      if (invalid) return res.status(400).json({ error: invalid });
+      const secret = "whsec_" + crypto.randomBytes(24).toString("hex");
+      const result = await pool.query(
+        `INSERT INTO webhooks (webhook_id, org_id, url, events, secret, created_by)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING webhook_id, url, events, active, created_at`,
+        [
+          "WH-" + crypto.randomBytes(6).toString("hex").toUpperCase(),
+          req.org.id,
+          url.substring(0, 1000),
+          JSON.stringify(events),
+          secret,
+          req.session.userId,
+        ],
+      );
+      res.json({ success: true, webhook: result.rows[0], secret });
+    } catch (err) {
+      console.error("Create webhook error:", err);
+      res.status(500).json({ error: "Failed to create webhook" });
+    }
+  },
+);
+
+// Change url, events or active
+app.put(
+  "/api/orgs/:orgId/webhooks/:webhookId",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const hook = await findWebhook(req);
+      if (!hook) return res.status(404).json({ error: "Webhook not found" });
+      const { url, events, active } = req.body;
+      const invalid =
+        (url !== undefined && (await webhookUrlError(String(url).trim()))) ||
+        (events !== undefined && webhookEventsError(events));
+      if (invalid) return res.status(400).json({ error: invalid });
+      const result = await pool.query(
+        `UPDATE webhooks SET url=COALESCE($2, url), events=COALESCE($3, events), active=COALESCE($4, active)
+         WHERE id=$1 RETURNING webhook_id, url, events, active, created_at`,
+        [
+          hook.id,
+          url === undefined ? null : String(url).trim().substring(0, 1000),
+          events === undefined ? null : JSON.stringify([...new Set(events)]),
+          active === undefined ? null : !!active,
+        ],
+      );
+      res.json({ success: true, webhook: result.rows[0] });
+    } catch (err) {
+      console.error("Update webhook error:", err);
+      res.status(500).json({ error: "Failed to update webhook" });
+    }
+  },
+);
+
+app.delete(
+  "/api/orgs/:orgId/webhooks/:webhookId",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM webhooks WHERE webhook_id=$1 AND org_id=$2",
+        [req.params.webhookId, req.org.id],
+      );
+      if (!result.rowCount)
+        return res.status(404).json({ error: "Webhook not found" });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to delete webhook" });
+    }
+  },
+);
+
+// Delivery log, newest first (?limit=, ?status=pending|succeeded|failed)
+app.get(
+  "/api/orgs/:orgId/webhooks/:webhookId/deliveries",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const hook = await findWebhook(req);
+      if (!hook) return res.status(404).json({ error: "Webhook not found" });
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const result = await pool.query(
+        `SELECT delivery_id, event, status, attempts, response_status, response_body, error,
+                next_attempt_at, attempt_log, payload, created_at, updated_at
+         FROM webhook_deliveries WHERE webhook_id=$1 AND ($2::text IS NULL OR status=$2)
+         ORDER BY created_at DESC LIMIT $3`,
+        [hook.id, req.query.status || null, limit],
+      );
+      res.json({ deliveries: result.rows });
+    } catch (err) {
+      console.error("List webhook deliveries error:", err);
+      res.status(500).json({ error: "Failed to load deliveries" });
+    }
+  },
+);
+
+// Send a "ping" event to one endpoint
+app.post(
+  "/api/orgs/:orgId/webhooks/:webhookId/test",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const hook = await findWebhook(req);
+      if (!hook) return res.status(404).json({ error: "Webhook not found" });
+      const deliveryId = "DLV-" + crypto.randomUUID();
+      const inserted = await pool.query(
+        `INSERT INTO webhook_deliveries (delivery_id, webhook_id, event, payload, next_attempt_at)
+         VALUES ($1,$2,'ping',$3, NOW() + make_interval(secs => $4)) RETURNING id`,
+        [
+          deliveryId,
+          hook.id,
+          JSON.stringify({
+            id: deliveryId,
+            event: "ping",
+            createdAt: new Date().toISOString(),
+            orgId: req.org.org_id,
+            data: { webhookId: hook.webhook_id },
+          }),
+          WEBHOOK_LEASE_S,
+        ],
+      );
+      await attemptWebhookDelivery(inserted.rows[0].id);
+      const result = await pool.query(
+        "SELECT delivery_id, event, status, attempts, response_status, error FROM webhook_deliveries WHERE id=$1",
+        [inserted.rows[0].id],
+      );
+      res.json({ delivery: result.rows[0] });
+    } catch (err) {
+      console.error("Test webhook error:", err);
+      res.status(500).json({ error: "Failed to send test event" });
+    }
+  },
+);
+
+// Send a delivery again now (keeps its id and payload)
+app.post(
+  "/api/orgs/:orgId/webhooks/:webhookId/deliveries/:deliveryId/retry",
+  requireOrgMember("manage"),
+  async (req, res) => {
+    try {
+      const hook = await findWebhook(req);
+      if (!hook) return res.status(404).json({ error: "Webhook not found" });
+      const result = await pool.query(
+        `UPDATE webhook_deliveries SET status='pending', next_attempt_at=NOW() + make_interval(secs => $3)
+         WHERE delivery_id=$1 AND webhook_id=$2 RETURNING id`,
+        [req.params.deliveryId, hook.id, WEBHOOK_LEASE_S],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Delivery not found" });
+      await attemptWebhookDelivery(result.rows[0].id);
+      const delivery = await pool.query(
+        "SELECT delivery_id, event, status, attempts, response_status, error FROM webhook_deliveries WHERE id=$1",
+        [result.rows[0].id],
+      );
+      res.json({ delivery: delivery.rows[0] });
+    } catch (err) {
+      console.error("Retry webhook delivery error:", err);
+      res.status(500).json({ error: "Failed to retry delivery" });
+    }
+  },
+);
+
+async function findInvitation(token) {
+  const result = await pool.query(
+    `SELECT i.id, i.email, i.role, i.accepted_at, i.expires_at, i.org_id AS org_pk, o.org_id, o.name AS org_name
+     FROM org_invitations i JOIN organizations o ON o.id=i.org_id WHERE i.token=$1`,
+    [token],
+  );
+  return result.rows[0] || null;
+}
+
+// Invitation details (shown before login/accept)
+app.get("/api/invitations/:token", async (req, res) => {
+  try {
+    const inv = await findInvitation(req.params.token);
+    if (!inv) return res.status(404).json({ error: "Invitation not found" });
+    res.json({
+      invitation: {
+        email: inv.email,
+        role: inv.role,
+        orgId: inv.org_id,
+        orgName: inv.org_name,
+        accepted: !!inv.accepted_at,
+        expired: new Date(inv.expires_at) < new Date(),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load invitation" });
+  }
+});
+
+// Accept an invitation addressed to the logged-in user's email
+app.post(
+  "/api/invitations/:token/accept",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const inv = await findInvitation(req.params.token);
+      if (!inv) return res.status(404).json({ error: "Invitation not found" });
+      if (inv.accepted_at)
+        return res.status(409).json({ error: "Invitation already accepted" });
+      if (new Date(inv.expires_at) < new Date())
+        return res.status(410).json({ error: "Invitation has expired" });
+      const user = await pool.query("SELECT email FROM users WHERE id=$1", [
+        req.session.userId,
+      ]);
+      if (user.rows[0]?.email !== inv.email)
+        return res
+          .status(403)
+          .json({ error: `This invitation is for ${inv.email}` });
+
+      await pool.query(
+        "INSERT INTO org_members (org_id, user_id, role) VALUES ($1,$2,$3) ON CONFLICT (org_id, user_id) DO NOTHING",
+        [inv.org_pk, req.session.userId, inv.role],
+      );
+      await pool.query(
+        "UPDATE org_invitations SET accepted_at=NOW() WHERE id=$1",
+        [inv.id],
+      );
+      req.session.orgId = inv.org_id;
+      const membership = await getMembership(req.session.userId, inv.org_id);
+      res.json({
+        success: true,
+        org: { org_id: inv.org_id, name: inv.org_name, role: membership.role },
+      });
+    } catch (err) {
+      console.error("Accept invitation error:", err);
+      res.status(500).json({ error: "Failed to accept invitation" });
+    }
+  },
+);
+
+// ==================== REPORT ROUTES ====================
+
+const REPORT_REVISION_ATTEMPTS = 5;
+
+// Save report
+app.post("/api/reports", requireOrgPermission("write"), async (req, res) => {
+  try {
+    const { reportData, lang, title, productId, productName, confirmedData } =
+      req.body;
+    if (!reportData)
+      return res.status(400).json({ error: "Report data is required" });
+    if (!resolveLang(lang)) return res.status(400).json({ error: langError() });
+    const market = resolveMarket(
+      req.body.targetMarket || reportData.targetMarket,
+    );
+    if (!market) return res.status(400).json({ error: marketError() });
+
+    // Attach to an existing product as its next revision, or start a new one.
+    // The facility picked in the review form links the product to it; an
+    // unknown facility leaves the link as it is.
+    const facility = await facilityLink(req.org.id, confirmedData?.facilityId);
+    const linkFacility = !facility.error && facility.id !== undefined;
+    let product;
+    if (productId) {
+      const found = await pool.query(
+        "SELECT id, product_id, name FROM products WHERE product_id=$1 AND org_id=$2",
+        [productId, req.org.id],
+      );
+      if (!found.rows.length)
+        return res.status(404).json({ error: "Product not found" });
+      product = found.rows[0];
+      await pool.query(
+        `UPDATE products SET confirmed_data=COALESCE($2, confirmed_data),
+           facility_id=CASE WHEN $3 THEN $4::int ELSE facility_id END, updated_at=NOW() WHERE id=$1`,
+        [
+          product.id,
+          confirmedData ? JSON.stringify(confirmedData) : null,
+          linkFacility,
+          linkFacility ? facility.id : null,
+        ],
+      );
+    } else {
+      const created = await pool.query(
+        "INSERT INTO products (user_id, org_id, product_id, name, confirmed_data, facility_id) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id, product_id, name",
+        [
+          req.session.userId,
+          req.org.id,
+          "PRD-" + Date.now().toString(36).toUpperCase(),
+          (productName || "").trim().substring(0, 200) || "Untitled Product",
+          confirmedData ? JSON.stringify(confirmedData) : null,
+          linkFacility ? facility.id : null,
+        ],
+      );
+      product = created.rows[0];
+    }
+
+    const reportId = "GTM-" + Date.now().toString(36).toUpperCase();
+    const riskLevel = reportData.overallRiskLevel || "medium";
+    const score = riskLevel === "low" ? 1 : riskLevel === "high" ? 3 : 2;
+    const reportTitle =
+      title ||
+      (lang === "cn"
+        ? "产品合规结构评估报告"
+        : "Product Compliance Structural Assessment Report");
+
+    // Two saves of the same product can both read the same MAX(revision);
+    // the loser hits idx_reports_product_revision and takes the next number
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+      try {
+        result = await pool.query(
+          `INSERT INTO reports (user_id, report_id, title, data, lang, score, product_id, revision, org_id, target_market, confirmed_data)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,(SELECT COALESCE(MAX(revision),0)+1 FROM reports WHERE product_id=$7),$8,$9,$10)
+           RETURNING id, report_id, title, score, revision, target_market, created_at`,
+          [
+            req.session.userId,
+            reportId,
+            reportTitle,
+            JSON.stringify({ ...reportData, targetMarket: market.code }),
+            lang || "en",
+            score,
+            product.id,
+            req.org.id,
+            market.code,
+            confirmedData ? JSON.stringify(confirmedData) : null,
+          ],
+        );
+      } catch (err) {
+        if (
+          err.code !== "23505" ||
+          err.constraint !== "idx_reports_product_revision" ||
+          attempt >= REPORT_REVISION_ATTEMPTS
+        )
+          throw err;
+      }
+    }
+    const auditWarning = await linkReportAudits(
+      result.rows[0].id,
+      reportData.auditId,
+      req,
+    );
+    const report = {
+      ...result.rows[0],
+      product_id: product.product_id,
+      product_name: product.name,
+    };
+    res.json({
+      success: true,
+      report,
+      ...(auditWarning && { warning: auditWarning }),
+    });
+    emitWebhookEvent(req.org.org_id, "report.created", {
+      reportId: report.report_id,
+      title: report.title,
+      productId: report.product_id,
+      productName: report.product_name,
+      revision: report.revision,
+      targetMarket: report.target_market,
+      overallRiskLevel: riskLevel,
+      createdAt: report.created_at,
+    });
+  } catch (err) {
+    console.error("Save report error:", err);
+    res.status(500).json({ error: "Failed to save report" });
+  }
+});
+
+// List user's reports
+app.get("/api/reports", requireOrgPermission("read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT r.id, r.report_id, r.title, r.score, r.lang, r.revision, r.review_status, r.target_market, r.created_at, p.product_id, p.name AS product_name, u.name AS author_name FROM reports r LEFT JOIN products p ON p.id=r.product_id LEFT JOIN users u ON u.id=r.user_id WHERE r.org_id=$1 ORDER BY r.created_at DESC LIMIT 50",
+      [req.org.id],
+    );
+    res.json({ reports: result.rows, role: req.org.role });
+  } catch (err) {
+    console.error("List reports error:", err);
+    res.status(500).json({ error: "Failed to list reports" });
+  }
+});
+
+// Get single report
+app.get(
+  "/api/reports/:reportId",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT r.id, r.report_id, r.title, r.data, r.score, r.lang, r.revision, r.review_status, r.target_market, r.submitted_at, r.signed_off_at, r.created_at, p.product_id, p.name AS product_name, v.name AS reviewer_name FROM reports r LEFT JOIN products p ON p.id=r.product_id LEFT JOIN users v ON v.id=r.reviewer_id WHERE r.report_id=$1 AND r.org_id=$2",
+        [req.params.reportId, req.org.id],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Report not found" });
+      res.json({ report: result.rows[0], role: req.org.role });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to load report" });
+    }
+  },
+);
+
+// Delete report
+app.delete(
+  "/api/reports/:reportId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM reports WHERE report_id=$1 AND org_id=$2",
+        [req.params.reportId, req.org.id],
+      );
+      if (!result.rowCount)
+        return res.status(404).json({ error: "Report not found" });
+      res.json({ success: true });
+      emitWebhookEvent(req.org.org_id, "report.deleted", {
+        reportId: req.params.reportId,
+        deletedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to delete report" });
+    }
+  },
+);
+
+// ==================== REVIEW ROUTES ====================
+
+// Expert review: submitted → in_review → changes_requested | signed_off.
+// Authors (write) submit; reviewers (review) pick up, edit items and decide.
+// independent: the report's owner may not take the step; assigned: only the
+// reviewer who started the review may.
+const REVIEW_TRANSITIONS = {
+  submit: {
+    from: [null, "changes_requested"],
+    to: "submitted",
+    permission: "write",
+  },
+  start: {
+    from: ["submitted"],
+    to: "in_review",
+    permission: "review",
+    independent: true,
+  },
+  request_changes: {
+    from: ["in_review"],
+    to: "changes_requested",
+    permission: "review",
+  },
+  sign_off: {
+    from: ["in_review"],
+    to: "signed_off",
+    permission: "review",
+    independent: true,
+    assigned: true,
+  },
+};
+const REVIEW_STAMPS = {
+  verify: "verified",
+  override: "overridden",
+  annotate: "annotated",
+  add: "added",
+};
+const REVIEW_ITEM_ACTIONS = Object.keys(REVIEW_STAMPS);
+const REVIEW_SECTIONS = Object.fromEntries(
+  DIFF_SECTIONS.map(({ key, nameKey }) => [key, nameKey]),
+);
+
+// Review routes read reports.data, change it and write it back, so they run
+// fn(client, report) in a transaction holding the report's row lock: two
+// reviewers editing at once are applied one after the other instead of the
+// second write dropping the first one's edit. fn returns { status, body },
+// which is sent once the transaction has committed.
+async function withReviewReport(req, res, fn) {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+    const found = await client.query(
+      "SELECT id, report_id, user_id, data, review_status, reviewer_id FROM reports WHERE report_id=$1 AND org_id=$2 FOR UPDATE",
+      [req.params.reportId, req.org.id],
+    );
+    result = found.rows.length
+      ? await fn(client, found.rows[0])
+      : { status: 404, body: { error: "Report not found" } };
+    await client.query(result.status === 200 ? "COMMIT" : "ROLLBACK");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  res.status(result.status).json(result.body);
+  return result;
+}
+
+async function logReviewEvent(db, reportPk, userId, event) {
+  await db.query(
+    "INSERT INTO review_events (report_id, user_id, action, from_status, to_status, detail, comment) VALUES ($1,$2,$3,$4,$5,$6,$7)",
+    [
+      reportPk,
+      userId,
+      event.action,
+      event.from || null,
+      event.to || null,
+      event.detail ? JSON.stringify(event.detail) : null,
+      (event.comment || "").substring(0, 5000),
+    ],
+  );
+}
+
+async function reviewerName(userId) {
+  const result = await pool.query("SELECT name FROM users WHERE id=$1", [
+    userId,
+  ]);
+  return result.rows[0]?.name || "Reviewer";
+}
+
+// Section status follows the worst item once a reviewer has touched it;
+// "info"-only sections (facility registration) stay informational.
+function reviewedSectionStatus(section) {
+  const worst = worstStatus(section.items, "info");
+  if (worst !== "pass") return worst;
+  return section.status === "info" &&
+    section.items.every((it) => it.status === "pass" || it.status === "info")
+    ? "info"
+    : "pass";
+}
+
+// Apply one reviewer edit to report data in place; returns the edited item
+// or { error }. AI/rule items keep their source and gain a review stamp;
+// overrides keep the original finding alongside the expert's.
+function applyReviewEdit(data, edit, stamp) {
+  const nameKey = REVIEW_SECTIONS[edit.section];
+  const section = data[edit.section];
+  if (!nameKey || !section || !Array.isArray(section.items))
+    return { error: "Unknown report section" };
+  if (!REVIEW_ITEM_ACTIONS.includes(edit.action))
+    return {
+      error: `action must be one of: ${REVIEW_ITEM_ACTIONS.join(", ")}`,
+    };
+  const allowed =
+    edit.section === "facilityRegistration" ||
+    edit.section === "marketingClaims"
+      ? ["pass", "warn", "fail", "info"]
+      : ["pass", "warn", "fail"];
+  if (
+    (edit.action === "override" || edit.action === "add") &&
+    !allowed.includes(edit.status)
+  )
+    return { error: `status must be one of: ${allowed.join(", ")}` };
+
+  const fields = {};
+  for (const key of ["note", "noteCn", "regulation"])
+    if (typeof edit[key] === "string") fields[key] = edit[key].trim();
+
+  let item;
+  if (edit.action === "add") {
+    const name = String(edit.name || "").trim();
+    if (!name) return { error: `${nameKey} is required` };
+    item = {
+      [nameKey]: name,
+      ...(edit.nameCn ? { [nameKey + "Cn"]: String(edit.nameCn) } : {}),
+      status: edit.status,
+      ...fields,
+      source: "expert",
+    };
+    section.items.push(item);
+  } else {
+    item = section.items[Number(edit.index)];
+    if (!item || typeof item !== "object")
+      return { error: "Report item not found" };
+    if (edit.action === "annotate" && !edit.comment)
+      return { error: "comment is required" };
+    if (edit.action === "override") {
+      if (!item.original)
+        item.original = {
+          status: item.status,
+          note: item.note || "",
+          regulation: item.regulation || "",
+        };
+      item.status = edit.status;
+      Object.assign(item, fields);
+    }
+  }
+  item.review = {
+    // An annotation doesn't undo an earlier verify/override stamp
+    action:
+      edit.action === "annotate" && item.review
+        ? item.review.action
+        : REVIEW_STAMPS[edit.action],
+    reviewer: stamp.reviewer,
+    at: stamp.at,
+    comment: String(edit.comment || "").trim(),
+  };
+  normalizeReport(data);
+  section.status = reviewedSectionStatus(section);
+  return { item };
+}
+
+// Submit / start / request changes / sign off
+app.post(
+  "/api/reports/:reportId/review/:action",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const transition = REVIEW_TRANSITIONS[req.params.action];
+      if (!transition)
+        return res.status(404).json({ error: "Unknown review action" });
+      if (!ORG_PERMISSIONS[transition.permission].includes(req.org.role))
+        return forbiddenRole(res, transition.permission, req.org.role);
+      const comment = String(req.body?.comment || "").trim();
+      if (req.params.action === "request_changes" && !comment)
+        return res
+          .status(400)
+          .json({ error: "Describe the changes you are requesting" });
+
+      const userId = req.session.userId;
+      const reviewer =
+        req.params.action === "sign_off" ? await reviewerName(userId) : null;
+      const { status, report, data } = await withReviewReport(
+        req,
+        res,
+        async (client, report) => {
+          const from = report.review_status || null;
+          if (!transition.from.includes(from))
+            return {
+              status: 409,
+              body: {
+                error: `Cannot ${req.params.action.replace("_", " ")} a report that is ${from || "not submitted"}`,
+                reviewStatus: from,
+              },
+            };
+          if (transition.independent && report.user_id === userId)
+            return {
+              status: 403,
+              body: { error: "You cannot review your own report" },
+            };
+          if (transition.assigned && report.reviewer_id !== userId)
+            return {
+              status: 403,
+              body: {
+                error:
+                  "Only the reviewer who started this review can sign it off",
+              },
+            };
+          const data = report.data;
+          if (req.params.action === "sign_off") {
+            data.review = {
+              status: "signed_off",
+              reviewer,
+              signedOffAt: new Date().toISOString(),
+              comment,
+            };
+          }
+          const result = await client.query(
+            `UPDATE reports SET review_status=$2::text,
+               reviewer_id=CASE WHEN $2::text='in_review' THEN $3 ELSE reviewer_id END,
+               submitted_at=CASE WHEN $2::text='submitted' THEN NOW() ELSE submitted_at END,
+               signed_off_at=CASE WHEN $2::text='signed_off' THEN NOW() ELSE signed_off_at END,
+               data=$4
+             WHERE id=$1
+             RETURNING report_id, review_status, submitted_at, signed_off_at`,
+            [report.id, transition.to, userId, JSON.stringify(data)],
+          );
+          await logReviewEvent(client, report.id, userId, {
+            action: req.params.action,
+            from,
+            to: transition.to,
+            comment,
+          });
+          return {
+            status: 200,
+            body: { success: true, review: result.rows[0] },
+            report,
+            data,
+          };
+        },
+      );
+      if (status === 200 && transition.to === "signed_off")
+        emitWebhookEvent(req.org.org_id, "review.signed_off", {
+          reportId: report.report_id,
+          reviewer: data.review.reviewer,
+          signedOffAt: data.review.signedOffAt,
+          comment,
+        });
+    } catch (err) {
+      console.error("Review transition error:", err);
+      res.status(500).json({ error: "Failed to update review status" });
+    }
+  },
+);
+
+// Verify, override, annotate or add findings (reviewers, while in review)
+app.patch(
+  "/api/reports/:reportId/review/items",
+  requireOrgPermission("review"),
+  async (req, res) => {
+    try {
+      const reviewer = await reviewerName(req.session.userId);
+      await withReviewReport(req, res, async (client, report) => {
+        if (report.review_status !== "in_review")
+          return {
+            status: 409,
+            body: { error: "Start the review before editing findings" },
+          };
+
+        const data = report.data;
+        const edited = applyReviewEdit(data, req.body || {}, {
+          reviewer,
+          at: new Date().toISOString(),
+        });
+        if (edited.error) return { status: 400, body: { error: edited.error } };
+        attachCitationChecks(data);
+        await client.query("UPDATE reports SET data=$2 WHERE id=$1", [
+          report.id,
+          JSON.stringify(data),
+        ]);
+        await logReviewEvent(client, report.id, req.session.userId, {
+          action: "item_" + req.body.action,
+          detail: {
+            section: req.body.section,
+            name: edited.item[REVIEW_SECTIONS[req.body.section]],
+            status: edited.item.status,
+            original: edited.item.original || null,
+          },
+          comment: edited.item.review.comment,
+        });
+        return {
+          status: 200,
+          body: { success: true, item: edited.item, data },
+        };
+      });
+    } catch (err) {
+      console.error("Review edit error:", err);
+      res.status(500).json({ error: "Failed to update finding" });
+    }
+  },
+);
+
+// Review status and history for one report
+app.get(
+  "/api/reports/:reportId/review",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const report = await pool.query(
+        `SELECT r.id, r.review_status, r.submitted_at, r.signed_off_at, u.name AS reviewer_name
+         FROM reports r LEFT JOIN users u ON u.id=r.reviewer_id
+         WHERE r.report_id=$1 AND r.org_id=$2`,
+        [req.params.reportId, req.org.id],
+      );
+      if (!report.rows.length)
+        return res.status(404).json({ error: "Report not found" });
+      const { id, ...review } = report.rows[0];
+      const events = await pool.query(
+        `SELECT e.action, e.from_status, e.to_status, e.detail, e.comment, e.created_at, u.name AS user_name
+         FROM review_events e LEFT JOIN users u ON u.id=e.user_id
+         WHERE e.report_id=$1 ORDER BY e.created_at, e.id`,
+        [id],
+      );
+      res.json({ review, events: events.rows });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to load review history" });
+    }
+  },
+);
+
+// Review queue for the active organization
+app.get("/api/reviews", requireOrgPermission("read"), async (req, res) => {
+  try {
+    const statuses = String(req.query.status || "submitted,in_review")
+      .split(",")
+      .filter((s) => Object.values(REVIEW_TRANSITIONS).some((t) => t.to === s));
+    const result = await pool.query(
+      `SELECT r.report_id, r.title, r.revision, r.review_status, r.submitted_at, r.signed_off_at,
+         p.product_id, p.name AS product_name, a.name AS author_name, v.name AS reviewer_name
+       FROM reports r
+       LEFT JOIN products p ON p.id=r.product_id
+       LEFT JOIN users a ON a.id=r.user_id
+       LEFT JOIN users v ON v.id=r.reviewer_id
+       WHERE r.org_id=$1 AND r.review_status = ANY($2)
+       ORDER BY r.submitted_at ASC NULLS LAST LIMIT 100`,
+      [req.org.id, statuses],
+    );
+    res.json({ reviews: result.rows, role: req.org.role });
+  } catch (err) {
+    console.error("Review queue error:", err);
+    res.status(500).json({ error: "Failed to load review queue" });
+  }
+});
+
+// ==================== AUDIT ROUTES ====================
+
+// Audit trail of the runs behind a saved report
+app.get(
+  "/api/reports/:reportId/audit",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const found = await findReportAudits(req);
+      if (!found) return res.status(404).json({ error: "Report not found" });
+      const savedSha256 = reportDataSha256(found.report.data);
+      res.json({
+        reportId: found.report.report_id,
+        dataSha256: savedSha256,
+        audits: found.audits.map((row) => publicAudit(row, savedSha256)),
+      });
+    } catch (err) {
+      console.error("Audit trail error:", err);
+      res.status(500).json({ error: "Failed to load audit trail" });
+    }
+  },
+);
+
+// Signed ZIP export of the audit trail
+app.get(
+  "/api/reports/:reportId/audit/bundle",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const found = await findReportAudits(req);
+      if (!found) return res.status(404).json({ error: "Report not found" });
+      const user = await pool.query(
+        "SELECT name, email FROM users WHERE id=$1",
+        [req.session.userId],
+      );
+      const buffer = await buildAuditBundle(found.report, found.audits, {
+        ...(user.rows[0] || {}),
+        orgId: req.org.org_id,
+        apiKeyId: req.session.apiKeyId || null,
+      });
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="GoToMarket_Audit_${found.report.report_id}.zip"`,
+      );
+      res.send(buffer);
+    } catch (err) {
+      console.error("Audit bundle error:", err);
+      res.status(500).json({ error: "Failed to export audit bundle" });
+    }
+  },
+);
+
+// Public key for verifying audit bundle signatures
+app.get("/api/audit/public-key", (req, res) => {
+  res.json({
+    algorithm: "Ed25519",
+    keyId: auditSigning.keyId,
+    ephemeral: auditSigning.ephemeral,
+    publicKey: auditSigning.publicKeyPem,
+  });
+});
+
+// ==================== PRODUCT ROUTES ====================
+
+// Helper: load a product in the active organization (req.org)
+async function findProduct(req) {
+  const result = await pool.query(
+    `SELECT p.id, p.product_id, p.name, p.confirmed_data, p.created_at, p.updated_at,
+       CASE WHEN f.id IS NULL THEN NULL ELSE to_jsonb(f) END AS facility
+     FROM products p LEFT JOIN facilities f ON f.id=p.facility_id
+     WHERE p.product_id=$1 AND p.org_id=$2`,
+    [req.params.productId, req.org.id],
+  );
+  return result.rows[0] || null;
+}
+
+function productImageMeta(product, img) {
+  return {
+    id: img.id,
+    fileName: img.file_name,
+    mimeType: img.mime_type,
+    size: img.size,
+    url: `/api/products/${product.product_id}/images/${img.id}`,
+    createdAt: img.created_at,
+  };
+}
+
+// List products
+app.get("/api/products", requireOrgPermission("read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.product_id, p.name, p.created_at, p.updated_at,
+        (SELECT COUNT(*)::int FROM reports r WHERE r.product_id=p.id) AS report_count,
+        (SELECT r.score FROM reports r WHERE r.product_id=p.id ORDER BY r.revision DESC LIMIT 1) AS latest_score,
+        (SELECT COUNT(*)::int FROM product_images i WHERE i.product_id=p.id) AS image_count,
+        p.confirmed_data IS NOT NULL AS has_confirmed_data,
+        f.facility_id, f.name AS facility_name
+       FROM products p LEFT JOIN facilities f ON f.id=p.facility_id
+       WHERE p.org_id=$1 ORDER BY p.updated_at DESC LIMIT 100`,
+      [req.org.id],
+    );
+    res.json({ products: result.rows });
+  } catch (err) {
+    console.error("List products error:", err);
+    res.status(500).json({ error: "Failed to list products" });
+  }
+});
+
+// Create product from confirmed data
+app.post("/api/products", requireOrgPermission("write"), async (req, res) => {
+  try {
+    const { name, confirmedData } = req.body;
+    const productName = (name || confirmedData?.productName || "").trim();
+    const facility = await facilityLink(
+      req.org.id,
+      req.body.facilityId ?? confirmedData?.facilityId,
+    );
+    if (facility.error) return res.status(404).json({ error: facility.error });
+    const result = await pool.query(
+      "INSERT INTO products (user_id, org_id, product_id, name, confirmed_data, facility_id) VALUES ($1,$2,$3,$4,$5,$6) RETURNING product_id, name, created_at, updated_at",
+      [
+        req.session.userId,
+        req.org.id,
+        "PRD-" + Date.now().toString(36).toUpperCase(),
+        productName.substring(0, 200) || "Untitled Product",
+        confirmedData ? JSON.stringify(confirmedData) : null,
+        facility.id ?? null,
+      ],
+    );
+    res.json({ success: true, product: result.rows[0] });
+  } catch (err) {
+    console.error("Create product error:", err);
+    res.status(500).json({ error: "Failed to create product" });
+  }
+});
+
+// Get product with confirmed data, images and report links
+app.get(
+  "/api/products/:productId",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const product = await findProduct(req);
+      if (!product) return res.status(404).json({ error: "Product not found" });
+      const [images, reports] = await Promise.all([
+        pool.query(
+          "SELECT id, file_name, mime_type, size, created_at FROM product_images WHERE product_id=$1 ORDER BY id",
+          [product.id],
+        ),
+        pool.query(
+          "SELECT report_id, title, revision, score, lang, created_at FROM reports WHERE product_id=$1 ORDER BY revision DESC",
+          [product.id],
+        ),
+      ]);
+      res.json({
+        product: {
+          productId: product.product_id,
+          name: product.name,
+          confirmedData: product.confirmed_data,
+          facility: product.facility ? facilityView(product.facility) : null,
+          images: images.rows.map((img) => productImageMeta(product, img)),
+          reports: reports.rows,
+          createdAt: product.created_at,
+          updatedAt: product.updated_at,
+        },
+      });
+    } catch (err) {
+      console.error("Get product error:", err);
+      res.status(500).json({ error: "Failed to load product" });
+    }
+  },
+);
+
+// Update product name, confirmed data and/or facility
+app.put(
+  "/api/products/:productId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      const { name, confirmedData } = req.body;
+      const facility = await facilityLink(
+        req.org.id,
+        req.body.facilityId ?? confirmedData?.facilityId,
+      );
+      if (facility.error)
+        return res.status(404).json({ error: facility.error });
+      const result = await pool.query(
+        `UPDATE products SET name=COALESCE($3, name), confirmed_data=COALESCE($4, confirmed_data),
+           facility_id=CASE WHEN $5 THEN $6::int ELSE facility_id END, updated_at=NOW()
+         WHERE product_id=$1 AND org_id=$2 RETURNING product_id, name, updated_at`,
+        [
+          req.params.productId,
+          req.org.id,
+          name ? String(name).trim().substring(0, 200) : null,
+          confirmedData ? JSON.stringify(confirmedData) : null,
+          facility.id !== undefined,
+          facility.id ?? null,
+        ],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Product not found" });
+      res.json({ success: true, product: result.rows[0] });
+    } catch (err) {
+      console.error("Update product error:", err);
+      res.status(500).json({ error: "Failed to update product" });
+    }
+  },
+);
+
+// Delete product (its reports are kept, unlinked)
+app.delete(
+  "/api/products/:productId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      await pool.query("DELETE FROM products WHERE product_id=$1 AND org_id=$2", [
+        req.params.productId,
+        req.org.id,
+      ]);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to delete product" });
+    }
+  },
+);
+
+// Attach source images (multipart, same file rules as /api/extract)
+app.post(
+  "/api/products/:productId/images",
+  requireOrgPermission("write"),
+  upload.array("files", 10),
+  async (req, res) => {
+    const files = req.files || [];
+    try {
+      if (!files.length)
+        return res.status(400).json({ error: "No files uploaded" });
+      const product = await findProduct(req);
+      if (!product) return res.status(404).json({ error: "Product not found" });
+
+      const images = [];
+      for (const file of files) {
+        const result = await pool.query(
+          "INSERT INTO product_images (product_id, file_name, mime_type, size, data) VALUES ($1,$2,$3,$4,$5) RETURNING id, file_name, mime_type, size, created_at",
+          [
+            product.id,
+            file.originalname.substring(0, 255),
+            file.mimetype,
+            file.size,
+            fs.readFileSync(file.path),
+          ],
+        );
+        images.push(productImageMeta(product, result.rows[0]));
+      }
+      await pool.query("UPDATE products SET updated_at=NOW() WHERE id=$1", [
+        product.id,
+      ]);
+      res.json({ success: true, images });
+    } catch (err) {
+      console.error("Product image upload error:", err);
+      res.status(500).json({ error: "Failed to save product images" });
+    } finally {
+      cleanupFiles(files);
+    }
+  },
+);
+
+// Serve a source image
+app.get(
+  "/api/products/:productId/images/:imageId",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT i.file_name, i.mime_type, i.data FROM product_images i JOIN products p ON p.id=i.product_id
+         WHERE i.id=$1 AND p.product_id=$2 AND p.org_id=$3`,
+        [req.params.imageId, req.params.productId, req.org.id],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Image not found" });
+      const img = result.rows[0];
+      res.set("Content-Type", img.mime_type);
+      res.set(
+        "Content-Disposition",
+        `inline; filename="${encodeURIComponent(img.file_name)}"`,
+      );
+      res.send(img.data);
+    } catch (err) {
+      res.status(500).json({ error: "Failed to load image" });
+    }
+  },
+);
+
+// Remove a source image
+app.delete(
+  "/api/products/:productId/images/:imageId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      await pool.query(
+        `DELETE FROM product_images i USING products p
+         WHERE i.product_id=p.id AND i.id=$1 AND p.product_id=$2 AND p.org_id=$3`,
+        [req.params.imageId, req.params.productId, req.org.id],
+      );
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to delete image" });
+    }
+  },
+);
+
+// Re-run confirmed analysis on the saved data as a background job
+app.post(
+  "/api/products/:productId/analyze",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      const product = await findProduct(req);
+      if (!product) return res.status(404).json({ error: "Product not found" });
+      if (!product.confirmed_data)
+        return res
+          .status(400)
+          .json({ error: "Product has no confirmed data to analyze" });
+      const lang = resolveLang(req.body.lang);
+      if (!lang) return res.status(400).json({ error: langError() });
+      const market = resolveMarket(
+        req.body.targetMarket || product.confirmed_data.targetMarket,
+      );
+      if (!market) return res.status(400).json({ error: marketError() });
+      // The product's facility link wins over a facilityId in its data
+      const confirmedData = product.facility
+        ? {
+            ...product.confirmed_data,
+            facilityId: product.facility.facility_id,
+            facility: facilitySnapshot(product.facility),
+          }
+        : product.confirmed_data;
+      const job = startJob(req, "analyze-confirmed", (onStage) =>
+        runConfirmedAnalysis(
+          confirmedData,
+          lang,
+          market,
+          onStage,
+          auditActor(req),
+        ),
+      );
+      sendJobAccepted(res, job);
+    } catch (err) {
+      console.error("Product analyze error:", err);
+      res.status(500).json({ error: "Failed to start product analysis" });
+    }
+  },
+);
+
+// Diff two revisions of a product (defaults: latest vs. the one before it)
+app.get(
+  "/api/products/:productId/diff",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const product = await findProduct(req);
+      if (!product) return res.status(404).json({ error: "Product not found" });
+
+      const revs = await pool.query(
+        "SELECT report_id, revision, score, created_at, data FROM reports WHERE product_id=$1 ORDER BY revision",
+        [product.id],
+      );
+      const byRevision = new Map(revs.rows.map((r) => [r.revision, r]));
+      const latest = revs.rows.length ? revs.rows[revs.rows.length - 1] : null;
+      const to = req.query.to ? parseInt(req.query.to, 10) : latest?.revision;
+      const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+      if (!byRevision.has(from) || !byRevision.has(to))
+        return res.status(400).json({
+          error: "Both revisions must exist for this product",
+          revisions: revs.rows.map((r) => r.revision),
+        });
+
+      const meta = (r) => ({
+        revision: r.revision,
+        reportId: r.report_id,
+        score: r.score,
+        createdAt: r.created_at,
+      });
+      res.json({
+        product: { productId: product.product_id, name: product.name },
+        revisions: revs.rows.map(meta),
+        from: meta(byRevision.get(from)),
+        to: meta(byRevision.get(to)),
+        diff: diffReports(byRevision.get(from).data, byRevision.get(to).data),
+      });
+    } catch (err) {
+      console.error("Product diff error:", err);
+      res.status(500).json({ error: "Failed to diff report revisions" });
+    }
+  },
+);
+
+// ==================== FACILITY ROUTES ====================
+
+// List facilities with renewal status; options feed the registry form
+app.get("/api/facilities", requireOrgPermission("read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${FACILITY_COLUMNS},
+        (SELECT COUNT(*)::int FROM products p WHERE p.facility_id=f.id) AS product_count
+       FROM facilities f WHERE f.org_id=$1 ORDER BY f.name`,
+      [req.org.id],
+    );
+    res.json({
+      facilities: result.rows.map((row) => ({
+        ...facilityView(row),
+        productCount: row.product_count,
+      })),
+      renewalCycles: Object.entries(FACILITY_RENEWAL_CYCLES).map(
+        ([value, label]) => ({ value, label }),
+      ),
+      renewalNoticeDays: RENEWAL_NOTICE_DAYS,
+    });
+  } catch (err) {
+    console.error("List facilities error:", err);
+    res.status(500).json({ error: "Failed to list facilities" });
+  }
+});
+
+app.post("/api/facilities", requireOrgPermission("write"), async (req, res) => {
+  try {
+    const { values, error } = parseFacilityInput(req.body);
+    if (error) return res.status(400).json({ error });
+    const columns = Object.keys(values);
+    const result = await pool.query(
+      `INSERT INTO facilities (facility_id, org_id, created_by, ${columns.join(", ")})
+       VALUES ($1,$2,$3,${columns.map((_, i) => `$${i + 4}`).join(",")})
+       RETURNING ${FACILITY_COLUMNS.replace(/\bf\./g, "")}`,
+      [
+        "FAC-" + Date.now().toString(36).toUpperCase(),
+        req.org.id,
+        req.session.userId,
+        ...Object.values(values),
+      ],
+    );
+    res.json({ success: true, facility: facilityView(result.rows[0]) });
+  } catch (err) {
+    console.error("Create facility error:", err);
+    res.status(500).json({ error: "Failed to create facility" });
+  }
+});
+
+// Facility with the products linked to it
+app.get(
+  "/api/facilities/:facilityId",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT f.id, ${FACILITY_COLUMNS} FROM facilities f WHERE f.facility_id=$1 AND f.org_id=$2`,
+        [req.params.facilityId, req.org.id],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Facility not found" });
+      const products = await pool.query(
+        "SELECT product_id, name, updated_at FROM products WHERE facility_id=$1 ORDER BY updated_at DESC",
+        [result.rows[0].id],
+      );
+      res.json({
+        facility: {
+          ...facilityView(result.rows[0]),
+          products: products.rows,
+        },
+      });
+    } catch (err) {
+      console.error("Get facility error:", err);
+      res.status(500).json({ error: "Failed to load facility" });
+    }
+  },
+);
+
+// Update the fields given in the body
+app.put(
+  "/api/facilities/:facilityId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      const { values, error } = parseFacilityInput(req.body, true);
+      if (error) return res.status(400).json({ error });
+      const columns = Object.keys(values);
+      const result = await pool.query(
+        `UPDATE facilities SET ${columns.map((c, i) => `${c}=$${i + 3}, `).join("")}updated_at=NOW()
+         WHERE facility_id=$1 AND org_id=$2
+         RETURNING ${FACILITY_COLUMNS.replace(/\bf\./g, "")}`,
+        [req.params.facilityId, req.org.id, ...Object.values(values)],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Facility not found" });
+      res.json({ success: true, facility: facilityView(result.rows[0]) });
+    } catch (err) {
+      console.error("Update facility error:", err);
+      res.status(500).json({ error: "Failed to update facility" });
+    }
+  },
+);
+
+// Delete a facility (its products are kept, unlinked)
+app.delete(
+  "/api/facilities/:facilityId",
+  requireOrgPermission("write"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM facilities WHERE facility_id=$1 AND org_id=$2",
+        [req.params.facilityId, req.org.id],
+      );
+      if (!result.rowCount)
+        return res.status(404).json({ error: "Facility not found" });
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Delete facility error:", err);
+      res.status(500).json({ error: "Failed to delete facility" });
+    }
+  },
+);
+
+// ==================== SUBSTANCE CATALOG ROUTES ====================
+
+// Catalog metadata and entries
+app.get("/api/admin/substances", requireAdmin, (req, res) => {
+  res.json({ catalog: substanceCatalog });
+});
+
+// Import catalog updates from CSV (Content-Type: text/csv)
+app.post(
+  "/api/admin/substances/import",
+  requireAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.trim())
+        return res.status(400).json({ error: "CSV body is required" });
+      const result = await importSubstanceCSV(req.body, req.session.userId);
+      if (result.errors)
+        return res
+          .status(400)
+          .json({ error: "Invalid catalog CSV", details: result.errors });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      if (err.code === "23505")
+        return res.status(409).json({
+          error: "The catalog was updated by another import; retry",
+        });
+      console.error("Substance import error:", err);
+      res.status(500).json({ error: "Failed to import substance catalog" });
+    }
+  },
+);
+
+// Helper: cleanup uploaded files
+function cleanupFiles(files) {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Analyze uploaded files (legacy single-step endpoint)
+app.post("/api/analyze", upload.array("files", 10), async (req, res) => {
+  try {
+    const files = req.files;
+    const lang = resolveLang(req.body.lang);
+    const market = resolveMarket(req.body.targetMarket);
+
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+    if (!market || !lang) {
+      cleanupFiles(files);
+      return res
+        .status(400)
+        .json({ error: market ? langError() : marketError() });
+    }
+
+    const audit = {
+      kind: "analyze",
+      lang,
+      market,
+      inputs: { files: hashAuditFiles(files) },
+    };
+    if (!llmProvider) {
+      const { body } = await withAudit(auditActor(req), audit, {
+        status: 200,
+        body: {
+          success: true,
+          demo: true,
+          message: "No LLM provider configured. Returning demo analysis.",
+          data: attachCitationChecks(
+            attachClaimClassifications(getDemoData(lang, market), {}, market),
+          ),
+        },
+      });
+      return res.json(body);
+    }
+
+    const { pages, skipped } = await preprocessUploads(files);
+    if (pages.length === 0) {
+      cleanupFiles(files);
+      return res
+        .status(400)
+        .json({ error: "No valid image/PDF files found", skipped });
+    }
+    audit.inputs.pages = publicPages(pages, { thumbnails: false });
+
+    const parts = [
+      buildAnalysisPrompt(lang, market),
+      ...pagesToImageParts(pages),
+    ];
+    const result = await generateValidatedJSON(
+      llmProvider,
+      parts,
+      "report",
+      "analyze",
+      lang,
+    );
+    cleanupFiles(files);
+    audit.prompt = auditPromptText(parts);
+    audit.steps = result.steps;
+    const { status, body } = await withAudit(
+      auditActor(req),
+      audit,
+      result.errors.length
+        ? { status: 422, body: validationErrorBody(result) }
+        : {
+            status: 200,
+            body: {
+              success: true,
+              demo: false,
+              repaired: result.repaired,
+              data: attachCitationChecks(
+                attachClaimClassifications(
+                  { ...result.data, targetMarket: market.code },
+                  {},
+                  market,
+                ),
+              ),
+            },
+          },
+    );
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("Analysis error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+});
+
+// Shared pipeline steps for the synchronous routes and background jobs.
+// Each returns { status, body } where body is the JSON the route sends.
+async function runExtraction(
+  files,
+  lang,
+  market,
+  onStage = () => {},
+  actor = {},
+) {
+  try {
+    const audit = {
+      kind: "extract",
+      lang,
+      market,
+      inputs: { files: hashAuditFiles(files) },
+    };
+    onStage("preprocessing");
+    const { pages, skipped } = await preprocessUploads(files);
+    if (pages.length === 0) {
+      return {
+        status: 400,
+        body: { error: "No valid image/PDF files found", skipped },
+      };
+    }
+    audit.inputs.pages = publicPages(pages, { thumbnails: false });
+    const sources = { pages: publicPages(pages), skipped };
+    if (!llmProvider) {
+      return withAudit(actor, audit, {
+        status: 200,
+        body: {
+          success: true,
+          demo: true,
+          message: "No LLM provider configured. Returning demo extraction.",
+          data: attachIngredientCatalogMatches({
+            ...getDemoExtractedData(lang),
+            targetMarket: market.code,
+          }),
+          ...sources,
+        },
+      });
+    }
+
+    onStage("extraction");
+    const parts = [
+      buildExtractionPrompt(lang, market),
+      ...pagesToImageParts(pages),
+    ];
+    const result = await generateValidatedJSON(
+      llmProvider,
+      parts,
+      "extraction",
+      "extract",
+      lang,
+      onStage,
+    );
+    audit.prompt = auditPromptText(parts);
+    audit.steps = result.steps;
+    if (result.errors.length)
+      return withAudit(actor, audit, {
+        status: 422,
+        body: validationErrorBody(result),
+      });
+
+    // The printed statement fills in an ingredient list the model left empty
+    if (!result.data.ingredients.length && result.data.ingredientStatement)
+      result.data.ingredients = parseIngredientStatement(
+        result.data.ingredientStatement,
+      ).ingredients;
+    const data = attachIngredientCatalogMatches({
+      ...result.data,
+      targetMarket: market.code,
+    });
+    const fieldCrops = await cropFieldSources(pages, data.fieldSources);
+    return withAudit(actor, audit, {
+      status: 200,
+      body: {
+        success: true,
+        demo: false,
+        repaired: result.repaired,
+        data,
+        ...sources,
+        fieldCrops,
+      },
+    });
+  } finally {
+    cleanupFiles(files);
+  }
+}
+
+async function runConfirmedAnalysis(
+  confirmedData,
+  lang,
+  market,
+  onStage = () => {},
+  actor = {},
+) {
+  onStage("confirmation");
+  const ruleFindings = runComplianceRules(confirmedData, lang, market);
+  const audit = {
+    kind: "confirmed-analysis",
+    lang,
+    market,
+    parentAuditId: confirmedData.extractionAuditId || confirmedData.auditId,
+    inputs: { confirmedData },
+    ruleFindings,
+  };
+
+  if (!llmProvider) {
+    return withAudit(actor, audit, {
+      status: 200,
+      body: {
+        success: true,
+        demo: true,
+        message: "No LLM provider configured. Returning demo analysis.",
+        data: attachCitationChecks(
+          attachClaimClassifications(
+            attachCatalogMatches(
+              mergeRuleFindings(getDemoData(lang, market), ruleFindings),
+            ),
+            confirmedData,
+            market,
+          ),
+        ),
+      },
+    });
+  }
+
+  const dataText = formatConfirmedDataAsText(confirmedData, market);
+  const prompt =
+    buildConfirmedAnalysisPrompt(lang, market) +
+    "\n\n--- CONFIRMED PRODUCT DATA ---\n" +
+    dataText;
+
+  onStage("analysis");
+  const result = await generateValidatedJSON(
+    llmProvider,
+    [prompt],
+    "report",
+    "confirmed-analysis",
+    lang,
+    onStage,
+  );
+  audit.prompt = prompt;
+  audit.steps = result.steps;
+  if (result.errors.length)
+    return withAudit(actor, audit, {
+      status: 422,
+      body: validationErrorBody(result),
+    });
+
+  const data = { ...result.data, targetMarket: market.code };
+  mergeRuleFindings(data, ruleFindings);
+  attachCatalogMatches(data);
+  attachClaimClassifications(data, confirmedData, market);
+  attachCitationChecks(data);
+  return withAudit(actor, audit, {
+    status: 200,
+    body: { success: true, demo: false, repaired: result.repaired, data },
+  });
+}
+
+// Layer 1: Extract structured product data from images
+app.post("/api/extract", upload.array("files", 10), async (req, res) => {
+  try {
+    const files = req.files;
+    const lang = resolveLang(req.body.lang);
+    const market = resolveMarket(req.body.targetMarket);
+
+    if (!files || files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+    if (!market || !lang) {
+      cleanupFiles(files);
+      return res
+        .status(400)
+        .json({ error: market ? langError() : marketError() });
+    }
+
+    const { status, body } = await runExtraction(
+      files,
+      lang,
+      market,
+      undefined,
+      auditActor(req),
+    );
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("Extraction error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+});
+
+// Layer 2: Analyze confirmed product data (text only, no images)
+app.post("/api/analyze-confirmed", async (req, res) => {
+  try {
+    const { confirmedData } = req.body;
+    if (!confirmedData) {
+      return res.status(400).json({ error: "No confirmed data provided" });
+    }
+    const errors = confirmedDataErrors(confirmedData);
+    if (errors.length)
+      return res
+        .status(400)
+        .json({ error: "confirmedData is not valid product data", errors });
+    const lang = resolveLang(req.body.lang);
+    if (!lang) return res.status(400).json({ error: langError() });
+    const market = resolveMarket(
+      req.body.targetMarket || confirmedData.targetMarket,
+    );
+    if (!market) return res.status(400).json({ error: marketError() });
+
+    const { status, body } = await runConfirmedAnalysis(
+      await withFacility(req, confirmedData),
+      lang,
+      market,
+      undefined,
+      auditActor(req),
+    );
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("Confirmed analysis error:", err);
+    return res
+      .status(500)
+      .json({ error: err.message || "Internal server error" });
+  }
+});
+
+// Classify marketing copy without a full analysis: claims are strings or
+// { claim, claimCn }; confirmedData (optional) enables the facts panel and
+// ingredient checks
+const MAX_CLASSIFY_CLAIMS = 100;
+const CLASSIFY_CLAIM_SCHEMA = {
+  type: "object",
+  properties: { claim: STR, claimCn: STR },
+};
+
+app.post("/api/claims/classify", (req, res) => {
+  try {
+    const { claims, confirmedData } = req.body;
+    if (!Array.isArray(claims) || claims.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "claims must be a non-empty array" });
+    }
+    if (claims.length > MAX_CLASSIFY_CLAIMS) {
+      return res
+        .status(400)
+        .json({ error: `At most ${MAX_CLASSIFY_CLAIMS} claims per request` });
+    }
+    const claimErrors = claims.flatMap((c, i) =>
+      typeof c === "string"
+        ? []
+        : validateSchema(c, CLASSIFY_CLAIM_SCHEMA, `claims[${i}]`),
+    );
+    if (claimErrors.length)
+      return res.status(400).json({
+        error: "claims must be strings or { claim, claimCn } objects",
+        errors: claimErrors,
+      });
+    if (confirmedData !== undefined && confirmedData !== null) {
+      const errors = confirmedDataErrors(confirmedData);
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "confirmedData is not valid product data", errors });
+    }
+    const market = resolveMarket(
+      req.body.targetMarket || confirmedData?.targetMarket,
+    );
+    if (!market) return res.status(400).json({ error: marketError() });
+
+    const results = claims
+      .map((c) => (typeof c === "string" ? { claim: c } : c))
+      .filter((c) => c.claim || c.claimCn)
+      .map((c) => ({
+        claim: c.claim || "",
+        claimCn: c.claimCn || "",
+        classification: classifyClaim(c.claim, {
+          claimCn: c.claimCn,
+          confirmed: confirmedData || {},
+          market,
+        }),
+      }));
+    res.json({ targetMarket: market.code, claims: results });
+  } catch (err) {
+    console.error("Claim classification error:", err);
+    res.status(500).json({ error: "Failed to classify claims" });
+  }
+});
+
+// Parse label text into the ingredient tree the review form edits. The
+// result carries catalog matches and functional classes; warnings flag
+// percentages out of predominance order, totals over 100% and unclosed
+// brackets.
+const MAX_INGREDIENT_STATEMENT = 10000;
+
+app.post("/api/ingredients/parse", (req, res) => {
+  const { text } = req.body;
+  if (typeof text !== "string" || !text.trim())
+    return res.status(400).json({ error: "text is required" });
+  if (text.length > MAX_INGREDIENT_STATEMENT)
+    return res.status(400).json({
+      error: `text must be at most ${MAX_INGREDIENT_STATEMENT} characters`,
+    });
+  const { ingredients, warnings } = parseIngredientStatement(text);
+  res.json({
+    ingredients: attachIngredientCatalogMatches({ ingredients }).ingredients,
+    warnings,
+  });
+});
+
+// ==================== JOB ROUTES ====================
+
+// --- Analysis Jobs ---
+// Jobs run the same pipeline in the background and report stages (upload,
+// preprocessing, extraction, confirmation, analysis, validation) over SSE.
+// In-memory state serves live streams; rows in analysis_jobs let
+// GET /api/jobs/:id answer after a restart.
+const jobs = new Map();
+const JOB_TTL_MS = 60 * 60 * 1000; // keep finished jobs in memory for 1 hour
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    progress: job.progress || null,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// Writes are queued per job (job.persisted) so a slow stage update can never
+// land after, and overwrite, the final status. Each write snapshots the job
+// when it is queued.
+function persistJob(job) {
+  if (!process.env.DATABASE_URL) return;
+  const params = [
+    job.id,
+    job.userId,
+    job.kind,
+    job.status,
+    job.stage,
+    JSON.stringify(job.stages),
+    job.result ? JSON.stringify(job.result) : null,
+    job.error ? JSON.stringify(job.error) : null,
+    job.createdAt,
+    job.updatedAt,
+  ];
+  job.persisted = job.persisted
+    .then(() =>
+      pool.query(
+        `INSERT INTO analysis_jobs (job_id, user_id, kind, status, stage, stages, result, error, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (job_id) DO UPDATE SET status=$4, stage=$5, stages=$6, result=$7, error=$8, updated_at=$10`,
+        params,
+      ),
+    )
+    .catch((err) => console.error("Job persist error:", err.message));
+}
+
+function emitJob(job, event, data) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of job.listeners) res.write(payload);
+}
+
+function setJobStage(job, stage) {
+  const at = new Date().toISOString();
+  job.stage = stage;
+  job.stages.push({ stage, at });
+  job.updatedAt = at;
+  emitJob(job, "stage", { stage, at });
+  persistJob(job);
+}
+
+// Item counts for multi-item jobs (batch screening); in memory only
+function setJobProgress(job, progress) {
+  job.progress = progress;
+  job.updatedAt = new Date().toISOString();
+  emitJob(job, "progress", progress);
+}
+
+function finishJob(job, status, body) {
+  job.status = status >= 400 ? "failed" : "succeeded";
+  if (job.status === "failed") job.error = body;
+  else job.result = body;
+  job.updatedAt = new Date().toISOString();
+  emitJob(job, "done", publicJob(job));
+  for (const res of job.listeners) res.end();
+  job.listeners.clear();
+  persistJob(job);
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  emitWebhookEvent(
+    job.orgId,
+    job.status === "failed" ? "analysis.failed" : "analysis.completed",
+    {
+      jobId: job.id,
+      kind: job.kind,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      overallRiskLevel: body?.data?.overallRiskLevel,
+      summary: body?.summary,
+      error: job.status === "failed" ? body?.error : undefined,
+    },
+  );
+}
+
+// Register a job and run `work(onStage, onProgress)` after the response is
+// sent
+function startJob(req, kind, work) {
+  const now = new Date().toISOString();
+  const job = {
+    id: "JOB-" + crypto.randomUUID(),
+    userId: req.session.userId || null,
+    orgId: req.session.orgId || null,
+    kind,
+    status: "running",
+    stage: null,
+    stages: [],
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    listeners: new Set(),
+    persisted: Promise.resolve(),
+  };
+  jobs.set(job.id, job);
+  setJobStage(job, "upload");
+
+  setImmediate(async () => {
+    try {
+      const { status, body } = await work(
+        (stage) => setJobStage(job, stage),
+        (progress) => setJobProgress(job, progress),
+      );
+      finishJob(job, status, body);
+    } catch (err) {
+      console.error(`Job ${job.id} (${kind}) error:`, err);
+      finishJob(job, 500, { error: err.message || "Internal server error" });
+    }
+  });
+  return job;
+}
+
+function sendJobAccepted(res, job) {
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+  });
+}
+
+// Look up a job in memory, then in the database; enforces ownership
+async function findJob(req) {
+  let job = jobs.get(req.params.jobId);
+  if (!job && process.env.DATABASE_URL) {
+    const result = await pool.query(
+      "SELECT * FROM analysis_jobs WHERE job_id=$1",
+      [req.params.jobId],
+    );
+    const row = result.rows[0];
+    if (row)
+      job = {
+        id: row.job_id,
+        userId: row.user_id,
+        kind: row.kind,
+        status: row.status,
+        stage: row.stage,
+        stages: row.stages,
+        result: row.result,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      };
+  }
+  if (job && job.userId && job.userId !== req.session.userId) return null;
+  return job || null;
+}
+
+// Mark jobs left running by a previous process as failed
+async function failInterruptedJobs() {
+  const result = await pool.query(
+    `UPDATE analysis_jobs SET status='failed', error=$1, updated_at=NOW() WHERE status='running'`,
+    [JSON.stringify({ error: "Job interrupted by server restart" })],
+  );
+  if (result.rowCount)
+    console.log(`   Jobs: ${result.rowCount} interrupted job(s) marked failed`);
+}
+
+// Start extraction job (multipart, same fields as /api/extract)
+app.post("/api/jobs/extract", upload.array("files", 10), (req, res) => {
+  const files = req.files;
+  const lang = resolveLang(req.body.lang);
+  const market = resolveMarket(req.body.targetMarket);
+  if (!files || files.length === 0) {
+    return res.status(400).json({ error: "No files uploaded" });
+  }
+  if (!market || !lang) {
+    cleanupFiles(files);
+    return res
+      .status(400)
+      .json({ error: market ? langError() : marketError() });
+  }
+  const job = startJob(req, "extract", (onStage) =>
+    runExtraction(files, lang, market, onStage, auditActor(req)),
+  );
+  sendJobAccepted(res, job);
+});
+
+// Start confirmed-analysis job (same body as /api/analyze-confirmed)
+app.post("/api/jobs/analyze-confirmed", (req, res) => {
+  const { confirmedData } = req.body;
+  if (!confirmedData) {
+    return res.status(400).json({ error: "No confirmed data provided" });
+  }
+  const errors = confirmedDataErrors(confirmedData);
+  if (errors.length)
+    return res
+      .status(400)
+      .json({ error: "confirmedData is not valid product data", errors });
+  const lang = resolveLang(req.body.lang);
+  if (!lang) return res.status(400).json({ error: langError() });
+  const market = resolveMarket(
+    req.body.targetMarket || confirmedData.targetMarket,
+  );
+  if (!market) return res.status(400).json({ error: marketError() });
+  const job = startJob(req, "analyze-confirmed", async (onStage) =>
+    runConfirmedAnalysis(
+      await withFacility(req, confirmedData),
+      lang,
+      market,
+      onStage,
+      auditActor(req),
+    ),
+  );
+  sendJobAccepted(res, job);
+});
+
+// Job status and result
+app.get("/api/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json({ job: publicJob(job) });
+  } catch (err) {
+    console.error("Job lookup error:", err);
+    res.status(500).json({ error: "Failed to load job" });
+  }
+});
+
+// Server-Sent Events: replays past stages, then streams until done
+app.get("/api/jobs/:jobId/events", async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    for (const s of job.stages)
+      res.write(`event: stage\ndata: ${JSON.stringify(s)}\n\n`);
+
+    if (job.status !== "running" || !job.listeners) {
+      res.write(`event: done\ndata: ${JSON.stringify(publicJob(job))}\n\n`);
+      return res.end();
+    }
+
+    job.listeners.add(res);
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      SSE_HEARTBEAT_MS,
+    );
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      job.listeners.delete(res);
+    });
+  } catch (err) {
+    console.error("Job events error:", err);
+    if (!res.headersSent)
+      res.status(500).json({ error: "Failed to stream job events" });
+    else res.end();
+  }
+});
+
+// --- Batch Screening ---
+// Screens a whole product line in one background job: a ZIP with a folder
+// of label images per SKU (extraction, then analysis of the extracted data)
+// or a CSV of already-structured product data (analysis only). SKUs run
+// BATCH_CONCURRENCY at a time; the job result is the portfolio, i.e. risk
+// per SKU plus findings aggregated across the line.
+const BATCH_MAX_SKUS = 100;
+const BATCH_MAX_FILES_PER_SKU = 10;
+const BATCH_MAX_FILE_BYTES = 20 * 1024 * 1024;
+const BATCH_MAX_TOTAL_BYTES = 500 * 1024 * 1024; // decompressed, per ZIP
+const BATCH_CONCURRENCY = Math.max(
+  1,
+  parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+);
+const BATCH_FILE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+// Catalog statuses reported in the portfolio's substance roll-up
+const BATCH_FLAGGED_STATUSES = [
+  "prohibited",
+  "restricted",
+  "not_permitted",
+  "ndi_review",
+];
+const BATCH_CSV_COLUMNS = [
+  "sku",
+  "productName",
+  "productNameCn",
+  "productType",
+  "ingredients",
+  "ingredientStatement",
+  "allergens",
+  "containsStatement",
+  "precautionaryStatement",
+  "nutritionFacts",
+  "netWeight",
+  "servingSize",
+  "servingsPerContainer",
+  "countryOfOrigin",
+  "manufacturerInfo",
+  "labelClaims",
+];
+
+const batchUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (/\.(zip|csv)$/i.test(file.originalname)) cb(null, true);
+    else
+      cb(
+        new Error(
+          "Unsupported file type. Upload a .zip of SKU folders or a .csv",
+        ),
+        false,
+      );
+  },
+  limits: { fileSize: 200 * 1024 * 1024 },
+});
+
+// "Caffeine 80 mg" → { name, amount, unit }
+function parseIngredientCell(text) {
+  const m = text.match(/^(.*?)\s+(\d+(?:\.\d+)?)\s*([a-zµμ%]+)$/i);
+  return m
+    ? { name: m[1].trim(), amount: m[2], unit: m[3] }
+    : { name: text, amount: "", unit: "" };
+}
+
+// "Total Fat 8g 10%" → { nutrient, amount, dailyValue }
+function parseNutritionCell(text) {
+  const m = text.match(
+    /^(.*?)\s+(<?\s*\d+(?:\.\d+)?\s*[a-zµμ]*)(?:\s+(\d+(?:\.\d+)?\s*%))?$/i,
+  );
+  return m
+    ? { nutrient: m[1].trim(), amount: m[2].trim(), dailyValue: m[3] || "" }
+    : { nutrient: text, amount: "", dailyValue: "" };
+}
+
+// Parse a product CSV into confirmed data per SKU. Columns are
+// BATCH_CSV_COLUMNS; ingredients, allergens, nutritionFacts and labelClaims
+// are "|"-separated lists. Without an ingredients cell, ingredientStatement
+// (label text) is parsed into the ingredient tree.
+function parseProductCSV(csvText) {
+  const rows = parseCSV(csvText.replace(/^﻿/, ""));
+  if (rows.length < 2)
+    return { errors: [{ line: 1, error: "CSV has no data rows" }] };
+
+  const header = rows[0].map((h) => h.trim());
+  if (!header.includes("sku") && !header.includes("productName"))
+    return {
+      errors: [{ line: 1, error: 'Missing column "sku" or "productName"' }],
+    };
+  const unknown = header.filter((h) => h && !BATCH_CSV_COLUMNS.includes(h));
+  if (unknown.length)
+    return {
+      errors: [{ line: 1, error: `Unknown column(s): ${unknown.join(", ")}` }],
+    };
+
+  const errors = [];
+  const products = [];
+  const seen = new Set();
+  const list = (v) =>
+    v
+      ? v
+          .split("|")
+          .map((x) => x.trim())
+          .filter(Boolean)
+      : [];
+  rows.slice(1).forEach((cols, i) => {
+    const line = i + 2;
+    const r = {};
+    header.forEach((h, j) => (r[h] = (cols[j] || "").trim()));
+    const sku = r.sku || r.productName;
+    if (!sku)
+      return errors.push({ line, error: "sku or productName is required" });
+    if (seen.has(sku))
+      return errors.push({ line, error: `Duplicate SKU "${sku}"` });
+    seen.add(sku);
+    products.push({
+      sku,
+      source: "csv",
+      confirmedData: {
+        productName: r.productName || sku,
+        productNameCn: r.productNameCn || "",
+        productType: r.productType || "",
+        ingredients: r.ingredients
+          ? list(r.ingredients).map(parseIngredientCell)
+          : parseIngredientStatement(r.ingredientStatement).ingredients,
+        allergens: list(r.allergens),
+        containsStatement: r.containsStatement || "",
+        precautionaryStatement: r.precautionaryStatement || "",
+        nutritionFacts: list(r.nutritionFacts).map(parseNutritionCell),
+        netWeight: r.netWeight || "",
+        servingSize: r.servingSize || "",
+        servingsPerContainer: r.servingsPerContainer || "",
+        countryOfOrigin: r.countryOfOrigin || "",
+        manufacturerInfo: r.manufacturerInfo || "",
+        labelClaims: list(r.labelClaims).map((claim) => ({
+          claim,
+          claimCn: "",
+        })),
+      },
     });
+  });
+  if (errors.length) return { errors };
+  return { products };
+}
+
+// Decompress one ZIP entry, giving up (null) as soon as it passes maxBytes.
+// The size in the ZIP header can lie, so the bytes are counted as they
+// stream out rather than trusted.
+function readZipEntry(entry, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const stream = entry.internalStream("nodebuffer");
+    stream
+      .on("data", (chunk) => {
+        if (done) return;
+        size += chunk.length;
+        if (size > maxBytes) {
+          done = true;
+          stream.pause();
+          return resolve(null);
+        }
+        chunks.push(chunk);
+      })
+      .on("error", (err) => {
+        if (!done) reject(err);
+        done = true;
+      })
+      .on("end", () => {
+        if (!done) resolve(Buffer.concat(chunks));
+        done = true;
+      })
+      .resume();
+  });
+}
+
+// Group ZIP entries into SKUs: "<sku>/<image>" or a top-level "<sku>.jpg".
+// A single folder wrapping the whole line is ignored. Files are written to
+// the upload dir so the extraction step can read (and clean up) them.
+// Entries are checked against their declared size before decompressing and
+// against BATCH_MAX_FILE_BYTES / BATCH_MAX_TOTAL_BYTES while decompressing.
+async function readBatchZip(zipPath) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+  } catch {
+    return { errors: [{ error: "File is not a valid ZIP archive" }] };
+  }
+  let entries = Object.values(zip.files)
+    .filter((e) => !e.dir && !/(^|\/)(__MACOSX|\.)/.test(e.name))
+    .map((e) => ({ entry: e, parts: e.name.split("/") }));
+  while (
+    entries.length &&
+    entries.every(
+      (e) => e.parts.length > 2 && e.parts[0] === entries[0].parts[0],
+    )
+  )
+    entries = entries.map((e) => ({ ...e, parts: e.parts.slice(1) }));
+
+  const skus = new Map();
+  const skipped = [];
+  for (const { entry, parts } of entries) {
+    const name = parts.at(-1);
+    const mimetype = BATCH_FILE_TYPES[path.extname(name).toLowerCase()];
+    if (!mimetype) {
+      skipped.push({ file: entry.name, reason: "unsupported file type" });
+      continue;
+    }
+    if (entry._data?.uncompressedSize > BATCH_MAX_FILE_BYTES) {
+      skipped.push({ file: entry.name, reason: "file exceeds 20MB" });
+      continue;
+    }
+    const sku = parts.length > 1 ? parts[0] : path.parse(name).name;
+    if (!skus.has(sku)) skus.set(sku, []);
+    if (skus.get(sku).length >= BATCH_MAX_FILES_PER_SKU) {
+      skipped.push({
+        file: entry.name,
+        reason: `more than ${BATCH_MAX_FILES_PER_SKU} files for SKU`,
+      });
+      continue;
+    }
+    skus.get(sku).push({ entry, mimetype });
+  }
+  if (!skus.size)
+    return {
+      errors: [{ error: "ZIP contains no JPG, PNG, WEBP or PDF files" }],
+    };
+  if (skus.size > BATCH_MAX_SKUS)
+    return {
+      errors: [
+        {
+          error: `At most ${BATCH_MAX_SKUS} SKUs per batch (found ${skus.size})`,
+        },
+      ],
+    };
+
+  const products = [];
+  let remaining = BATCH_MAX_TOTAL_BYTES;
+  for (const [sku, files] of skus) {
+    const written = [];
+    for (const { entry, mimetype } of files) {
+      const data = await readZipEntry(
+        entry,
+        Math.min(BATCH_MAX_FILE_BYTES, remaining),
+      );
+      if (!data) {
+        if (remaining <= BATCH_MAX_FILE_BYTES) {
+          cleanupFiles(products.flatMap((p) => p.files).concat(written));
+          return {
+            errors: [
+              {
+                error: `ZIP contents exceed ${BATCH_MAX_TOTAL_BYTES / 1024 / 1024}MB once decompressed`,
+              },
+            ],
+          };
+        }
+        skipped.push({ file: entry.name, reason: "file exceeds 20MB" });
+        continue;
+      }
+      remaining -= data.length;
+      const filePath = path.join(
+        uploadDir,
+        `${Date.now()}-${crypto.randomUUID()}${path.extname(entry.name)}`,
+      );
+      fs.writeFileSync(filePath, data);
+      written.push({ path: filePath, mimetype, originalname: entry.name });
+    }
+    if (written.length)
+      products.push({ sku, source: "images", files: written });
+  }
+  return { products, skipped };
+}
+
+// Run fn over items with at most `limit` in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+}
+
+// Extraction (image SKUs) and analysis for one SKU. Extracted data is
+// analyzed as-is, so image SKUs are marked unconfirmed.
+async function screenProduct(product, lang, market, actor) {
+  const base = { sku: product.sku, source: product.source };
+  try {
+    let confirmedData = product.confirmedData;
+    if (product.files) {
+      const extraction = await runExtraction(
+        product.files,
+        lang,
+        market,
+        undefined,
+        actor,
+      );
+      if (extraction.status >= 400)
+        return {
+          ...base,
+          status: "failed",
+          error: extraction.body.error || "Extraction failed",
+        };
+      confirmedData = extraction.body.data;
+    }
+    const analysis = await runConfirmedAnalysis(
+      confirmedData,
+      lang,
+      market,
+      undefined,
+      actor,
+    );
+    if (analysis.status >= 400)
+      return {
+        ...base,
+        status: "failed",
+        productName: confirmedData.productName || "",
+        error: analysis.body.error || "Analysis failed",
+      };
+    const report = analysis.body.data;
+    const items = DIFF_SECTIONS.flatMap((s) => report[s.key]?.items || []);
+    return {
+      ...base,
+      status: "succeeded",
+      confirmed: product.source === "csv",
+      demo: analysis.body.demo,
+      productName: confirmedData.productName || product.sku,
+      overallRiskLevel: report.overallRiskLevel,
+      failCount: items.filter((it) => it.status === "fail").length,
+      warnCount: items.filter((it) => it.status === "warn").length,
+      confirmedData,
+      report,
+    };
   } catch (err) {
-    console.error("Register error:", err);
-    res.status(500).json({ error: "Registration failed" });
+    if (product.files) cleanupFiles(product.files);
+    console.error(`Batch SKU ${product.sku} error:`, err);
+    return {
+      ...base,
+      status: "failed",
+      error: err.message || "Screening failed",
+    };
+  }
+}
+
+// Aggregate screened SKUs: risk levels, warn/fail findings shared across
+// SKUs (matched by name per section), undeclared allergens and flagged
+// catalog substances
+function buildPortfolio(results, market) {
+  const riskLevels = { low: 0, medium: 0, high: 0 };
+  const findings = new Map();
+  const allergens = new Map();
+  const substances = new Map();
+  const add = (map, key, init, entry) => {
+    if (!map.has(key)) map.set(key, { ...init, skus: [] });
+    const agg = map.get(key);
+    if (!agg.skus.some((s) => s.sku === entry.sku)) agg.skus.push(entry);
+    return agg;
+  };
+
+  for (const r of results) {
+    if (r.status !== "succeeded") continue;
+    if (r.overallRiskLevel in riskLevels) riskLevels[r.overallRiskLevel]++;
+    for (const { key, nameKey } of DIFF_SECTIONS) {
+      for (const it of (r.report[key]?.items || []).filter(isIssue)) {
+        const name = it[nameKey] || it[nameKey + "Cn"];
+        const agg = add(
+          findings,
+          `${key}:${diffItemKey(name)}`,
+          {
+            section: key,
+            name,
+            nameCn: it[nameKey + "Cn"] || "",
+            status: it.status,
+            regulation: it.regulation || "",
+          },
+          { sku: r.sku, status: it.status },
+        );
+        if (it.status === "fail") agg.status = "fail";
+      }
+    }
+    for (const it of r.report.ingredientRisk?.items || []) {
+      const m = it.catalogMatch;
+      if (!m || !BATCH_FLAGGED_STATUSES.includes(m.status)) continue;
+      add(
+        substances,
+        m.id,
+        {
+          substance: m.name,
+          substanceCn: m.nameCn,
+          status: m.status,
+          statusLabel: m.statusLabel,
+          statusLabelCn: m.statusLabelCn,
+          citation: m.citation,
+        },
+        { sku: r.sku },
+      );
+    }
+    for (const a of undeclaredAllergens(
+      r.confirmedData,
+      market.labelRules?.allergens.statementRequired,
+    ))
+      add(
+        allergens,
+        a.key,
+        { allergen: a.allergen, allergenCn: a.allergenCn },
+        { sku: r.sku, ingredient: a.ingredient },
+      );
   }
+
+  const bySkuCount = (a, b) => b.skus.length - a.skus.length;
+  const failed = results.filter((r) => r.status !== "succeeded").length;
+  return {
+    success: true,
+    demo: results.some((r) => r.demo),
+    targetMarket: market.code,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      riskLevels,
+    },
+    findings: [...findings.values()]
+      .map((f) => ({ ...f, count: f.skus.length }))
+      .sort(
+        (a, b) =>
+          bySkuCount(a, b) ||
+          (a.status === b.status ? 0 : a.status === "fail" ? -1 : 1),
+      ),
+    allergens: [...allergens.values()]
+      .map((a) => ({ ...a, count: a.skus.length }))
+      .sort(bySkuCount),
+    substances: [...substances.values()]
+      .map((s) => ({ ...s, count: s.skus.length }))
+      .sort(bySkuCount),
+    skus: results,
+  };
+}
+
+async function runBatch(products, lang, market, actor, onStage, onProgress) {
+  let done = 0;
+  onStage("analysis");
+  onProgress({ done, total: products.length });
+  const results = await mapWithConcurrency(
+    products,
+    BATCH_CONCURRENCY,
+    async (product) => {
+      const result = await screenProduct(product, lang, market, actor);
+      onProgress({ done: ++done, total: products.length, sku: product.sku });
+      return result;
+    },
+  );
+  onStage("validation");
+  return { status: 200, body: buildPortfolio(results, market) };
+}
+
+// Start a batch screening job (multipart: file = .zip or .csv, lang,
+// targetMarket)
+app.post("/api/jobs/batch", requireAuth, (req, res) => {
+  batchUpload.single("file")(req, res, async (uploadErr) => {
+    if (uploadErr) return res.status(400).json({ error: uploadErr.message });
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: "No file uploaded" });
+    try {
+      const lang = resolveLang(req.body.lang);
+      if (!lang) return res.status(400).json({ error: langError() });
+      const market = resolveMarket(req.body.targetMarket);
+      if (!market) return res.status(400).json({ error: marketError() });
+
+      const isZip = /\.zip$/i.test(file.originalname);
+      const parsed = isZip
+        ? await readBatchZip(file.path)
+        : parseProductCSV(fs.readFileSync(file.path, "utf8"));
+      if (parsed.errors)
+        return res.status(400).json({
+          error: isZip ? "Invalid batch ZIP" : "Invalid product CSV",
+          details: parsed.errors,
+        });
+      if (parsed.products.length > BATCH_MAX_SKUS) {
+        return res.status(400).json({
+          error: `At most ${BATCH_MAX_SKUS} SKUs per batch (found ${parsed.products.length})`,
+        });
+      }
+
+      const job = startJob(req, "batch", (onStage, onProgress) =>
+        runBatch(
+          parsed.products,
+          lang,
+          market,
+          auditActor(req),
+          onStage,
+          onProgress,
+        ).then((result) => {
+          result.body.skipped = parsed.skipped || [];
+          return result;
+        }),
+      );
+      sendJobAccepted(res, job);
+    } catch (err) {
+      console.error("Batch start error:", err);
+      res.status(500).json({ error: err.message || "Failed to start batch" });
+    } finally {
+      cleanupFiles([file]);
+    }
+  });
 });
 
-// Login
-app.post("/api/auth/login", async (req, res) => {
+// The user's batch jobs, newest first (portfolio summaries only)
+app.get("/api/batches", requireAuth, async (req, res) => {
   try {
-    const { email, password } = req.body;
-    if (!email || !password)
-      return res.status(400).json({ error: "Email and password are required" });
-
     const result = await pool.query(
-      "SELECT id, email, name, company, password_hash FROM users WHERE email=$1",
-      [email.toLowerCase().trim()],
+      `SELECT job_id, status, result->'summary' AS summary, result->>'targetMarket' AS target_market,
+              error, created_at, updated_at
+       FROM analysis_jobs WHERE user_id=$1 AND kind='batch'
+       ORDER BY created_at DESC LIMIT 50`,
+      [req.session.userId],
+    );
+    res.json({ batches: result.rows });
+  } catch (err) {
+    console.error("List batches error:", err);
+    res.status(500).json({ error: "Failed to load batches" });
+  }
+});
+
+// --- Report Export ---
+// Shared by the PPTX and PDF renderers. lang is "en", "cn" or "bilingual";
+// labels, sections and disclaimer text come in EN/CN pairs.
+const EXPORT_LANGS = ["en", "cn", "bilingual"];
+const EXPORT_COLORS = {
+  accent: "0D9373",
+  dark: "1A1A2E",
+  mid: "64647A",
+  light: "9696AA",
+  bg: "F5F7FA",
+  white: "FFFFFF",
+  pass: "16A34A",
+  warn: "D97706",
+  fail: "DC2626",
+  info: "2563EB",
+};
+const EXPORT_SECTIONS = [
+  {
+    key: "ingredientRisk",
+    nameKey: "name",
+    icon: "🧪",
+    title: ["Ingredient Compliance Analysis", "成分合规结构分析"],
+    badge: (s) => [`${s.flagCount} flagged`, `${s.flagCount} 项标记`],
+    risk: { percent: "riskPercent", level: "overallRisk" },
+  },
+  {
+    key: "labelCompliance",
+    nameKey: "name",
+    icon: "🏷️",
+    title: ["Label Architecture Review", "标签合规架构审查"],
+    badge: (s) => [
+      `${s.passCount}/${s.totalCount} pass`,
+      `${s.passCount}/${s.totalCount} 通过`,
+    ],
+  },
+  {
+    key: "facilityRegistration",
+    nameKey: "name",
+    icon: "🏭",
+    title: ["Facility Registration Verification", "生产设施注册核查"],
+    badge: () => ["Pending verification", "待核验"],
+  },
+  {
+    key: "marketingClaims",
+    nameKey: "claim",
+    icon: "💬",
+    title: ["Marketing Claims Risk", "宣传语法规风险"],
+    badge: (s) => [`${s.issueCount} issues`, `${s.issueCount} 项待审`],
+    risk: { percent: "riskPercent", level: "riskLevel" },
+  },
+];
+const STATUS_LABELS = {
+  pass: ["PASS", "通过"],
+  warn: ["WARN", "注意"],
+  fail: ["FAIL", "不合规"],
+  info: ["INFO", "待核验"],
+};
+const RISK_LABELS = {
+  low: ["Low Risk", "低结构风险"],
+  medium: ["Medium Risk", "中等结构风险"],
+  high: ["High Risk", "高结构风险"],
+};
+// Section title for the report's target market, e.g. the EU facility section
+// covers food business operators rather than FDA registration
+function marketSectionTitle(d, key, fallback) {
+  return reportMarket(d).sections[key] || fallback;
+}
+
+const EXPORT_DISCLAIMER = [
+  [
+    "FDA does not approve individual dietary supplement or food products.",
+    "FDA 不对单个膳食补充剂或食品产品进行批准。",
+  ],
+  [
+    "Registration applies to manufacturing facilities, not SKUs or brands.",
+    "注册针对生产设施，而非单个产品或品牌。",
+  ],
+  [
+    'No "FDA product certification" exists for supplements.',
+    "膳食补充剂不存在“FDA 产品认证”。",
+  ],
+  [
+    "Key compliance factors: ingredient legality, proper labeling, valid facility registration, compliant marketing claims.",
+    "关键合规要素：成分合法性、标签规范、有效的设施注册以及合规的宣传声称。",
+  ],
+  [
+    "This report does not constitute legal advice, regulatory approval, or official certification. Final compliance determinations should be confirmed by licensed legal professionals.",
+    "本报告不构成法律意见、监管批准或官方认证。最终合规判断应由持牌法律专业人士确认。",
+  ],
+];
+
+// Pick the EN/CN variant of a field (or both, one per line)
+function localized(obj, key, lang) {
+  const en = obj?.[key] || "";
+  const zh = obj?.[key + "Cn"] || "";
+  if (lang === "cn") return zh || en;
+  if (lang === "bilingual" && zh && zh !== en) return en ? `${en}\n${zh}` : zh;
+  return en || zh;
+}
+
+function localizedLabel([en, zh], lang) {
+  if (lang === "cn") return zh;
+  return lang === "bilingual" ? `${en} / ${zh}` : en;
+}
+
+function localizedList(d, key, lang) {
+  const en = Array.isArray(d[key]) ? d[key] : [];
+  const zh = Array.isArray(d[key + "Cn"]) ? d[key + "Cn"] : [];
+  if (lang === "cn") return zh.length ? zh : en;
+  if (lang === "bilingual" && zh.length)
+    return Array.from({ length: Math.max(en.length, zh.length) }, (_, i) =>
+      [en[i], zh[i]].filter(Boolean).join("\n"),
+    );
+  return en.length ? en : zh;
+}
+
+// Status cell: status label plus where the finding came from
+function exportItemSource(it, lang) {
+  const review = it.review;
+  if (review && review.action !== "annotated") {
+    const labels = {
+      verified: ["Expert verified", "专家已核验"],
+      overridden: ["Expert override", "专家修订"],
+      added: ["Expert added", "专家新增"],
+    };
+    return localizedLabel(labels[review.action] || labels.verified, lang);
+  }
+  if (it.source === "rule") return localizedLabel(["Rule", "规则校验"], lang);
+  return it.source === "ai" || review ? "AI" : "";
+}
+
+// --- PPTX Report Renderer ---
+// Renders the current report shape (overallRiskLevel, per-item regulation
+// citations, EN/CN fields) to a deck; bilingual puts the Chinese text under
+// the English. Sections paginate across slides when their items don't fit.
+const SLIDE = {
+  ...EXPORT_COLORS,
+  bodyTop: 1.25,
+  bodyBottom: 6.95,
+  width: 12.3,
+};
+const SLIDE_COLUMNS = [
+  { key: "item", w: 3.4, fontSize: 10 },
+  { key: "status", w: 1.3, fontSize: 9 },
+  { key: "note", w: 4.9, fontSize: 9 },
+  { key: "regulation", w: 2.7, fontSize: 8 },
+];
+
+// Rough wrapped-line count: Latin glyphs ~0.5em wide, CJK glyphs 1em
+const CJK_CHAR = /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+function textLines(text, widthIn, fontSize) {
+  const perLine = (widthIn * 72) / (fontSize * 0.5);
+  return String(text || "")
+    .split("\n")
+    .reduce((n, line) => {
+      let units = 0;
+      for (const ch of line) units += CJK_CHAR.test(ch) ? 2 : 1;
+      return n + Math.max(1, Math.ceil(units / perLine));
+    }, 0);
+}
+
+function textHeight(text, widthIn, fontSize) {
+  return (textLines(text, widthIn, fontSize) * fontSize * 1.3) / 72;
+}
+
+function slideStatusColor(status) {
+  return SLIDE[status] || SLIDE.info;
+}
+
+function slideRows(section, spec, lang) {
+  return (section.items || []).map((it) => {
+    const note = [it.value, localized(it, "note", lang)]
+      .filter(Boolean)
+      .join(" — ");
+    const cells = {
+      item: localized(it, spec.nameKey, lang),
+      status: [
+        localizedLabel(STATUS_LABELS[it.status] || STATUS_LABELS.info, lang),
+        exportItemSource(it, lang),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      note: [note, it.review?.comment ? `✎ ${it.review.comment}` : ""]
+        .filter(Boolean)
+        .join("\n"),
+      regulation: it.regulation || "",
+    };
+    const height =
+      Math.max(
+        ...SLIDE_COLUMNS.map((c) =>
+          textHeight(cells[c.key], c.w - 0.2, c.fontSize),
+        ),
+      ) + 0.14;
+    return { it, cells, height };
+  });
+}
+
+// Split rows into pages that fit between the header and footer; the last
+// page also has to hold the risk bar and summary (`tailHeight`).
+function paginateRows(rows, available, tailHeight) {
+  const pages = [[]];
+  let used = 0;
+  for (const row of rows) {
+    const page = pages[pages.length - 1];
+    if (page.length && used + row.height > available) {
+      pages.push([row]);
+      used = row.height;
+    } else {
+      page.push(row);
+      used += row.height;
+    }
+  }
+  if (tailHeight && used + tailHeight > available) pages.push([]);
+  return pages;
+}
+
+async function renderReportSlides(d, { lang = "en", reportId, meta = {} }) {
+  const pptx = new PptxGenJS();
+  const font = lang === "en" ? "Helvetica" : "Microsoft YaHei";
+  const L = (pair) => localizedLabel(pair, lang);
+  const now = new Date();
+  pptx.layout = "LAYOUT_WIDE"; // 13.33 x 7.5 inches
+  pptx.author = "GoToMarket Compliance Lab";
+  pptx.title = L([
+    "Product Compliance Structural Assessment Report",
+    "产品合规结构评估报告",
+  ]);
+
+  const frame = (s) => {
+    s.background = { fill: SLIDE.white };
+    s.addShape(pptx.ShapeType.rect, {
+      x: 0,
+      y: 0,
+      w: "100%",
+      h: 0.06,
+      fill: { color: SLIDE.accent },
+    });
+    s.addShape(pptx.ShapeType.rect, {
+      x: 0,
+      y: 7.2,
+      w: "100%",
+      h: 0.3,
+      fill: { color: SLIDE.bg },
+    });
+    s.addText(
+      `GoToMarket Compliance Lab  •  ${reportId}  •  ${L(["Confidential", "保密"])}`,
+      {
+        x: 0.6,
+        y: 7.22,
+        w: 12,
+        h: 0.26,
+        fontSize: 7,
+        color: SLIDE.light,
+        fontFace: font,
+      },
+    );
+  };
+  const header = (s, title, badge, color, fill = SLIDE.bg) => {
+    s.addShape(pptx.ShapeType.roundRect, {
+      x: 0.5,
+      y: 0.4,
+      w: SLIDE.width,
+      h: 0.6,
+      fill: { color: fill },
+      rectRadius: 0.06,
+    });
+    s.addText(title, {
+      x: 0.7,
+      y: 0.42,
+      w: 9.2,
+      h: 0.55,
+      fontSize: 16,
+      bold: true,
+      color: SLIDE.dark,
+      fontFace: font,
+      fit: "shrink",
+    });
+    if (!badge) return;
+    s.addShape(pptx.ShapeType.roundRect, {
+      x: 10.1,
+      y: 0.47,
+      w: 2.5,
+      h: 0.4,
+      fill: { color },
+      rectRadius: 0.06,
+    });
+    s.addText(badge, {
+      x: 10.1,
+      y: 0.47,
+      w: 2.5,
+      h: 0.4,
+      fontSize: 9,
+      bold: true,
+      color: SLIDE.white,
+      align: "center",
+      valign: "middle",
+      fontFace: font,
+      fit: "shrink",
+    });
+  };
+
+  // ============ Title ============
+  const rl = RISK_LABELS[d.overallRiskLevel] ? d.overallRiskLevel : "medium";
+  const rlColor =
+    rl === "low" ? SLIDE.pass : rl === "high" ? SLIDE.fail : SLIDE.warn;
+  const title = pptx.addSlide();
+  frame(title);
+  title.addText("GT", {
+    x: 0.6,
+    y: 0.5,
+    w: 0.5,
+    h: 0.5,
+    fontSize: 18,
+    bold: true,
+    color: SLIDE.white,
+    align: "center",
+    valign: "middle",
+    fill: { color: SLIDE.accent },
+    shape: pptx.ShapeType.roundRect,
+    rectRadius: 0.08,
+  });
+  title.addText("GoToMarket Compliance Lab", {
+    x: 1.25,
+    y: 0.52,
+    w: 5,
+    h: 0.45,
+    fontSize: 16,
+    bold: true,
+    color: SLIDE.accent,
+    fontFace: font,
+  });
+  title.addText(
+    localized(
+      {
+        t: "Product Compliance\nStructural Assessment Report",
+        tCn: "产品合规结构\n评估报告",
+      },
+      "t",
+      lang,
+    ),
+    {
+      x: 0.6,
+      y: 1.7,
+      w: 8.6,
+      h: 2.2,
+      fontSize: lang === "bilingual" ? 28 : 36,
+      bold: true,
+      color: SLIDE.dark,
+      fontFace: font,
+      fit: "shrink",
+    },
+  );
+  const dateStr = now.toLocaleDateString(lang === "cn" ? "zh-CN" : "en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const metaLine = [
+    `${L(["Report Date", "报告日期"])}: ${dateStr}`,
+    `ID: ${reportId}`,
+    meta.productName
+      ? `${meta.productName}${meta.revision ? ` ${L(["Rev.", "修订版"])} ${meta.revision}` : ""}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join("  |  ");
+  title.addText(metaLine, {
+    x: 0.6,
+    y: 4.1,
+    w: 8.6,
+    h: 0.35,
+    fontSize: 10,
+    color: SLIDE.light,
+    fontFace: font,
+  });
+  title.addShape(pptx.ShapeType.ellipse, {
+    x: 9.9,
+    y: 1.8,
+    w: 2.4,
+    h: 2.4,
+    fill: { color: SLIDE.white },
+    line: { color: rlColor, width: 3 },
+  });
+  title.addText(L(RISK_LABELS[rl]), {
+    x: 9.9,
+    y: 1.8,
+    w: 2.4,
+    h: 2.4,
+    fontSize: lang === "bilingual" ? 14 : 20,
+    bold: true,
+    color: rlColor,
+    align: "center",
+    valign: "middle",
+    fontFace: font,
+    fit: "shrink",
+  });
+  title.addText(localized(d, "overallVerdict", lang), {
+    x: 0.6,
+    y: 4.7,
+    w: 11.7,
+    h: 1.2,
+    fontSize: 11,
+    italic: true,
+    color: SLIDE.mid,
+    fontFace: font,
+    valign: "top",
+    fit: "shrink",
+  });
+  if (d.review?.status === "signed_off") {
+    title.addText(
+      `✅ ${L(["Expert-reviewed and signed off by", "已由专家审核签发："])} ${d.review.reviewer || ""} · ${(d.review.signedOffAt || "").slice(0, 10)}`,
+      {
+        x: 0.6,
+        y: 6.1,
+        w: 11.7,
+        h: 0.4,
+        fontSize: 10,
+        bold: true,
+        color: SLIDE.pass,
+        fontFace: font,
+      },
+    );
+  }
+
+  // ============ Sections ============
+  const headerRowH = 0.36;
+  for (const spec of EXPORT_SECTIONS) {
+    const section = d[spec.key];
+    if (!section) continue;
+    const summary = localized(section, "summary", lang);
+    const summaryH = summary
+      ? textHeight(summary, SLIDE.width - 0.4, 9) + 0.2
+      : 0;
+    const hasRisk =
+      spec.risk && typeof section[spec.risk.percent] === "number";
+    const tailHeight = (hasRisk ? 0.75 : 0) + (summaryH ? summaryH + 0.1 : 0);
+    const pages = paginateRows(
+      slideRows(section, spec, lang),
+      SLIDE.bodyBottom - SLIDE.bodyTop - headerRowH - 0.1,
+      tailHeight,
+    );
+
+    const title = L(marketSectionTitle(d, spec.key, spec.title));
+    pages.forEach((rows, pageIndex) => {
+      const s = pptx.addSlide();
+      frame(s);
+      const pageLabel =
+        pages.length > 1 ? `  (${pageIndex + 1}/${pages.length})` : "";
+      header(
+        s,
+        `${spec.icon}  ${title}${pageLabel}`,
+        L(spec.badge(section)),
+        slideStatusColor(section.status),
+      );
+
+      let y = SLIDE.bodyTop;
+      if (rows.length) {
+        const head = [
+          ["Item", "项目"],
+          ["Status", "状态"],
+          ["Finding", "结论"],
+          ["Citation", "法规依据"],
+        ].map((pair) => ({
+          text: L(pair),
+          options: {
+            bold: true,
+            fontSize: 8,
+            color: SLIDE.light,
+            fill: { color: SLIDE.bg },
+            fontFace: font,
+          },
+        }));
+        const body = rows.map(({ it, cells }) =>
+          SLIDE_COLUMNS.map((c) => ({
+            text: cells[c.key],
+            options: {
+              fontSize: c.fontSize,
+              fontFace: font,
+              valign: "top",
+              color:
+                c.key === "status"
+                  ? slideStatusColor(it.status)
+                  : c.key === "regulation"
+                    ? SLIDE.info
+                    : SLIDE.dark,
+              bold: c.key === "status" || c.key === "item",
+            },
+          })),
+        );
+        s.addTable([head, ...body], {
+          x: 0.5,
+          y,
+          w: SLIDE.width,
+          colW: SLIDE_COLUMNS.map((c) => c.w),
+          rowH: [headerRowH, ...rows.map((r) => r.height)],
+          border: { type: "solid", pt: 0.5, color: "E5E7EB" },
+          autoPage: false,
+          margin: [3, 6, 3, 6],
+        });
+        y += headerRowH + rows.reduce((sum, r) => sum + r.height, 0) + 0.2;
+      }
+      if (pageIndex < pages.length - 1) return;
+
+      if (hasRisk) {
+        const pct = section[spec.risk.percent];
+        const level = section[spec.risk.level];
+        const barColor =
+          pct > 65 ? SLIDE.fail : pct > 35 ? SLIDE.warn : SLIDE.pass;
+        s.addText(L(["Risk Level", "风险等级"]), {
+          x: 0.5,
+          y,
+          w: 4,
+          h: 0.25,
+          fontSize: 8,
+          color: SLIDE.light,
+          fontFace: font,
+        });
+        s.addText(RISK_LABELS[level] ? L(RISK_LABELS[level]) : `${pct}%`, {
+          x: 8.8,
+          y,
+          w: 4,
+          h: 0.25,
+          fontSize: 8,
+          color: SLIDE.light,
+          fontFace: font,
+          align: "right",
+        });
+        y += 0.3;
+        s.addShape(pptx.ShapeType.roundRect, {
+          x: 0.5,
+          y,
+          w: SLIDE.width,
+          h: 0.18,
+          fill: { color: "E5E7EB" },
+          rectRadius: 0.04,
+        });
+        s.addShape(pptx.ShapeType.roundRect, {
+          x: 0.5,
+          y,
+          w: Math.max(0.05, (SLIDE.width * pct) / 100),
+          h: 0.18,
+          fill: { color: barColor },
+          rectRadius: 0.04,
+        });
+        y += 0.45;
+      }
+      if (summary) {
+        s.addShape(pptx.ShapeType.roundRect, {
+          x: 0.5,
+          y,
+          w: SLIDE.width,
+          h: summaryH,
+          fill: { color: "FAFAFA" },
+          rectRadius: 0.06,
+        });
+        s.addText(summary, {
+          x: 0.7,
+          y,
+          w: SLIDE.width - 0.4,
+          h: summaryH,
+          fontSize: 9,
+          italic: true,
+          color: SLIDE.mid,
+          fontFace: font,
+          valign: "middle",
+        });
+      }
+    });
+  }
+
+  // ============ Recommendations ============
+  const recs = localizedList(d, "recommendations", lang);
+  if (recs.length) {
+    const recRows = recs.map((text) => ({
+      text,
+      height: textHeight(text, 11.3, 11) + 0.15,
+    }));
+    const pages = paginateRows(recRows, SLIDE.bodyBottom - 1.4, 0);
+    pages.forEach((rows, pageIndex) => {
+      const s = pptx.addSlide();
+      frame(s);
+      const pageLabel =
+        pages.length > 1 ? `  (${pageIndex + 1}/${pages.length})` : "";
+      header(
+        s,
+        `📋  ${L(["Recommendations", "合规建议"])}${pageLabel}`,
+        null,
+        null,
+        "FFF8E1",
+      );
+      let y = 1.4;
+      for (const row of rows) {
+        s.addText("→", {
+          x: 0.7,
+          y,
+          w: 0.4,
+          h: 0.4,
+          fontSize: 14,
+          bold: true,
+          color: SLIDE.warn,
+          fontFace: font,
+        });
+        s.addText(row.text, {
+          x: 1.15,
+          y,
+          w: 11.3,
+          h: row.height,
+          fontSize: 11,
+          color: "78350F",
+          fontFace: font,
+          valign: "top",
+        });
+        y += row.height;
+      }
+    });
+  }
+
+  // ============ Disclaimer ============
+  const last = pptx.addSlide();
+  last.background = { fill: SLIDE.white };
+  last.addShape(pptx.ShapeType.rect, {
+    x: 0,
+    y: 0,
+    w: "100%",
+    h: 0.06,
+    fill: { color: SLIDE.accent },
+  });
+  last.addText(L(["Important Disclaimer", "重要声明"]), {
+    x: 0.6,
+    y: 0.5,
+    w: 11,
+    h: 0.6,
+    fontSize: 20,
+    bold: true,
+    color: SLIDE.dark,
+    fontFace: font,
+  });
+  let y = 1.4;
+  for (const pair of EXPORT_DISCLAIMER) {
+    const text = localized({ t: pair[0], tCn: pair[1] }, "t", lang);
+    const h = textHeight(text, 11.3, 11) + 0.12;
+    last.addText("•", {
+      x: 0.7,
+      y,
+      w: 0.3,
+      h: 0.4,
+      fontSize: 12,
+      color: SLIDE.accent,
+      fontFace: font,
+    });
+    last.addText(text, {
+      x: 1.05,
+      y,
+      w: 11.3,
+      h,
+      fontSize: 11,
+      color: SLIDE.mid,
+      fontFace: font,
+      valign: "top",
+    });
+    y += h + 0.08;
+  }
+  last.addShape(pptx.ShapeType.rect, {
+    x: 0,
+    y: 5.8,
+    w: "100%",
+    h: 1.7,
+    fill: { color: SLIDE.accent },
+  });
+  last.addText("GoToMarket Compliance Lab", {
+    x: 0.6,
+    y: 5.95,
+    w: 8,
+    h: 0.5,
+    fontSize: 18,
+    bold: true,
+    color: SLIDE.white,
+    fontFace: font,
+  });
+  last.addText("Global Regulatory & Market Entry Intelligence Platform", {
+    x: 0.6,
+    y: 6.4,
+    w: 8,
+    h: 0.35,
+    fontSize: 10,
+    color: "B0E8D8",
+    fontFace: font,
+  });
+  last.addText(
+    `© ${now.getFullYear()} GoToMarket Compliance Lab. All rights reserved.`,
+    {
+      x: 0.6,
+      y: 6.9,
+      w: 8,
+      h: 0.3,
+      fontSize: 8,
+      color: "B0E8D8",
+      fontFace: font,
+    },
+  );
+
+  return Buffer.from(await pptx.write({ outputType: "nodebuffer" }));
+}
+
+// --- PDF Report Renderer ---
+// Server-side version of the browser export (cover, contents, sections with
+// citations, recommendations, disclaimer). Bilingual output puts English and
+// Chinese side by side. Chinese needs a CJK font: the NotoSansSC subset in
+// fonts/ (GB2312 plus every character of the app's own strings), or
+// PDF_FONT_REGULAR / PDF_FONT_BOLD for full coverage. The same files back
+// /fonts/NotoSansSC-*.ttf, which the web export loads.
+const PDF_FONT_DIR = path.join(__dirname, "fonts");
+const PDF_FONT_FILES = {
+  regular:
+    process.env.PDF_FONT_REGULAR ||
+    path.join(PDF_FONT_DIR, "NotoSansSC-Regular.ttf"),
+  bold:
+    process.env.PDF_FONT_BOLD || path.join(PDF_FONT_DIR, "NotoSansSC-Bold.ttf"),
+};
+const PDF_SECTION_TITLES = {
+  ingredientRisk: [
+    "Ingredient Compliance Structural Analysis",
+    "成分合规结构分析",
+  ],
+  labelCompliance: [
+    "Label Compliance Architecture Review",
+    "标签合规架构审查",
+  ],
+  facilityRegistration: [
+    "Facility Registration Verification",
+    "生产设施注册核查",
+  ],
+  marketingClaims: [
+    "Marketing Claims Regulatory Risk Identification",
+    "宣传语法规风险识别",
+  ],
+  recommendations: ["Optimization Recommendations", "优化建议"],
+  citations: ["Citation Glossary", "法规引用词汇表"],
+  disclaimer: ["Disclaimer & Legal Notice", "免责声明与法律告知"],
+};
+const PDF_DISCLAIMER = [
+  [
+    "This report is generated based on user-provided information and AI-assisted structural analysis. It does not constitute legal advice or official FDA verification.",
+    "本报告基于用户提供信息及AI辅助结构分析生成，不构成法律意见或FDA官方验证结果。",
+  ],
+  [
+    "All facility registration data is user-reported status and is not validated against FDA databases.",
+    "所有设施注册信息均为用户自报状态，平台不进行FDA数据库核验。",
+  ],
+  [
+    "For food and dietary supplement products, FDA does not approve individual products. Registration applies to manufacturing facilities, not individual products or brands.",
+    "对于食品及膳食补充剂产品，FDA不对单个产品进行审批。注册对象为生产设施，而非单个产品或品牌。",
+  ],
+  [
+    "Product compliance is determined by ingredient legality, proper labeling structure, and valid facility registration status. Independent verification recommended.",
+    "产品合规取决于成分合法性、标签结构规范以及设施注册有效性。建议进行独立核验。",
+  ],
+  [
+    "Professional consultation is recommended before execution.",
+    "实际执行前建议咨询持牌法律专业人士。",
+  ],
+  [
+    "GoToMarket Compliance Lab assumes no liability for actions taken based on the contents of this report.",
+    "GoToMarket Compliance Lab 对基于本报告内容所采取的行动不承担任何责任。",
+  ],
+];
+const PDF_CITATION_FLAGS = {
+  unknown: ["Not in citation index", "引用索引中未收录"],
+  malformed: ["Unrecognized citation format", "无法识别的引用格式"],
+  other_market: ["Cites another market's rules", "引用了其他市场的法规"],
+};
+const PDF_FACILITY_NOTE = [
+  "Note: Facility FEI/DUNS information must be confirmed with the manufacturer. Verification is based on publicly available information and client-provided documentation.",
+  "注：设施 FEI/DUNS 信息需与制造商确认。核查基于公开信息及客户提供的资料。",
+];
+
+// Returns the CJK font files, or null when they aren't installed
+function pdfFontFiles() {
+  if (!fs.existsSync(PDF_FONT_FILES.regular)) return null;
+  return {
+    regular: PDF_FONT_FILES.regular,
+    bold: fs.existsSync(PDF_FONT_FILES.bold)
+      ? PDF_FONT_FILES.bold
+      : PDF_FONT_FILES.regular,
+  };
+}
+
+async function renderReportPDF(d, { lang = "en", reportId, meta = {} }) {
+  // Check citations against the current index, also for older saved reports
+  d = attachCitationChecks(structuredClone(d));
+  const L = (pair) => localizedLabel(pair, lang);
+  // Titles stack EN over CN instead of joining them with " / "
+  const T = (pair) => (lang === "bilingual" ? pair.join("\n") : L(pair));
+  const bilingual = lang === "bilingual";
+  const now = new Date();
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: L([
+        "Product Compliance Structural Assessment Report",
+        "产品合规结构评估报告",
+      ]),
+      Author: "GoToMarket Compliance Lab",
+    },
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  const fonts = pdfFontFiles();
+  doc.registerFont("body", fonts ? fonts.regular : "Helvetica");
+  doc.registerFont("bold", fonts ? fonts.bold : "Helvetica-Bold");
+
+  const M = 50;
+  const W = doc.page.width;
+  const H = doc.page.height;
+  const CW = W - M * 2;
+  const bottom = H - M - 10;
+  const color = (key) => "#" + EXPORT_COLORS[key];
+  let y = M;
+
+  const write = (str, x, top, opts = {}) => {
+    doc
+      .font(opts.bold ? "bold" : "body")
+      .fontSize(opts.size || 9)
+      .fillColor(opts.color || color("dark"))
+      .text(String(str ?? ""), x, top, {
+        width: opts.width,
+        align: opts.align,
+        lineGap: 1.5,
+        goTo: opts.goTo,
+        link: opts.link,
+      });
+    return doc.y;
+  };
+  const measure = (str, width, size, bold) => {
+    if (!str) return 0;
+    doc.font(bold ? "bold" : "body").fontSize(size);
+    return doc.heightOfString(String(str), { width, lineGap: 1.5 });
+  };
+  const newPage = () => {
+    doc.addPage();
+    doc.rect(0, 0, W, 3).fill(color("accent"));
+    y = M;
+  };
+  const ensure = (h) => {
+    if (y + h <= bottom) return false;
+    newPage();
+    return true;
+  };
+  const pageNumber = () => doc.bufferedPageRange().count;
+
+  // Table cells are { text, sub, color, bold, size, links }; sub is a
+  // regular-weight line under text. links replaces text with one line per
+  // { text, goTo } (text is still used to measure the cell). Rows break
+  // across pages with the header repeated.
+  const table = (columns, rows, { header = true } = {}) => {
+    const pad = 5;
+    const cellHeight = (cell, w) =>
+      measure(cell.text, w, cell.size || 8.5, cell.bold) +
+      (cell.sub ? measure(cell.sub, w, 8, false) + 2 : 0);
+    const drawHeader = () => {
+      if (!header) return;
+      const h =
+        Math.max(
+          ...columns.map((c) => measure(c.label, c.w - pad * 2, 7.5, true)),
+        ) +
+        pad * 2;
+      doc.rect(M, y, CW, h).fill(color("bg"));
+      let x = M;
+      for (const c of columns) {
+        write(c.label, x + pad, y + pad, {
+          width: c.w - pad * 2,
+          size: 7.5,
+          bold: true,
+          color: color("light"),
+        });
+        x += c.w;
+      }
+      y += h;
+    };
+    ensure(60);
+    drawHeader();
+    for (const row of rows) {
+      const h =
+        Math.max(
+          ...row.map((cell, i) => cellHeight(cell, columns[i].w - pad * 2)),
+        ) +
+        pad * 2;
+      if (ensure(h)) drawHeader();
+      let x = M;
+      row.forEach((cell, i) => {
+        const w = columns[i].w - pad * 2;
+        let top = y + pad;
+        if (cell.links)
+          for (const link of cell.links)
+            top = write(link.text, x + pad, top, {
+              width: w,
+              size: cell.size || 8.5,
+              color: cell.color,
+              goTo: link.goTo,
+            });
+        else if (cell.text)
+          top =
+            write(cell.text, x + pad, top, {
+              width: w,
+              size: cell.size || 8.5,
+              bold: cell.bold,
+              color: cell.color,
+            }) + 2;
+        if (cell.sub)
+          write(cell.sub, x + pad, top, {
+            width: w,
+            size: 8,
+            color: color("mid"),
+          });
+        x += columns[i].w;
+      });
+      y += h;
+      doc
+        .moveTo(M, y)
+        .lineTo(M + CW, y)
+        .lineWidth(0.5)
+        .strokeColor("#E5E7EB")
+        .stroke();
+    }
+    y += 12;
+  };
+
+  const toc = [];
+  const sectionHeading = (key) => {
+    newPage();
+    const num = toc.length + 1;
+    const title = marketSectionTitle(d, key, PDF_SECTION_TITLES[key]);
+    toc.push({ num, title, page: pageNumber() });
+    y = write(L([`SECTION ${num}`, `第 ${num} 节`]), M, y, {
+      size: 8,
+      bold: true,
+      color: color("accent"),
+    });
+    y = write(T(title), M, y + 4, { size: 15, bold: true });
+    doc
+      .moveTo(M, y + 4)
+      .lineTo(M + 110, y + 4)
+      .lineWidth(1.2)
+      .strokeColor(color("accent"))
+      .stroke();
+    y += 18;
+  };
+  // One text block, or EN | CN columns in bilingual mode
+  const textBlock = (obj, key, opts = {}) => {
+    const fill = opts.fill || "#FAFAFA";
+    const size = opts.size || 8.5;
+    const parts = bilingual
+      ? [obj?.[key], obj?.[key + "Cn"]].filter(Boolean)
+      : [localized(obj, key, lang)].filter(Boolean);
+    if (!parts.length) return;
+    const colW = (CW - 20 - (parts.length - 1) * 12) / parts.length;
+    const h = Math.max(...parts.map((t) => measure(t, colW, size))) + 16;
+    ensure(h);
+    doc.roundedRect(M, y, CW, h, 4).fill(fill);
+    parts.forEach((t, i) =>
+      write(t, M + 10 + i * (colW + 12), y + 8, {
+        width: colW,
+        size,
+        color: color(opts.color || "mid"),
+      }),
+    );
+    y += h + 10;
+  };
+
+  // ======== PAGE 1: COVER ========
+  doc.rect(0, 0, W, H).fill(color("accent"));
+  doc.roundedRect(M - 20, M - 20, CW + 40, H - M * 2 + 40, 8).fill("#FFFFFF");
+  write("GoToMarket Compliance Lab", M, M, {
+    size: 15,
+    bold: true,
+    color: color("accent"),
+  });
+  y = write(
+    T([
+      "Global Regulatory & Market Entry Intelligence Platform",
+      "美国食品与膳食补充剂法规合规分析平台",
+    ]),
+    M,
+    M + 22,
+    { size: 9, color: color("mid") },
+  );
+  doc
+    .moveTo(M, y + 8)
+    .lineTo(M + CW, y + 8)
+    .lineWidth(1)
+    .strokeColor(color("accent"))
+    .stroke();
+  y = write(
+    T([
+      "Product Compliance\nAssessment Report",
+      "产品合规与市场准入\n评估报告",
+    ]),
+    M,
+    y + 40,
+    { size: bilingual ? 22 : 28, bold: true },
+  );
+
+  const rl = RISK_LABELS[d.overallRiskLevel] ? d.overallRiskLevel : "medium";
+  const rlColor = color(
+    rl === "low" ? "pass" : rl === "high" ? "fail" : "warn",
+  );
+  const verdict = bilingual
+    ? [d.overallVerdict, d.overallVerdictCn].filter(Boolean).join("\n\n")
+    : localized(d, "overallVerdict", lang);
+  const boxTop = y + 30;
+  const verdictH = measure(verdict, CW - 32, 9);
+  doc.roundedRect(M, boxTop, CW, verdictH + 62, 6).fill("#F0FAF6");
+  const badge = L(RISK_LABELS[rl]).toUpperCase();
+  doc.font("bold").fontSize(8);
+  const badgeW = doc.widthOfString(badge) + 20;
+  doc.roundedRect(M + 16, boxTop + 16, badgeW, 18, 4).fill(rlColor);
+  write(badge, M + 16, boxTop + 21, {
+    width: badgeW,
+    size: 8,
+    bold: true,
+    color: "#FFFFFF",
+    align: "center",
+  });
+  write(
+    L(["Structural Risk Assessment", "结构风险评估"]),
+    M + 28 + badgeW,
+    boxTop + 18,
+    { size: 12, bold: true },
+  );
+  write(verdict, M + 16, boxTop + 44, {
+    width: CW - 32,
+    size: 9,
+    color: color("mid"),
+  });
+  y = boxTop + verdictH + 80;
+
+  const dateStr = now.toLocaleDateString(lang === "cn" ? "zh-CN" : "en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  y = write(`${L(["Report Date", "报告日期"])}: ${dateStr}`, M, y, {
+    color: color("mid"),
+  });
+  y = write(`${L(["Report ID", "报告编号"])}: ${reportId}`, M, y + 3, {
+    color: color("mid"),
+  });
+  const market = reportMarket(d);
+  y = write(
+    `${L(["Target Market", "目标市场"])}: ${L([market.name, market.nameCn])}`,
+    M,
+    y + 3,
+    { color: color("mid") },
+  );
+  if (meta.productName)
+    y = write(
+      `${L(["Product", "产品"])}: ${meta.productName}${meta.revision ? ` · ${L(["Rev.", "修订版"])} ${meta.revision}` : ""}`,
+      M,
+      y + 3,
+      { color: color("mid") },
+    );
+  if (d.review?.status === "signed_off")
+    write(
+      `${L(["Expert-reviewed and signed off by", "已由专家审核签发："])} ${d.review.reviewer || ""} · ${(d.review.signedOffAt || "").slice(0, 10)}`,
+      M,
+      y + 10,
+      { bold: true, color: color("pass") },
+    );
+
+  const coverNote = [
+    "This report is generated based on user-provided information and AI-assisted structural analysis. It does not constitute legal advice or official FDA verification. Professional consultation is recommended before execution.",
+    "本报告基于用户提供信息及AI辅助结构分析生成，不构成法律意见或FDA官方验证结果。实际执行前建议咨询专业顾问。",
+  ];
+  const noteText = bilingual ? coverNote.join("\n") : L(coverNote);
+  const noteH = measure(noteText, CW - 24, 7) + 28;
+  const noteTop = H - M - 40 - noteH;
+  doc
+    .roundedRect(M, noteTop, CW, noteH, 4)
+    .lineWidth(0.5)
+    .fillAndStroke("#F8F9FA", "#E5E7EB");
+  write(L(["DISCLAIMER", "免责声明"]), M + 12, noteTop + 8, {
+    size: 8,
+    bold: true,
+    color: color("mid"),
+  });
+  write(noteText, M + 12, noteTop + 20, {
+    width: CW - 24,
+    size: 7,
+    color: color("light"),
+  });
+  doc.rect(M - 20, H - M - 20, CW + 40, 20).fill(color("accent"));
+  doc.page.margins.bottom = 0;
+  write(
+    `© ${now.getFullYear()} GoToMarket Compliance Lab. All rights reserved.`,
+    M,
+    H - M - 14,
+    { size: 7, color: "#B0E8D8" },
+  );
+  doc.page.margins.bottom = M;
+
+  // ======== PAGE 2: TABLE OF CONTENTS (filled in at the end) ========
+  newPage();
+  const tocPage = pageNumber() - 1;
+
+  // ======== SECTION PAGES ========
+  const bilingualColumns = [
+    { label: "English", w: 165 },
+    { label: "中文", w: 150 },
+    { label: L(["Status", "状态"]), w: 70 },
+    { label: L(["Citation", "法规依据"]), w: 110 },
+  ];
+  const columns = [
+    { label: L(["Item", "项目"]), w: 140 },
+    { label: L(["Status", "状态"]), w: 70 },
+    { label: L(["Finding", "结论"]), w: 175 },
+    { label: L(["Citation", "法规依据"]), w: 110 },
+  ];
+  for (const spec of EXPORT_SECTIONS) {
+    const section = d[spec.key];
+    if (!section) continue;
+    sectionHeading(spec.key);
+    const badge = L(spec.badge(section));
+    y = write(badge, M, y, {
+      size: 9,
+      bold: true,
+      color: color(EXPORT_COLORS[section.status] ? section.status : "info"),
+    });
+    y += 8;
+
+    const rows = (section.items || []).map((it) => {
+      const note = (key) =>
+        [key === "note" ? it.value : null, it[key]]
+          .filter(Boolean)
+          .join(" — ");
+      const status = {
+        text: L(STATUS_LABELS[it.status] || STATUS_LABELS.info),
+        sub: exportItemSource(it, lang),
+        bold: true,
+        color: color(EXPORT_COLORS[it.status] ? it.status : "info"),
+      };
+      const cites = it.citations || [];
+      const links = cites.map((c) => ({
+        text: c.ref ? `[${c.ref}] ${c.citation}` : c.citation,
+        goTo: c.ref ? `cite-${c.ref}` : undefined,
+      }));
+      const citation = {
+        text: links.map((l) => l.text).join("\n"),
+        links,
+        sub: [
+          ...cites
+            .filter((c) => PDF_CITATION_FLAGS[c.status])
+            .map((c) => `! ${L(PDF_CITATION_FLAGS[c.status])}: ${c.citation}`),
+          it.catalogMatch?.citation
+            ? `${L(["Catalog", "法规物质库"])}: ${it.catalogMatch.citation}`
+            : "",
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        size: 8,
+        color: color("info"),
+      };
+      const comment = it.review?.comment ? `\n✎ ${it.review.comment}` : "";
+      if (bilingual)
+        return [
+          {
+            text: it[spec.nameKey],
+            sub: note("note") + comment,
+            bold: true,
+          },
+          {
+            text: it[spec.nameKey + "Cn"] || "",
+            sub: note("noteCn"),
+            bold: true,
+          },
+          status,
+          citation,
+        ];
+      return [
+        { text: localized(it, spec.nameKey, lang), bold: true },
+        status,
+        {
+          text:
+            [it.value, localized(it, "note", lang)]
+              .filter(Boolean)
+              .join(" — ") + comment,
+        },
+        citation,
+      ];
+    });
+    if (rows.length) table(bilingual ? bilingualColumns : columns, rows);
+
+    if (spec.risk && typeof section[spec.risk.percent] === "number") {
+      const pct = section[spec.risk.percent];
+      const level = section[spec.risk.level];
+      ensure(40);
+      write(L(["Risk Level", "风险等级"]), M, y, {
+        size: 8,
+        color: color("light"),
+      });
+      write(RISK_LABELS[level] ? L(RISK_LABELS[level]) : `${pct}%`, M, y, {
+        width: CW,
+        size: 8,
+        color: color("light"),
+        align: "right",
+      });
+      y += 14;
+      doc.roundedRect(M, y, CW, 6, 3).fill("#E5E7EB");
+      doc
+        .roundedRect(M, y, Math.max(3, (CW * pct) / 100), 6, 3)
+        .fill(color(pct > 65 ? "fail" : pct > 35 ? "warn" : "pass"));
+      y += 18;
+    }
+    textBlock(section, "summary");
+    if (spec.key === "facilityRegistration") {
+      const note = reportMarket(d).facilityNote || PDF_FACILITY_NOTE;
+      textBlock({ note: note[0], noteCn: note[1] }, "note", {
+        fill: "#EFF6FF",
+        color: "info",
+      });
+    }
+  }
+
+  // ======== RECOMMENDATIONS ========
+  const recsEn = Array.isArray(d.recommendations) ? d.recommendations : [];
+  const recsCn = Array.isArray(d.recommendationsCn) ? d.recommendationsCn : [];
+  if (recsEn.length || recsCn.length) {
+    sectionHeading("recommendations");
+    if (bilingual) {
+      const n = Math.max(recsEn.length, recsCn.length);
+      table(
+        [
+          { label: "#", w: 25 },
+          { label: "English", w: 240 },
+          { label: "中文", w: 230 },
+        ],
+        Array.from({ length: n }, (_, i) => [
+          { text: `${i + 1}.`, bold: true, color: "#92400E" },
+          { text: recsEn[i] || "", color: "#78350F" },
+          { text: recsCn[i] || "", color: "#78350F" },
+        ]),
+      );
+    } else {
+      table(
+        [
+          { label: "#", w: 25 },
+          { label: L(["Recommendation", "建议"]), w: 470 },
+        ],
+        localizedList(d, "recommendations", lang).map((rec, i) => [
+          { text: `${i + 1}.`, bold: true, color: "#92400E" },
+          { text: rec, color: "#78350F" },
+        ]),
+      );
+    }
+  }
+
+  // ======== CITATION GLOSSARY ========
+  const glossary = d.citationCheck.glossary;
+  if (glossary.length) {
+    sectionHeading("citations");
+    const { counts } = d.citationCheck;
+    y = write(
+      L([
+        `${counts.verified} verified · ${counts.unknown} not in index · ${counts.malformed} unrecognized · ${counts.other_market} other market · ${counts.missing} items without a citation`,
+        `已核实 ${counts.verified} · 索引未收录 ${counts.unknown} · 无法识别 ${counts.malformed} · 其他市场 ${counts.other_market} · 无引用条目 ${counts.missing}`,
+      ]),
+      M,
+      y,
+      { size: 8, color: color("mid") },
     );
-    if (!result.rows.length)
-      return res.status(401).json({ error: "Invalid email or password" });
+    y += 10;
+    for (const e of glossary) {
+      const title = `[${e.ref}] ${e.code} — ${bilingual ? `${e.title}\n${e.titleCn}` : L([e.title, e.titleCn])}`;
+      const source = [
+        e.effective ? `${L(["Effective", "生效日期"])}: ${e.effective}` : "",
+        e.url || "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      ensure(
+        measure(title, CW, 9, true) +
+          measure(e.summary, CW, 8.5) +
+          measure(source, CW, 7.5) +
+          14,
+      );
+      doc.addNamedDestination(`cite-${e.ref}`, "XYZ", M, H - y, null);
+      y = write(title, M, y, { width: CW, size: 9, bold: true });
+      y = write(e.summary, M, y + 2, {
+        width: CW,
+        size: 8.5,
+        color: color("mid"),
+      });
+      if (source)
+        y = write(source, M, y + 1, {
+          width: CW,
+          size: 7.5,
+          color: color("info"),
+          link: e.url || undefined,
+        });
+      y += 10;
+    }
+  }
 
-    const user = result.rows[0];
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid)
-      return res.status(401).json({ error: "Invalid email or password" });
+  // ======== DISCLAIMER ========
+  sectionHeading("disclaimer");
+  table(
+    bilingual
+      ? [
+          { label: "#", w: 25 },
+          { label: "English", w: 240 },
+          { label: "中文", w: 230 },
+        ]
+      : [
+          { label: "#", w: 25 },
+          { label: "", w: 470 },
+        ],
+    PDF_DISCLAIMER.map((pair, i) => [
+      { text: `${i + 1}.`, bold: true },
+      ...(bilingual
+        ? [{ text: pair[0], size: 9 }, { text: pair[1], size: 9 }]
+        : [{ text: L(pair), size: 9 }]),
+    ]),
+    { header: false },
+  );
+  ensure(50);
+  doc.roundedRect(M, y, CW, 40, 4).fill(color("accent"));
+  write("GoToMarket Compliance Lab", M + 12, y + 8, {
+    size: 10,
+    bold: true,
+    color: "#FFFFFF",
+  });
+  write(
+    `© ${now.getFullYear()} GoToMarket Compliance Lab. All rights reserved.`,
+    M + 12,
+    y + 24,
+    { size: 7, color: "#B0E8D8" },
+  );
 
-    req.session.userId = user.id;
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        company: user.company,
-      },
+  // ======== TOC + FOOTERS ========
+  doc.switchToPage(tocPage);
+  y = write(L(["Table of Contents", "目录"]), M, M, { size: 18, bold: true });
+  doc
+    .moveTo(M, y + 4)
+    .lineTo(M + 110, y + 4)
+    .lineWidth(1.2)
+    .strokeColor(color("accent"))
+    .stroke();
+  y += 24;
+  for (const entry of toc) {
+    write(`${entry.num}.`, M, y, {
+      size: 10,
+      bold: true,
+      color: color("accent"),
     });
-  } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ error: "Login failed" });
+    write(String(entry.page), M, y, {
+      width: CW,
+      size: 10,
+      color: color("mid"),
+      align: "right",
+    });
+    y = write(T(entry.title), M + 20, y, { width: CW - 60, size: 10 }) + 10;
   }
-});
-
-// Logout
-app.post("/api/auth/logout", (req, res) => {
-  req.session.destroy(() => res.json({ success: true }));
-});
 
-// Get current user
-app.get("/api/auth/me", async (req, res) => {
-  if (!req.session.userId) return res.json({ user: null });
-  try {
-    const result = await pool.query(
-      "SELECT id, email, name, company FROM users WHERE id=$1",
-      [req.session.userId],
+  const pages = doc.bufferedPageRange();
+  for (let i = 1; i < pages.count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    write(
+      `GoToMarket Compliance Lab  |  ${L(["Confidential", "机密文件"])}  |  ${reportId}`,
+      M,
+      H - 30,
+      { size: 7, color: color("light") },
     );
-    if (!result.rows.length) return res.json({ user: null });
-    res.json({ user: result.rows[0] });
-  } catch (err) {
-    res.json({ user: null });
+    write(
+      L([
+        `Page ${i + 1} of ${pages.count}`,
+        `第 ${i + 1} 页 / 共 ${pages.count} 页`,
+      ]),
+      M,
+      H - 30,
+      { width: CW, size: 7, color: color("light"), align: "right" },
+    );
+    doc.page.margins.bottom = M;
   }
-});
 
-// ==================== REPORT ROUTES ====================
+  doc.end();
+  return finished;
+}
 
-// Save report
-app.post("/api/reports", requireAuth, async (req, res) => {
-  try {
-    const { reportData, lang, title } = req.body;
-    if (!reportData)
-      return res.status(400).json({ error: "Report data is required" });
+// --- Label Draft ---
+// Proposed corrected label copy built from confirmed product data plus the
+// report's findings: facts panel, dual-unit net quantity, "Contains:" line
+// and claim rewrites, with the DSHEA disclaimer when a supplement keeps
+// structure/function claims. Rule-based, so a draft is reproducible.
+const DSHEA_DISCLAIMER =
+  "*These statements have not been evaluated by the Food and Drug Administration. This product is not intended to diagnose, treat, cure, or prevent any disease.";
+const NUTRITION_FOOTNOTE =
+  "* The % Daily Value (DV) tells you how much a nutrient in a serving of food contributes to a daily diet. 2,000 calories a day is used for general nutrition advice.";
+const G_PER_OZ = 28.3495;
+const ML_PER_FL_OZ = 29.5735;
+const NET_QUANTITY_RE =
+  /(\d+(?:\.\d+)?)\s*(fl\.?\s*oz|oz|lbs?|kg|g|ml|l|千克|公斤|克|毫升|升)(?![a-z])/gi;
+const NET_QUANTITY_UNITS = {
+  g: ["mass", "metric", 1],
+  kg: ["mass", "metric", 1000],
+  千克: ["mass", "metric", 1000],
+  公斤: ["mass", "metric", 1000],
+  克: ["mass", "metric", 1],
+  oz: ["mass", "customary", G_PER_OZ],
+  lb: ["mass", "customary", G_PER_OZ * 16],
+  lbs: ["mass", "customary", G_PER_OZ * 16],
+  ml: ["volume", "metric", 1],
+  l: ["volume", "metric", 1000],
+  毫升: ["volume", "metric", 1],
+  升: ["volume", "metric", 1000],
+  "fl oz": ["volume", "customary", ML_PER_FL_OZ],
+};
 
-    const reportId = "GTM-" + Date.now().toString(36).toUpperCase();
-    const riskLevel = reportData.overallRiskLevel || "medium";
-    const score = riskLevel === "low" ? 1 : riskLevel === "high" ? 3 : 2;
-    const reportTitle =
-      title ||
-      (lang === "cn"
-        ? "产品合规结构评估报告"
-        : "Product Compliance Structural Assessment Report");
+// Claim patterns, checked in order; the first match decides the action
+const CLAIM_PATTERNS = [
+  {
+    type: "disease",
+    match:
+      /\b(cures?|cured|treats?|treatment|prevents?|prevention|heals?|diagnos\w*|mitigates?)\b|治疗|治愈|预防|疗效|根治/i,
+    action: "remove",
+    reason:
+      "Disease claim: makes the product an unapproved drug. Remove, or replace with a substantiated structure/function statement.",
+    regulation: "21 CFR 101.93(g); FD&C Act Sec. 201(g)(1)",
+  },
+  {
+    type: "fda_approval",
+    match: /fda[\s-]*(approved|certified|registered)|fda\s*(认证|批准|注册)/i,
+    action: "remove",
+    reason:
+      "Implies FDA approval or certification of the product, which FDA does not grant for foods or supplements.",
+    regulation: "FD&C Act Sec. 403(a)(1)",
+  },
+  {
+    type: "natural",
+    match: /\b(100%\s*|all[\s-]*)natural\b|纯天然/i,
+    action: "rewrite",
+    rewrite: (c) =>
+      c
+        .replace(
+          /\b(100%\s*|all[\s-]*)natural\b/i,
+          "made with natural ingredients",
+        )
+        .replace(/纯天然/, "天然成分制成")
+        .replace(/^./, (ch) => ch.toUpperCase()),
+    reason:
+      'FDA has not defined "natural"; absolute wording is hard to substantiate.',
+    regulation: "FD&C Act Sec. 403(a)(1)",
+  },
+  {
+    type: "superlative",
+    match:
+      /\b(best|#1|number one|guaranteed|miracle|instant(ly)?)\b|最好|第一|神奇|保证/i,
+    action: "rewrite",
+    rewrite: (c) =>
+      c
+        .replace(
+          /\b(the )?(best|#1|number one|guaranteed|miracle|instant(ly)?)\b|\b(ever|in the world)\b|最好|第一|神奇|保证/gi,
+          "",
+        )
+        .replace(/\s{2,}/g, " ")
+        .trim()
+        .replace(/^./, (ch) => ch.toUpperCase()),
+    reason: "Unsubstantiated superlative; keep only what can be substantiated.",
+    regulation: "FD&C Act Sec. 403(a)(1)",
+  },
+  {
+    type: "structure_function",
+    match:
+      /\b(supports?|promotes?|maintains?|boosts?|enhances?|contributes to|helps?)\b|支持|促进|维持|增强|有助于/i,
+    action: "keep",
+    reason:
+      "Structure/function claim: must be truthful and substantiated; supplements carry the DSHEA disclaimer and a 30-day FDA notification.",
+    regulation: "21 CFR 101.93; FD&C Act Sec. 403(r)(6)",
+  },
+];
 
-    const result = await pool.query(
-      "INSERT INTO reports (user_id, report_id, title, data, lang, score) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id, report_id, title, score, created_at",
-      [
-        req.session.userId,
-        reportId,
-        reportTitle,
-        JSON.stringify(reportData),
-        lang || "en",
-        score,
-      ],
-    );
-    res.json({ success: true, report: result.rows[0] });
-  } catch (err) {
-    console.error("Save report error:", err);
-    res.status(500).json({ error: "Failed to save report" });
+function floorTo(value, decimals) {
+  const f = 10 ** decimals;
+  return Math.floor(value * f + 1e-9) / f;
+}
+
+// Dual-unit net quantity statement (21 CFR 101.105); customary figures are
+// rounded down so the declaration never overstates the contents
+function draftNetQuantity(netWeight) {
+  const original = (netWeight || "").trim();
+  const base = { original, regulation: "21 CFR 101.105(a), (j)" };
+  const found = [];
+  for (const m of original.matchAll(NET_QUANTITY_RE)) {
+    const unit = m[2].toLowerCase().replace(/\./g, "").replace(/\s+/g, " ");
+    const def = NET_QUANTITY_UNITS[unit];
+    if (def)
+      found.push({
+        kind: def[0],
+        system: def[1],
+        base: parseFloat(m[1]) * def[2],
+      });
   }
-});
+  if (!found.length)
+    return {
+      ...base,
+      statement: null,
+      changed: false,
+      note: original
+        ? "Net quantity could not be parsed; declare it in both metric and U.S. customary units."
+        : "Net quantity is missing; declare it in both metric and U.S. customary units.",
+    };
 
-// List user's reports
-app.get("/api/reports", requireAuth, async (req, res) => {
-  try {
-    const result = await pool.query(
-      "SELECT id, report_id, title, score, lang, created_at FROM reports WHERE user_id=$1 ORDER BY created_at DESC LIMIT 50",
-      [req.session.userId],
-    );
-    res.json({ reports: result.rows });
-  } catch (err) {
-    console.error("List reports error:", err);
-    res.status(500).json({ error: "Failed to list reports" });
+  // Prefer the metric figure as the source of truth
+  const ref = found.find((f) => f.system === "metric") || found[0];
+  const metric = ref.base;
+  let statement;
+  if (ref.kind === "mass") {
+    const oz = floorTo(metric / G_PER_OZ, 2);
+    const metricText =
+      metric >= 1000
+        ? `${trimNumber(floorTo(metric / 1000, 2))} kg`
+        : `${trimNumber(floorTo(metric, metric >= 100 ? 0 : 1))} g`;
+    // 1 lb to under 4 lb also states pounds and ounces (101.105(j)(1))
+    const lb = Math.floor(oz / 16);
+    const rest = floorTo(oz - lb * 16, 2);
+    statement =
+      oz >= 16 && oz < 64
+        ? `Net Wt ${trimNumber(oz)} oz (${lb} lb${rest ? ` ${trimNumber(rest)} oz` : ""}) ${metricText}`
+        : `Net Wt ${trimNumber(oz)} oz (${metricText})`;
+  } else {
+    const flOz = floorTo(metric / ML_PER_FL_OZ, 2);
+    const metricText =
+      metric >= 1000
+        ? `${trimNumber(floorTo(metric / 1000, 2))} L`
+        : `${trimNumber(floorTo(metric, metric >= 100 ? 0 : 1))} mL`;
+    statement = `Net ${trimNumber(flOz)} fl oz (${metricText})`;
   }
-});
+  const hasBoth = new Set(found.map((f) => f.system)).size === 2;
+  return {
+    ...base,
+    statement: hasBoth ? original : statement,
+    changed: !hasBoth,
+    note: hasBoth
+      ? "Declares both metric and U.S. customary units."
+      : `Adds the ${ref.system === "metric" ? "U.S. customary" : "metric"} equivalent.`,
+  };
+}
 
-// Get single report
-app.get("/api/reports/:reportId", requireAuth, async (req, res) => {
-  try {
-    const result = await pool.query(
-      "SELECT id, report_id, title, data, score, lang, created_at FROM reports WHERE report_id=$1 AND user_id=$2",
-      [req.params.reportId, req.session.userId],
-    );
-    if (!result.rows.length)
-      return res.status(404).json({ error: "Report not found" });
-    res.json({ report: result.rows[0] });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to load report" });
+// "Contains:" statement (FALCPA): declared allergens plus any found in the
+// ingredient list, each named by its food source (for fish, crustacean
+// shellfish and tree nuts, the species found in the ingredients)
+function draftAllergenStatement(d) {
+  const { detected, entries } = analyzeAllergens(d);
+  const names = new Map();
+  const add = (n) =>
+    names.set(n.toLowerCase(), n[0].toUpperCase() + n.slice(1));
+  for (const e of entries) if (e.form === "source") add(e.text);
+  for (const x of detected) {
+    if (entries.some((e) => e.key === x.key && e.form === "source")) continue;
+    const species = x.species.length ? x.species : [x.allergen];
+    species.forEach(add);
   }
-});
+  const allergens = [...names.values()];
+  return {
+    statement: allergens.length ? `Contains: ${allergens.join(", ")}.` : null,
+    allergens,
+    detected: detected.map((x) => ({
+      allergen: x.allergen,
+      ingredient: x.ingredients[0],
+      declared: x.declared,
+    })),
+    changed:
+      detected.some((x) => !x.declared) ||
+      (allergens.length > 0 && entries.some((e) => e.form !== "source")),
+    regulation: allergenRegulation(detected),
+  };
+}
 
-// Delete report
-app.delete("/api/reports/:reportId", requireAuth, async (req, res) => {
-  try {
-    await pool.query("DELETE FROM reports WHERE report_id=$1 AND user_id=$2", [
-      req.params.reportId,
-      req.session.userId,
-    ]);
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to delete report" });
+function factsRow(nutrient, value, declared) {
+  const rounded = value == null ? null : roundNutrient(nutrient.key, value);
+  return {
+    key: nutrient.key,
+    name: nutrient.name,
+    nameCn: nutrient.nameCn,
+    amount: rounded ? rounded.display : null,
+    dailyValue: rounded ? roundDailyValue(nutrient, rounded.value) : null,
+    indent: nutrient.indent || 0,
+    bold: !!nutrient.bold,
+    original: declared || null,
+    missing: value == null,
+  };
+}
+
+function draftFactsPanel(d, supplement) {
+  const parsed = parseNutritionFacts(d.nutritionFacts);
+  const byKey = new Map();
+  parsed.forEach((entry, i) => {
+    if (entry.nutrient && !byKey.has(entry.nutrient.key))
+      byKey.set(entry.nutrient.key, {
+        ...entry,
+        raw: d.nutritionFacts[i].amount,
+      });
+  });
+  const unmatched = parsed.filter((e) => !e.nutrient).map((e) => e.label);
+  const panel = {
+    servingSize: d.servingSize || null,
+    servingsPerContainer: d.servingsPerContainer || null,
+    unmatched,
+  };
+
+  if (!supplement) {
+    const rows = factsPanelOrder(false)
+      .filter(
+        (n) =>
+          n.key !== "calories" && (n.core || n.mandatory || byKey.has(n.key)),
+      ).map((n) =>
+      factsRow(n, byKey.get(n.key)?.value ?? null, byKey.get(n.key)?.raw),
+    );
+    const calories = byKey.get("calories");
+    return {
+      ...panel,
+      type: "nutrition_facts",
+      title: "Nutrition Facts",
+      calories:
+        calories?.value == null
+          ? null
+          : roundNutrient("calories", calories.value).display,
+      rows,
+      footnotes: [NUTRITION_FOOTNOTE],
+      regulation: "21 CFR 101.9",
+    };
   }
-});
 
-// Helper: read uploaded files as base64 parts for Gemini
-function filesToImageParts(files) {
-  const imageParts = [];
-  for (const file of files) {
-    if (file.mimetype.startsWith("image/")) {
-      imageParts.push({
-        inlineData: {
-          data: fs.readFileSync(file.path).toString("base64"),
-          mimeType: file.mimetype,
-        },
+  // Supplement Facts: declared nutrients, then dosed dietary ingredients
+  // without a Daily Value (marked †); the rest are "Other Ingredients"
+  const rows = NUTRIENTS.filter((n) => byKey.has(n.key)).map((n) =>
+    factsRow(n, byKey.get(n.key).value, byKey.get(n.key).raw),
+  );
+  const other = [];
+  for (const ing of d.ingredients || []) {
+    const nutrient = findNutrient(ing.name);
+    const qty = ing.amount
+      ? parseQuantity(`${ing.amount} ${ing.unit || ""}`)
+      : null;
+    if (nutrient && qty && !rows.some((r) => r.key === nutrient.key)) {
+      rows.push({
+        ...factsRow(nutrient, toNutrientUnit(qty, nutrient), null),
+        name: ing.name,
       });
-    } else if (file.mimetype === "application/pdf") {
-      imageParts.push({
-        inlineData: {
-          data: fs.readFileSync(file.path).toString("base64"),
-          mimeType: "application/pdf",
-        },
+    } else if (qty && !nutrient) {
+      rows.push({
+        key: null,
+        name: ing.name,
+        nameCn: ing.nameCn || null,
+        amount: `${trimNumber(qty.value)}${qty.unit || ""}`,
+        dailyValue: "†",
+        indent: 0,
+        bold: false,
+        original: null,
+        missing: false,
       });
-    }
+    } else if (!nutrient || !qty) other.push(ing.name || ing.nameCn);
   }
-  return imageParts;
+  rows.sort((a, b) => {
+    const ia = a.key ? NUTRIENTS.indexOf(NUTRIENT_BY_KEY.get(a.key)) : 999;
+    const ib = b.key ? NUTRIENTS.indexOf(NUTRIENT_BY_KEY.get(b.key)) : 999;
+    return ia - ib;
+  });
+  const footnotes = [];
+  if (
+    rows.some(
+      (r) => r.key && NUTRIENT_BY_KEY.get(r.key).core && r.dailyValue != null,
+    )
+  )
+    footnotes.push("* Percent Daily Values are based on a 2,000 calorie diet.");
+  if (rows.some((r) => r.dailyValue === "†"))
+    footnotes.push("† Daily Value not established.");
+  const calories = byKey.get("calories");
+  return {
+    ...panel,
+    type: "supplement_facts",
+    title: "Supplement Facts",
+    calories:
+      calories?.value == null
+        ? null
+        : roundNutrient("calories", calories.value).display,
+    rows: rows.filter((r) => r.key !== "calories"),
+    otherIngredients: other.filter(Boolean),
+    footnotes,
+    regulation: "21 CFR 101.36",
+  };
 }
 
-// Helper: cleanup uploaded files
-function cleanupFiles(files) {
-  for (const file of files) {
-    fs.unlink(file.path, () => {});
+function draftClaims(d, report, supplement) {
+  const findings = new Map();
+  for (const it of report?.marketingClaims?.items || [])
+    findings.set(diffItemKey(it.claim), it);
+  const texts = [
+    ...(d.labelClaims || []).map((c) => c.claim || c.claimCn),
+    ...(report?.marketingClaims?.items || []).map((it) => it.claim),
+  ]
+    .filter(Boolean)
+    .map((c) => c.trim().replace(/^["“]|["”]$/g, ""));
+  const seen = new Set();
+  const claims = [];
+  for (const original of texts) {
+    const key = diffItemKey(original);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const finding = findings.get(key);
+    const pattern = CLAIM_PATTERNS.find((p) => p.match.test(original));
+    const claim = {
+      original,
+      proposed: original,
+      action: "keep",
+      type: pattern ? pattern.type : null,
+      reason: null,
+      regulation: finding?.regulation || null,
+      disclaimerRequired: false,
+      finding: finding
+        ? { status: finding.status, note: finding.note || "" }
+        : null,
+    };
+    if (pattern) {
+      claim.action = pattern.action;
+      claim.reason = pattern.reason;
+      claim.regulation = pattern.regulation;
+      if (pattern.action === "remove") claim.proposed = null;
+      if (pattern.rewrite) {
+        claim.proposed = pattern.rewrite(original) || null;
+        if (!claim.proposed) claim.action = "remove";
+      }
+    } else if (
+      finding &&
+      (finding.status === "warn" || finding.status === "fail")
+    ) {
+      claim.action = "review";
+      claim.reason = finding.note || "Flagged in the compliance report.";
+    }
+    if (
+      supplement &&
+      claim.proposed &&
+      (claim.type === "structure_function" ||
+        CLAIM_PATTERNS.at(-1).match.test(claim.proposed))
+    ) {
+      claim.proposed = claim.proposed.replace(/\*?$/, "*");
+      claim.disclaimerRequired = true;
+    }
+    claims.push(claim);
   }
+  return claims;
 }
 
-// Analyze uploaded files (legacy single-step endpoint)
-app.post("/api/analyze", upload.array("files", 10), async (req, res) => {
-  try {
-    const files = req.files;
-    const lang = req.body.lang || "en";
-
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
-    }
+// Report findings (warn/fail) a draft element addresses
+function resolvedFindings(report, pattern) {
+  return (report?.labelCompliance?.items || [])
+    .filter(
+      (it) =>
+        (it.status === "warn" || it.status === "fail") &&
+        pattern.test(`${it.name || ""} ${it.nameCn || ""}`),
+    )
+    .map((it) => it.name || it.nameCn);
+}
 
-    const genAI = getGeminiClient();
-    if (!genAI) {
-      return res.json({
-        success: true,
-        demo: true,
-        message: "GEMINI_API_KEY not configured. Returning demo analysis.",
-        data: getDemoData(lang),
-      });
-    }
+function buildLabelDraft(confirmed, report) {
+  const d = confirmed || {};
+  const supplement = isSupplementProduct(d);
+  const factsPanel = draftFactsPanel(d, supplement);
+  const netQuantity = draftNetQuantity(d.netWeight);
+  const allergenStatement = draftAllergenStatement(d);
+  const claims = draftClaims(d, report, supplement);
+  const disclaimer = claims.some((c) => c.disclaimerRequired)
+    ? DSHEA_DISCLAIMER
+    : null;
+  const ingredientList = formatIngredientStatement(d.ingredients);
+  const ingredientStatement = supplement
+    ? factsPanel.otherIngredients.length
+      ? `Other Ingredients: ${factsPanel.otherIngredients.join(", ")}.`
+      : null
+    : ingredientList
+      ? `Ingredients: ${ingredientList}.`
+      : null;
 
-    const imageParts = filesToImageParts(files);
-    if (imageParts.length === 0) {
-      return res.status(400).json({ error: "No valid image/PDF files found" });
-    }
+  const changes = [];
+  if (netQuantity.changed || !netQuantity.statement)
+    changes.push({
+      element: "netQuantity",
+      summary: netQuantity.statement
+        ? `Net quantity: "${netQuantity.original}" → "${netQuantity.statement}"`
+        : netQuantity.note,
+      regulation: netQuantity.regulation,
+      resolves: resolvedFindings(
+        report,
+        /net (weight|quantity|contents)|净含量/i,
+      ),
+    });
+  if (allergenStatement.changed) {
+    const undeclared = allergenStatement.detected.filter((x) => !x.declared);
+    changes.push({
+      element: "allergenStatement",
+      summary: undeclared.length
+        ? `Add "${allergenStatement.statement}" (undeclared: ${undeclared
+            .map((x) => `${x.allergen} from ${x.ingredient}`)
+            .join(", ")})`
+        : `Name each allergen by its food source: "${allergenStatement.statement}"`,
+      regulation: allergenStatement.regulation,
+      // A "may contain" finding is not resolved by the "Contains" statement
+      resolves: resolvedFindings(
+        report,
+        /^(?!precautionary).*(allergen|过敏原)/i,
+      ),
+    });
+  }
+  const missing = factsPanel.rows.filter((r) => r.missing).map((r) => r.name);
+  if (missing.length || !factsPanel.servingSize)
+    changes.push({
+      element: "factsPanel",
+      summary: [
+        !factsPanel.servingSize ? "Serving size is required" : null,
+        missing.length ? `Values required for: ${missing.join(", ")}` : null,
+      ]
+        .filter(Boolean)
+        .join("; "),
+      regulation: factsPanel.regulation,
+      resolves: resolvedFindings(
+        report,
+        /nutrition|supplement facts|营养|补充剂成分/i,
+      ),
+    });
+  for (const c of claims.filter((c) => c.action !== "keep"))
+    changes.push({
+      element: "claims",
+      summary:
+        c.action === "remove"
+          ? `Remove claim "${c.original}"`
+          : c.action === "rewrite"
+            ? `Rewrite claim "${c.original}" → "${c.proposed}"`
+            : `Review claim "${c.original}"`,
+      regulation: c.regulation,
+      resolves: [],
+    });
+  if (disclaimer)
+    changes.push({
+      element: "disclaimer",
+      summary: "Add the DSHEA disclaimer for structure/function claims",
+      regulation: "21 CFR 101.93(c)",
+      resolves: [],
+    });
 
-    const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-    const result = await model.generateContent([
-      buildAnalysisPrompt(lang),
-      ...imageParts,
-    ]);
-    const text = (await result.response).text();
+  return {
+    productName: d.productName || "",
+    productNameCn: d.productNameCn || "",
+    productType: supplement ? "dietary_supplement" : "food",
+    factsPanel,
+    netQuantity,
+    ingredientStatement,
+    allergenStatement,
+    claims,
+    disclaimer,
+    manufacturerInfo: d.manufacturerInfo || null,
+    countryOfOrigin: d.countryOfOrigin || null,
+    changes,
+  };
+}
 
-    console.log("--- Gemini analyze response (first 300 chars) ---");
-    console.log(text.substring(0, 300));
-    console.log("--- end ---");
+// --- Label Draft Preview ---
+function escapeXml(s) {
+  return String(s ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+}
 
-    let data;
-    try {
-      data = parseGeminiJSON(text);
-    } catch (e) {
-      console.error("Gemini response parse error:", e.message);
-      return res.status(500).json({
-        error: "Failed to parse AI response",
-        raw: text.substring(0, 800),
-      });
+// Greedy word wrap by character count (CJK counts double)
+function wrapText(text, maxUnits) {
+  const lines = [];
+  let line = "";
+  let units = 0;
+  for (const word of String(text || "").split(/(\s+)/)) {
+    const w = [...word].reduce((n, ch) => n + (CJK_CHAR.test(ch) ? 2 : 1), 0);
+    if (units + w > maxUnits && line.trim()) {
+      lines.push(line.trim());
+      line = "";
+      units = 0;
+      if (/^\s+$/.test(word)) continue;
     }
-
-    cleanupFiles(files);
-    return res.json({ success: true, demo: false, data });
-  } catch (err) {
-    console.error("Analysis error:", err);
-    return res
-      .status(500)
-      .json({ error: err.message || "Internal server error" });
+    line += word;
+    units += w;
   }
-});
+  if (line.trim()) lines.push(line.trim());
+  return lines;
+}
 
-// Layer 1: Extract structured product data from images
-app.post("/api/extract", upload.array("files", 10), async (req, res) => {
-  try {
-    const files = req.files;
-    const lang = req.body.lang || "en";
+function renderLabelDraftSVG(draft) {
+  const out = [];
+  const text = (x, y, str, attrs = "") =>
+    out.push(`<text x="${x}" y="${y}" ${attrs}>${escapeXml(str)}</text>`);
+  const rule = (x1, x2, y, w) =>
+    out.push(
+      `<line x1="${x1}" x2="${x2}" y1="${y}" y2="${y}" stroke="#000" stroke-width="${w}"/>`,
+    );
 
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
+  // Facts panel (right column)
+  const fp = draft.factsPanel;
+  const px = 470;
+  const pw = 300;
+  let y = 40;
+  text(px + 8, y + 30, fp.title, 'font-size="28" font-weight="900"');
+  y += 40;
+  rule(px + 8, px + pw - 8, y, 1);
+  if (fp.servingsPerContainer) {
+    y += 16;
+    const count = fp.servingsPerContainer;
+    text(
+      px + 8,
+      y,
+      `${count} serving${count === "1" ? "" : "s"} per container`,
+      'font-size="12"',
+    );
+  }
+  y += 18;
+  text(px + 8, y, "Serving size", 'font-size="13" font-weight="700"');
+  text(
+    px + pw - 8,
+    y,
+    fp.servingSize || "—",
+    'font-size="13" font-weight="700" text-anchor="end"',
+  );
+  y += 8;
+  rule(px + 8, px + pw - 8, y, 8);
+  y += 16;
+  text(px + 8, y, "Amount per serving", 'font-size="11" font-weight="700"');
+  if (fp.calories != null) {
+    y += 26;
+    text(px + 8, y, "Calories", 'font-size="22" font-weight="900"');
+    text(
+      px + pw - 8,
+      y,
+      fp.calories,
+      'font-size="26" font-weight="900" text-anchor="end"',
+    );
+  }
+  y += 8;
+  rule(px + 8, px + pw - 8, y, 4);
+  y += 14;
+  const dvNote = fp.footnotes.some((f) => f.startsWith("*")) ? "*" : "";
+  text(
+    px + pw - 8,
+    y,
+    `% Daily Value${dvNote}`,
+    'font-size="11" font-weight="700" text-anchor="end"',
+  );
+  for (const row of fp.rows) {
+    y += 4;
+    rule(px + 8 + row.indent * 14, px + pw - 8, y, 0.75);
+    y += 15;
+    const label = `${row.name} ${row.amount ?? "—"}`;
+    text(
+      px + 8 + row.indent * 14,
+      y,
+      label,
+      `font-size="12"${row.bold ? ' font-weight="700"' : ""}${row.missing ? ' fill="#DC2626"' : ""}`,
+    );
+    if (row.dailyValue != null)
+      text(
+        px + pw - 8,
+        y,
+        typeof row.dailyValue === "number"
+          ? `${row.dailyValue}%`
+          : row.dailyValue,
+        'font-size="12" font-weight="700" text-anchor="end"',
+      );
+  }
+  y += 6;
+  rule(px + 8, px + pw - 8, y, 8);
+  for (const note of fp.footnotes) {
+    for (const line of wrapText(note, 52)) {
+      y += 12;
+      text(px + 8, y, line, 'font-size="9"');
     }
+    y += 2;
+  }
+  const panelBottom = y + 10;
+  out.unshift(
+    `<rect x="${px}" y="30" width="${pw}" height="${panelBottom - 30}" fill="#fff" stroke="#000" stroke-width="1.5"/>`,
+  );
 
-    const genAI = getGeminiClient();
-    if (!genAI) {
-      cleanupFiles(files);
-      return res.json({
-        success: true,
-        demo: true,
-        message: "GEMINI_API_KEY not configured. Returning demo extraction.",
-        data: getDemoExtractedData(lang),
-      });
+  // Principal display / information panel (left column)
+  let ly = 60;
+  for (const line of wrapText(draft.productName || "Product", 28)) {
+    text(30, ly, line, 'font-size="26" font-weight="800"');
+    ly += 32;
+  }
+  if (draft.productNameCn) {
+    text(30, ly, draft.productNameCn, 'font-size="18" fill="#444"');
+    ly += 28;
+  }
+  ly += 8;
+  for (const c of draft.claims.filter((c) => c.proposed)) {
+    for (const line of wrapText(`• ${c.proposed}`, 60)) {
+      text(30, ly, line, 'font-size="14"');
+      ly += 19;
     }
-
-    const imageParts = filesToImageParts(files);
-    if (imageParts.length === 0) {
-      return res.status(400).json({ error: "No valid image/PDF files found" });
+  }
+  ly += 10;
+  const blocks = [
+    draft.ingredientStatement,
+    draft.allergenStatement.statement,
+    draft.disclaimer,
+    draft.manufacturerInfo ? `Distributed by: ${draft.manufacturerInfo}` : null,
+    draft.countryOfOrigin ? `Product of ${draft.countryOfOrigin}` : null,
+  ].filter(Boolean);
+  for (const [i, block] of blocks.entries()) {
+    const bold = block === draft.allergenStatement.statement;
+    const boxed = block === draft.disclaimer;
+    const lines = wrapText(block, 66);
+    if (boxed)
+      out.push(
+        `<rect x="24" y="${ly - 13}" width="412" height="${lines.length * 15 + 8}" fill="none" stroke="#000" stroke-width="1"/>`,
+      );
+    for (const line of lines) {
+      text(30, ly, line, `font-size="12"${bold ? ' font-weight="700"' : ""}`);
+      ly += 15;
     }
+    ly += i === blocks.length - 1 ? 0 : 10;
+  }
+  const height = Math.max(panelBottom, ly + 60) + 20;
+  if (draft.netQuantity.statement)
+    text(
+      30,
+      height - 30,
+      draft.netQuantity.statement,
+      'font-size="16" font-weight="700"',
+    );
 
-    const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-    const result = await model.generateContent([
-      buildExtractionPrompt(lang),
-      ...imageParts,
-    ]);
-    const text = (await result.response).text();
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="${height}" viewBox="0 0 800 ${height}" font-family="Helvetica, Arial, 'Noto Sans SC', sans-serif">
+<rect width="800" height="${height}" fill="#fff" stroke="#ccc"/>
+${out.join("\n")}
+</svg>`;
+}
 
-    console.log("--- Gemini extract response (first 300 chars) ---");
-    console.log(text.substring(0, 300));
-    console.log("--- end ---");
+function renderLabelDraftHTML(draft, reportId) {
+  const rows = (items) =>
+    items
+      .map(
+        (cells) =>
+          `<tr>${cells.map((c) => `<td>${escapeXml(c)}</td>`).join("")}</tr>`,
+      )
+      .join("");
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Label draft — ${escapeXml(draft.productName)}</title>
+<style>body{font-family:Helvetica,Arial,'Noto Sans SC',sans-serif;margin:32px;color:#1a1a2e}h1{font-size:22px}h2{font-size:16px;margin-top:28px}table{border-collapse:collapse;width:100%;font-size:13px}td,th{border-bottom:1px solid #e5e7eb;padding:6px 8px;text-align:left;vertical-align:top}th{background:#f5f7fa;font-size:11px;text-transform:uppercase;color:#64647a}.note{color:#64647a;font-size:12px}</style>
+</head><body>
+<h1>Proposed label — ${escapeXml(draft.productName)}</h1>
+<p class="note">Report ${escapeXml(reportId)} · ${draft.productType === "dietary_supplement" ? "Dietary supplement" : "Conventional food"} · Draft for review by a regulatory professional; it is not legal advice.</p>
+${renderLabelDraftSVG(draft)}
+<h2>Proposed changes</h2>
+<table><tr><th>Element</th><th>Change</th><th>Citation</th><th>Resolves</th></tr>${rows(draft.changes.map((c) => [c.element, c.summary, c.regulation, c.resolves.join(", ")]))}</table>
+<h2>Claims</h2>
+<table><tr><th>Original</th><th>Proposed</th><th>Action</th><th>Reason</th><th>Citation</th></tr>${rows(draft.claims.map((c) => [c.original, c.proposed || "—", c.action, c.reason || "", c.regulation || ""]))}</table>
+</body></html>`;
+}
 
-    let data;
-    try {
-      data = parseGeminiJSON(text);
-    } catch (e) {
-      console.error("Extraction parse error:", e.message);
-      return res.status(500).json({
-        error: "Failed to parse AI extraction response",
-        raw: text.substring(0, 800),
-      });
-    }
+// ==================== EXPORT ROUTES ====================
 
-    cleanupFiles(files);
-    return res.json({ success: true, demo: false, data });
-  } catch (err) {
-    console.error("Extraction error:", err);
-    return res
-      .status(500)
-      .json({ error: err.message || "Internal server error" });
-  }
+// CJK font for the browser PDF export (public/fonts takes precedence)
+app.get("/fonts/NotoSansSC-:weight(Regular|Bold).ttf", (req, res) => {
+  const fonts = pdfFontFiles();
+  if (!fonts) return res.status(404).json({ error: "CJK font not installed" });
+  res.sendFile(req.params.weight === "Bold" ? fonts.bold : fonts.regular, {
+    maxAge: "30d",
+  });
 });
 
-// Layer 2: Analyze confirmed product data (text only, no images)
-app.post("/api/analyze-confirmed", async (req, res) => {
-  try {
-    const { confirmedData, lang } = req.body;
-    if (!confirmedData) {
-      return res.status(400).json({ error: "No confirmed data provided" });
-    }
+// Generate PPTX from a saved report ({ reportId }, org members) or inline
+// report data ({ data }); with neither, renders the demo report
+app.post(
+  "/api/generate-slides",
+  express.json({ limit: "5mb" }),
+  (req, res, next) =>
+    req.body?.reportId ? requireOrgPermission("read")(req, res, next) : next(),
+  async (req, res) => {
+    try {
+      const { reportId, data } = req.body || {};
+      let lang = req.body?.lang;
+      if (lang && !EXPORT_LANGS.includes(lang))
+        return res
+          .status(400)
+          .json({ error: `lang must be one of: ${EXPORT_LANGS.join(", ")}` });
+      let d;
+      let meta = {};
+      let id = "GTM-" + Date.now().toString(36).toUpperCase();
+      if (reportId) {
+        const result = await pool.query(
+          "SELECT r.report_id, r.data, r.lang, r.revision, p.name AS product_name FROM reports r LEFT JOIN products p ON p.id=r.product_id WHERE r.report_id=$1 AND r.org_id=$2",
+          [reportId, req.org.id],
+        );
+        if (!result.rows.length)
+          return res.status(404).json({ error: "Report not found" });
+        const row = result.rows[0];
+        d = row.data;
+        lang = lang || row.lang;
+        id = row.report_id;
+        meta = { productName: row.product_name, revision: row.revision };
+      } else if (data) {
+        d = normalizeReport(structuredClone(data));
+        const errors = validateSchema(d, REPORT_SCHEMA);
+        if (errors.length)
+          return res
+            .status(400)
+            .json({ error: "Report data is not a valid report", errors });
+      } else {
+        d = getDemoData(lang === "cn" ? "cn" : "en");
+      }
 
-    const genAI = getGeminiClient();
-    if (!genAI) {
-      return res.json({
-        success: true,
-        demo: true,
-        message: "GEMINI_API_KEY not configured. Returning demo analysis.",
-        data: getDemoData(lang || "en"),
+      const buffer = await renderReportSlides(d, {
+        lang: lang || "en",
+        reportId: id,
+        meta,
       });
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="GoToMarket_Compliance_Report_${id}.pptx"`,
+      );
+      res.send(buffer);
+    } catch (err) {
+      console.error("Slides generation error:", err);
+      res.status(500).json({ error: "Failed to generate slides" });
     }
+  },
+);
 
-    const dataText = formatConfirmedDataAsText(confirmedData);
-    const prompt =
-      buildConfirmedAnalysisPrompt(lang || "en") +
-      "\n\n--- CONFIRMED PRODUCT DATA ---\n" +
-      dataText;
-
-    const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-    const result = await model.generateContent(prompt);
-    const text = (await result.response).text();
-
-    console.log("--- Gemini confirmed-analysis response (first 300 chars) ---");
-    console.log(text.substring(0, 300));
-    console.log("--- end ---");
-
-    let data;
+// Render a saved report as PDF (lang: en | cn | bilingual, default: the
+// report's language)
+app.get(
+  "/api/reports/:reportId/pdf",
+  requireOrgPermission("read"),
+  async (req, res) => {
     try {
-      data = parseGeminiJSON(text);
-    } catch (e) {
-      console.error("Confirmed analysis parse error:", e.message);
-      return res.status(500).json({
-        error: "Failed to parse AI response",
-        raw: text.substring(0, 800),
+      const lang = req.query.lang;
+      if (lang && !EXPORT_LANGS.includes(lang))
+        return res
+          .status(400)
+          .json({ error: `lang must be one of: ${EXPORT_LANGS.join(", ")}` });
+      const result = await pool.query(
+        "SELECT r.report_id, r.data, r.lang, r.revision, p.name AS product_name FROM reports r LEFT JOIN products p ON p.id=r.product_id WHERE r.report_id=$1 AND r.org_id=$2",
+        [req.params.reportId, req.org.id],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Report not found" });
+      const row = result.rows[0];
+      const pdfLang =
+        lang || (EXPORT_LANGS.includes(row.lang) ? row.lang : "en");
+      if (pdfLang !== "en" && !pdfFontFiles())
+        return res.status(503).json({
+          error:
+            "Chinese PDF output needs a CJK font: restore fonts/NotoSansSC-Regular.ttf or set PDF_FONT_REGULAR",
+        });
+
+      const buffer = await renderReportPDF(row.data, {
+        lang: pdfLang,
+        reportId: row.report_id,
+        meta: { productName: row.product_name, revision: row.revision },
       });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="GoToMarket_Compliance_Report_${row.report_id}_${pdfLang}.pdf"`,
+      );
+      res.send(buffer);
+    } catch (err) {
+      console.error("PDF generation error:", err);
+      res.status(500).json({ error: "Failed to generate PDF" });
     }
+  },
+);
 
-    return res.json({ success: true, demo: false, data });
-  } catch (err) {
-    console.error("Confirmed analysis error:", err);
-    return res
-      .status(500)
-      .json({ error: err.message || "Internal server error" });
-  }
-});
+// Proposed revised label from the confirmed data this report was analyzed
+// with plus its findings: structured JSON, or an SVG/HTML preview. Reports
+// saved before confirmed data was kept per report fall back to their linked
+// analysis audit; the product's current data may belong to a later revision.
+// The draft applies U.S. rules (facts panel, 21 CFR 101.105, DSHEA), so
+// reports for other markets are refused rather than given a U.S. label.
+const LABEL_DRAFT_FORMATS = ["json", "svg", "html"];
+const LABEL_DRAFT_MARKETS = ["US"];
+
+app.get(
+  "/api/reports/:reportId/label-draft",
+  requireOrgPermission("read"),
+  async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (!LABEL_DRAFT_FORMATS.includes(format))
+        return res.status(400).json({
+          error: `format must be one of: ${LABEL_DRAFT_FORMATS.join(", ")}`,
+        });
+      const result = await pool.query(
+        `SELECT r.report_id, r.data, r.revision, p.product_id,
+           COALESCE(r.confirmed_data, (
+             SELECT a.inputs->'confirmedData' FROM report_audits ra JOIN analysis_audits a ON a.id=ra.audit_id
+             WHERE ra.report_id=r.id AND a.inputs ? 'confirmedData' ORDER BY a.created_at DESC LIMIT 1
+           )) AS confirmed_data
+         FROM reports r LEFT JOIN products p ON p.id=r.product_id WHERE r.report_id=$1 AND r.org_id=$2`,
+        [req.params.reportId, req.org.id],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ error: "Report not found" });
+      const row = result.rows[0];
+      const market = reportMarket(row.data);
+      if (!LABEL_DRAFT_MARKETS.includes(market.code))
+        return res.status(422).json({
+          error: `Label drafts are only available for ${LABEL_DRAFT_MARKETS.join(", ")} reports; this report targets ${market.name}`,
+        });
+      if (!row.confirmed_data)
+        return res.status(422).json({
+          error:
+            "Report has no confirmed product data; confirm the extracted data and re-run the analysis first",
+        });
 
-// // --- Generate PPTX Slides from report data ---
-// app.post('/api/generate-slides', express.json({ limit: '5mb' }), async (req, res) => {
-//   try {
-//     const { data, lang } = req.body;
-//     const d = data || getDemoData(lang || 'en');
-//     const cn = lang === 'cn';
-
-//     const pptx = new PptxGenJS();
-//     pptx.layout = 'LAYOUT_WIDE'; // 13.33 x 7.5 inches
-//     pptx.author = 'GoToMarket Compliance Lab';
-//     pptx.title = cn ? '产品合规结构评估报告' : 'Product Compliance Assessment Report';
-
-//     // Brand colors
-//     const ACCENT = '0D9373';
-//     const DARK = '1A1A2E';
-//     const MID = '64647A';
-//     const LIGHT = '9696AA';
-//     const BG = 'F5F7FA';
-//     const WHITE = 'FFFFFF';
-//     const PASS = '16A34A';
-//     const WARN = 'D97706';
-//     const FAIL = 'DC2626';
-//     const INFO = '2563EB';
-//     const statusClr = s => s === 'pass' ? PASS : s === 'warn' ? WARN : s === 'fail' ? FAIL : INFO;
-
-//     // ============ SLIDE 1: Title ============
-//     const s1 = pptx.addSlide();
-//     // Top accent bar
-//     s1.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: '100%', h: 0.06, fill: { color: ACCENT } });
-//     // Background
-//     s1.background = { fill: WHITE };
-//     // Logo area
-//     s1.addText('GT', { x: 0.6, y: 0.5, w: 0.5, h: 0.5, fontSize: 18, bold: true, color: WHITE, align: 'center', valign: 'middle', fill: { color: ACCENT }, shape: pptx.ShapeType.roundRect, rectRadius: 0.08 });
-//     s1.addText('GoToMarket Compliance Lab', { x: 1.25, y: 0.52, w: 4, h: 0.45, fontSize: 16, bold: true, color: ACCENT, fontFace: 'Helvetica' });
-//     // Main title
-//     s1.addText(cn ? 'Product Compliance\nAssessment Report' : 'Product Compliance\nAssessment Report', { x: 0.6, y: 2.0, w: 8, h: 1.8, fontSize: 40, bold: true, color: DARK, fontFace: 'Helvetica', lineSpacingMultiple: 1.1 });
-//     // Subtitle
-//     s1.addText('Global Regulatory & Market Entry Intelligence Platform', { x: 0.6, y: 3.9, w: 8, h: 0.5, fontSize: 14, color: ACCENT, fontFace: 'Helvetica' });
-//     // Meta info
-//     const now = new Date();
-//     const dateStr = now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-//     const reportId = 'GTM-' + Date.now().toString(36).toUpperCase();
-//     s1.addText(`Report Date: ${dateStr}  |  ID: ${reportId}`, { x: 0.6, y: 5.2, w: 8, h: 0.35, fontSize: 10, color: LIGHT, fontFace: 'Helvetica' });
-//     // Score circle on right
-//     s1.addShape(pptx.ShapeType.ellipse, { x: 9.8, y: 2.2, w: 2.2, h: 2.2, fill: { color: 'F0FAF6' }, line: { color: ACCENT, width: 3 } });
-//     s1.addText(String(d.overallScore), { x: 9.8, y: 2.35, w: 2.2, h: 1.5, fontSize: 44, bold: true, color: ACCENT, align: 'center', valign: 'middle', fontFace: 'Helvetica' });
-//     s1.addText('/100', { x: 9.8, y: 3.5, w: 2.2, h: 0.5, fontSize: 12, color: LIGHT, align: 'center', fontFace: 'Helvetica' });
-//     // Verdict
-//     const verdict = cn ? (d.overallVerdictCn || d.overallVerdict) : d.overallVerdict;
-//     s1.addText(verdict || '', { x: 0.6, y: 5.7, w: 11, h: 0.5, fontSize: 11, color: MID, fontFace: 'Helvetica', italic: true });
-//     // Bottom bar
-//     s1.addShape(pptx.ShapeType.rect, { x: 0, y: 7.2, w: '100%', h: 0.3, fill: { color: ACCENT } });
-//     s1.addText('Confidential  •  For Internal Use Only', { x: 0.6, y: 7.22, w: 12, h: 0.26, fontSize: 8, color: WHITE, fontFace: 'Helvetica' });
-
-//     // ============ Helper: Section Slide ============
-//     function addSectionSlide(icon, title, badgeText, badgeStatus, items, nameKey, noteKey, summary, riskPercent, riskLabel) {
-//       const s = pptx.addSlide();
-//       s.background = { fill: WHITE };
-//       // Top bar
-//       s.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: '100%', h: 0.06, fill: { color: ACCENT } });
-//       // Section header bar
-//       s.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: 0.4, w: 12.3, h: 0.6, fill: { color: BG }, rectRadius: 0.06 });
-//       s.addText(`${icon}  ${title}`, { x: 0.7, y: 0.42, w: 8, h: 0.55, fontSize: 16, bold: true, color: DARK, fontFace: 'Helvetica' });
-//       // Badge
-//       s.addShape(pptx.ShapeType.roundRect, { x: 11.0, y: 0.47, w: 1.6, h: 0.4, fill: { color: statusClr(badgeStatus) }, rectRadius: 0.06 });
-//       s.addText(badgeText, { x: 11.0, y: 0.47, w: 1.6, h: 0.4, fontSize: 10, bold: true, color: WHITE, align: 'center', valign: 'middle', fontFace: 'Helvetica' });
-
-//       // Table
-//       const headerRow = [
-//         { text: cn ? 'Item' : 'Item', options: { bold: true, fontSize: 9, color: LIGHT, fill: { color: BG }, fontFace: 'Helvetica', align: 'left' } },
-//         { text: cn ? 'Status / Note' : 'Status / Note', options: { bold: true, fontSize: 9, color: LIGHT, fill: { color: BG }, fontFace: 'Helvetica', align: 'right' } }
-//       ];
-//       const bodyRows = items.map(it => {
-//         const name = cn ? (it[nameKey + 'Cn'] || it[nameKey]) : it[nameKey];
-//         const note = it[noteKey] || it.status || '';
-//         return [
-//           { text: name || '', options: { fontSize: 10, color: DARK, fontFace: 'Helvetica' } },
-//           { text: note || '', options: { fontSize: 10, color: statusClr(it.status), fontFace: 'Helvetica', align: 'right', bold: true } }
-//         ];
-//       });
-
-//       s.addTable([headerRow, ...bodyRows], {
-//         x: 0.5, y: 1.25, w: 12.3,
-//         border: { type: 'solid', pt: 0.5, color: 'E5E7EB' },
-//         colW: [6.15, 6.15],
-//         rowH: 0.42,
-//         autoPage: false,
-//         margin: [4, 8, 4, 8]
-//       });
-
-//       let yPos = 1.25 + (items.length + 1) * 0.42 + 0.3;
-
-//       // Risk bar
-//       if (typeof riskPercent === 'number') {
-//         s.addText(riskLabel || 'Risk', { x: 0.5, y: yPos, w: 3, h: 0.25, fontSize: 8, color: LIGHT, fontFace: 'Helvetica' });
-//         const rl = riskPercent > 65 ? 'High' : riskPercent > 35 ? 'Medium' : 'Low';
-//         s.addText(rl, { x: 9.8, y: yPos, w: 3, h: 0.25, fontSize: 8, color: LIGHT, fontFace: 'Helvetica', align: 'right' });
-//         yPos += 0.28;
-//         // Bar bg
-//         s.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: yPos, w: 12.3, h: 0.18, fill: { color: 'E5E7EB' }, rectRadius: 0.04 });
-//         // Bar fill
-//         const barW = 12.3 * riskPercent / 100;
-//         const barClr = riskPercent > 65 ? FAIL : riskPercent > 35 ? WARN : PASS;
-//         s.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: yPos, w: barW, h: 0.18, fill: { color: barClr }, rectRadius: 0.04 });
-//         yPos += 0.4;
-//       }
-
-//       // Summary
-//       if (summary) {
-//         s.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: yPos, w: 12.3, h: 0.6, fill: { color: 'FAFAFA' }, rectRadius: 0.06 });
-//         s.addText(summary, { x: 0.7, y: yPos + 0.05, w: 11.9, h: 0.5, fontSize: 9, italic: true, color: LIGHT, fontFace: 'Helvetica' });
-//       }
-
-//       // Footer
-//       s.addShape(pptx.ShapeType.rect, { x: 0, y: 7.2, w: '100%', h: 0.3, fill: { color: BG } });
-//       s.addText('GoToMarket Compliance Lab  •  Confidential', { x: 0.6, y: 7.22, w: 12, h: 0.26, fontSize: 7, color: LIGHT, fontFace: 'Helvetica' });
-//     }
-
-//     // ============ SLIDE 2: Ingredient Risk ============
-//     const ir = d.ingredientRisk;
-//     addSectionSlide('🧪', cn ? 'Ingredient Risk Overview' : 'Ingredient Risk Overview',
-//       `${ir.flagCount} Flags`, ir.status, ir.items, 'name', 'note', ir.summary, ir.riskPercent, 'Risk Level');
-
-//     // ============ SLIDE 3: Label Compliance ============
-//     const lc = d.labelCompliance;
-//     addSectionSlide('🏷️', cn ? 'Label Compliance Review' : 'Label Compliance Review',
-//       `${lc.passCount}/${lc.totalCount} Pass`, lc.status, lc.items, 'name', 'note', lc.summary);
-
-//     // ============ SLIDE 4: Facility Registration ============
-//     const fr = d.facilityRegistration;
-//     addSectionSlide('🏭', cn ? 'Facility Registration Status' : 'Facility Registration Status',
-//       'Status', fr.status, fr.items, 'name', 'value', fr.summary);
-
-//     // ============ SLIDE 5: Marketing Claims ============
-//     const mc = d.marketingClaims;
-//     addSectionSlide('💬', cn ? 'Marketing Claim Risk Review' : 'Marketing Claim Risk Review',
-//       `${mc.issueCount} Issues`, mc.status, mc.items, 'claim', 'note', mc.summary, mc.riskPercent, 'Claim Risk');
-
-//     // ============ SLIDE 6: Recommendations ============
-//     const recs = cn ? (d.recommendationsCn || d.recommendations) : d.recommendations;
-//     if (recs && recs.length) {
-//       const s6 = pptx.addSlide();
-//       s6.background = { fill: WHITE };
-//       s6.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: '100%', h: 0.06, fill: { color: ACCENT } });
-//       s6.addShape(pptx.ShapeType.roundRect, { x: 0.5, y: 0.4, w: 12.3, h: 0.6, fill: { color: 'FFF8E1' }, rectRadius: 0.06 });
-//       s6.addText('📋  Recommendations', { x: 0.7, y: 0.42, w: 8, h: 0.55, fontSize: 16, bold: true, color: '92400E', fontFace: 'Helvetica' });
-
-//       recs.forEach((r, i) => {
-//         const yy = 1.4 + i * 0.55;
-//         s6.addText('→', { x: 0.7, y: yy, w: 0.4, h: 0.45, fontSize: 14, bold: true, color: WARN, fontFace: 'Helvetica' });
-//         s6.addText(r, { x: 1.15, y: yy, w: 11.3, h: 0.45, fontSize: 11, color: '78350F', fontFace: 'Helvetica', valign: 'middle' });
-//       });
-
-//       s6.addShape(pptx.ShapeType.rect, { x: 0, y: 7.2, w: '100%', h: 0.3, fill: { color: BG } });
-//       s6.addText('GoToMarket Compliance Lab  •  Confidential', { x: 0.6, y: 7.22, w: 12, h: 0.26, fontSize: 7, color: LIGHT, fontFace: 'Helvetica' });
-//     }
-
-//     // ============ SLIDE 7: Disclaimer ============
-//     const s7 = pptx.addSlide();
-//     s7.background = { fill: WHITE };
-//     s7.addShape(pptx.ShapeType.rect, { x: 0, y: 0, w: '100%', h: 0.06, fill: { color: ACCENT } });
-//     s7.addText('Important Disclaimer', { x: 0.6, y: 0.5, w: 8, h: 0.6, fontSize: 20, bold: true, color: DARK, fontFace: 'Helvetica' });
-//     s7.addText('FDA Registration & Compliance', { x: 0.6, y: 1.1, w: 8, h: 0.4, fontSize: 12, color: ACCENT, fontFace: 'Helvetica' });
-
-//     const disclaimerPoints = [
-//       'FDA does not approve individual dietary supplement or food products.',
-//       'Registration applies to manufacturing facilities, not SKUs or brands.',
-//       'No "FDA product certification" exists for supplements.',
-//       'Key compliance factors: ingredient legality, proper labeling, valid facility registration, compliant marketing claims.',
-//       'This report is AI-generated for reference only. Consult licensed regulatory professionals for final compliance confirmation.'
-//     ];
-//     disclaimerPoints.forEach((p, i) => {
-//       s7.addText('•', { x: 0.7, y: 1.8 + i * 0.6, w: 0.3, h: 0.5, fontSize: 12, color: ACCENT, fontFace: 'Helvetica' });
-//       s7.addText(p, { x: 1.05, y: 1.8 + i * 0.6, w: 11.3, h: 0.5, fontSize: 11, color: MID, fontFace: 'Helvetica', valign: 'middle' });
-//     });
-
-//     // Branding footer
-//     s7.addShape(pptx.ShapeType.rect, { x: 0, y: 5.8, w: '100%', h: 1.7, fill: { color: ACCENT } });
-//     s7.addText('GoToMarket Compliance Lab', { x: 0.6, y: 5.95, w: 8, h: 0.5, fontSize: 18, bold: true, color: WHITE, fontFace: 'Helvetica' });
-//     s7.addText('Global Regulatory & Market Entry Intelligence Platform', { x: 0.6, y: 6.4, w: 8, h: 0.35, fontSize: 10, color: 'B0E8D8', fontFace: 'Helvetica' });
-//     s7.addText(`© ${now.getFullYear()} GoToMarket Compliance Lab. All rights reserved.`, { x: 0.6, y: 6.9, w: 8, h: 0.3, fontSize: 8, color: 'B0E8D8', fontFace: 'Helvetica' });
-
-//     // Generate and send
-//     const pptxBuffer = await pptx.write({ outputType: 'nodebuffer' });
-//     const filename = `GoToMarket_Compliance_Report_${now.toISOString().split('T')[0]}.pptx`;
-
-//     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
-//     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-//     res.send(Buffer.from(pptxBuffer));
-
-//   } catch (err) {
-//     console.error('Slides generation error:', err);
-//     res.status(500).json({ error: err.message || 'Failed to generate slides' });
-//   }
-// });
+      const draft = {
+        reportId: row.report_id,
+        revision: row.revision,
+        productId: row.product_id,
+        ...buildLabelDraft(row.confirmed_data, row.data),
+        generatedAt: new Date().toISOString(),
+      };
+      if (format === "svg") {
+        res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+        return res.send(renderLabelDraftSVG(draft));
+      }
+      if (format === "html") {
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res.send(renderLabelDraftHTML(draft, row.report_id));
+      }
+      res.json(draft);
+    } catch (err) {
+      console.error("Label draft error:", err);
+      res.status(500).json({ error: "Failed to generate label draft" });
+    }
+  },
+);
 
 // --- Demo Data ---
-function getDemoData(lang) {
-  return {
+function getDemoData(lang, market = MARKETS[DEFAULT_MARKET]) {
+  const data = {
     ingredientRisk: {
       status: "warn",
       flagCount: 3,
@@ -1307,6 +12812,26 @@ function getDemoData(lang) {
       "依据 21 CFR 1.225 与工厂确认设施 FEI 编号及 DUNS 信息",
     ],
   };
+  if (market.code === DEFAULT_MARKET) return data;
+
+  // Other markets: the facility section asks that market's questions
+  const reg = market.registration;
+  data.targetMarket = market.code;
+  data.facilityRegistration = {
+    status: "info",
+    items: reg.questions.map((q) => ({
+      name: q.label[0],
+      nameCn: q.label[1],
+      value: lang === "cn" ? "待确认" : "Pending confirmation",
+      status: "info",
+      regulation: q.regulation,
+    })),
+    summary:
+      lang === "cn"
+        ? `${market.nameCn}进口与注册信息需要手动提供以完成核查。`
+        : `${market.name} import and registration details need to be provided for verification.`,
+  };
+  return data;
 }
 
 // --- Fallback to index.html ---
@@ -1317,11 +12842,24 @@ app.get("*", (req, res) => {
 // --- Start ---
 app.listen(PORT, async () => {
   console.log(`✅ GoToMarket Compliance Lab running on port ${PORT}`);
+  const undocumented = undocumentedApiRoutes();
+  if (undocumented.length)
+    console.warn(
+      `   OpenAPI: routes missing from API_ROUTES: ${undocumented.join(", ")}`,
+    );
   console.log(
-    `   Gemini API: ${process.env.GEMINI_API_KEY ? "Configured ✓" : "Not configured (demo mode)"}`,
+    `   LLM provider: ${llmProvider ? `${llmProvider.name} (${llmProvider.model}) ✓` : "Not configured (demo mode)"}`,
   );
   if (process.env.DATABASE_URL) {
     await initDB();
+    await loadStoredSubstanceImports().catch((err) =>
+      console.error("   Substance imports: load failed -", err.message),
+    );
+    startWebhookWorker();
+    if (auditSigning.ephemeral)
+      console.warn(
+        "   Audit: AUDIT_SIGNING_KEY not set; bundles are signed with an ephemeral key",
+      );
   } else {
     console.log(
       "   Database: Not configured (set DATABASE_URL for user accounts)",